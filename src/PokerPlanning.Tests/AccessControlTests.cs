@@ -0,0 +1,246 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class AccessControlTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room CreateRoom(string? passcode = null) =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", passcode: passcode);
+
+    // ===== Passcode =====
+
+    [Fact]
+    public void CreateRoom_StoresPasscodeHashOnly()
+    {
+        var room = CreateRoom("secret");
+
+        Assert.NotNull(room.PasscodeHash);
+        Assert.DoesNotContain("secret", room.PasscodeHash);
+    }
+
+    [Fact]
+    public void CreateRoom_TooLongPasscode_Throws()
+    {
+        Assert.Throws<ArgumentException>(() => CreateRoom(new string('x', 33)));
+    }
+
+    [Fact]
+    public void JoinRoom_PasscodeMissing_Throws()
+    {
+        var room = CreateRoom("secret");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn"));
+        Assert.Contains("requires a passcode", ex.Message);
+    }
+
+    [Fact]
+    public void JoinRoom_PasscodeWrong_Throws()
+    {
+        var room = CreateRoom("secret");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn", "guess"));
+        Assert.Contains("Incorrect passcode", ex.Message);
+    }
+
+    [Fact]
+    public void JoinRoom_PasscodeCorrect_Joins()
+    {
+        var room = CreateRoom("secret");
+
+        var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn", " secret ");
+
+        Assert.Equal("Alice", alice.Name);
+        Assert.Equal(2, room.Players.Count);
+    }
+
+    [Fact]
+    public void JoinRoom_NoPasscodeSet_IgnoresPasscode()
+    {
+        var room = CreateRoom();
+
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn", "anything");
+
+        Assert.Equal(2, room.Players.Count);
+    }
+
+    [Fact]
+    public void CreateRoom_SaltsPasscodeHash()
+    {
+        var first = CreateRoom("secret");
+        var second = CreateRoom("secret");
+
+        Assert.NotNull(first.PasscodeSalt);
+        Assert.NotEqual(first.PasscodeHash, second.PasscodeHash);
+    }
+
+    [Fact]
+    public void JoinRoom_TooManyWrongPasscodes_LocksConnectionOut()
+    {
+        var room = CreateRoom("secret");
+        for (var i = 0; i < RoomService.MaxPasscodeFailuresPerConnection; i++)
+            Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Mallory", "mallory-conn", $"guess{i}"));
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Mallory", "mallory-conn", "secret"));
+        Assert.Equal(ErrorCodes.TooManyPasscodeAttempts, ex.GetErrorCode());
+
+        // Other connections are still let in
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn", "secret");
+        Assert.Equal(2, room.Players.Count);
+    }
+
+    [Fact]
+    public void JoinRoom_TooManyWrongPasscodesAcrossConnections_LocksRoom()
+    {
+        var room = CreateRoom("secret");
+        for (var i = 0; i < RoomService.MaxPasscodeFailuresPerRoom; i++)
+            Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Mallory", $"conn-{i}", "guess"));
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn", "secret"));
+        Assert.Equal(ErrorCodes.TooManyPasscodeAttempts, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_WrongPasscodes_CountTowardsLimit()
+    {
+        var room = CreateRoom("secret");
+        for (var i = 0; i < RoomService.MaxPasscodeFailuresPerConnection; i++)
+            Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn", null, "guess"));
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn", null, "secret"));
+        Assert.Equal(ErrorCodes.TooManyPasscodeAttempts, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void JoinRoom_MissingPasscode_IsNotCountedAsGuess()
+    {
+        var room = CreateRoom("secret");
+        for (var i = 0; i < RoomService.MaxPasscodeFailuresPerConnection; i++)
+            Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn"));
+
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn", "secret");
+        Assert.Equal(2, room.Players.Count);
+    }
+
+    // ===== Seat reclaim =====
+
+    [Fact]
+    public void JoinRoom_TakenNameWithoutPlayerId_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.DisconnectPlayer("alice-conn");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "alice", "impostor-conn"));
+        Assert.Contains("already taken", ex.Message);
+    }
+
+    [Fact]
+    public void JoinRoom_OwnPlayerId_SkipsPasscodeAndLock()
+    {
+        var room = CreateRoom("secret");
+        var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn", "secret");
+        _svc.DisconnectPlayer("alice-conn");
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+
+        var back = _svc.JoinRoom(room.Code, "Alice", "alice-conn2", playerId: alice.PlayerId);
+
+        Assert.Equal(alice.PlayerId, back.PlayerId);
+        Assert.Equal("alice-conn2", back.ConnectionId);
+    }
+
+    // ===== Lock =====
+
+    [Fact]
+    public void JoinRoom_LockedRoom_Throws()
+    {
+        var room = CreateRoom();
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn"));
+        Assert.Contains("locked", ex.Message);
+    }
+
+    [Fact]
+    public void SetRoomLocked_Unlock_AllowsJoin()
+    {
+        var room = CreateRoom();
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+        _svc.SetRoomLocked(room.Code, "owner-conn", false);
+
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.False(room.IsLocked);
+        Assert.Equal(2, room.Players.Count);
+    }
+
+    [Fact]
+    public void SetRoomLocked_NonOwner_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.SetRoomLocked(room.Code, "alice-conn", true));
+    }
+
+    // ===== Kick / ban =====
+
+    [Fact]
+    public void KickPlayer_RemovesPlayerAndVotes()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        var kicked = _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: false);
+
+        Assert.Equal("alice-conn", kicked.ConnectionId);
+        Assert.False(room.Players.ContainsKey("alice-conn"));
+        Assert.Empty(room.CurrentCard!.Votes);
+    }
+
+    [Fact]
+    public void KickPlayer_WithoutBan_CanJoinAgain()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: false);
+
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn2");
+
+        Assert.True(room.Players.ContainsKey("alice-conn2"));
+    }
+
+    [Fact]
+    public void KickPlayer_WithBan_BlocksNameAndPlayerId()
+    {
+        var room = CreateRoom();
+        var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: true);
+
+        Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "ALICE", "alice-conn2"));
+        Assert.Throws<InvalidOperationException>(() =>
+            _svc.JoinRoom(room.Code, "Alice2", "alice-conn3", playerId: alice.PlayerId));
+    }
+
+    [Fact]
+    public void KickPlayer_NonOwner_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.JoinRoom(room.Code, "Bob", "bob-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.KickPlayer(room.Code, "alice-conn", "Bob", ban: false));
+    }
+
+    [Fact]
+    public void KickPlayer_Self_Throws()
+    {
+        var room = CreateRoom();
+
+        Assert.Throws<InvalidOperationException>(() => _svc.KickPlayer(room.Code, "owner-conn", "Owner", ban: false));
+    }
+}
@@ -0,0 +1,121 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class AnonymousVotingTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room SetupRoom(bool anonymous = true)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", coffeeBreak: true, anonymousVoting: anonymous);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.JoinRoom(room.Code, "Bob", "bob-conn");
+        return room;
+    }
+
+    private static T GetProp<T>(object obj, string name) =>
+        (T)obj.GetType().GetProperty(name)!.GetValue(obj)!;
+
+    [Fact]
+    public void RevealCards_AnonymousRoom_NumbersVotesInScaleOrder()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.Vote(room.Code, "alice-conn", "☕");
+        _svc.Vote(room.Code, "bob-conn", "3");
+
+        var votes = _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Equal(new[] { "#1", "#2", "#3" }, votes.Keys.ToArray());
+        Assert.Equal(new[] { "3", "8", "☕" }, votes.Values.ToArray());
+    }
+
+    [Fact]
+    public void SetSpectator_AfterRevealInAnonymousRoom_KeepsVote()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+        _svc.Vote(room.Code, "bob-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        var removed = _svc.SetSpectator(room.Code, "alice-conn", true);
+
+        Assert.False(removed);
+        Assert.True(room.Players["alice-conn"].IsSpectator);
+        Assert.Equal(new[] { "#1", "#2" }, _svc.GetNamedVotes(room).Keys.ToArray());
+    }
+
+    [Fact]
+    public void SetSpectator_BeforeRevealInAnonymousRoom_DropsVote()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        Assert.True(_svc.SetSpectator(room.Code, "alice-conn", true));
+        Assert.Empty(room.CurrentCard!.Votes);
+    }
+
+    [Fact]
+    public void RevealCards_RegularRoom_KeepsNames()
+    {
+        var room = SetupRoom(anonymous: false);
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        var votes = _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Equal("5", votes["Alice"]);
+    }
+
+    [Fact]
+    public void GetResults_AnonymousRoom_HasNoPlayerNames()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+        _svc.Vote(room.Code, "bob-conn", "2");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        var votes = GetProp<Dictionary<string, string>>(_svc.GetResults(room.Code)[0], "votes");
+        var csv = _svc.GetResultsCsv(room.Code);
+
+        Assert.Equal(new Dictionary<string, string> { ["#1"] = "2", ["#2"] = "5" }, votes);
+        Assert.DoesNotContain("Alice", csv);
+        Assert.DoesNotContain("Bob", csv);
+    }
+
+    [Fact]
+    public void Revote_AnonymousRoom_HistoryKeepsOnlyNumberedVotes()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        _svc.Revote(room.Code, "owner-conn");
+
+        var revote = Assert.Single(room.Cards[0].History);
+        Assert.Equal(new Dictionary<string, string> { ["#1"] = "5" }, revote.Votes);
+    }
+
+    [Fact]
+    public void CoffeeVote_AnonymousRoom_EventHasNoName()
+    {
+        var room = SetupRoom();
+
+        _svc.Vote(room.Code, "alice-conn", "☕");
+
+        var coffee = Assert.Single(room.Cards[0].History);
+        Assert.Equal(CardEventTypes.CoffeeBreak, coffee.Type);
+        Assert.Null(coffee.By);
+    }
+
+    [Fact]
+    public void GetVoterNames_ListsWhoVotedWithoutValues()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        Assert.Equal(["Alice"], _svc.GetVoterNames(room));
+    }
+}
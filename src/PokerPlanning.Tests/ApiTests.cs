@@ -0,0 +1,133 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class ApiTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1;First task\nTask 2";
+
+    private (Room room, string token) CreateApiRoom()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "api-placeholder");
+        return (room, _svc.ReserveForApi(room));
+    }
+
+    // ===== Owner seat and token =====
+
+    [Fact]
+    public void ReserveForApi_OwnerSeatWaitsDisconnected()
+    {
+        var (room, _) = CreateApiRoom();
+        var owner = room.GetOwner()!;
+
+        Assert.False(owner.IsConnected);
+        Assert.True(owner.ReservedUntil > DateTime.UtcNow.AddHours(23));
+    }
+
+    [Fact]
+    public void ReserveForApi_SeatSurvivesCleanup()
+    {
+        var (room, _) = CreateApiRoom();
+        room.GetOwner()!.DisconnectedAt = DateTime.UtcNow.AddHours(-1);
+
+        _svc.CleanupDisconnected();
+
+        Assert.NotNull(_svc.GetRoom(room.Code));
+        Assert.Single(room.Players);
+    }
+
+    [Fact]
+    public void ReserveForApi_ExpiredReservation_IsCleanedUp()
+    {
+        var (room, _) = CreateApiRoom();
+        var owner = room.GetOwner()!;
+        owner.DisconnectedAt = DateTime.UtcNow.AddHours(-25);
+        owner.ReservedUntil = DateTime.UtcNow.AddHours(-1);
+
+        _svc.CleanupDisconnected();
+
+        Assert.Null(_svc.GetRoom(room.Code));
+    }
+
+    [Fact]
+    public void OwnerLink_ClaimsSeatAndOwnership()
+    {
+        var (room, _) = CreateApiRoom();
+        var owner = room.GetOwner()!;
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        _svc.RejoinRoom(room.Code, owner.PlayerId, "owner-conn");
+
+        Assert.Equal("owner-conn", room.OwnerConnectionId);
+        Assert.True(owner.IsConnected);
+        Assert.Null(owner.ReservedUntil);
+        _svc.RevealCards(room.Code, "owner-conn");
+    }
+
+    [Fact]
+    public void CheckOwnerToken_AcceptsOnlyThatRoomsToken()
+    {
+        var (room, token) = CreateApiRoom();
+        var (other, otherToken) = CreateApiRoom();
+
+        Assert.True(RoomService.CheckOwnerToken(room, token));
+        Assert.False(RoomService.CheckOwnerToken(room, otherToken));
+        Assert.False(RoomService.CheckOwnerToken(room, null));
+        Assert.NotEqual(token, room.OwnerTokenHash);
+        Assert.True(RoomService.CheckOwnerToken(other, otherToken));
+    }
+
+    [Fact]
+    public void CheckOwnerToken_RoomCreatedInApp_HasNoToken()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        Assert.False(RoomService.CheckOwnerToken(room, ""));
+        Assert.False(RoomService.CheckOwnerToken(room, "anything"));
+    }
+
+    [Fact]
+    public void CreateRoom_UnknownScale_Throws()
+    {
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", (ScaleType)42, Cards, "owner-conn"));
+    }
+
+    // ===== CSV results =====
+
+    [Fact]
+    public void GetResultsCsv_HasHeaderAndOneRowPerCard()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.AcceptEstimate(room.Code, "owner-conn", "8");
+        _svc.UpdateNotes(room.Code, "owner-conn", "Said \"no\"");
+
+        var lines = _svc.GetResultsCsv(room.Code).Split('\n');
+
+        Assert.Equal(3, lines.Length);
+        Assert.Equal("\"#\",\"Subject\",\"Estimate\",\"Votes\",\"Notes\",\"Time Spent (s)\",\"Timeline\"", lines[0]);
+        Assert.StartsWith("\"1\",\"Task 1\",\"8\",", lines[1]);
+        Assert.Contains("Owner:5", lines[1]);
+        Assert.Contains("Alice:8", lines[1]);
+        Assert.Contains("\"Said \"\"no\"\"\"", lines[1]);
+        Assert.Contains("Accepted by Owner 8", lines[1]);
+        Assert.StartsWith("\"2\",\"Task 2\",\"\",\"\",\"\",\"0\",\"\"", lines[2]);
+    }
+
+    [Fact]
+    public void GetResultsCsv_ResumedSession_AddsPreviousEstimate()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "", "owner-conn",
+            importedCards: [new CardInput { Subject = "Old task", PreviousEstimate = "3" }]);
+
+        var lines = _svc.GetResultsCsv(room.Code).Split('\n');
+
+        Assert.Contains("\"Previous Estimate\"", lines[0]);
+        Assert.StartsWith("\"1\",\"Old task\",\"\",\"3\",", lines[1]);
+    }
+}
@@ -0,0 +1,211 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class AsyncModeTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2\nTask 3";
+
+    private Room SetupRoom(int minVotes = 2)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", asyncMode: true, asyncMinVotes: minVotes);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.JoinRoom(room.Code, "Bob", "bob-conn");
+        return room;
+    }
+
+    [Fact]
+    public void CreateRoom_AsyncMode_HasNoTimerOrCoffeeBreak()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", sessionMinutes: 30, coffeeBreak: true, asyncMode: true);
+
+        Assert.True(room.AsyncMode);
+        Assert.Equal(RoomService.DefaultAsyncMinVotes, room.AsyncMinVotes);
+        Assert.Null(room.SecondsPerCard);
+        Assert.False(room.CoffeeBreakEnabled);
+    }
+
+    [Fact]
+    public void CreateRoom_AsyncMode_InvalidOptions_Throw()
+    {
+        var range = Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", asyncMode: true, asyncMinVotes: 0));
+        Assert.Equal(ErrorCodes.AsyncMinVotesRange, range.GetErrorCode());
+        var dimensions = Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", asyncMode: true,
+            dimensions: [new() { Name = "Risk", Scale = ScaleType.Risk }]));
+        Assert.Equal(ErrorCodes.AsyncDimensionsUnsupported, dimensions.GetErrorCode());
+    }
+
+    [Fact]
+    public void VoteOnCard_AnyCard_EmptyValueTakesVoteBack()
+    {
+        var room = SetupRoom();
+
+        _svc.VoteOnCard(room.Code, "alice-conn", 2, "5");
+        _svc.VoteOnCard(room.Code, "alice-conn", 1, "3");
+        _svc.VoteOnCard(room.Code, "alice-conn", 1, null);
+
+        Assert.Equal("5", room.Cards[2].Votes["alice-conn"]);
+        Assert.Empty(room.Cards[1].Votes);
+    }
+
+    [Fact]
+    public void VoteOnCard_InvalidInput_Throws()
+    {
+        var room = SetupRoom();
+
+        Assert.Throws<ArgumentException>(() => _svc.VoteOnCard(room.Code, "alice-conn", 3, "5"));
+        Assert.Throws<ArgumentException>(() => _svc.VoteOnCard(room.Code, "alice-conn", 0, "4"));
+        Assert.Throws<ArgumentException>(() => _svc.VoteOnCard(room.Code, "alice-conn", 0, RoomService.CoffeeVote));
+        _svc.RevealAsyncCards(room.Code, "owner-conn", [0]);
+        Assert.Throws<InvalidOperationException>(() => _svc.VoteOnCard(room.Code, "alice-conn", 0, "5"));
+    }
+
+    [Fact]
+    public void LiveActions_InAsyncRoom_Throw()
+    {
+        var room = SetupRoom();
+
+        var vote = Assert.Throws<InvalidOperationException>(() => _svc.Vote(room.Code, "alice-conn", "5"));
+        Assert.Equal(ErrorCodes.AsyncRoom, vote.GetErrorCode());
+        Assert.Throws<InvalidOperationException>(() => _svc.RevealCards(room.Code, "owner-conn"));
+        Assert.Throws<InvalidOperationException>(() => _svc.NextQuestion(room.Code, "owner-conn"));
+    }
+
+    [Fact]
+    public void AsyncActions_InLiveRoom_Throw()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.VoteOnCard(room.Code, "owner-conn", 0, "5"));
+        Assert.Equal(ErrorCodes.NotAsyncRoom, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void GetAsyncBoard_HidesVotesUntilRevealed_FacilitatorSeesAgreement()
+    {
+        var room = SetupRoom();
+        _svc.VoteOnCard(room.Code, "alice-conn", 0, "5");
+        _svc.VoteOnCard(room.Code, "bob-conn", 0, "5");
+        _svc.VoteOnCard(room.Code, "alice-conn", 1, "1");
+        _svc.VoteOnCard(room.Code, "bob-conn", 1, "13");
+
+        var player = _svc.GetAsyncBoard(room, forFacilitator: false);
+        var facilitator = _svc.GetAsyncBoard(room, forFacilitator: true);
+
+        Assert.True(player[0].HasEnoughVotes);
+        Assert.Null(player[0].HasConsensus);
+        Assert.Null(player[0].Votes);
+        Assert.True(facilitator[0].HasConsensus);
+        Assert.False(facilitator[0].IsDisputed);
+        Assert.True(facilitator[1].IsDisputed);
+        Assert.Null(facilitator[1].Votes);
+        Assert.False(facilitator[2].HasEnoughVotes);
+    }
+
+    [Fact]
+    public void RevealAsyncCards_ShowsVotesOfThoseCardsOnly()
+    {
+        var room = SetupRoom();
+        _svc.VoteOnCard(room.Code, "alice-conn", 0, "5");
+        _svc.VoteOnCard(room.Code, "alice-conn", 1, "8");
+
+        var revealed = _svc.RevealAsyncCards(room.Code, "owner-conn", [0, 0]);
+
+        var board = _svc.GetAsyncBoard(room, forFacilitator: false);
+        Assert.Single(revealed);
+        Assert.Equal("5", board[0].Votes!["Alice"]);
+        Assert.Equal("5", board[0].Consensus);
+        Assert.Null(board[1].Votes);
+    }
+
+    [Fact]
+    public void RevealAsyncCards_NonFacilitatorOrBadIndex_Throws()
+    {
+        var room = SetupRoom();
+
+        Assert.Throws<InvalidOperationException>(() => _svc.RevealAsyncCards(room.Code, "alice-conn", [0]));
+        Assert.Throws<ArgumentException>(() => _svc.RevealAsyncCards(room.Code, "owner-conn", [0, 5]));
+        Assert.False(room.Cards[0].IsRevealed);
+    }
+
+    [Fact]
+    public void AcceptAsyncConsensus_AcceptsRevealedCardsWithConsensusOnly()
+    {
+        var room = SetupRoom();
+        _svc.VoteOnCard(room.Code, "alice-conn", 0, "5");
+        _svc.VoteOnCard(room.Code, "bob-conn", 0, "5");
+        _svc.VoteOnCard(room.Code, "alice-conn", 1, "1");
+        _svc.VoteOnCard(room.Code, "bob-conn", 1, "13");
+        _svc.VoteOnCard(room.Code, "alice-conn", 2, "3");
+        _svc.RevealAsyncCards(room.Code, "owner-conn", [0, 1]);
+
+        var accepted = _svc.AcceptAsyncConsensus(room.Code, "owner-conn", [0, 1, 2]);
+
+        Assert.Equal([room.Cards[0]], accepted);
+        Assert.Equal("5", room.Cards[0].AcceptedEstimate);
+        Assert.Equal("Owner", room.Cards[0].History.Single().By);
+        Assert.Null(room.Cards[1].AcceptedEstimate);
+        Assert.Null(room.Cards[2].AcceptedEstimate);
+    }
+
+    [Fact]
+    public void AcceptAsyncEstimate_SetsChosenValue()
+    {
+        var room = SetupRoom();
+
+        _svc.AcceptAsyncEstimate(room.Code, "owner-conn", 1, "8");
+
+        Assert.Equal("8", room.Cards[1].AcceptedEstimate);
+        Assert.Throws<InvalidOperationException>(() => _svc.AcceptAsyncEstimate(room.Code, "alice-conn", 1, "3"));
+    }
+
+    [Fact]
+    public void DisconnectPlayer_AsyncRoom_KeepsSeatAndVotes()
+    {
+        var room = SetupRoom();
+        var playerId = room.Players["alice-conn"].PlayerId;
+        _svc.VoteOnCard(room.Code, "alice-conn", 2, "8");
+        _svc.DisconnectPlayer("alice-conn");
+
+        var player = room.Players["alice-conn"];
+        Assert.True(player.ReservedUntil > DateTime.UtcNow + TimeSpan.FromDays(13));
+
+        _svc.RejoinRoom(room.Code, playerId, "alice-new");
+        Assert.Equal("8", room.Cards[2].Votes["alice-new"]);
+    }
+
+    [Fact]
+    public void StartLiveSession_StartsAtFirstOpenCard()
+    {
+        var room = SetupRoom();
+        _svc.VoteOnCard(room.Code, "alice-conn", 0, "3");
+        _svc.VoteOnCard(room.Code, "alice-conn", 2, "5");
+        _svc.RevealAsyncCards(room.Code, "owner-conn", [0]);
+        _svc.AcceptAsyncEstimate(room.Code, "owner-conn", 1, "8");
+
+        var card = _svc.StartLiveSession(room.Code, "owner-conn");
+
+        Assert.False(room.AsyncMode);
+        Assert.Equal(new[] { "Task 2", "Task 1", "Task 3" }, room.Cards.Select(c => c.Subject).ToArray());
+        Assert.Same(room.Cards[1], card);
+        Assert.Equal(1, room.CurrentCardIndex);
+        Assert.Equal(RoomState.Revealed, room.State);
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+        Assert.Equal(RoomState.Voting, room.State);
+        Assert.Equal("5", room.CurrentCard!.Votes["alice-conn"]);
+    }
+
+    [Fact]
+    public void StartLiveSession_EverythingEstimated_FinishesGame()
+    {
+        var room = SetupRoom();
+        for (var i = 0; i < room.Cards.Count; i++)
+            _svc.AcceptAsyncEstimate(room.Code, "owner-conn", i, "3");
+
+        Assert.Null(_svc.StartLiveSession(room.Code, "owner-conn"));
+        Assert.Equal(RoomState.Finished, room.State);
+    }
+}
@@ -0,0 +1,136 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class AutoRevealTests
+{
+    private readonly RoomService _svc = new();
+
+    private Room SetupRoom(bool allVoted = true, bool onTimer = false, int? sessionMinutes = null)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1\nTask 2", "owner-conn", sessionMinutes,
+            autoRevealWhenAllVoted: allVoted, autoRevealOnTimer: onTimer);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    [Fact]
+    public void AllVoted_StartsCountdown_ThenReveals()
+    {
+        var room = SetupRoom();
+        var now = DateTime.UtcNow;
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "8");
+
+        var started = Assert.Single(_svc.CheckAutoReveal(now));
+        Assert.Equal(AutoRevealStatus.CountdownStarted, started.Status);
+        Assert.Equal(AutoRevealReasons.AllVoted, started.Reason);
+        Assert.Equal(RoomState.Voting, room.State);
+
+        // Votes can still change during the countdown
+        _svc.Vote(room.Code, "alice-conn", "5");
+        Assert.Empty(_svc.CheckAutoReveal(now.AddSeconds(1)));
+
+        var revealed = Assert.Single(_svc.CheckAutoReveal(now + RoomService.AutoRevealCountdown));
+        Assert.Equal(AutoRevealStatus.Revealed, revealed.Status);
+        Assert.Equal(RoomState.Revealed, room.State);
+        Assert.Null(room.AutoRevealAt);
+    }
+
+    [Fact]
+    public void NotEveryoneVoted_NoCountdown()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "owner-conn", "5");
+
+        Assert.Empty(_svc.CheckAutoReveal(DateTime.UtcNow));
+        Assert.Null(room.AutoRevealAt);
+    }
+
+    [Fact]
+    public void SpectatorsAndDisconnectedPlayers_AreNotWaitedFor()
+    {
+        var room = SetupRoom();
+        _svc.JoinRoom(room.Code, "Bob", "bob-conn");
+        _svc.DisconnectPlayer("bob-conn");
+        room.Players["alice-conn"].IsSpectator = true;
+        _svc.Vote(room.Code, "owner-conn", "5");
+
+        Assert.True(_svc.AllVotersVoted(room));
+    }
+
+    [Fact]
+    public void NewPlayerDuringCountdown_CancelsIt()
+    {
+        var room = SetupRoom();
+        var now = DateTime.UtcNow;
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "5");
+        _svc.CheckAutoReveal(now);
+
+        _svc.JoinRoom(room.Code, "Bob", "bob-conn");
+
+        var update = Assert.Single(_svc.CheckAutoReveal(now.AddSeconds(1)));
+        Assert.Equal(AutoRevealStatus.CountdownCancelled, update.Status);
+        Assert.Empty(_svc.CheckAutoReveal(now + RoomService.AutoRevealCountdown));
+        Assert.Equal(RoomState.Voting, room.State);
+    }
+
+    [Fact]
+    public void ManualReveal_DuringCountdown_ClearsIt()
+    {
+        var room = SetupRoom();
+        var now = DateTime.UtcNow;
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "5");
+        _svc.CheckAutoReveal(now);
+
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Null(room.AutoRevealAt);
+        Assert.Empty(_svc.CheckAutoReveal(now + RoomService.AutoRevealCountdown));
+        Assert.Equal(RoomState.Voting, room.State);
+    }
+
+    [Fact]
+    public void TimerExpired_RevealsEvenWithoutVotes()
+    {
+        var room = SetupRoom(allVoted: false, onTimer: true, sessionMinutes: 10);
+        var expiry = room.CardTimerStartedAt!.Value.AddSeconds(room.SecondsPerCard!.Value);
+
+        Assert.Empty(_svc.CheckAutoReveal(expiry.AddSeconds(-1)));
+
+        var started = Assert.Single(_svc.CheckAutoReveal(expiry));
+        Assert.Equal(AutoRevealReasons.Timer, started.Reason);
+
+        var revealed = Assert.Single(_svc.CheckAutoReveal(expiry + RoomService.AutoRevealCountdown));
+        Assert.Equal(AutoRevealStatus.Revealed, revealed.Status);
+        Assert.Equal(RoomState.Revealed, room.State);
+    }
+
+    [Fact]
+    public void OptionsOff_NothingHappens()
+    {
+        var room = SetupRoom(allVoted: false, onTimer: false, sessionMinutes: 10);
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        Assert.Empty(_svc.CheckAutoReveal(DateTime.UtcNow.AddHours(1)));
+    }
+
+    [Fact]
+    public void AutoReveal_AppliesAutoAccept()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn",
+            autoAccept: true, autoRevealWhenAllVoted: true);
+        var now = DateTime.UtcNow;
+        _svc.Vote(room.Code, "owner-conn", "13");
+
+        _svc.CheckAutoReveal(now);
+        _svc.CheckAutoReveal(now + RoomService.AutoRevealCountdown);
+
+        Assert.Equal("13", room.CurrentCard!.AcceptedEstimate);
+    }
+}
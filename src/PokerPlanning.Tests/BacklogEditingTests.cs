@@ -0,0 +1,158 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class BacklogEditingTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2\nTask 3\nTask 4";
+
+    private Room SetupRoom()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    private static string[] Subjects(Room room) => room.Cards.Select(c => c.Subject).ToArray();
+
+    [Fact]
+    public void AddCard_AppendsWithNextOriginalIndex()
+    {
+        var room = SetupRoom();
+
+        var card = _svc.AddCard(room.Code, "owner-conn", " Forgotten story ", "Found in review");
+
+        Assert.Equal(5, room.Cards.Count);
+        Assert.Same(card, room.Cards[^1]);
+        Assert.Equal("Forgotten story", card.Subject);
+        Assert.Equal("Found in review", card.Description);
+        Assert.Equal(4, card.OriginalIndex);
+    }
+
+    [Fact]
+    public void AddCard_RejectsBlankSubject()
+    {
+        var room = SetupRoom();
+        Assert.Throws<ArgumentException>(() => _svc.AddCard(room.Code, "owner-conn", "  ", null));
+    }
+
+    [Fact]
+    public void AddCard_RejectsNonOwner()
+    {
+        var room = SetupRoom();
+        Assert.Throws<InvalidOperationException>(() => _svc.AddCard(room.Code, "alice-conn", "New", null));
+    }
+
+    [Fact]
+    public void AddCard_RejectsFinishedGame()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Only", "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.AddCard(room.Code, "owner-conn", "New", null));
+    }
+
+    [Fact]
+    public void EditCard_UpdatesCurrentAndUpcoming()
+    {
+        var room = SetupRoom();
+
+        _svc.EditCard(room.Code, "owner-conn", 0, "Task 1 (renamed)", "now with description");
+        _svc.EditCard(room.Code, "owner-conn", 2, "Task 3b", null);
+
+        Assert.Equal("Task 1 (renamed)", room.Cards[0].Subject);
+        Assert.Equal("now with description", room.Cards[0].Description);
+        Assert.Equal("Task 3b", room.Cards[2].Subject);
+    }
+
+    [Fact]
+    public void EditCard_RejectsEstimatedCard()
+    {
+        var room = SetupRoom();
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Throws<ArgumentException>(() => _svc.EditCard(room.Code, "owner-conn", 0, "Changed", null));
+    }
+
+    [Fact]
+    public void MoveCard_ReordersUpcomingQueue()
+    {
+        var room = SetupRoom();
+
+        _svc.MoveCard(room.Code, "owner-conn", 3, 1);
+
+        Assert.Equal(new[] { "Task 1", "Task 4", "Task 2", "Task 3" }, Subjects(room));
+    }
+
+    [Fact]
+    public void MoveCard_RejectsCurrentCard()
+    {
+        var room = SetupRoom();
+        Assert.Throws<ArgumentException>(() => _svc.MoveCard(room.Code, "owner-conn", 0, 2));
+        Assert.Throws<ArgumentException>(() => _svc.MoveCard(room.Code, "owner-conn", 2, 0));
+    }
+
+    [Fact]
+    public void RemoveCard_RemovesUpcoming()
+    {
+        var room = SetupRoom();
+
+        _svc.RemoveCard(room.Code, "owner-conn", 2);
+
+        Assert.Equal(new[] { "Task 1", "Task 2", "Task 4" }, Subjects(room));
+    }
+
+    [Fact]
+    public void RemoveCard_RejectsCurrentCard()
+    {
+        var room = SetupRoom();
+        Assert.Throws<ArgumentException>(() => _svc.RemoveCard(room.Code, "owner-conn", 0));
+    }
+
+    [Fact]
+    public void RemoveCard_RejectsNonOwner()
+    {
+        var room = SetupRoom();
+        Assert.Throws<InvalidOperationException>(() => _svc.RemoveCard(room.Code, "alice-conn", 2));
+    }
+
+    [Fact]
+    public void JumpToCard_AdvancesAndKeepsSkippedCardsQueued()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        var card = _svc.JumpToCard(room.Code, "owner-conn", 3);
+
+        Assert.Equal("Task 4", card.Subject);
+        Assert.Equal(1, room.CurrentCardIndex);
+        Assert.Equal(RoomState.Voting, room.State);
+        Assert.Equal(new[] { "Task 1", "Task 4", "Task 2", "Task 3" }, Subjects(room));
+        Assert.Equal("5", room.Cards[0].AcceptedEstimate); // auto-accepted like NextQuestion
+    }
+
+    [Fact]
+    public void JumpToCard_RejectsEstimatedCard()
+    {
+        var room = SetupRoom();
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Throws<ArgumentException>(() => _svc.JumpToCard(room.Code, "owner-conn", 0));
+    }
+
+    [Fact]
+    public void Results_KeepOriginalOrderAfterReorder()
+    {
+        var room = SetupRoom();
+        _svc.MoveCard(room.Code, "owner-conn", 3, 1);
+        _svc.AddCard(room.Code, "owner-conn", "Task 5", null);
+
+        var subjects = _svc.GetResults(room.Code)
+            .Select(r => (string)r.GetType().GetProperty("subject")!.GetValue(r)!)
+            .ToArray();
+
+        Assert.Equal(new[] { "Task 1", "Task 2", "Task 3", "Task 4", "Task 5" }, subjects);
+    }
+}
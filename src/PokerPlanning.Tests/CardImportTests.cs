@@ -0,0 +1,138 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class CardImportTests
+{
+    private readonly RoomService _svc = new();
+
+    private static T GetProp<T>(object obj, string name) =>
+        (T)obj.GetType().GetProperty(name)!.GetValue(obj)!;
+
+    private Room CreateWithImport(params CardInput[] cards) =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, "", "owner-conn", importedCards: cards);
+
+    [Fact]
+    public void CreateRoom_ImportedCards_KeepAllFields()
+    {
+        var room = CreateWithImport(new CardInput
+        {
+            Subject = "AUTH-101",
+            Description = "Google OAuth login",
+            Link = "https://tracker.example.com/browse/AUTH-101",
+            Labels = ["backend", "auth"]
+        });
+
+        var card = Assert.Single(room.Cards);
+        Assert.Equal("AUTH-101", card.Subject);
+        Assert.Equal("Google OAuth login", card.Description);
+        Assert.Equal("https://tracker.example.com/browse/AUTH-101", card.Link);
+        Assert.Equal(new[] { "backend", "auth" }, card.Labels);
+    }
+
+    [Fact]
+    public void CreateRoom_ImportedCards_TakePrecedenceOverText()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Typed;ignored", "owner-conn",
+            importedCards: [new CardInput { Subject = "Imported" }]);
+
+        Assert.Equal("Imported", Assert.Single(room.Cards).Subject);
+    }
+
+    [Fact]
+    public void CreateRoom_ImportedCards_SkipsBlankSubjects()
+    {
+        var room = CreateWithImport(
+            new CardInput { Subject = "  " },
+            new CardInput { Subject = "Real" });
+
+        Assert.Equal("Real", Assert.Single(room.Cards).Subject);
+    }
+
+    [Fact]
+    public void CreateRoom_ImportedCards_AllBlank_Throws()
+    {
+        Assert.Throws<ArgumentException>(() => CreateWithImport(new CardInput { Subject = "" }));
+    }
+
+    [Theory]
+    [InlineData("javascript:alert(1)")]
+    [InlineData("ftp://files.example.com/spec")]
+    [InlineData("not a url")]
+    public void CreateRoom_ImportedCards_DropsNonHttpLinks(string link)
+    {
+        var room = CreateWithImport(new CardInput { Subject = "A", Link = link });
+        Assert.Null(room.Cards[0].Link);
+    }
+
+    [Fact]
+    public void CreateRoom_ImportedCards_CleansLabels()
+    {
+        var room = CreateWithImport(new CardInput { Subject = "A", Labels = [" ui ", "", "UI", "api"] });
+        Assert.Equal(new[] { "ui", "api" }, room.Cards[0].Labels);
+    }
+
+    [Fact]
+    public void CreateRoom_ImportedCards_TruncatesLongSubject()
+    {
+        var room = CreateWithImport(new CardInput { Subject = new string('x', 500) });
+        Assert.Equal(200, room.Cards[0].Subject.Length);
+    }
+
+    [Fact]
+    public void Results_IncludeLinkAndLabels()
+    {
+        var room = CreateWithImport(new CardInput { Subject = "A", Link = "https://example.com/a", Labels = ["ui"] });
+
+        var result = _svc.GetResults(room.Code)[0];
+        Assert.Equal("https://example.com/a", GetProp<string>(result, "link"));
+        Assert.Equal(new[] { "ui" }, GetProp<string[]>(result, "labels"));
+    }
+
+    [Fact]
+    public void CreateRoom_ResumedCards_KeepOriginalIndex()
+    {
+        // Cards 2 and 5 of a previous session were left without an estimate
+        var room = CreateWithImport(
+            new CardInput { Subject = "Five", OriginalIndex = 4 },
+            new CardInput { Subject = "Two", OriginalIndex = 1 });
+
+        Assert.Equal(new[] { "Two", "Five" }, room.Cards.Select(c => c.Subject));
+
+        var results = _svc.GetResults(room.Code);
+        Assert.Equal(2, GetProp<int>(results[0], "index"));
+        Assert.Equal(5, GetProp<int>(results[1], "index"));
+    }
+
+    [Fact]
+    public void CreateRoom_ResumedCards_DuplicateIndices_FallBackToSequential()
+    {
+        var room = CreateWithImport(
+            new CardInput { Subject = "A", OriginalIndex = 3 },
+            new CardInput { Subject = "B", OriginalIndex = 3 });
+
+        Assert.Equal(new[] { 0, 1 }, room.Cards.Select(c => c.OriginalIndex));
+    }
+
+    [Fact]
+    public void CreateRoom_ResumedCards_ShuffleKeepsOriginalIndex()
+    {
+        var inputs = Enumerable.Range(0, 10)
+            .Select(i => new CardInput { Subject = $"Card {i * 2}", OriginalIndex = i * 2 })
+            .ToArray();
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "", "owner-conn", shuffle: true, importedCards: inputs);
+
+        foreach (var card in room.Cards)
+            Assert.Equal($"Card {card.OriginalIndex}", card.Subject);
+    }
+
+    [Fact]
+    public void Results_IncludePreviousEstimate()
+    {
+        var room = CreateWithImport(new CardInput { Subject = "A", PreviousEstimate = "8" });
+
+        Assert.Equal("8", room.Cards[0].PreviousEstimate);
+        Assert.Equal("8", GetProp<string>(_svc.GetResults(room.Code)[0], "previousEstimate"));
+    }
+}
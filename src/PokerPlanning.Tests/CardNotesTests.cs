@@ -0,0 +1,172 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class CardNotesTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room SetupRoom(bool everyoneEditsNotes = false)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", everyoneEditsNotes: everyoneEditsNotes);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    private static T GetProp<T>(object obj, string name) =>
+        (T)obj.GetType().GetProperty(name)!.GetValue(obj)!;
+
+    // ===== Notes =====
+
+    [Fact]
+    public void UpdateNotes_Owner_StoresOnCurrentCard()
+    {
+        var room = SetupRoom();
+
+        _svc.UpdateNotes(room.Code, "owner-conn", "Split into two stories");
+
+        Assert.Equal("Split into two stories", room.Cards[0].Notes);
+    }
+
+    [Fact]
+    public void UpdateNotes_Blank_ClearsNotes()
+    {
+        var room = SetupRoom();
+        _svc.UpdateNotes(room.Code, "owner-conn", "Something");
+
+        _svc.UpdateNotes(room.Code, "owner-conn", "  ");
+
+        Assert.Null(room.Cards[0].Notes);
+    }
+
+    [Fact]
+    public void UpdateNotes_Player_ThrowsUnlessRoomAllows()
+    {
+        var room = SetupRoom();
+
+        Assert.Throws<InvalidOperationException>(() => _svc.UpdateNotes(room.Code, "alice-conn", "Hi"));
+    }
+
+    [Fact]
+    public void UpdateNotes_EveryoneEditsNotes_PlayerCanEdit()
+    {
+        var room = SetupRoom(everyoneEditsNotes: true);
+
+        _svc.UpdateNotes(room.Code, "alice-conn", "Needs a spike");
+
+        Assert.Equal("Needs a spike", room.Cards[0].Notes);
+    }
+
+    [Fact]
+    public void UpdateNotes_CoFacilitator_CanEdit()
+    {
+        var room = SetupRoom();
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", true);
+
+        _svc.UpdateNotes(room.Code, "alice-conn", "Agreed on 5");
+
+        Assert.Equal("Agreed on 5", room.Cards[0].Notes);
+    }
+
+    [Fact]
+    public void UpdateNotes_TooLong_Throws()
+    {
+        var room = SetupRoom();
+
+        Assert.Throws<ArgumentException>(() =>
+            _svc.UpdateNotes(room.Code, "owner-conn", new string('x', RoomService.MaxNotesLength + 1)));
+    }
+
+    // ===== Timeline =====
+
+    [Fact]
+    public void Revote_RecordsPreviousVotesByName()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "owner-conn", "3");
+        _svc.Vote(room.Code, "alice-conn", "13");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        _svc.Revote(room.Code, "owner-conn");
+
+        var revote = Assert.Single(room.Cards[0].History);
+        Assert.Equal(CardEventTypes.Revote, revote.Type);
+        Assert.Equal("3", revote.Votes!["Owner"]);
+        Assert.Equal("13", revote.Votes["Alice"]);
+    }
+
+    [Fact]
+    public void AcceptEstimate_RecordsWhoAccepted()
+    {
+        var room = SetupRoom();
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        _svc.AcceptEstimate(room.Code, "owner-conn", "5");
+
+        var accepted = Assert.Single(room.Cards[0].History);
+        Assert.Equal(CardEventTypes.Accepted, accepted.Type);
+        Assert.Equal("Owner", accepted.By);
+        Assert.Equal("5", accepted.Value);
+    }
+
+    [Fact]
+    public void NextQuestion_AutoAcceptsWithoutAuthor()
+    {
+        var room = SetupRoom();
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.Vote(room.Code, "alice-conn", "8");
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        var accepted = Assert.Single(room.Cards[0].History);
+        Assert.Equal(CardEventTypes.Accepted, accepted.Type);
+        Assert.Null(accepted.By);
+        Assert.Equal("8", accepted.Value);
+    }
+
+    [Fact]
+    public void Vote_Coffee_RecordsBreakRequestOnce()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", coffeeBreak: true);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        _svc.Vote(room.Code, "alice-conn", RoomService.CoffeeVote);
+        _svc.Vote(room.Code, "alice-conn", RoomService.CoffeeVote);
+
+        var coffee = Assert.Single(room.Cards[0].History);
+        Assert.Equal(CardEventTypes.CoffeeBreak, coffee.Type);
+        Assert.Equal("Alice", coffee.By);
+    }
+
+    [Fact]
+    public void NextQuestion_AddsTimeSpentToCard()
+    {
+        var room = SetupRoom();
+        room.CurrentCardSince = DateTime.UtcNow.AddSeconds(-90);
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.InRange(room.Cards[0].SecondsSpent, 89, 91);
+        Assert.Equal(0, room.Cards[1].SecondsSpent);
+    }
+
+    // ===== Export =====
+
+    [Fact]
+    public void GetResults_IncludesNotesTimeAndTimeline()
+    {
+        var room = SetupRoom();
+        _svc.UpdateNotes(room.Code, "owner-conn", "Decided: no migration");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.AcceptEstimate(room.Code, "owner-conn", "5");
+        room.CurrentCardSince = DateTime.UtcNow.AddSeconds(-30);
+
+        var first = _svc.GetResults(room.Code)[0];
+
+        Assert.Equal("Decided: no migration", GetProp<string>(first, "notes"));
+        Assert.InRange(GetProp<int>(first, "secondsSpent"), 29, 31);
+        Assert.Single(GetProp<System.Collections.IEnumerable>(first, "history").Cast<object>());
+    }
+}
@@ -0,0 +1,178 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class ConsensusRuleTests
+{
+    private readonly RoomService _svc = new();
+
+    private Room CreateRoom(ConsensusRule rule, int? threshold = null, bool autoAccept = false, ScaleType scale = ScaleType.Fibonacci) =>
+        _svc.CreateRoom("Owner", scale, "Task 1\nTask 2", "owner-conn",
+            consensusRule: rule, consensusThreshold: threshold, autoAccept: autoAccept);
+
+    [Fact]
+    public void Majority_IsDefault()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn");
+
+        Assert.Equal(ConsensusRule.Majority, room.ConsensusRule);
+        Assert.Equal("5", _svc.CalculateConsensus(room, new[] { "5", "5", "8" }));
+    }
+
+    [Fact]
+    public void Unanimous_RequiresEveryone()
+    {
+        var room = CreateRoom(ConsensusRule.Unanimous);
+
+        Assert.Null(_svc.CalculateConsensus(room, new[] { "5", "5", "8" }));
+        Assert.Equal("5", _svc.CalculateConsensus(room, new[] { "5", "5", "?" }));
+    }
+
+    [Fact]
+    public void Adjacent_NeighbouringValuesAgree()
+    {
+        var room = CreateRoom(ConsensusRule.Adjacent);
+
+        Assert.Equal("3", _svc.CalculateConsensus(room, new[] { "3", "3", "5" }));
+        Assert.Null(_svc.CalculateConsensus(room, new[] { "3", "8" }));
+    }
+
+    [Fact]
+    public void Adjacent_TieGoesToLargerValue()
+    {
+        var room = CreateRoom(ConsensusRule.Adjacent);
+        Assert.Equal("5", _svc.CalculateConsensus(room, new[] { "3", "5" }));
+    }
+
+    [Fact]
+    public void Adjacent_UsesScalePositionForTShirt()
+    {
+        var room = CreateRoom(ConsensusRule.Adjacent, scale: ScaleType.TShirt);
+
+        Assert.Equal("M", _svc.CalculateConsensus(room, new[] { "M", "M", "L" }));
+        Assert.Null(_svc.CalculateConsensus(room, new[] { "S", "L" }));
+    }
+
+    [Fact]
+    public void Threshold_UsesConfiguredPercentage()
+    {
+        var room = CreateRoom(ConsensusRule.Threshold, threshold: 75);
+
+        Assert.Null(_svc.CalculateConsensus(room, new[] { "5", "5", "8" }));
+        Assert.Equal("5", _svc.CalculateConsensus(room, new[] { "5", "5", "5", "8" }));
+    }
+
+    [Theory]
+    [InlineData(50)]
+    [InlineData(101)]
+    public void Threshold_OutOfRange_Throws(int threshold)
+    {
+        Assert.Throws<ArgumentException>(() => CreateRoom(ConsensusRule.Threshold, threshold));
+    }
+
+    [Fact]
+    public void NextQuestion_AutoAcceptsUsingRoomRule()
+    {
+        var room = CreateRoom(ConsensusRule.Unanimous);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Null(room.Cards[0].AcceptedEstimate);
+    }
+
+    [Fact]
+    public void AutoAccept_AcceptsConsensusOnReveal()
+    {
+        var room = CreateRoom(ConsensusRule.Majority, autoAccept: true);
+        _svc.Vote(room.Code, "owner-conn", "8");
+
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Equal("8", room.CurrentCard!.AcceptedEstimate);
+    }
+
+    [Fact]
+    public void AutoAccept_NoConsensus_LeavesEstimateForOwner()
+    {
+        var room = CreateRoom(ConsensusRule.Unanimous, autoAccept: true);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "8");
+
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Null(room.CurrentCard!.AcceptedEstimate);
+    }
+
+    [Fact]
+    public void AutoAccept_AdvancesAfterDelay()
+    {
+        var room = CreateRoom(ConsensusRule.Majority, autoAccept: true);
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+        var now = DateTime.UtcNow;
+
+        Assert.Empty(_svc.CheckAutoAdvance(now));
+
+        var update = Assert.Single(_svc.CheckAutoAdvance(now + RoomService.AutoAdvanceDelay));
+        Assert.Equal("Task 2", update.NextCard!.Subject);
+        Assert.Equal(1, room.CurrentCardIndex);
+        Assert.Equal(RoomState.Voting, room.State);
+        Assert.Empty(_svc.CheckAutoAdvance(now + RoomService.AutoAdvanceDelay));
+    }
+
+    [Fact]
+    public void AutoAccept_LastCard_FinishesGame()
+    {
+        var room = CreateRoom(ConsensusRule.Majority, autoAccept: true);
+        _svc.NextQuestion(room.Code, "owner-conn");
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        var update = Assert.Single(_svc.CheckAutoAdvance(DateTime.UtcNow + RoomService.AutoAdvanceDelay));
+        Assert.Null(update.NextCard);
+        Assert.Equal(RoomState.Finished, room.State);
+    }
+
+    [Fact]
+    public void AutoAccept_RevoteCancelsAdvance()
+    {
+        var room = CreateRoom(ConsensusRule.Majority, autoAccept: true);
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.Revote(room.Code, "owner-conn");
+
+        Assert.Empty(_svc.CheckAutoAdvance(DateTime.UtcNow + RoomService.AutoAdvanceDelay));
+        Assert.Equal(0, room.CurrentCardIndex);
+        Assert.Null(room.AutoAdvanceAt);
+    }
+
+    [Fact]
+    public void AutoAccept_NoConsensus_DoesNotAdvance()
+    {
+        var room = CreateRoom(ConsensusRule.Unanimous, autoAccept: true);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.Vote(room.Code, "alice-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Empty(_svc.CheckAutoAdvance(DateTime.UtcNow + RoomService.AutoAdvanceDelay));
+        Assert.Equal(0, room.CurrentCardIndex);
+    }
+
+    [Fact]
+    public void AutoAccept_Off_DoesNotAcceptOnReveal()
+    {
+        var room = CreateRoom(ConsensusRule.Majority);
+        _svc.Vote(room.Code, "owner-conn", "8");
+
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        Assert.Null(room.CurrentCard!.AcceptedEstimate);
+    }
+}
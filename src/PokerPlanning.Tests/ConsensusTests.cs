@@ -1,3 +1,4 @@
+using System.Globalization;
 using PokerPlanning.Services;
 
 namespace PokerPlanning.Tests;
@@ -98,6 +99,21 @@ public class ConsensusTests
         Assert.Equal(7.5, _svc.CalculateAverage(votes));
     }
 
+    [Fact]
+    public void Average_DecimalVotes_IgnoreServerCulture()
+    {
+        var culture = CultureInfo.CurrentCulture;
+        CultureInfo.CurrentCulture = new CultureInfo("ru-RU");
+        try
+        {
+            Assert.Equal(1.25, _svc.CalculateAverage(new[] { "0.5", "2" }));
+        }
+        finally
+        {
+            CultureInfo.CurrentCulture = culture;
+        }
+    }
+
     [Fact]
     public void Average_Empty_ReturnsNull()
     {
@@ -0,0 +1,96 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class CustomScaleTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+    private static readonly string[] DaysDeck = ["0.5", "1", "2", "3", "5", "8", "13", "20", "40", "100", "∞"];
+
+    [Fact]
+    public void CreateRoom_CustomScale_StoresDeckInOrder()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: DaysDeck);
+
+        Assert.Equal(ScaleType.Custom, room.Scale);
+        Assert.Equal(DaysDeck, room.ScaleValues);
+        Assert.StartsWith("Custom (0.5, 1, 2", room.ScaleName);
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_TrimsAndDropsBlankValues()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: [" 1 ", "", "2", "  "]);
+        Assert.Equal(new[] { "1", "2" }, room.ScaleValues);
+    }
+
+    [Fact]
+    public void CreateRoom_BuiltInScale_IgnoresCustomValues()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.TShirt, Cards, "owner-conn", customScale: DaysDeck);
+
+        Assert.Null(room.CustomScale);
+        Assert.Equal(ScaleDefinitions.GetScale(ScaleType.TShirt), room.ScaleValues);
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsMissingDeck()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn"));
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsTooFewValues()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: ["1"]));
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsTooManyValues()
+    {
+        var deck = Enumerable.Range(1, ScaleDefinitions.MaxCustomValues + 1).Select(i => i.ToString());
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: deck));
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsLongValue()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: ["1", "very long value"]));
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsDuplicates_CaseInsensitive()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: ["S", "M", "s"]));
+    }
+
+    [Fact]
+    public void CreateRoom_CustomScale_RejectsCoffeeValue()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: ["1", "☕"]));
+    }
+
+    [Fact]
+    public void Vote_CustomScale_AcceptsDeckValue()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: DaysDeck);
+        _svc.Vote(room.Code, "owner-conn", "0.5");
+        Assert.Equal("0.5", room.CurrentCard!.Votes["owner-conn"]);
+    }
+
+    [Fact]
+    public void Vote_CustomScale_RejectsValueOutsideDeck()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: DaysDeck);
+        Assert.Throws<ArgumentException>(() =>
+            _svc.Vote(room.Code, "owner-conn", "21"));
+    }
+}
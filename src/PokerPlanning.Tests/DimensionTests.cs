@@ -0,0 +1,215 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class DimensionTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private static EstimationDimension[] Dimensions =>
+    [
+        new() { Name = "Complexity", Scale = ScaleType.Fibonacci },
+        new() { Name = "Risk", Scale = ScaleType.Risk, Weight = 2 }
+    ];
+
+    private Room SetupRoom(bool anonymous = false)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", anonymousVoting: anonymous, dimensions: Dimensions);
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    private static T GetProp<T>(object obj, string name) =>
+        (T)obj.GetType().GetProperty(name)!.GetValue(obj)!;
+
+    [Fact]
+    public void CreateRoom_WithDimensions_TrimsNamesAndKeepsOrder()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: [new() { Name = "  Effort " }, new() { Name = "Risk", Scale = ScaleType.Risk }]);
+
+        Assert.Equal(new[] { "Effort", "Risk" }, room.Dimensions.Select(d => d.Name).ToArray());
+        Assert.Equal(1, room.Dimensions[0].Weight);
+    }
+
+    [Fact]
+    public void CreateRoom_WithoutDimensions_HasNone()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        Assert.Empty(room.Dimensions);
+    }
+
+    [Fact]
+    public void CreateRoom_InvalidDimensions_Throw()
+    {
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: Enumerable.Range(1, RoomService.MaxDimensions + 1).Select(i => new EstimationDimension { Name = $"D{i}" })));
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: [new() { Name = " " }]));
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: [new() { Name = "Risk" }, new() { Name = "risk" }]));
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: [new() { Name = "Effort", Scale = ScaleType.Custom }]));
+        Assert.Throws<ArgumentException>(() => _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn",
+            dimensions: [new() { Name = "Effort", Weight = 0 }]));
+    }
+
+    [Fact]
+    public void VoteDimension_RecordsValuePerDimension()
+    {
+        var room = SetupRoom();
+
+        _svc.VoteDimension(room.Code, "alice-conn", "Complexity", "5");
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "High");
+
+        var votes = room.Cards[0].DimensionVotes["alice-conn"];
+        Assert.Equal("5", votes["Complexity"]);
+        Assert.Equal("High", votes["Risk"]);
+        Assert.Empty(room.Cards[0].Votes);
+    }
+
+    [Fact]
+    public void VoteDimension_UnknownDimensionOrValue_Throws()
+    {
+        var room = SetupRoom();
+
+        var unknown = Assert.Throws<ArgumentException>(() => _svc.VoteDimension(room.Code, "alice-conn", "Effort", "5"));
+        Assert.Equal(ErrorCodes.UnknownDimension, unknown.GetErrorCode());
+        Assert.Throws<ArgumentException>(() => _svc.VoteDimension(room.Code, "alice-conn", "Risk", "5"));
+        Assert.Throws<ArgumentException>(() => _svc.VoteDimension(room.Code, "alice-conn", "Complexity", RoomService.CoffeeVote));
+    }
+
+    [Fact]
+    public void VoteDimension_Spectator_Throws()
+    {
+        var room = SetupRoom();
+        _svc.SetSpectator(room.Code, "alice-conn", true);
+
+        Assert.Throws<InvalidOperationException>(() => _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Low"));
+    }
+
+    [Fact]
+    public void VoteDimension_AsyncOrFinishedRoom_Throws()
+    {
+        var asyncRoom = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "async-owner", asyncMode: true);
+        var finished = SetupRoom();
+        _svc.NextQuestion(finished.Code, "owner-conn");
+        _svc.NextQuestion(finished.Code, "owner-conn");
+
+        var inAsync = Assert.Throws<InvalidOperationException>(() => _svc.VoteDimension(asyncRoom.Code, "async-owner", "Risk", "Low"));
+        var inFinished = Assert.Throws<InvalidOperationException>(() => _svc.VoteDimension(finished.Code, "alice-conn", "Risk", "Low"));
+
+        Assert.Equal(ErrorCodes.AsyncRoom, inAsync.GetErrorCode());
+        Assert.Equal(ErrorCodes.NoActiveCard, inFinished.GetErrorCode());
+        Assert.Empty(asyncRoom.Cards[0].DimensionVotes);
+    }
+
+    [Fact]
+    public void GetDimensionResults_MedianPerDimension_AndWeightedCombinedScore()
+    {
+        var room = SetupRoom();
+        _svc.VoteDimension(room.Code, "owner-conn", "Complexity", "3");
+        _svc.VoteDimension(room.Code, "alice-conn", "Complexity", "5");
+        _svc.VoteDimension(room.Code, "owner-conn", "Risk", "High");
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "High");
+
+        var results = _svc.GetDimensionResults(room, room.Cards[0]);
+
+        Assert.Equal("4", results[0].Value);
+        Assert.Equal("High", results[1].Value);
+        Assert.Equal("5", results[0].Votes["Alice"]);
+        // 4 + 2 × 3 (High is the third Risk value)
+        Assert.Equal(10, RoomService.CalculateCombinedScore(room, results));
+    }
+
+    [Fact]
+    public void CombinedScore_NullUntilEveryDimensionHasAValue()
+    {
+        var room = SetupRoom();
+        _svc.VoteDimension(room.Code, "alice-conn", "Complexity", "5");
+        _svc.VoteDimension(room.Code, "owner-conn", "Risk", "?");
+
+        var results = _svc.GetDimensionResults(room, room.Cards[0]);
+
+        Assert.Null(results[1].Value);
+        Assert.Null(RoomService.CalculateCombinedScore(room, results));
+    }
+
+    [Fact]
+    public void Revote_ClearsDimensionVotes()
+    {
+        var room = SetupRoom();
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Low");
+        _svc.RevealCards(room.Code, "owner-conn");
+
+        _svc.Revote(room.Code, "owner-conn");
+
+        Assert.Empty(room.Cards[0].DimensionVotes);
+    }
+
+    [Fact]
+    public void RejoinRoom_MigratesDimensionVotes()
+    {
+        var room = SetupRoom();
+        var playerId = room.Players["alice-conn"].PlayerId;
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Low");
+        _svc.DisconnectPlayer("alice-conn");
+
+        _svc.RejoinRoom(room.Code, playerId, "alice-new");
+
+        Assert.Equal("Low", room.Cards[0].DimensionVotes["alice-new"]["Risk"]);
+        Assert.False(room.Cards[0].DimensionVotes.ContainsKey("alice-conn"));
+    }
+
+    [Fact]
+    public void KickPlayer_RemovesDimensionVotes()
+    {
+        var room = SetupRoom();
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Low");
+
+        _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: false);
+
+        Assert.Empty(room.Cards[0].DimensionVotes);
+    }
+
+    [Fact]
+    public void GetResults_HaveDimensionsAndCombinedScore()
+    {
+        var room = SetupRoom();
+        _svc.VoteDimension(room.Code, "alice-conn", "Complexity", "8");
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Low");
+
+        var result = _svc.GetResults(room.Code)[0];
+        var header = _svc.GetResultsCsv(room.Code).Split('\n')[0];
+
+        Assert.Equal(10.0, GetProp<double?>(result, "combinedScore"));
+        Assert.Equal(2, ((System.Collections.IList)GetProp<object>(result, "dimensions")).Count);
+        Assert.Contains("\"Complexity\",\"Risk\",\"Combined\",\"Votes\"", header);
+    }
+
+    [Fact]
+    public void GetResults_NoDimensions_LeavesThemOut()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        var result = _svc.GetResults(room.Code)[0];
+
+        Assert.Null(result.GetType().GetProperty("dimensions")!.GetValue(result));
+        Assert.DoesNotContain("Combined", _svc.GetResultsCsv(room.Code));
+    }
+
+    [Fact]
+    public void GetDimensionResults_AnonymousRoom_NumbersVotes()
+    {
+        var room = SetupRoom(anonymous: true);
+        _svc.VoteDimension(room.Code, "alice-conn", "Risk", "Critical");
+        _svc.VoteDimension(room.Code, "owner-conn", "Risk", "Low");
+
+        var risk = _svc.GetDimensionResults(room, room.Cards[0])[1];
+
+        Assert.Equal(new Dictionary<string, string> { ["#1"] = "Low", ["#2"] = "Critical" }, risk.Votes);
+    }
+}
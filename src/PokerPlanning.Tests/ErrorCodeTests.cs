@@ -0,0 +1,73 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class ErrorCodeTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room SetupRoom()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    private static T GetProp<T>(object obj, string name) =>
+        (T)obj.GetType().GetProperty(name)!.GetValue(obj)!;
+
+    [Fact]
+    public void RoomNotFound_CarriesCode()
+    {
+        var ex = Assert.Throws<ArgumentException>(() => _svc.JoinRoom("NOPE42", "Alice", "alice-conn"));
+
+        Assert.Equal(ErrorCodes.RoomNotFound, ex.GetErrorCode());
+        Assert.Null(ex.GetErrorArgs());
+    }
+
+    [Fact]
+    public void PermissionError_KeepsTypeAndCarriesCode()
+    {
+        var room = SetupRoom();
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.RevealCards(room.Code, "alice-conn"));
+
+        Assert.Equal(ErrorCodes.FacilitatorOnlyReveal, ex.GetErrorCode());
+        Assert.Equal("Only the room owner or a co-facilitator can reveal cards.", ex.Message);
+    }
+
+    [Fact]
+    public void NameTaken_CarriesNameAsArgument()
+    {
+        var room = SetupRoom();
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "alice", "other-conn"));
+
+        Assert.Equal(ErrorCodes.NameTaken, ex.GetErrorCode());
+        Assert.Equal("alice", GetProp<string>(ex.GetErrorArgs()!, "name"));
+    }
+
+    [Fact]
+    public void Passcode_MissingAndWrong_HaveDistinctCodes()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", passcode: "secret");
+
+        var missing = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn"));
+        var wrong = Assert.Throws<InvalidOperationException>(() => _svc.JoinRoom(room.Code, "Alice", "alice-conn", "guess"));
+
+        Assert.Equal(ErrorCodes.PasscodeRequired, missing.GetErrorCode());
+        Assert.Equal(ErrorCodes.IncorrectPasscode, wrong.GetErrorCode());
+    }
+
+    [Fact]
+    public void CustomDeckTooSmall_CarriesLimit()
+    {
+        var ex = Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Custom, Cards, "owner-conn", customScale: ["1"]));
+
+        Assert.Equal(ErrorCodes.CustomDeckTooSmall, ex.GetErrorCode());
+        Assert.Equal(ScaleDefinitions.MinCustomValues, GetProp<int>(ex.GetErrorArgs()!, "min"));
+    }
+}
@@ -0,0 +1,121 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class PersistenceTests : IDisposable
+{
+    private readonly string _directory = Path.Combine(Path.GetTempPath(), $"poker-rooms-{Guid.NewGuid():N}");
+
+    private JsonFileRoomStore CreateStore() =>
+        new(_directory, NullLogger<JsonFileRoomStore>.Instance);
+
+    private RoomService CreateService(IRoomStore store) =>
+        new(NullLogger<RoomService>.Instance, store, new SessionHistoryService(), null);
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_directory))
+            Directory.Delete(_directory, recursive: true);
+    }
+
+    [Fact]
+    public void SaveRooms_ThenRestore_KeepsCardsVotesAndPlayers()
+    {
+        var before = CreateService(CreateStore());
+        var room = before.CreateRoom("Owner", ScaleType.Custom, "Task 1;Desc\nTask 2", "owner-conn",
+            sessionMinutes: 30, coffeeBreak: true, customScale: ["0.5", "1", "2"]);
+        before.JoinRoom(room.Code, "Alice", "alice-conn");
+        before.Vote(room.Code, "alice-conn", "0.5");
+        before.RevealCards(room.Code, "owner-conn");
+        before.AcceptEstimate(room.Code, "owner-conn", "1");
+        before.SaveRooms();
+
+        var after = CreateService(CreateStore());
+        Assert.Equal(1, after.RestoreRooms());
+
+        var restored = after.GetRoom(room.Code)!;
+        Assert.Equal(RoomState.Revealed, restored.State);
+        Assert.Equal(new[] { "0.5", "1", "2" }, restored.ScaleValues);
+        Assert.True(restored.CoffeeBreakEnabled);
+        Assert.Equal(room.SecondsPerCard, restored.SecondsPerCard);
+        Assert.Equal("Desc", restored.Cards[0].Description);
+        Assert.Equal("1", restored.Cards[0].AcceptedEstimate);
+        Assert.Equal("0.5", restored.Cards[0].Votes["alice-conn"]);
+        Assert.Equal(2, restored.Players.Count);
+        Assert.Equal("owner-conn", restored.OwnerConnectionId);
+    }
+
+    [Fact]
+    public void RestoreRooms_MarksPlayersDisconnected()
+    {
+        var before = CreateService(CreateStore());
+        var room = before.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn");
+        before.SaveRooms();
+
+        var after = CreateService(CreateStore());
+        after.RestoreRooms();
+
+        Assert.All(after.GetRoom(room.Code)!.Players.Values, p => Assert.False(p.IsConnected));
+    }
+
+    [Fact]
+    public void RestoredRoom_RejoinByPlayerId_RestoresOwnerAndVotes()
+    {
+        var before = CreateService(CreateStore());
+        var room = before.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1\nTask 2", "owner-conn");
+        var owner = room.Players["owner-conn"];
+        before.Vote(room.Code, "owner-conn", "5");
+        before.SaveRooms();
+
+        var after = CreateService(CreateStore());
+        after.RestoreRooms();
+        var player = after.RejoinRoom(room.Code, owner.PlayerId, "new-conn");
+
+        var restored = after.GetRoom(room.Code)!;
+        Assert.NotNull(player);
+        Assert.True(player!.IsConnected);
+        Assert.True(restored.IsOwner("new-conn"));
+        Assert.Equal("5", restored.CurrentCard!.Votes["new-conn"]);
+
+        // Owner actions work again after the restart
+        restored.State = RoomState.Revealed;
+        Assert.NotNull(after.NextQuestion(room.Code, "new-conn"));
+    }
+
+    [Fact]
+    public void CleanupDisconnected_DeletesStoredRoom()
+    {
+        var store = CreateStore();
+        var svc = CreateService(store);
+        var room = svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn");
+        svc.SaveRooms();
+        Assert.True(File.Exists(Path.Combine(_directory, $"{room.Code}.json")));
+
+        room.Players["owner-conn"].DisconnectedAt = DateTime.UtcNow.AddMinutes(-10);
+        svc.CleanupDisconnected();
+
+        Assert.False(File.Exists(Path.Combine(_directory, $"{room.Code}.json")));
+        Assert.Equal(0, CreateService(CreateStore()).RestoreRooms());
+    }
+
+    [Fact]
+    public void LoadAll_SkipsCorruptFiles()
+    {
+        Directory.CreateDirectory(_directory);
+        File.WriteAllText(Path.Combine(_directory, "BROKEN.json"), "{ not json");
+
+        Assert.Empty(CreateStore().LoadAll());
+    }
+
+    [Fact]
+    public void NullRoomStore_RestoresNothing()
+    {
+        var svc = CreateService(new NullRoomStore());
+        svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn");
+        svc.SaveRooms();
+
+        Assert.Equal(0, CreateService(new NullRoomStore()).RestoreRooms());
+    }
+}
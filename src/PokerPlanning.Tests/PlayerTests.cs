@@ -27,7 +27,7 @@ public class PlayerTests
     }
 
     [Fact]
-    public void JoinRoom_ReconnectsDisconnectedPlayerBySameName()
+    public void JoinRoom_ReconnectsDisconnectedPlayerWithPlayerId()
     {
         var room = CreateTestRoom();
         var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn1");
@@ -37,8 +37,8 @@ public class PlayerTests
         _svc.DisconnectPlayer("alice-conn1");
         Assert.False(alice.IsConnected);
 
-        // Join with same name, different connection
-        var reconnected = _svc.JoinRoom(room.Code, "Alice", "alice-conn2");
+        // Join with same name and playerId, different connection
+        var reconnected = _svc.JoinRoom(room.Code, "Alice", "alice-conn2", playerId: alicePlayerId);
 
         Assert.Equal(alicePlayerId, reconnected.PlayerId);
         Assert.Equal("alice-conn2", reconnected.ConnectionId);
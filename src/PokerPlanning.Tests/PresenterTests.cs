@@ -0,0 +1,219 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class PresenterTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room CreateRoom(string? passcode = null) =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", passcode: passcode);
+
+    [Fact]
+    public void PresentRoom_ReturnsRoom_WithoutTakingASeat()
+    {
+        var room = CreateRoom();
+
+        var (presented, token) = _svc.PresentRoom(room.Code.ToLowerInvariant(), "display-conn", null);
+
+        Assert.Same(room, presented);
+        Assert.Single(room.Players);
+        Assert.NotEmpty(token);
+    }
+
+    [Fact]
+    public void PresentRoom_KeepsOnlyTheTokenHash()
+    {
+        var room = CreateRoom();
+
+        var (_, token) = _svc.PresentRoom(room.Code, "display-conn", null);
+
+        var hash = Assert.Single(room.AdmittedDisplayHashes);
+        Assert.NotEqual(token.ToUpperInvariant(), hash);
+        Assert.Equal(hash, room.Displays["display-conn"].TokenHash);
+    }
+
+    [Fact]
+    public void PresentRoom_KnownToken_IsKept_UnknownTokenIsReplaced()
+    {
+        var room = CreateRoom();
+        var (_, token) = _svc.PresentRoom(room.Code, "display-conn", null);
+
+        Assert.Equal(token, _svc.PresentRoom(room.Code, "display-conn-2", token).DisplayToken);
+        Assert.NotEqual("made-up", _svc.PresentRoom(room.Code, "display-conn-3", "made-up").DisplayToken);
+        Assert.Equal(2, room.AdmittedDisplayHashes.Count);
+    }
+
+    [Fact]
+    public void PresentRoom_UnknownRoom_Throws()
+    {
+        var ex = Assert.Throws<ArgumentException>(() => _svc.PresentRoom("NOPE42", "display-conn", null));
+        Assert.Equal(ErrorCodes.RoomNotFound, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_PasscodeMissing_Throws()
+    {
+        var room = CreateRoom("secret");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn", null));
+        Assert.Equal(ErrorCodes.PasscodeRequired, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_PasscodeWrong_Throws()
+    {
+        var room = CreateRoom("secret");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn", null, "guess"));
+        Assert.Equal(ErrorCodes.IncorrectPasscode, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_PasscodeCorrect_ReturnsRoom()
+    {
+        var room = CreateRoom("secret");
+
+        Assert.Same(room, _svc.PresentRoom(room.Code, "display-conn", null, " secret ").Room);
+    }
+
+    [Fact]
+    public void PresentRoom_LockedRoom_RefusesNewDisplay()
+    {
+        var room = CreateRoom();
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn", null));
+        Assert.Equal(ErrorCodes.RoomLocked, ex.GetErrorCode());
+        Assert.Empty(room.Displays);
+    }
+
+    [Fact]
+    public void PresentRoom_LockedRoom_AdmittedDisplayReattaches()
+    {
+        var room = CreateRoom();
+        var (_, token) = _svc.PresentRoom(room.Code, "display-conn", null);
+        _svc.DetachDisplay("display-conn");
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+
+        Assert.Same(room, _svc.PresentRoom(room.Code, "display-conn-2", token).Room);
+        Assert.True(room.Displays.ContainsKey("display-conn-2"));
+    }
+
+    [Fact]
+    public void PresentRoom_LockedRoom_MadeUpTokenIsRefused()
+    {
+        var room = CreateRoom();
+        _svc.PresentRoom(room.Code, "display-conn", null);
+        _svc.SetRoomLocked(room.Code, "owner-conn", true);
+
+        var ex = Assert.Throws<InvalidOperationException>(() =>
+            _svc.PresentRoom(room.Code, "display-conn-2", room.AdmittedDisplayHashes[0]));
+        Assert.Equal(ErrorCodes.RoomLocked, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_BannedSeatOfThisBrowser_Throws()
+    {
+        var room = CreateRoom();
+        var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: true);
+
+        var byId = Assert.Throws<InvalidOperationException>(() =>
+            _svc.PresentRoom(room.Code, "display-conn", null, playerId: alice.PlayerId));
+        var byName = Assert.Throws<InvalidOperationException>(() =>
+            _svc.PresentRoom(room.Code, "display-conn", null, playerName: " alice "));
+
+        Assert.Equal(ErrorCodes.RemovedFromRoom, byId.GetErrorCode());
+        Assert.Equal(ErrorCodes.RemovedFromRoom, byName.GetErrorCode());
+    }
+
+    [Fact]
+    public void PresentRoom_DisplayConnection_IsNotAVoter()
+    {
+        var room = CreateRoom();
+        _svc.PresentRoom(room.Code, "display-conn", null);
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.Vote(room.Code, "display-conn", "5"));
+        Assert.Equal(ErrorCodes.PlayerNotInRoom, ex.GetErrorCode());
+    }
+
+    // ===== Owner's list of displays =====
+
+    [Fact]
+    public void GetDisplays_ListsAttachedDisplays_OldestFirst()
+    {
+        var room = CreateRoom();
+        _svc.PresentRoom(room.Code, "display-conn", null);
+        room.Displays["display-conn"].ConnectedAt = DateTime.UtcNow.AddMinutes(-1);
+        _svc.PresentRoom(room.Code, "display-conn-2", null);
+
+        var displays = _svc.GetDisplays(room.Code, "owner-conn");
+
+        Assert.Equal(["display-conn", "display-conn-2"], displays.Select(d => d.ConnectionId));
+    }
+
+    [Fact]
+    public void GetDisplays_NonOwner_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.GetDisplays(room.Code, "alice-conn"));
+        Assert.Equal(ErrorCodes.OwnerOnlyDisplays, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void DetachDisplay_ForgetsConnection()
+    {
+        var room = CreateRoom();
+        _svc.PresentRoom(room.Code, "display-conn", null);
+
+        Assert.Same(room, _svc.DetachDisplay("display-conn"));
+        Assert.Empty(room.Displays);
+        Assert.Null(_svc.DetachDisplay("display-conn"));
+    }
+
+    [Fact]
+    public void RemoveDisplay_DetachesEveryTabAndBansDisplay()
+    {
+        var room = CreateRoom();
+        var (_, token) = _svc.PresentRoom(room.Code, "display-conn", null);
+        _svc.PresentRoom(room.Code, "display-conn-2", token);
+        _svc.PresentRoom(room.Code, "other-conn", null);
+
+        var removed = _svc.RemoveDisplay(room.Code, "owner-conn", "display-conn");
+
+        Assert.Equal(["display-conn", "display-conn-2"], removed.Order().ToList());
+        Assert.Equal(["other-conn"], room.Displays.Keys);
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.PresentRoom(room.Code, "display-conn-3", token));
+        Assert.Equal(ErrorCodes.RemovedFromRoom, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public void RemoveDisplay_BansTheDisplayNotAPlayer()
+    {
+        var room = CreateRoom();
+        _svc.PresentRoom(room.Code, "display-conn", null);
+
+        _svc.RemoveDisplay(room.Code, "owner-conn", "display-conn");
+
+        Assert.Single(room.BannedDisplayHashes);
+        Assert.Empty(room.BannedPlayerIds);
+        Assert.Empty(room.AdmittedDisplayHashes);
+    }
+
+    [Fact]
+    public void RemoveDisplay_NonOwner_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.PresentRoom(room.Code, "display-conn", null);
+
+        var ex = Assert.Throws<InvalidOperationException>(() => _svc.RemoveDisplay(room.Code, "alice-conn", "display-conn"));
+        Assert.Equal(ErrorCodes.OwnerOnlyDisplays, ex.GetErrorCode());
+        Assert.Single(room.Displays);
+    }
+}
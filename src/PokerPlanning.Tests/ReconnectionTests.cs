@@ -59,7 +59,7 @@ public class ReconnectionTests
     }
 
     [Fact]
-    public void OriginalOwner_Reconnect_ReclaimsOwnership()
+    public void OriginalOwner_Reconnect_SuccessorKeepsOwnership()
     {
         var (room, owner) = CreateRoomWithPlayers("Alice");
         var ownerPlayerId = owner.PlayerId;
@@ -70,15 +70,18 @@ public class ReconnectionTests
         Assert.True(alice.IsOwner);
         Assert.Equal("conn-0", room.OwnerConnectionId);
 
-        // Owner reconnects
+        // Owner reconnects: Alice stays owner
         var reconnected = _svc.RejoinRoom(room.Code, ownerPlayerId, "owner-conn2");
 
         Assert.NotNull(reconnected);
-        Assert.True(reconnected!.IsOwner);
-        Assert.Equal("owner-conn2", room.OwnerConnectionId);
+        Assert.False(reconnected!.IsOwner);
+        Assert.True(alice.IsOwner);
+        Assert.Equal("conn-0", room.OwnerConnectionId);
 
-        // Alice lost ownership
-        Assert.False(alice.IsOwner);
+        // Handing it back is explicit
+        _svc.TransferOwnership(room.Code, "conn-0", reconnected.Name);
+        Assert.True(reconnected.IsOwner);
+        Assert.Equal("owner-conn2", room.OwnerConnectionId);
     }
 
     [Fact]
@@ -131,15 +134,15 @@ public class ReconnectionTests
     }
 
     [Fact]
-    public void JoinRoom_ReconnectsByName_WhenDisconnected()
+    public void JoinRoom_ReconnectsByPlayerId_WhenDisconnected()
     {
         var (room, _) = CreateRoomWithPlayers("Alice");
         var alicePlayerId = room.Players["conn-0"].PlayerId;
 
         _svc.DisconnectPlayer("conn-0");
 
-        // Join with same name, new connection
-        var reconnected = _svc.JoinRoom(room.Code, "Alice", "alice-new");
+        // Join with same name and playerId, new connection
+        var reconnected = _svc.JoinRoom(room.Code, "Alice", "alice-new", playerId: alicePlayerId);
 
         Assert.Equal(alicePlayerId, reconnected.PlayerId);
         Assert.Equal("alice-new", reconnected.ConnectionId);
@@ -0,0 +1,156 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class RevisitTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2\nTask 3\nTask 4";
+
+    private Room SetupRoom()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        return room;
+    }
+
+    private void EstimateCurrent(Room room, string value)
+    {
+        _svc.Vote(room.Code, "alice-conn", value);
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.AcceptEstimate(room.Code, "owner-conn", value);
+        _svc.NextQuestion(room.Code, "owner-conn");
+    }
+
+    [Fact]
+    public void RevisitCard_RestoresVotesAndEstimateInRevealedState()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+
+        var card = _svc.RevisitCard(room.Code, "owner-conn", 0);
+
+        Assert.Equal("Task 1", card.Subject);
+        Assert.Equal(0, room.CurrentCardIndex);
+        Assert.Equal(RoomState.Revealed, room.State);
+        Assert.Equal("5", card.AcceptedEstimate);
+        Assert.Equal("5", _svc.GetNamedVotes(room)["Alice"]);
+        Assert.Equal(1, room.ResumeCardIndex);
+    }
+
+    [Fact]
+    public void RevisitCard_NextQuestion_ReturnsToResumePoint()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+        EstimateCurrent(room, "8");
+        EstimateCurrent(room, "3");
+
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+        _svc.AcceptEstimate(room.Code, "owner-conn", "13");
+        var next = _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Equal("Task 4", next!.Subject);
+        Assert.Equal(3, room.CurrentCardIndex);
+        Assert.Null(room.ResumeCardIndex);
+        Assert.Equal("13", room.Cards[0].AcceptedEstimate);
+        Assert.Equal("8", room.Cards[1].AcceptedEstimate);
+    }
+
+    [Fact]
+    public void RevisitCard_StepBackTwice_KeepsFurthestResumePoint()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+        EstimateCurrent(room, "8");
+
+        _svc.RevisitCard(room.Code, "owner-conn", 1);
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+
+        Assert.Equal(2, room.ResumeCardIndex);
+        Assert.Equal("Task 3", _svc.NextQuestion(room.Code, "owner-conn")!.Subject);
+    }
+
+    [Fact]
+    public void RevisitCard_AfterGameFinished_ReopensRoom()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1\nTask 2", "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+        Assert.Equal(RoomState.Finished, room.State);
+
+        _svc.RevisitCard(room.Code, "owner-conn", 1);
+        Assert.Equal(RoomState.Revealed, room.State);
+
+        Assert.Null(_svc.NextQuestion(room.Code, "owner-conn"));
+        Assert.Equal(RoomState.Finished, room.State);
+    }
+
+    [Fact]
+    public void RevisitCard_RejectsCurrentOrUpcomingCard()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+
+        Assert.Throws<ArgumentException>(() => _svc.RevisitCard(room.Code, "owner-conn", 1));
+        Assert.Throws<ArgumentException>(() => _svc.RevisitCard(room.Code, "owner-conn", 3));
+        Assert.Throws<ArgumentException>(() => _svc.RevisitCard(room.Code, "owner-conn", -1));
+    }
+
+    [Fact]
+    public void RevisitCard_RejectsNonOwner()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.RevisitCard(room.Code, "alice-conn", 0));
+    }
+
+    [Fact]
+    public void RevisitCard_RecordsHistoryOfChangedEstimate()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+        _svc.AcceptEstimate(room.Code, "owner-conn", "8");
+
+        var history = room.Cards[0].History;
+        Assert.Equal(new[] { CardEventTypes.Accepted, CardEventTypes.Revisited, CardEventTypes.EstimateChanged }, history.Select(e => e.Type));
+        Assert.Equal("5", history[2].PreviousValue);
+        Assert.Equal("8", history[2].Value);
+        Assert.Equal("Owner", history[2].By);
+    }
+
+    [Fact]
+    public void AcceptEstimate_SameValue_NoHistory()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+        _svc.AcceptEstimate(room.Code, "owner-conn", "5");
+
+        Assert.DoesNotContain(room.Cards[0].History, e => e.Type == CardEventTypes.EstimateChanged);
+    }
+
+    [Fact]
+    public void Revisit_UpcomingCardsExcludeDoneCards()
+    {
+        var room = SetupRoom();
+        EstimateCurrent(room, "5");
+        EstimateCurrent(room, "8");
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+
+        // Card 2 was already estimated and card 3 is the resume point — neither is upcoming
+        Assert.Throws<ArgumentException>(() => _svc.RemoveCard(room.Code, "owner-conn", 1));
+        Assert.Throws<ArgumentException>(() => _svc.RemoveCard(room.Code, "owner-conn", 2));
+
+        // Jumping while revisiting continues with the chosen card instead of the resume point
+        var card = _svc.JumpToCard(room.Code, "owner-conn", 3);
+        Assert.Equal("Task 4", card.Subject);
+        Assert.Equal(2, room.CurrentCardIndex);
+        Assert.Equal("Task 3", room.Cards[3].Subject);
+    }
+}
@@ -0,0 +1,195 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class RoleTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2\nTask 3";
+
+    private Room CreateRoomWithPlayers(params string[] names)
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+        foreach (var name in names)
+            _svc.JoinRoom(room.Code, name, $"{name.ToLowerInvariant()}-conn");
+        return room;
+    }
+
+    // ===== Co-facilitators =====
+
+    [Fact]
+    public void SetFacilitator_AllowsRunningTheRound()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", true);
+        _svc.Vote(room.Code, "alice-conn", "5");
+
+        _svc.RevealCards(room.Code, "alice-conn");
+        _svc.AcceptEstimate(room.Code, "alice-conn", "5");
+        var next = _svc.NextQuestion(room.Code, "alice-conn");
+
+        Assert.Equal("Task 2", next!.Subject);
+        Assert.Equal("5", room.Cards[0].AcceptedEstimate);
+    }
+
+    [Fact]
+    public void SetFacilitator_Revote_RecordsWhoDidIt()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", true);
+        _svc.RevealCards(room.Code, "alice-conn");
+
+        _svc.Revote(room.Code, "alice-conn");
+
+        Assert.Equal(RoomState.Voting, room.State);
+        Assert.Equal("Alice", room.Cards[0].History.Last().By);
+    }
+
+    [Fact]
+    public void Facilitator_CannotUseOwnerOnlyActions()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob");
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", true);
+
+        Assert.Throws<InvalidOperationException>(() => _svc.SetFacilitator(room.Code, "alice-conn", "Bob", true));
+        Assert.Throws<InvalidOperationException>(() => _svc.KickPlayer(room.Code, "alice-conn", "Bob", ban: false));
+        Assert.Throws<InvalidOperationException>(() => _svc.RevisitCard(room.Code, "alice-conn", 0));
+    }
+
+    [Fact]
+    public void SetFacilitator_Demote_RemovesRights()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", true);
+        _svc.SetFacilitator(room.Code, "owner-conn", "Alice", false);
+
+        Assert.Throws<InvalidOperationException>(() => _svc.RevealCards(room.Code, "alice-conn"));
+    }
+
+    [Fact]
+    public void SetFacilitator_NonOwner_Throws()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.SetFacilitator(room.Code, "alice-conn", "Alice", true));
+    }
+
+    // ===== Ownership handoff =====
+
+    [Fact]
+    public void TransferOwnership_MovesOwnerAndKeepsOldOwnerAsFacilitator()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        var owner = room.Players["owner-conn"];
+        var alice = room.Players["alice-conn"];
+
+        _svc.TransferOwnership(room.Code, "owner-conn", "Alice");
+
+        Assert.Equal("alice-conn", room.OwnerConnectionId);
+        Assert.True(alice.IsOwner);
+        Assert.False(owner.IsOwner);
+        Assert.True(owner.IsFacilitator);
+    }
+
+    [Fact]
+    public void TransferOwnership_PreviousOwnerDoesNotReclaimOnReconnect()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        var owner = room.Players["owner-conn"];
+        _svc.TransferOwnership(room.Code, "owner-conn", "Alice");
+
+        _svc.DisconnectPlayer("owner-conn");
+        _svc.RejoinRoom(room.Code, owner.PlayerId, "owner-conn2");
+
+        Assert.Equal("alice-conn", room.OwnerConnectionId);
+        Assert.False(owner.IsOwner);
+    }
+
+    [Fact]
+    public void TransferOwnership_NewOwnerDoesNotReclaimAfterDrop()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob");
+        var alice = room.Players["alice-conn"];
+        _svc.TransferOwnership(room.Code, "owner-conn", "Alice");
+
+        _svc.DisconnectPlayer("alice-conn");
+        var successor = room.OwnerConnectionId;
+        Assert.NotEqual("alice-conn", successor);
+
+        _svc.RejoinRoom(room.Code, alice.PlayerId, "alice-conn2");
+        Assert.Equal(successor, room.OwnerConnectionId);
+        Assert.False(alice.IsOwner);
+    }
+
+    [Fact]
+    public void TransferOwnership_ToDisconnectedPlayer_Throws()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+        _svc.DisconnectPlayer("alice-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.TransferOwnership(room.Code, "owner-conn", "Alice"));
+    }
+
+    [Fact]
+    public void TransferOwnership_NonOwner_Throws()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.TransferOwnership(room.Code, "alice-conn", "Alice"));
+    }
+
+    // ===== Successor order =====
+
+    [Fact]
+    public void OwnerDisconnect_HandsOverToFirstConnectedSuccessor()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob", "Carol");
+        _svc.SetSuccessorOrder(room.Code, "owner-conn", ["Carol", "Bob"]);
+        _svc.DisconnectPlayer("carol-conn");
+
+        _svc.DisconnectPlayer("owner-conn");
+
+        Assert.Equal("bob-conn", room.OwnerConnectionId);
+    }
+
+    [Fact]
+    public void OwnerDisconnect_NoSuccessors_PrefersFacilitator()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob");
+        _svc.SetFacilitator(room.Code, "owner-conn", "Bob", true);
+
+        _svc.DisconnectPlayer("owner-conn");
+
+        Assert.Equal("bob-conn", room.OwnerConnectionId);
+    }
+
+    [Fact]
+    public void SetSuccessorOrder_SkipsOwnerAndDuplicates()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob");
+
+        _svc.SetSuccessorOrder(room.Code, "owner-conn", ["Bob", "Owner", "Bob", "Alice"]);
+
+        Assert.Equal(["Bob", "Alice"], _svc.GetSuccessorNames(room));
+    }
+
+    [Fact]
+    public void SetSuccessorOrder_UnknownPlayer_Throws()
+    {
+        var room = CreateRoomWithPlayers("Alice");
+
+        Assert.Throws<ArgumentException>(() => _svc.SetSuccessorOrder(room.Code, "owner-conn", ["Nobody"]));
+    }
+
+    [Fact]
+    public void KickPlayer_RemovesFromSuccessors()
+    {
+        var room = CreateRoomWithPlayers("Alice", "Bob");
+        _svc.SetSuccessorOrder(room.Code, "owner-conn", ["Alice", "Bob"]);
+
+        _svc.KickPlayer(room.Code, "owner-conn", "Alice", ban: false);
+
+        Assert.Equal(["Bob"], _svc.GetSuccessorNames(room));
+    }
+}
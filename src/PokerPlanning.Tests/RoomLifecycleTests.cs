@@ -23,7 +23,6 @@ public class RoomLifecycleTests
 
         var owner = room.Players["conn1"];
         Assert.True(owner.IsOwner);
-        Assert.True(owner.WasOriginalOwner);
         Assert.False(owner.IsSpectator);
         Assert.Equal("Max", owner.Name);
     }
@@ -0,0 +1,137 @@
+using System.Text.Json;
+using Microsoft.Extensions.Logging.Abstractions;
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class SessionHistoryTests : IDisposable
+{
+    private readonly SessionHistoryService _history = new();
+    private readonly RoomService _svc;
+    private readonly string _directory = Path.Combine(Path.GetTempPath(), $"poker-history-{Guid.NewGuid():N}");
+
+    public SessionHistoryTests()
+    {
+        _svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), _history, null);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_directory))
+            Directory.Delete(_directory, recursive: true);
+    }
+
+    private Room PlayThrough(params string[] estimates)
+    {
+        var cards = string.Join("\n", estimates.Select((_, i) => $"Task {i + 1}"));
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, cards, "owner-conn");
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        foreach (var estimate in estimates)
+        {
+            _svc.Vote(room.Code, "alice-conn", estimate);
+            _svc.RevealCards(room.Code, "owner-conn");
+            _svc.AcceptEstimate(room.Code, "owner-conn", estimate);
+            _svc.NextQuestion(room.Code, "owner-conn");
+        }
+        return room;
+    }
+
+    [Fact]
+    public void FinishingRoom_RecordsSession()
+    {
+        var room = PlayThrough("3", "5", "?");
+
+        var session = Assert.Single(_history.List());
+        Assert.Equal(room.Code, session.RoomCode);
+        Assert.Equal("Owner", session.OwnerName);
+        Assert.Equal(3, session.CardCount);
+        Assert.Equal(8, session.TotalEstimate);
+        Assert.Equal(3, session.Results.Count);
+    }
+
+    [Fact]
+    public void UnfinishedRoom_IsNotRecorded()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1\nTask 2", "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Empty(_history.List());
+    }
+
+    [Fact]
+    public void FinishingAgainAfterRevisit_UpdatesSameSession()
+    {
+        var room = PlayThrough("3", "5");
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+        _svc.AcceptEstimate(room.Code, "owner-conn", "8");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        var session = Assert.Single(_history.List());
+        Assert.Equal(13, session.TotalEstimate);
+    }
+
+    [Fact]
+    public void Session_KeepsVoterNamesAfterPlayersLeave()
+    {
+        var room = PlayThrough("5");
+        var id = _history.List()[0].Id;
+
+        room.Players["alice-conn"].DisconnectedAt = DateTime.UtcNow.AddMinutes(-10);
+        _svc.CleanupDisconnected();
+
+        var json = JsonSerializer.Serialize(_history.Get(id)!.Results);
+        Assert.Contains("\"Alice\":\"5\"", json);
+    }
+
+    [Fact]
+    public void SessionsWithDirectory_SurviveRestart()
+    {
+        var history = new SessionHistoryService(_directory, NullLogger<SessionHistoryService>.Instance);
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), history, null);
+        var room = svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn");
+        svc.Vote(room.Code, "owner-conn", "8");
+        svc.RevealCards(room.Code, "owner-conn");
+        svc.NextQuestion(room.Code, "owner-conn");
+
+        var reloaded = new SessionHistoryService(_directory, NullLogger<SessionHistoryService>.Instance);
+        var session = Assert.Single(reloaded.List());
+        Assert.Equal(room.Code, session.RoomCode);
+        Assert.Equal(8, session.TotalEstimate);
+        Assert.Contains("Task 1", JsonSerializer.Serialize(session.Results));
+    }
+
+    [Fact]
+    public void PasscodeRoom_IsMarkedInSession()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn", passcode: "1234");
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.True(Assert.Single(_history.List()).HasPasscode);
+    }
+
+    [Fact]
+    public void ApiOwnerToken_OpensItsSession()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, "Task 1", "owner-conn", passcode: "1234");
+        var token = _svc.ReserveForApi(room);
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        var session = Assert.Single(_history.List());
+        Assert.True(RoomService.CheckOwnerToken(session.OwnerTokenHash, token));
+        Assert.False(RoomService.CheckOwnerToken(session.OwnerTokenHash, "wrong"));
+    }
+
+    [Fact]
+    public void List_ReturnsMostRecentFirst()
+    {
+        _history.Record(new SessionRecord { Id = "OLD-1", RoomCode = "OLD", FinishedAt = DateTime.UtcNow.AddDays(-1) });
+        _history.Record(new SessionRecord { Id = "NEW-1", RoomCode = "NEW", FinishedAt = DateTime.UtcNow });
+
+        Assert.Equal(new[] { "NEW-1", "OLD-1" }, _history.List().Select(s => s.Id));
+    }
+}
@@ -0,0 +1,91 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class SpectatorTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2";
+
+    private Room CreateRoom() =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+    [Fact]
+    public void JoinRoom_AsSpectator_CreatesObserver()
+    {
+        var room = CreateRoom();
+
+        var pm = _svc.JoinRoom(room.Code, "PM", "pm-conn", asSpectator: true);
+
+        Assert.True(pm.IsSpectator);
+        Assert.Throws<InvalidOperationException>(() => _svc.Vote(room.Code, "pm-conn", "5"));
+    }
+
+    [Fact]
+    public void JoinRoom_Default_CreatesVoter()
+    {
+        var room = CreateRoom();
+
+        var alice = _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.False(alice.IsSpectator);
+    }
+
+    [Fact]
+    public void AllVotersVoted_IgnoresSpectators()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "PM", "pm-conn", asSpectator: true);
+
+        _svc.Vote(room.Code, "owner-conn", "3");
+
+        Assert.True(_svc.AllVotersVoted(room));
+    }
+
+    [Fact]
+    public void SetSpectator_DropsCurrentVote()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+        _svc.Vote(room.Code, "owner-conn", "3");
+        _svc.Vote(room.Code, "alice-conn", "13");
+
+        var removed = _svc.SetSpectator(room.Code, "alice-conn", true);
+
+        Assert.True(removed);
+        Assert.True(room.Players["alice-conn"].IsSpectator);
+        Assert.Equal(["3"], room.CurrentCard!.Votes.Values);
+        Assert.Equal("3", _svc.CalculateConsensus(room, room.CurrentCard.Votes.Values));
+    }
+
+    [Fact]
+    public void SetSpectator_WithoutVote_ReturnsFalse()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.False(_svc.SetSpectator(room.Code, "alice-conn", true));
+    }
+
+    [Fact]
+    public void SetSpectator_BackToVoter_CanVote()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "PM", "pm-conn", asSpectator: true);
+
+        _svc.SetSpectator(room.Code, "pm-conn", false);
+        _svc.Vote(room.Code, "pm-conn", "8");
+
+        Assert.False(room.Players["pm-conn"].IsSpectator);
+        Assert.Equal("8", room.CurrentCard!.Votes["pm-conn"]);
+    }
+
+    [Fact]
+    public void SetSpectator_UnknownPlayer_Throws()
+    {
+        var room = CreateRoom();
+
+        Assert.Throws<InvalidOperationException>(() => _svc.SetSpectator(room.Code, "nobody", true));
+    }
+}
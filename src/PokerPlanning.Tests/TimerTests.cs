@@ -0,0 +1,154 @@
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class TimerTests
+{
+    private readonly RoomService _svc = new();
+    private const string Cards = "Task 1\nTask 2\nTask 3";
+
+    private Room CreateTimedRoom(int sessionMinutes = 30) =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", sessionMinutes);
+
+    [Fact]
+    public void CreateRoom_SetsServerDeadline()
+    {
+        var room = CreateTimedRoom();
+
+        Assert.Equal(room.CardTimerStartedAt!.Value.AddSeconds(600), room.CardTimerDeadline);
+        Assert.Null(room.CardTimerPausedRemaining);
+    }
+
+    [Fact]
+    public void Pause_FreezesRemaining_ResumeSetsNewDeadline()
+    {
+        var room = CreateTimedRoom();
+
+        _svc.PauseTimer(room.Code, "owner-conn");
+        Assert.Null(room.CardTimerDeadline);
+        Assert.InRange(room.CardTimerPausedRemaining!.Value, 598, 600);
+
+        _svc.ResumeTimer(room.Code, "owner-conn");
+        Assert.Null(room.CardTimerPausedRemaining);
+        Assert.InRange(RoomService.GetRemainingSeconds(room, DateTime.UtcNow), 598, 600);
+    }
+
+    [Fact]
+    public void Pause_Twice_Throws()
+    {
+        var room = CreateTimedRoom();
+        _svc.PauseTimer(room.Code, "owner-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.PauseTimer(room.Code, "owner-conn"));
+    }
+
+    [Fact]
+    public void Extend_AddsAMinute()
+    {
+        var room = CreateTimedRoom();
+        var deadline = room.CardTimerDeadline!.Value;
+
+        _svc.ExtendTimer(room.Code, "owner-conn");
+
+        Assert.InRange((room.CardTimerDeadline!.Value - deadline).TotalSeconds, 59, 61);
+        Assert.InRange(room.CardTimerExtraSeconds, 59, 61);
+    }
+
+    [Fact]
+    public void Extend_AfterTimeIsUp_CountsFromNow()
+    {
+        var room = CreateTimedRoom();
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(-30);
+
+        _svc.ExtendTimer(room.Code, "owner-conn");
+
+        Assert.InRange(RoomService.GetRemainingSeconds(room, DateTime.UtcNow), 59, 60);
+    }
+
+    [Fact]
+    public void Extend_WhilePaused_AddsToPausedRemaining()
+    {
+        var room = CreateTimedRoom();
+        _svc.PauseTimer(room.Code, "owner-conn");
+        var remaining = room.CardTimerPausedRemaining!.Value;
+
+        _svc.ExtendTimer(room.Code, "owner-conn");
+
+        Assert.Equal(remaining + 60, room.CardTimerPausedRemaining);
+    }
+
+    [Fact]
+    public void Reset_RestartsCardTimer()
+    {
+        var room = CreateTimedRoom();
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(100);
+
+        _svc.ResetTimer(room.Code, "owner-conn");
+
+        Assert.InRange(RoomService.GetRemainingSeconds(room, DateTime.UtcNow), 599, 600);
+        Assert.InRange(room.SessionSecondsUsed, 499, 501);
+    }
+
+    [Fact]
+    public void TimerControls_NonOwner_Throws()
+    {
+        var room = CreateTimedRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.PauseTimer(room.Code, "alice-conn"));
+        Assert.Throws<InvalidOperationException>(() => _svc.ExtendTimer(room.Code, "alice-conn"));
+    }
+
+    [Fact]
+    public void TimerControls_NoTimer_Throws()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.PauseTimer(room.Code, "owner-conn"));
+    }
+
+    [Fact]
+    public void NextQuestion_CardRanLong_RebalancesRemainingCards()
+    {
+        var room = CreateTimedRoom();   // 600s per card
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(-300);   // took 900s
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        // (1800 - 900) / 2 cards left
+        Assert.InRange(room.SecondsPerCard!.Value, 449, 451);
+        Assert.Equal(room.CardTimerStartedAt!.Value.AddSeconds(room.SecondsPerCard.Value), room.CardTimerDeadline);
+    }
+
+    [Fact]
+    public void NextQuestion_CardRanShort_GivesTimeToRemainingCards()
+    {
+        var room = CreateTimedRoom();
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(500);   // took 100s
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.InRange(room.SecondsPerCard!.Value, 849, 851);
+    }
+
+    [Fact]
+    public void NextQuestion_BudgetSpent_KeepsMinimumPerCard()
+    {
+        var room = CreateTimedRoom();
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(-3000);
+
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        Assert.Equal(30, room.SecondsPerCard);
+    }
+
+    [Fact]
+    public void PausedTimer_DoesNotAutoReveal()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", 30, autoRevealOnTimer: true);
+        _svc.PauseTimer(room.Code, "owner-conn");
+
+        Assert.Empty(_svc.CheckAutoReveal(DateTime.UtcNow.AddHours(1)));
+    }
+}
@@ -0,0 +1,104 @@
+using System.Globalization;
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class VoteStatsTests
+{
+    private readonly RoomService _svc = new();
+    private static readonly string[] Fibonacci = ScaleDefinitions.GetScale(ScaleType.Fibonacci);
+    private static readonly string[] TShirt = ScaleDefinitions.GetScale(ScaleType.TShirt);
+
+    [Fact]
+    public void Stats_NumericScale_MedianMinMaxSpread()
+    {
+        var stats = _svc.CalculateVoteStats(new[] { "3", "5", "5", "13" }, Fibonacci);
+
+        Assert.Equal(4, stats.VoterCount);
+        Assert.Equal("5", stats.Median);
+        Assert.Equal("3", stats.Min);
+        Assert.Equal("13", stats.Max);
+        Assert.Equal(10, stats.Spread);
+        Assert.Equal(3, stats.SpreadSteps);
+    }
+
+    [Fact]
+    public void Stats_EvenCount_MedianIsMidpoint()
+    {
+        var stats = _svc.CalculateVoteStats(new[] { "5", "8" }, Fibonacci);
+        Assert.Equal("6.5", stats.Median);
+    }
+
+    [Fact]
+    public void Stats_DecimalVotes_IgnoreServerCulture()
+    {
+        var culture = CultureInfo.CurrentCulture;
+        CultureInfo.CurrentCulture = new CultureInfo("ru-RU");
+        try
+        {
+            var stats = _svc.CalculateVoteStats(new[] { "0.5", "1", "2" }, new[] { "0.5", "1", "2", "?" });
+
+            Assert.Equal("1", stats.Median);
+            Assert.Equal(1.5, stats.Spread);
+        }
+        finally
+        {
+            CultureInfo.CurrentCulture = culture;
+        }
+    }
+
+    [Fact]
+    public void Stats_Distribution_CoversWholeScaleInOrder()
+    {
+        var stats = _svc.CalculateVoteStats(new[] { "8", "3", "8", "?" }, Fibonacci);
+
+        Assert.Equal(Fibonacci, stats.Distribution.Select(b => b.Value));
+        Assert.Equal(2, stats.Distribution.Single(b => b.Value == "8").Count);
+        Assert.Equal(1, stats.Distribution.Single(b => b.Value == "?").Count);
+        Assert.Equal(0, stats.Distribution.Single(b => b.Value == "1").Count);
+    }
+
+    [Fact]
+    public void Stats_IgnoresQuestionAndCoffee()
+    {
+        var stats = _svc.CalculateVoteStats(new[] { "?", RoomService.CoffeeVote, "5" }, Fibonacci);
+
+        Assert.Equal(1, stats.VoterCount);
+        Assert.Equal("5", stats.Min);
+        Assert.Equal("5", stats.Max);
+        Assert.Equal(0, stats.SpreadSteps);
+    }
+
+    [Fact]
+    public void Stats_TShirt_UsesScalePosition()
+    {
+        var stats = _svc.CalculateVoteStats(new[] { "XL", "S", "M" }, TShirt);
+
+        Assert.Equal("S", stats.Min);
+        Assert.Equal("XL", stats.Max);
+        Assert.Equal("M", stats.Median);
+        Assert.Null(stats.Spread);
+        Assert.Equal(3, stats.SpreadSteps);
+    }
+
+    [Fact]
+    public void Stats_Risk_MedianOfEvenCountIsLowerMiddle()
+    {
+        var risk = ScaleDefinitions.GetScale(ScaleType.Risk);
+        var stats = _svc.CalculateVoteStats(new[] { "Critical", "Low", "Medium", "High" }, risk);
+
+        Assert.Equal("Medium", stats.Median);
+        Assert.Equal(3, stats.SpreadSteps);
+    }
+
+    [Fact]
+    public void Stats_NoVotes_Empty()
+    {
+        var stats = _svc.CalculateVoteStats(Array.Empty<string>(), Fibonacci);
+
+        Assert.Equal(0, stats.VoterCount);
+        Assert.Null(stats.Median);
+        Assert.All(stats.Distribution, b => Assert.Equal(0, b.Count));
+    }
+}
@@ -0,0 +1,379 @@
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Text.Json;
+using Microsoft.Extensions.Logging.Abstractions;
+using PokerPlanning.Models;
+using PokerPlanning.Services;
+
+namespace PokerPlanning.Tests;
+
+public class WebhookTests
+{
+    private const string Cards = "Task 1\nTask 2";
+    private const string HookUrl = "https://hooks.example.com/poker";
+
+    // Local stand-in for the receiving server: records requests, answers with the queued status codes
+    private class FakeReceiver : HttpMessageHandler
+    {
+        public readonly List<(HttpRequestMessage Request, string Body)> Requests = [];
+        public readonly Queue<HttpStatusCode> Responses = new();
+
+        protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+        {
+            Requests.Add((request, await request.Content!.ReadAsStringAsync(cancellationToken)));
+            return new HttpResponseMessage(Responses.Count > 0 ? Responses.Dequeue() : HttpStatusCode.OK);
+        }
+    }
+
+    // Receiver that holds requests to one URL until released, to show other targets don't wait for it
+    private class SlowReceiver : HttpMessageHandler
+    {
+        private readonly string _slowUrl;
+        public readonly TaskCompletionSource Release = new();
+        public readonly TaskCompletionSource OtherReceived = new();
+
+        public SlowReceiver(string slowUrl) => _slowUrl = slowUrl;
+
+        protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+        {
+            if (request.RequestUri!.ToString() == _slowUrl)
+                await Release.Task.WaitAsync(cancellationToken);
+            else
+                OtherReceived.TrySetResult();
+            return new HttpResponseMessage(HttpStatusCode.OK);
+        }
+    }
+
+    // Real HTTP server on loopback, for the handler's own checks: records the paths asked for and
+    // answers each request with a redirect to a metadata-like path on the same host
+    private sealed class RedirectingServer : IDisposable
+    {
+        private readonly TcpListener _listener = new(IPAddress.Loopback, 0);
+        public readonly List<string> Paths = [];
+
+        public RedirectingServer()
+        {
+            _listener.Start();
+            _ = AcceptAsync();
+        }
+
+        public int Port => ((IPEndPoint)_listener.LocalEndpoint).Port;
+
+        private async Task AcceptAsync()
+        {
+            try
+            {
+                while (true)
+                {
+                    using var client = await _listener.AcceptTcpClientAsync();
+                    using var stream = client.GetStream();
+                    using var reader = new StreamReader(stream, Encoding.ASCII, leaveOpen: true);
+
+                    var requestLine = await reader.ReadLineAsync() ?? "";
+                    var contentLength = 0;
+                    string? header;
+                    while (!string.IsNullOrEmpty(header = await reader.ReadLineAsync()))
+                    {
+                        if (header.StartsWith("Content-Length:", StringComparison.OrdinalIgnoreCase))
+                            contentLength = int.Parse(header["Content-Length:".Length..].Trim());
+                    }
+                    await reader.ReadAsync(new char[contentLength]);
+                    lock (Paths) Paths.Add(requestLine.Split(' ')[1]);
+
+                    var response = $"HTTP/1.1 302 Found\r\nLocation: http://localhost:{Port}/latest/meta-data\r\nContent-Length: 0\r\nConnection: close\r\n\r\n";
+                    await stream.WriteAsync(Encoding.ASCII.GetBytes(response));
+                }
+            }
+            catch (Exception ex) when (ex is ObjectDisposedException or SocketException)
+            {
+                // Stopped
+            }
+        }
+
+        public void Dispose() => _listener.Stop();
+    }
+
+    private static readonly IPAddress PublicAddress = IPAddress.Parse("93.184.216.34");
+
+    private readonly FakeReceiver _receiver = new();
+    private readonly WebhookService _webhooks;
+    private readonly RoomService _svc;
+
+    public WebhookTests()
+    {
+        _webhooks = CreateWebhooks(_receiver);
+        _svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), _webhooks);
+    }
+
+    // Every host resolves to a public address unless a test says otherwise
+    private static WebhookService CreateWebhooks(HttpMessageHandler handler, string[]? serverUrls = null, string? serverSecret = null, string[]? allowedHosts = null) =>
+        new(new HttpClient(handler), serverUrls ?? [], serverSecret, allowedHosts ?? [], NullLogger<WebhookService>.Instance)
+        {
+            RetryDelays = [TimeSpan.Zero, TimeSpan.Zero],
+            ResolveHost = (_, _) => Task.FromResult(new[] { PublicAddress })
+        };
+
+    private Room CreateRoom(string? secret = "s3cret") =>
+        _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: HookUrl, webhookSecret: secret);
+
+    private List<string> DeliveredEvents() =>
+        _receiver.Requests.Select(r => r.Request.Headers.GetValues(WebhookService.EventHeader).Single()).ToList();
+
+    [Fact]
+    public async Task RoomEvents_ArePostedToTheRoomWebhook()
+    {
+        var room = CreateRoom();
+        _svc.Vote(room.Code, "owner-conn", "5");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.AcceptEstimate(room.Code, "owner-conn", "5");
+        _svc.NextQuestion(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        await _webhooks.DeliverPendingAsync();
+
+        Assert.Equal([WebhookEvents.RoomCreated, WebhookEvents.CardsRevealed, WebhookEvents.EstimateAccepted, WebhookEvents.GameFinished],
+            DeliveredEvents());
+        Assert.All(_receiver.Requests, r => Assert.Equal(HookUrl, r.Request.RequestUri!.ToString()));
+    }
+
+    [Fact]
+    public async Task RevisitAfterFinish_FinishingAgain_DoesNotRepublishGameFinished()
+    {
+        var room = CreateRoom();
+        _svc.NextQuestion(room.Code, "owner-conn");
+        _svc.NextQuestion(room.Code, "owner-conn");
+        _svc.RevisitCard(room.Code, "owner-conn", 0);
+        _svc.NextQuestion(room.Code, "owner-conn");
+
+        await _webhooks.DeliverPendingAsync();
+
+        Assert.Equal(RoomState.Finished, room.State);
+        Assert.Single(DeliveredEvents(), e => e == WebhookEvents.GameFinished);
+    }
+
+    [Fact]
+    public async Task Payload_CarriesCardAndResults()
+    {
+        var room = CreateRoom();
+        _svc.Vote(room.Code, "owner-conn", "8");
+        _svc.RevealCards(room.Code, "owner-conn");
+        _svc.AcceptEstimate(room.Code, "owner-conn", "8");
+
+        await _webhooks.DeliverPendingAsync();
+
+        using var json = JsonDocument.Parse(_receiver.Requests.Last().Body);
+        var root = json.RootElement;
+        Assert.Equal(WebhookEvents.EstimateAccepted, root.GetProperty("event").GetString());
+        Assert.Equal(room.Code, root.GetProperty("roomCode").GetString());
+        Assert.Equal(1, root.GetProperty("card").GetProperty("index").GetInt32());
+        Assert.Equal(1, root.GetProperty("results")[0].GetProperty("index").GetInt32());
+        Assert.Equal("8", root.GetProperty("card").GetProperty("estimate").GetString());
+        Assert.Equal("8", root.GetProperty("card").GetProperty("votes").GetProperty("Owner").GetString());
+        var first = root.GetProperty("results")[0];
+        Assert.Equal("Task 1", first.GetProperty("subject").GetString());
+        Assert.Equal("8", first.GetProperty("estimate").GetString());
+    }
+
+    [Fact]
+    public async Task Delivery_IsSignedWithTheRoomSecret()
+    {
+        CreateRoom(secret: "s3cret");
+
+        await _webhooks.DeliverPendingAsync();
+
+        var (request, body) = Assert.Single(_receiver.Requests);
+        Assert.Equal(WebhookService.Sign(body, "s3cret"), request.Headers.GetValues(WebhookService.SignatureHeader).Single());
+        Assert.StartsWith("sha256=", WebhookService.Sign(body, "s3cret"));
+    }
+
+    [Fact]
+    public async Task Delivery_WithoutSecret_IsUnsigned()
+    {
+        CreateRoom(secret: null);
+
+        await _webhooks.DeliverPendingAsync();
+
+        Assert.False(_receiver.Requests[0].Request.Headers.Contains(WebhookService.SignatureHeader));
+    }
+
+    [Fact]
+    public async Task Delivery_RetriesAfterServerError()
+    {
+        var room = CreateRoom();
+        _receiver.Responses.Enqueue(HttpStatusCode.InternalServerError);
+
+        await _webhooks.DeliverPendingAsync();
+
+        var delivery = _svc.GetWebhookLog(room.Code, "owner-conn").Single();
+        Assert.Equal(WebhookStatus.Delivered, delivery.Status);
+        Assert.Equal(2, delivery.Attempts);
+        Assert.Equal(200, delivery.StatusCode);
+    }
+
+    [Fact]
+    public async Task Delivery_GivesUpAfterMaxAttempts()
+    {
+        var room = CreateRoom();
+        for (int i = 0; i < WebhookService.MaxAttempts; i++)
+            _receiver.Responses.Enqueue(HttpStatusCode.BadGateway);
+
+        await _webhooks.DeliverPendingAsync();
+
+        var delivery = _svc.GetWebhookLog(room.Code, "owner-conn").Single();
+        Assert.Equal(WebhookStatus.Failed, delivery.Status);
+        Assert.Equal(WebhookService.MaxAttempts, delivery.Attempts);
+        Assert.Contains("502", delivery.Error);
+    }
+
+    [Fact]
+    public async Task ServerWideWebhook_ReceivesEveryRoom()
+    {
+        var webhooks = CreateWebhooks(_receiver, ["https://ci.example.com/hook"], "server");
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), webhooks);
+        svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        await webhooks.DeliverPendingAsync();
+
+        var (request, body) = Assert.Single(_receiver.Requests);
+        Assert.Equal("https://ci.example.com/hook", request.RequestUri!.ToString());
+        Assert.Equal(WebhookService.Sign(body, "server"), request.Headers.GetValues(WebhookService.SignatureHeader).Single());
+    }
+
+    [Fact]
+    public async Task ServerWideDeliveries_StayOutOfTheRoomLog()
+    {
+        var webhooks = CreateWebhooks(_receiver, ["https://ci.example.com/hook"], "server");
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), webhooks);
+        var room = svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: HookUrl);
+
+        await webhooks.DeliverPendingAsync();
+
+        Assert.Equal(2, _receiver.Requests.Count);
+        var delivery = Assert.Single(svc.GetWebhookLog(room.Code, "owner-conn"));
+        Assert.Equal(HookUrl, delivery.Url);
+    }
+
+    [Fact]
+    public async Task SlowTarget_DoesNotHoldUpOthers()
+    {
+        var receiver = new SlowReceiver(HookUrl);
+        var webhooks = CreateWebhooks(receiver, ["https://ci.example.com/hook"]);
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), webhooks);
+        await webhooks.StartAsync(CancellationToken.None);
+        try
+        {
+            // The room's own webhook is queued first and hangs
+            var room = svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: HookUrl);
+
+            await receiver.OtherReceived.Task.WaitAsync(TimeSpan.FromSeconds(5));
+            Assert.Equal(WebhookStatus.Pending, svc.GetWebhookLog(room.Code, "owner-conn").Single().Status);
+        }
+        finally
+        {
+            receiver.Release.TrySetResult();
+            await webhooks.StopAsync(CancellationToken.None);
+        }
+    }
+
+    [Theory]
+    [InlineData("http://localhost:5000/dev/webhooks")]
+    [InlineData("http://127.0.0.1/hook")]
+    [InlineData("http://10.0.0.5/hook")]
+    [InlineData("http://192.168.1.20:8123/api/webhook/poker")]
+    [InlineData("http://169.254.169.254/latest/meta-data")]
+    [InlineData("http://[::1]/hook")]
+    public void CreateRoom_LocalWebhookUrl_Throws(string url)
+    {
+        var ex = Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: url));
+        Assert.Equal(ErrorCodes.WebhookUrlNotAllowed, ex.GetErrorCode());
+    }
+
+    [Fact]
+    public async Task AllowedHost_MayBeLocal()
+    {
+        var webhooks = CreateWebhooks(_receiver, allowedHosts: ["localhost"]);
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), webhooks);
+        svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: "http://localhost:5000/dev/webhooks");
+
+        await webhooks.DeliverPendingAsync();
+
+        Assert.Equal("http://localhost:5000/dev/webhooks", Assert.Single(_receiver.Requests).Request.RequestUri!.ToString());
+    }
+
+    [Fact]
+    public async Task Delivery_HostResolvingToPrivateAddress_IsBlocked()
+    {
+        _webhooks.ResolveHost = (_, _) => Task.FromResult(new[] { IPAddress.Parse("169.254.169.254") });
+        var room = CreateRoom();
+
+        await _webhooks.DeliverPendingAsync();
+
+        Assert.Empty(_receiver.Requests);
+        var delivery = _svc.GetWebhookLog(room.Code, "owner-conn").Single();
+        Assert.Equal(WebhookStatus.Failed, delivery.Status);
+        Assert.Contains("private", delivery.Error);
+    }
+
+    [Fact]
+    public async Task Delivery_DoesNotFollowRedirects()
+    {
+        using var server = new RedirectingServer();
+        var webhooks = CreateWebhooks(WebhookService.CreateHandler(["localhost"]), allowedHosts: ["localhost"]);
+        var svc = new RoomService(NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), webhooks);
+        var room = svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: $"http://localhost:{server.Port}/hook");
+
+        await webhooks.DeliverPendingAsync();
+
+        Assert.NotEmpty(server.Paths);
+        Assert.All(server.Paths, path => Assert.Equal("/hook", path));
+        var delivery = svc.GetWebhookLog(room.Code, "owner-conn").Single();
+        Assert.Equal(WebhookStatus.Failed, delivery.Status);
+        Assert.Equal(302, delivery.StatusCode);
+    }
+
+    [Fact]
+    public async Task Delivery_ChecksTheAddressItConnectsTo()
+    {
+        // The lookup before sending says public, as a rebinding DNS would; the connect resolves to loopback
+        using var server = new RedirectingServer();
+        var webhooks = CreateWebhooks(WebhookService.CreateHandler([]));
+        var room = new Room { Code = "REBIND", WebhookUrl = $"http://localhost:{server.Port}/hook" };
+        webhooks.Publish(room, WebhookEvents.RoomCreated, new { });
+
+        await webhooks.DeliverPendingAsync();
+
+        Assert.Empty(server.Paths);
+        var delivery = webhooks.GetLog(room.Code).Single();
+        Assert.Equal(WebhookStatus.Failed, delivery.Status);
+        Assert.Contains("private", delivery.Error);
+    }
+
+    [Fact]
+    public void NoWebhooks_NothingQueued()
+    {
+        var room = _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn");
+
+        Assert.False(_svc.HasWebhooks(room));
+        Assert.Empty(_svc.GetWebhookLog(room.Code, "owner-conn"));
+    }
+
+    [Fact]
+    public void CreateRoom_InvalidWebhookUrl_Throws()
+    {
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: "ftp://example.com/hook"));
+        Assert.Throws<ArgumentException>(() =>
+            _svc.CreateRoom("Owner", ScaleType.Fibonacci, Cards, "owner-conn", webhookUrl: "not a url"));
+    }
+
+    [Fact]
+    public void GetWebhookLog_NonOwner_Throws()
+    {
+        var room = CreateRoom();
+        _svc.JoinRoom(room.Code, "Alice", "alice-conn");
+
+        Assert.Throws<InvalidOperationException>(() => _svc.GetWebhookLog(room.Code, "alice-conn"));
+    }
+}
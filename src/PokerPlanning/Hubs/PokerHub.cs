@@ -15,37 +15,53 @@ public class PokerHub : Hub
         _logger = logger;
     }
 
-    public async Task CreateRoom(string? ownerName, int scaleType, string cardsText, int? sessionMinutes = null, bool coffeeBreak = false, bool shuffle = false)
+    public async Task CreateRoom(string? ownerName, int scaleType, string cardsText, int? sessionMinutes = null, bool coffeeBreak = false, bool shuffle = false, string[]? customScale = null, CardInput[]? importedCards = null, int consensusRule = 0, int? consensusThreshold = null, bool autoAccept = false, bool autoRevealWhenAllVoted = false, bool autoRevealOnTimer = false, string? passcode = null, bool everyoneEditsNotes = false, string? webhookUrl = null, string? webhookSecret = null, bool anonymousVoting = false, EstimationDimension[]? dimensions = null, bool asyncMode = false, int? asyncMinVotes = null)
     {
         try
         {
             var scale = (ScaleType)scaleType;
-            var room = _roomService.CreateRoom(ownerName, scale, cardsText, Context.ConnectionId, sessionMinutes, coffeeBreak, shuffle);
+            var room = _roomService.CreateRoom(ownerName, scale, cardsText, Context.ConnectionId, sessionMinutes, coffeeBreak, shuffle, customScale, importedCards,
+                (ConsensusRule)consensusRule, consensusThreshold, autoAccept, autoRevealWhenAllVoted, autoRevealOnTimer, passcode, everyoneEditsNotes, webhookUrl, webhookSecret, anonymousVoting, dimensions, asyncMode, asyncMinVotes);
 
             await Groups.AddToGroupAsync(Context.ConnectionId, room.Code);
             var creatorPlayer = room.Players[Context.ConnectionId];
 
             _logger.LogInformation("Room {RoomCode} created by \"{OwnerName}\" ({ScaleName}, {CardCount} cards, shuffle={Shuffle})",
-                room.Code, creatorPlayer.Name, ScaleDefinitions.GetDisplayName(room.Scale), room.Cards.Count, shuffle);
+                room.Code, creatorPlayer.Name, room.ScaleName, room.Cards.Count, shuffle);
 
             await Clients.Caller.SendAsync("RoomCreated", new
             {
                 roomCode = room.Code,
                 playerId = creatorPlayer.PlayerId,
                 myName = creatorPlayer.Name,
-                scale = ScaleDefinitions.GetScale(room.Scale),
-                scaleName = ScaleDefinitions.GetDisplayName(room.Scale),
-                currentCard = new { room.CurrentCard!.Subject, room.CurrentCard.Description },
+                scale = room.ScaleValues,
+                scaleName = room.ScaleName,
+                currentCard = CardView(room.CurrentCard!),
                 currentCardIndex = room.CurrentCardIndex,
                 totalCards = room.Cards.Count,
+                backlog = BacklogView(room),
                 isOwner = true,
                 isSpectator = creatorPlayer.IsSpectator,
                 secondsPerCard = room.SecondsPerCard,
+                timer = TimerView(room),
                 coffeeBreakEnabled = room.CoffeeBreakEnabled,
+                consensusRuleName = ConsensusRules.GetDisplayName(room.ConsensusRule, room.ConsensusThreshold),
+                consensusRule = room.ConsensusRule.ToString(),
+                consensusThreshold = room.ConsensusThreshold,
+                autoAccept = room.AutoAccept,
+                isLocked = room.IsLocked,
+                hasPasscode = room.PasscodeHash != null,
+                everyoneEditsNotes = room.EveryoneEditsNotes,
+                anonymousVoting = room.AnonymousVoting,
+                dimensions = DimensionsView(room),
+                asyncMode = room.AsyncMode,
+                asyncBoard = AsyncBoardView(room, creatorPlayer),
+                hasWebhooks = _roomService.HasWebhooks(room),
                 players = _roomService.GetActivePlayers(room).Select(p => new
                 {
                     name = p.Name,
                     isOwner = p.IsOwner,
+                    isFacilitator = p.IsFacilitator,
                     isSpectator = p.IsSpectator,
                     hasVoted = false
                 })
@@ -54,11 +70,27 @@ public class PokerHub : Hub
         catch (Exception ex)
         {
             _logger.LogError(ex, "CreateRoom failed for {ConnectionId}", Context.ConnectionId);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
         }
     }
 
-    public async Task JoinRoom(string roomCode, string playerName)
+    /// <summary>
+    /// What the join screen needs to know before joining. Null when the room doesn't exist.
+    /// </summary>
+    public object? GetRoomInfo(string roomCode)
+    {
+        var room = _roomService.GetRoom(roomCode);
+        if (room == null) return null;
+
+        return new
+        {
+            roomCode = room.Code,
+            hasPasscode = room.PasscodeHash != null,
+            isLocked = room.IsLocked
+        };
+    }
+
+    public async Task JoinRoom(string roomCode, string playerName, string? passcode = null, string? playerId = null, bool asSpectator = false)
     {
         try
         {
@@ -66,11 +98,11 @@ public class PokerHub : Hub
             if (room == null)
             {
                 _logger.LogWarning("JoinRoom: room {RoomCode} not found for {ConnectionId}", roomCode, Context.ConnectionId);
-                await Clients.Caller.SendAsync("Error", "Room not found.");
+                await Clients.Caller.SendAsync("Error", "Room not found.", ErrorCodes.RoomNotFound, null);
                 return;
             }
 
-            var player = _roomService.JoinRoom(roomCode, playerName, Context.ConnectionId);
+            var player = _roomService.JoinRoom(roomCode, playerName, Context.ConnectionId, passcode, playerId, asSpectator);
             await Groups.AddToGroupAsync(Context.ConnectionId, room.Code);
 
             var activeCount = _roomService.GetActivePlayers(room).Count();
@@ -82,17 +114,20 @@ public class PokerHub : Hub
             {
                 name = player.Name,
                 isOwner = player.IsOwner,
+                isFacilitator = player.IsFacilitator,
                 isSpectator = player.IsSpectator,
                 hasVoted = false,
                 playerCount = activeCount
             });
 
             await SendFullState(room, player);
+            if (room.AsyncMode)
+                await BroadcastAsyncBoard(room);
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "JoinRoom failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
         }
     }
 
@@ -120,6 +155,7 @@ public class PokerHub : Hub
             {
                 name = player.Name,
                 isOwner = player.IsOwner,
+                isFacilitator = player.IsFacilitator,
                 isSpectator = player.IsSpectator,
                 hasVoted = room.CurrentCard?.Votes.ContainsKey(Context.ConnectionId) ?? false,
                 playerCount = _roomService.GetActivePlayers(room).Count()
@@ -134,6 +170,86 @@ public class PokerHub : Hub
         }
     }
 
+    /// <summary>
+    /// CardsRevealed payload. Also sent by AutoRevealService.
+    /// </summary>
+    public static object RevealedView(RoomService roomService, Room room)
+    {
+        var card = room.CurrentCard;
+        var cardVotes = card?.Votes.Values ?? Enumerable.Empty<string>();
+        return new
+        {
+            votes = roomService.GetNamedVotes(room),
+            consensus = roomService.CalculateConsensus(room, cardVotes),
+            estimate = card?.AcceptedEstimate,   // Set when the room auto-accepts consensus
+            average = roomService.CalculateAverage(cardVotes),
+            coffeeVotes = roomService.CountCoffeeVotes(cardVotes),
+            stats = roomService.CalculateVoteStats(cardVotes, room.ScaleValues),
+            dimensionResults = DimensionResultsView(roomService, room)
+        };
+    }
+
+    /// <summary>
+    /// NewRound payload. Also sent by AutoRevealService when it advances an auto-accepted card.
+    /// </summary>
+    public static object NewRoundView(Room room, Card card) => new
+    {
+        cardIndex = room.CurrentCardIndex,
+        card = CardView(card),
+        totalCards = room.Cards.Count,
+        secondsPerCard = room.SecondsPerCard,
+        timer = TimerView(room)
+    };
+
+    private static object DimensionsView(Room room) =>
+        room.Dimensions.Select(d => new { name = d.Name, scale = d.ScaleValues, weight = d.Weight }).ToList();
+
+    /// <summary>
+    /// Revealed dimensions of the current card (votes, stats and value of each) and the combined score.
+    /// Null in rooms without dimensions.
+    /// </summary>
+    private static object? DimensionResultsView(RoomService roomService, Room room)
+    {
+        if (room.Dimensions.Count == 0 || room.CurrentCard is not { } card) return null;
+
+        var results = roomService.GetDimensionResults(room, card);
+        return new { results, combinedScore = RoomService.CalculateCombinedScore(room, results) };
+    }
+
+    /// <summary>
+    /// Current card's timer. The server clock is authoritative: clients correct the deadline
+    /// by the difference between serverNow and their own clock.
+    /// </summary>
+    private static object? TimerView(Room room)
+    {
+        if (!room.SecondsPerCard.HasValue) return null;
+        var now = DateTime.UtcNow;
+        return new
+        {
+            allottedSeconds = room.SecondsPerCard.Value + room.CardTimerExtraSeconds,
+            deadline = room.CardTimerDeadline?.ToString("o"),
+            pausedRemaining = room.CardTimerPausedRemaining,
+            serverNow = now.ToString("o")
+        };
+    }
+
+    private static object CardView(Card card) => new
+    {
+        card.Subject,
+        card.Description,
+        card.Link,
+        card.Labels,
+        card.PreviousEstimate,
+        card.Notes
+    };
+
+    /// <summary>
+    /// Error to the caller: the English message plus its code and parameters (see ErrorCodes),
+    /// so the client can show it in the player's language.
+    /// </summary>
+    private Task SendError(Exception ex) =>
+        Clients.Caller.SendAsync("Error", ex.Message, ex.GetErrorCode(), ex.GetErrorArgs());
+
     private async Task SendFullState(Room room, Player player)
     {
         var currentCard = room.CurrentCard;
@@ -143,41 +259,70 @@ public class PokerHub : Hub
 
         // Check if this player has voted on the current card
         var myVote = currentCard?.Votes.TryGetValue(player.ConnectionId, out var v) == true ? v : null;
+        var myDimensionVotes = currentCard?.DimensionVotes.GetValueOrDefault(player.ConnectionId);
 
-        await Clients.Caller.SendAsync("RoomState", new
+        await Clients.Client(player.ConnectionId).SendAsync("RoomState", new
         {
             roomCode = room.Code,
             playerId = player.PlayerId,
             myName = player.Name,
-            scale = ScaleDefinitions.GetScale(room.Scale),
-            scaleName = ScaleDefinitions.GetDisplayName(room.Scale),
-            currentCard = currentCard != null ? new { currentCard.Subject, currentCard.Description } : null,
+            scale = room.ScaleValues,
+            scaleName = room.ScaleName,
+            currentCard = currentCard != null ? CardView(currentCard) : null,
             currentCardIndex = room.CurrentCardIndex,
             totalCards = room.Cards.Count,
+            backlog = BacklogView(room),
+            resumeCardIndex = room.ResumeCardIndex,
             state = room.State.ToString(),
             isOwner = player.IsOwner,
+            isFacilitator = player.IsFacilitator,
             isSpectator = player.IsSpectator,
             myVote,
+            myDimensionVotes,
+            estimate = currentCard?.AcceptedEstimate,
             secondsPerCard = room.SecondsPerCard,
-            cardTimerStartedAt = room.CardTimerStartedAt?.ToString("o"),
+            timer = TimerView(room),
             coffeeBreakEnabled = room.CoffeeBreakEnabled,
+            consensusRuleName = ConsensusRules.GetDisplayName(room.ConsensusRule, room.ConsensusThreshold),
+            consensusRule = room.ConsensusRule.ToString(),
+            consensusThreshold = room.ConsensusThreshold,
+            autoAccept = room.AutoAccept,
+            isLocked = room.IsLocked,
+            hasPasscode = room.PasscodeHash != null,
+            everyoneEditsNotes = room.EveryoneEditsNotes,
+            anonymousVoting = room.AnonymousVoting,
+            dimensions = DimensionsView(room),
+            asyncMode = room.AsyncMode,
+            asyncBoard = AsyncBoardView(room, player),
+            hasWebhooks = _roomService.HasWebhooks(room),
+            successors = _roomService.GetSuccessorNames(room),
+            displays = player.IsOwner ? DisplaysView(_roomService.GetDisplays(room.Code, player.ConnectionId)) : null,
+            autoRevealSeconds = room.AutoRevealAt.HasValue   // Countdown already running when (re)joining
+                ? Math.Max(0, (int)Math.Ceiling((room.AutoRevealAt.Value - DateTime.UtcNow).TotalSeconds))
+                : (int?)null,
+            autoRevealReason = room.AutoRevealReason,
             players = _roomService.GetActivePlayers(room).Select(p => new
             {
                 name = p.Name,
                 isOwner = p.IsOwner,
+                isFacilitator = p.IsFacilitator,
                 isSpectator = p.IsSpectator,
                 hasVoted = currentCard != null && currentCard.Votes.ContainsKey(p.ConnectionId)
             }),
             votes = room.State == RoomState.Revealed ? namedVotes : null,
             consensus = room.State == RoomState.Revealed
-                ? _roomService.CalculateConsensus(currentCard?.Votes.Values ?? Enumerable.Empty<string>())
+                ? _roomService.CalculateConsensus(room, currentCard?.Votes.Values ?? Enumerable.Empty<string>())
                 : null,
             average = room.State == RoomState.Revealed
                 ? _roomService.CalculateAverage(currentCard?.Votes.Values ?? Enumerable.Empty<string>())
                 : null,
             coffeeVotes = room.State == RoomState.Revealed
                 ? _roomService.CountCoffeeVotes(currentCard?.Votes.Values ?? Enumerable.Empty<string>())
-                : 0
+                : 0,
+            stats = room.State == RoomState.Revealed
+                ? _roomService.CalculateVoteStats(currentCard?.Votes.Values ?? Enumerable.Empty<string>(), room.ScaleValues)
+                : null,
+            dimensionResults = room.State == RoomState.Revealed ? DimensionResultsView(_roomService, room) : null
         });
     }
 
@@ -204,11 +349,13 @@ public class PokerHub : Hub
                 var updatedVotes = room.CurrentCard?.Votes.Values ?? Enumerable.Empty<string>();
                 await Clients.Group(room.Code).SendAsync("VoteUpdated", new
                 {
-                    playerName = player.Name,
-                    value,
-                    consensus = _roomService.CalculateConsensus(updatedVotes),
+                    playerName = room.AnonymousVoting ? null : player.Name,
+                    value = room.AnonymousVoting ? null : value,
+                    votes = room.AnonymousVoting ? _roomService.GetNamedVotes(room) : null,
+                    consensus = _roomService.CalculateConsensus(room, updatedVotes),
                     average = _roomService.CalculateAverage(updatedVotes),
-                    coffeeVotes = _roomService.CountCoffeeVotes(updatedVotes)
+                    coffeeVotes = _roomService.CountCoffeeVotes(updatedVotes),
+                    stats = _roomService.CalculateVoteStats(updatedVotes, room.ScaleValues)
                 });
             }
         }
@@ -216,7 +363,76 @@ public class PokerHub : Hub
         {
             _logger.LogError(ex, "Vote failed for {ConnectionId} in room {RoomCode}, value={Value}",
                 Context.ConnectionId, roomCode, value);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
+        }
+    }
+
+    public async Task VoteDimension(string roomCode, string dimension, string value)
+    {
+        try
+        {
+            _roomService.VoteDimension(roomCode, Context.ConnectionId, dimension, value);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            // Before the reveal dimension votes stay private, like the estimate
+            if (room.State == RoomState.Revealed)
+                await Clients.Group(room.Code).SendAsync("DimensionsUpdated", DimensionResultsView(_roomService, room));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "VoteDimension failed for {ConnectionId} in room {RoomCode}, {Dimension}={Value}",
+                Context.ConnectionId, roomCode, dimension, value);
+            await SendError(ex);
+        }
+    }
+
+    public async Task SetSpectator(string roomCode, bool isSpectator)
+    {
+        try
+        {
+            var voteRemoved = _roomService.SetSpectator(roomCode, Context.ConnectionId, isSpectator);
+            var room = _roomService.GetRoom(roomCode)!;
+            var player = room.Players[Context.ConnectionId];
+
+            _logger.LogInformation("Player \"{PlayerName}\" is now {Role} in {RoomCode}",
+                player.Name, isSpectator ? "observing" : "voting", room.Code);
+
+            await Clients.Group(room.Code).SendAsync("SpectatorChanged", new
+            {
+                playerName = player.Name,
+                isSpectator = player.IsSpectator,
+                // Revealed round without their vote: everyone needs fresh numbers
+                revealed = voteRemoved && room.State == RoomState.Revealed ? RevealedView(_roomService, room) : null
+            });
+            if (room.AsyncMode)
+                await BroadcastAsyncBoard(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "SetSpectator failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task UpdateNotes(string roomCode, string? notes)
+    {
+        try
+        {
+            var card = _roomService.UpdateNotes(roomCode, Context.ConnectionId, notes);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            // Not echoed to the author, so their caret doesn't jump while typing
+            await Clients.OthersInGroup(room.Code).SendAsync("NotesUpdated", new
+            {
+                cardIndex = room.CurrentCardIndex,
+                notes = card.Notes,
+                by = room.Players[Context.ConnectionId].Name
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "UpdateNotes failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
         }
     }
 
@@ -229,22 +445,16 @@ public class PokerHub : Hub
             var card = room.CurrentCard;
 
             var cardVotes = card?.Votes.Values ?? Enumerable.Empty<string>();
-            var consensus = _roomService.CalculateConsensus(cardVotes);
+            var consensus = _roomService.CalculateConsensus(room, cardVotes);
             _logger.LogInformation("Cards revealed in {RoomCode} card #{CardIndex}, consensus={Consensus}, votes={VoteCount}",
                 room.Code, room.CurrentCardIndex + 1, consensus ?? "none", namedVotes.Count);
 
-            await Clients.Group(room.Code).SendAsync("CardsRevealed", new
-            {
-                votes = namedVotes,
-                consensus,
-                average = _roomService.CalculateAverage(cardVotes),
-                coffeeVotes = _roomService.CountCoffeeVotes(cardVotes)
-            });
+            await Clients.Group(room.Code).SendAsync("CardsRevealed", RevealedView(_roomService, room));
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "RevealCards failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
         }
     }
 
@@ -264,7 +474,7 @@ public class PokerHub : Hub
         catch (Exception ex)
         {
             _logger.LogError(ex, "AcceptEstimate failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
         }
     }
 
@@ -277,18 +487,12 @@ public class PokerHub : Hub
 
             _logger.LogInformation("Revote triggered in {RoomCode} card #{CardIndex}", room.Code, room.CurrentCardIndex + 1);
 
-            await Clients.Group(room.Code).SendAsync("NewRound", new
-            {
-                cardIndex = room.CurrentCardIndex,
-                card = new { room.CurrentCard!.Subject, room.CurrentCard.Description },
-                totalCards = room.Cards.Count,
-                secondsPerCard = room.SecondsPerCard
-            });
+            await Clients.Group(room.Code).SendAsync("NewRound", NewRoundView(room, room.CurrentCard!));
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Revote failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
         }
     }
 
@@ -313,22 +517,548 @@ public class PokerHub : Hub
             {
                 _logger.LogInformation("Next question in {RoomCode}: card #{CardIndex}/{TotalCards}",
                     room.Code, room.CurrentCardIndex + 1, room.Cards.Count);
-                await Clients.Group(room.Code).SendAsync("NewRound", new
+                await Clients.Group(room.Code).SendAsync("NewRound", NewRoundView(room, nextCard));
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "NextQuestion failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task RevisitCard(string roomCode, int index)
+    {
+        try
+        {
+            var card = _roomService.RevisitCard(roomCode, Context.ConnectionId, index);
+            var room = _roomService.GetRoom(roomCode)!;
+            var cardVotes = card.Votes.Values;
+
+            _logger.LogInformation("Revisiting card #{CardIndex} in {RoomCode} (estimate={Estimate})",
+                index + 1, room.Code, card.AcceptedEstimate ?? "none");
+
+            await Clients.Group(room.Code).SendAsync("CardRevisited", new
+            {
+                cardIndex = room.CurrentCardIndex,
+                card = CardView(card),
+                totalCards = room.Cards.Count,
+                estimate = card.AcceptedEstimate,
+                votes = _roomService.GetNamedVotes(room),
+                voters = _roomService.GetVoterNames(room),   // Seats of anonymous rooms show only who voted
+                consensus = _roomService.CalculateConsensus(room, cardVotes),
+                average = _roomService.CalculateAverage(cardVotes),
+                coffeeVotes = _roomService.CountCoffeeVotes(cardVotes),
+                stats = _roomService.CalculateVoteStats(cardVotes, room.ScaleValues),
+                dimensionResults = DimensionResultsView(_roomService, room)
+            });
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "RevisitCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    // ===== Async estimation =====
+
+    public async Task VoteOnCard(string roomCode, int index, string? value)
+    {
+        try
+        {
+            _roomService.VoteOnCard(roomCode, Context.ConnectionId, index, value);
+            await BroadcastAsyncBoard(_roomService.GetRoom(roomCode)!);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "VoteOnCard failed for {ConnectionId} in room {RoomCode}, card #{CardIndex}={Value}",
+                Context.ConnectionId, roomCode, index + 1, value);
+            await SendError(ex);
+        }
+    }
+
+    public async Task RevealAsyncCards(string roomCode, int[] indices)
+    {
+        try
+        {
+            var revealed = _roomService.RevealAsyncCards(roomCode, Context.ConnectionId, indices);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("{CardCount} cards revealed from the async dashboard in {RoomCode}", revealed.Count, room.Code);
+            await BroadcastAsyncBoard(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "RevealAsyncCards failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task AcceptAsyncConsensus(string roomCode, int[] indices)
+    {
+        try
+        {
+            var accepted = _roomService.AcceptAsyncConsensus(roomCode, Context.ConnectionId, indices);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Consensus accepted on {CardCount} cards in {RoomCode}", accepted.Count, room.Code);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "AcceptAsyncConsensus failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task AcceptAsyncEstimate(string roomCode, int index, string value)
+    {
+        try
+        {
+            _roomService.AcceptAsyncEstimate(roomCode, Context.ConnectionId, index, value);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Estimate accepted in {RoomCode} card #{CardIndex}: {Value}", room.Code, index + 1, value);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "AcceptAsyncEstimate failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task StartLiveSession(string roomCode)
+    {
+        try
+        {
+            var card = _roomService.StartLiveSession(roomCode, Context.ConnectionId);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            if (card == null)
+            {
+                _logger.LogInformation("Game finished in {RoomCode}: every card estimated asynchronously", room.Code);
+                await Clients.Group(room.Code).SendAsync("GameFinished", new
                 {
-                    cardIndex = room.CurrentCardIndex,
-                    card = new { nextCard.Subject, nextCard.Description },
-                    totalCards = room.Cards.Count,
-                    secondsPerCard = room.SecondsPerCard
+                    results = _roomService.GetResults(room.Code)
                 });
+                return;
             }
+
+            _logger.LogInformation("Live session started in {RoomCode} at card #{CardIndex}/{TotalCards}",
+                room.Code, room.CurrentCardIndex + 1, room.Cards.Count);
+
+            // The whole room turns into a live one: everybody gets the full state again
+            foreach (var player in _roomService.GetActivePlayers(room).ToList())
+                await SendFullState(room, player);
+            await Clients.Group(PresenterGroup(room.Code)).SendAsync("PresenterState", PresenterView(room));
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "NextQuestion failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            _logger.LogError(ex, "StartLiveSession failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    /// <summary>
+    /// The async dashboard as one player sees it (facilitators see more, see RoomService.GetAsyncBoard),
+    /// with their own votes so they pick up where they left off. Null outside async mode.
+    /// </summary>
+    private object? AsyncBoardView(Room room, Player player)
+    {
+        if (!room.AsyncMode) return null;
+
+        return new
+        {
+            minVotes = room.AsyncMinVotes,
+            voterCount = room.Players.Values.Count(p => !p.IsSpectator),   // Seats, online or not
+            cards = _roomService.GetAsyncBoard(room, room.CanFacilitate(player.ConnectionId)),
+            myVotes = room.Cards.Select(c => c.Votes.GetValueOrDefault(player.ConnectionId)).ToList()
+        };
+    }
+
+    private async Task BroadcastAsyncBoard(Room room)
+    {
+        foreach (var player in _roomService.GetActivePlayers(room).ToList())
+            await Clients.Client(player.ConnectionId).SendAsync("AsyncBoardUpdated", AsyncBoardView(room, player));
+    }
+
+    // ===== Presenter display =====
+
+    /// <summary>
+    /// Displays of a room. They are in the room group too, so they get every live broadcast;
+    /// this group is for what only they need (a fresh snapshot when an async room goes live).
+    /// </summary>
+    private static string PresenterGroup(string roomCode) => $"{roomCode}:present";
+
+    /// <summary>
+    /// Attach a read-only display (the TV in the meeting room): no seat, no votes, not in the player list.
+    /// The browser sends the display token it got last time, and its seat in the room if it has one, so bans apply to it.
+    /// </summary>
+    public async Task PresentRoom(string roomCode, string? passcode = null, string? displayToken = null, string? playerId = null, string? playerName = null)
+    {
+        try
+        {
+            var (room, token) = _roomService.PresentRoom(roomCode, Context.ConnectionId, displayToken, passcode, playerId, playerName);
+            await Groups.AddToGroupAsync(Context.ConnectionId, room.Code);
+            await Groups.AddToGroupAsync(Context.ConnectionId, PresenterGroup(room.Code));
+
+            _logger.LogInformation("Presenter display {ConnectionId} attached to room {RoomCode}", Context.ConnectionId, room.Code);
+
+            await Clients.Caller.SendAsync("DisplayAdmitted", new { roomCode = room.Code, token });
+            await Clients.Caller.SendAsync("PresenterState", PresenterView(room));
+            await SendDisplays(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "PresentRoom failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    private object PresenterView(Room room)
+    {
+        var currentCard = room.CurrentCard;
+        return new
+        {
+            roomCode = room.Code,
+            hasPasscode = room.PasscodeHash != null,
+            state = room.State.ToString(),
+            asyncMode = room.AsyncMode,
+            anonymousVoting = room.AnonymousVoting,
+            currentCard = currentCard != null ? CardView(currentCard) : null,
+            currentCardIndex = room.CurrentCardIndex,
+            totalCards = room.Cards.Count,
+            timer = TimerView(room),
+            players = _roomService.GetActivePlayers(room).Select(p => new
+            {
+                name = p.Name,
+                isSpectator = p.IsSpectator,
+                hasVoted = currentCard != null && currentCard.Votes.ContainsKey(p.ConnectionId)
+            }),
+            revealed = room.State == RoomState.Revealed ? RevealedView(_roomService, room) : null
+        };
+    }
+
+    // Displays are addressed by connection id: a display's token only ever goes to that display
+    private static object DisplaysView(IEnumerable<PresenterDisplay> displays) =>
+        displays.Select(d => new { id = d.ConnectionId, connectedAt = d.ConnectedAt });
+
+    // Only the owner sees which displays are attached
+    private async Task SendDisplays(Room room)
+    {
+        if (room.OwnerConnectionId != null)
+            await Clients.Client(room.OwnerConnectionId).SendAsync("DisplaysUpdated", new { displays = DisplaysView(_roomService.GetDisplays(room.Code, room.OwnerConnectionId)) });
+    }
+
+    public async Task GetDisplays(string roomCode)
+    {
+        try
+        {
+            var displays = _roomService.GetDisplays(roomCode, Context.ConnectionId);
+            await Clients.Caller.SendAsync("DisplaysUpdated", new { displays = DisplaysView(displays) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "GetDisplays failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task RemoveDisplay(string roomCode, string displayConnectionId)
+    {
+        try
+        {
+            var connections = _roomService.RemoveDisplay(roomCode, Context.ConnectionId, displayConnectionId);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            foreach (var connectionId in connections)
+            {
+                await Clients.Client(connectionId).SendAsync("PresentRemoved");
+                await Groups.RemoveFromGroupAsync(connectionId, room.Code);
+                await Groups.RemoveFromGroupAsync(connectionId, PresenterGroup(room.Code));
+            }
+
+            _logger.LogInformation("Owner removed {DisplayCount} presenter display connection(s) from room {RoomCode}", connections.Count, room.Code);
+
+            await SendDisplays(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "RemoveDisplay failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    // ===== Access control (owner only) =====
+
+    public async Task SetRoomLocked(string roomCode, bool locked)
+    {
+        try
+        {
+            _roomService.SetRoomLocked(roomCode, Context.ConnectionId, locked);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Room {RoomCode} {LockState}", room.Code, locked ? "locked" : "unlocked");
+
+            await Clients.Group(room.Code).SendAsync("RoomLockChanged", new { isLocked = room.IsLocked });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "SetRoomLocked failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task KickPlayer(string roomCode, string playerName, bool ban)
+    {
+        try
+        {
+            var player = _roomService.KickPlayer(roomCode, Context.ConnectionId, playerName, ban);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Player \"{PlayerName}\" {Action} from {RoomCode}", player.Name, ban ? "banned" : "kicked", room.Code);
+
+            await Clients.Client(player.ConnectionId).SendAsync("Kicked", new { banned = ban });
+            await Groups.RemoveFromGroupAsync(player.ConnectionId, room.Code);
+            await Clients.Group(room.Code).SendAsync("PlayerLeft", new
+            {
+                playerName = player.Name,
+                playerCount = _roomService.GetActivePlayers(room).Count(),
+                newOwnerName = (string?)null
+            });
+            if (room.AsyncMode)
+                await BroadcastAsyncBoard(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "KickPlayer failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    // ===== Roles (owner only) =====
+
+    public async Task SetFacilitator(string roomCode, string playerName, bool isFacilitator)
+    {
+        try
+        {
+            var player = _roomService.SetFacilitator(roomCode, Context.ConnectionId, playerName, isFacilitator);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Player \"{PlayerName}\" {Action} co-facilitator in {RoomCode}",
+                player.Name, isFacilitator ? "made" : "no longer", room.Code);
+
+            await Clients.Group(room.Code).SendAsync("RolesUpdated", RolesView(room));
+            if (room.AsyncMode)
+                await BroadcastAsyncBoard(room);   // Facilitators see more of the board
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "SetFacilitator failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task TransferOwnership(string roomCode, string playerName)
+    {
+        try
+        {
+            _roomService.TransferOwnership(roomCode, Context.ConnectionId, playerName);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            await Clients.Group(room.Code).SendAsync("RolesUpdated", RolesView(room));
+            if (room.AsyncMode)
+                await BroadcastAsyncBoard(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "TransferOwnership failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task SetSuccessorOrder(string roomCode, string[] playerNames)
+    {
+        try
+        {
+            _roomService.SetSuccessorOrder(roomCode, Context.ConnectionId, playerNames);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            await Clients.Group(room.Code).SendAsync("RolesUpdated", RolesView(room));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "SetSuccessorOrder failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    /// <summary>
+    /// Everyone's role plus the successor order. Clients find their own entry by name.
+    /// </summary>
+    private object RolesView(Room room) => new
+    {
+        players = _roomService.GetActivePlayers(room).Select(p => new
+        {
+            name = p.Name,
+            isOwner = p.IsOwner,
+            isFacilitator = p.IsFacilitator
+        }),
+        successors = _roomService.GetSuccessorNames(room)
+    };
+
+    // ===== Timer controls (owner only) =====
+
+    public Task PauseTimer(string roomCode) =>
+        ControlTimer(roomCode, "paused", _roomService.PauseTimer);
+
+    public Task ResumeTimer(string roomCode) =>
+        ControlTimer(roomCode, "resumed", _roomService.ResumeTimer);
+
+    public Task ExtendTimer(string roomCode) =>
+        ControlTimer(roomCode, "extended", _roomService.ExtendTimer);
+
+    public Task ResetTimer(string roomCode) =>
+        ControlTimer(roomCode, "reset", _roomService.ResetTimer);
+
+    private async Task ControlTimer(string roomCode, string action, Action<string, string> control)
+    {
+        try
+        {
+            control(roomCode, Context.ConnectionId);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Timer {Action} in {RoomCode} card #{CardIndex}", action, room.Code, room.CurrentCardIndex + 1);
+
+            await Clients.Group(room.Code).SendAsync("TimerUpdated", new
+            {
+                action,
+                timer = TimerView(room)
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Timer {Action} failed for {ConnectionId} in room {RoomCode}", action, Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    // ===== Backlog editing (owner only) =====
+
+    public async Task AddCard(string roomCode, string subject, string? description)
+    {
+        try
+        {
+            var card = _roomService.AddCard(roomCode, Context.ConnectionId, subject, description);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Card \"{Subject}\" added in {RoomCode} ({CardCount} cards)", card.Subject, room.Code, room.Cards.Count);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "AddCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task EditCard(string roomCode, int index, string subject, string? description)
+    {
+        try
+        {
+            _roomService.EditCard(roomCode, Context.ConnectionId, index, subject, description);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Card #{CardIndex} edited in {RoomCode}", index + 1, room.Code);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "EditCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
         }
     }
 
+    public async Task MoveCard(string roomCode, int fromIndex, int toIndex)
+    {
+        try
+        {
+            _roomService.MoveCard(roomCode, Context.ConnectionId, fromIndex, toIndex);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Card moved in {RoomCode}: #{FromIndex} -> #{ToIndex}", room.Code, fromIndex + 1, toIndex + 1);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "MoveCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task RemoveCard(string roomCode, int index)
+    {
+        try
+        {
+            _roomService.RemoveCard(roomCode, Context.ConnectionId, index);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Card #{CardIndex} removed in {RoomCode} ({CardCount} cards)", index + 1, room.Code, room.Cards.Count);
+            await BroadcastBacklog(room);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "RemoveCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    public async Task JumpToCard(string roomCode, int index)
+    {
+        try
+        {
+            var card = _roomService.JumpToCard(roomCode, Context.ConnectionId, index);
+            var room = _roomService.GetRoom(roomCode)!;
+
+            _logger.LogInformation("Jumped to \"{Subject}\" in {RoomCode}: card #{CardIndex}/{TotalCards}",
+                card.Subject, room.Code, room.CurrentCardIndex + 1, room.Cards.Count);
+
+            await BroadcastBacklog(room);
+            await Clients.Group(room.Code).SendAsync("NewRound", NewRoundView(room, card));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "JumpToCard failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
+        }
+    }
+
+    private async Task BroadcastBacklog(Room room)
+    {
+        await Clients.Group(room.Code).SendAsync("BacklogUpdated", new
+        {
+            backlog = BacklogView(room),
+            currentCardIndex = room.CurrentCardIndex,
+            resumeCardIndex = room.ResumeCardIndex,
+            totalCards = room.Cards.Count,
+            currentCard = room.CurrentCard != null ? CardView(room.CurrentCard) : null
+        });
+        if (room.AsyncMode)
+            await BroadcastAsyncBoard(room);
+    }
+
+    private static IEnumerable<object> BacklogView(Room room) =>
+        room.Cards.Select((c, i) => new
+        {
+            index = i,
+            originalIndex = c.OriginalIndex,
+            subject = c.Subject,
+            description = c.Description,
+            estimate = c.AcceptedEstimate
+        });
+
     public async Task PlayerThinking(string roomCode)
     {
         var room = _roomService.GetRoom(roomCode);
@@ -353,7 +1083,21 @@ public class PokerHub : Hub
         catch (Exception ex)
         {
             _logger.LogError(ex, "GetResults failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
-            await Clients.Caller.SendAsync("Error", ex.Message);
+            await SendError(ex);
+        }
+    }
+
+    public async Task GetWebhookLog(string roomCode)
+    {
+        try
+        {
+            var deliveries = _roomService.GetWebhookLog(roomCode, Context.ConnectionId);
+            await Clients.Caller.SendAsync("WebhookLog", new { deliveries });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "GetWebhookLog failed for {ConnectionId} in room {RoomCode}", Context.ConnectionId, roomCode);
+            await SendError(ex);
         }
     }
 
@@ -392,8 +1136,15 @@ public class PokerHub : Hub
                     playerCount = activePlayers.Count(),
                     newOwnerName
                 });
+                if (room.AsyncMode && newOwnerName != null)
+                    await BroadcastAsyncBoard(room);
             }
         }
+        else if (_roomService.DetachDisplay(Context.ConnectionId) is { } displayRoom)
+        {
+            _logger.LogInformation("Presenter display {ConnectionId} left room {RoomCode}", Context.ConnectionId, displayRoom.Code);
+            await SendDisplays(displayRoom);
+        }
 
         if (exception != null)
         {
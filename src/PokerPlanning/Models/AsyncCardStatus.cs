@@ -0,0 +1,19 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// One card on the async dashboard. Consensus, votes and stats are only filled in once the card is
+/// revealed; facilitators also get HasConsensus and IsDisputed before that, to see which cards are
+/// ready and which need the sync meeting.
+/// </summary>
+public record AsyncCardStatus(
+    int Index,
+    string Subject,
+    int VoteCount,
+    bool HasEnoughVotes,
+    bool IsRevealed,
+    string? Estimate,
+    bool? HasConsensus,
+    bool? IsDisputed,
+    string? Consensus,
+    Dictionary<string, string>? Votes,
+    VoteStats? Stats);
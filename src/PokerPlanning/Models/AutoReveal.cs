@@ -0,0 +1,24 @@
+namespace PokerPlanning.Models;
+
+public static class AutoRevealReasons
+{
+    public const string AllVoted = "allVoted";
+    public const string Timer = "timer";
+}
+
+public enum AutoRevealStatus
+{
+    CountdownStarted,
+    CountdownCancelled,
+    Revealed
+}
+
+/// <summary>
+/// What RoomService.CheckAutoReveal did to a room, so the caller can broadcast it.
+/// </summary>
+public record AutoRevealUpdate(Room Room, AutoRevealStatus Status, string? Reason = null);
+
+/// <summary>
+/// A room RoomService.CheckAutoAdvance moved on; NextCard is null when that finished the game.
+/// </summary>
+public record AutoAdvanceUpdate(Room Room, Card? NextCard);
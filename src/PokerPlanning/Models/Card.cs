@@ -6,7 +6,16 @@ public class Card
 {
     public required string Subject { get; set; }
     public string? Description { get; set; }
+    public string? Link { get; set; }
+    public string[]? Labels { get; set; }
     public string? AcceptedEstimate { get; set; }
+    public string? PreviousEstimate { get; set; }     // Estimate from a re-imported results file, shown as reference
     public int OriginalIndex { get; set; }
+    public string? Notes { get; set; }                // Discussion notes / decision, edited live in the room
+    public int SecondsSpent { get; set; }             // Time this card was on the table, over all visits
+    public bool IsRevealed { get; set; }              // Revealed from the async dashboard (live rounds use Room.State)
+
     public ConcurrentDictionary<string, string> Votes { get; set; } = new();
+    public ConcurrentDictionary<string, ConcurrentDictionary<string, string>> DimensionVotes { get; set; } = new();  // Connection ID → dimension name → value
+    public List<CardEvent> History { get; set; } = [];
 }
@@ -0,0 +1,23 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// An entry in a card's history (revisits, revotes, accepted estimates, coffee break requests).
+/// </summary>
+public class CardEvent
+{
+    public DateTime At { get; set; } = DateTime.UtcNow;
+    public required string Type { get; set; }
+    public string? By { get; set; }                    // Player name
+    public string? Value { get; set; }
+    public string? PreviousValue { get; set; }
+    public Dictionary<string, string>? Votes { get; set; }   // Revote: the votes being thrown away, by player name
+}
+
+public static class CardEventTypes
+{
+    public const string Revisited = "Revisited";
+    public const string Revote = "Revote";
+    public const string EstimateChanged = "EstimateChanged";
+    public const string Accepted = "Accepted";             // By is null when the room auto-accepted consensus
+    public const string CoffeeBreak = "CoffeeBreak";
+}
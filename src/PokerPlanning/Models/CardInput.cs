@@ -0,0 +1,17 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// A backlog item as parsed by the client from an imported CSV/JSON/issue-tracker file
+/// or from a previous session's results export.
+/// </summary>
+public class CardInput
+{
+    public string Subject { get; set; } = "";
+    public string? Description { get; set; }
+    public string? Link { get; set; }
+    public string[]? Labels { get; set; }
+
+    // Set when resuming from a previous results export
+    public int? OriginalIndex { get; set; }
+    public string? PreviousEstimate { get; set; }
+}
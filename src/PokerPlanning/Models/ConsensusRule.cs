@@ -0,0 +1,28 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// When the revealed votes count as agreement. "?" and ☕ votes are ignored by every rule.
+/// </summary>
+public enum ConsensusRule
+{
+    Majority,   // More than half on one value
+    Unanimous,  // Everyone on the same value
+    Adjacent,   // All votes on neighbouring scale values (e.g. 3 and 5 on Fibonacci)
+    Threshold   // At least Room.ConsensusThreshold percent on one value
+}
+
+public static class ConsensusRules
+{
+    public const int MinThreshold = 51;
+    public const int MaxThreshold = 100;
+    public const int DefaultThreshold = 75;
+
+    public static string GetDisplayName(ConsensusRule rule, int threshold) => rule switch
+    {
+        ConsensusRule.Majority => "Majority (>50%)",
+        ConsensusRule.Unanimous => "Unanimous",
+        ConsensusRule.Adjacent => "Adjacent values",
+        ConsensusRule.Threshold => $"At least {threshold}%",
+        _ => rule.ToString()
+    };
+}
@@ -0,0 +1,30 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// Body of POST /api/rooms. Same options as PokerHub.CreateRoom: questions come either as
+/// CardsText (one per line, "Subject;Description") or as ImportedCards.
+/// </summary>
+public class CreateRoomRequest
+{
+    public string? OwnerName { get; set; }
+    public int ScaleType { get; set; }
+    public string? CardsText { get; set; }
+    public CardInput[]? ImportedCards { get; set; }
+    public string[]? CustomScale { get; set; }
+    public int? SessionMinutes { get; set; }
+    public bool CoffeeBreak { get; set; }
+    public bool Shuffle { get; set; }
+    public int ConsensusRule { get; set; }
+    public int? ConsensusThreshold { get; set; }
+    public bool AutoAccept { get; set; }
+    public bool AutoRevealWhenAllVoted { get; set; }
+    public bool AutoRevealOnTimer { get; set; }
+    public string? Passcode { get; set; }
+    public bool EveryoneEditsNotes { get; set; }
+    public string? WebhookUrl { get; set; }
+    public string? WebhookSecret { get; set; }
+    public bool AnonymousVoting { get; set; }
+    public EstimationDimension[]? Dimensions { get; set; }
+    public bool AsyncMode { get; set; }
+    public int? AsyncMinVotes { get; set; }
+}
@@ -0,0 +1,106 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// Stable codes for the errors RoomService throws. The hub sends them next to the English
+/// message, so the client can show the error in the player's language; parameters of the
+/// message ({name}, {max}, ...) travel as args.
+/// </summary>
+public static class ErrorCodes
+{
+    // Room creation and decks
+    public const string NoCards = "noCards";
+    public const string UnknownScale = "unknownScale";
+    public const string UnknownConsensusRule = "unknownConsensusRule";
+    public const string ConsensusThresholdRange = "consensusThresholdRange";
+    public const string PasscodeTooLong = "passcodeTooLong";
+    public const string InvalidWebhookUrl = "invalidWebhookUrl";
+    public const string WebhookUrlNotAllowed = "webhookUrlNotAllowed";
+    public const string CustomDeckTooSmall = "customDeckTooSmall";
+    public const string CustomDeckTooLarge = "customDeckTooLarge";
+    public const string CardValueTooLong = "cardValueTooLong";
+    public const string CardValueReserved = "cardValueReserved";
+    public const string DuplicateCardValue = "duplicateCardValue";
+    public const string TooManyDimensions = "tooManyDimensions";
+    public const string DimensionNameRequired = "dimensionNameRequired";
+    public const string DimensionNameTooLong = "dimensionNameTooLong";
+    public const string DuplicateDimension = "duplicateDimension";
+    public const string DimensionScaleNotAllowed = "dimensionScaleNotAllowed";
+    public const string DimensionWeightRange = "dimensionWeightRange";
+    public const string AsyncMinVotesRange = "asyncMinVotesRange";
+    public const string AsyncDimensionsUnsupported = "asyncDimensionsUnsupported";
+
+    // Joining
+    public const string RoomNotFound = "roomNotFound";
+    public const string NameRequired = "nameRequired";
+    public const string RemovedFromRoom = "removedFromRoom";
+    public const string PasscodeRequired = "passcodeRequired";
+    public const string IncorrectPasscode = "incorrectPasscode";
+    public const string TooManyPasscodeAttempts = "tooManyPasscodeAttempts";
+    public const string RoomLocked = "roomLocked";
+    public const string NameTaken = "nameTaken";
+    public const string RoomFull = "roomFull";
+    public const string PlayerNotInRoom = "playerNotInRoom";
+    public const string PlayerNotFound = "playerNotFound";
+    public const string PlayerNotConnected = "playerNotConnected";
+
+    // Permissions
+    public const string OwnerOnlyLock = "ownerOnlyLock";
+    public const string OwnerOnlyRemovePlayers = "ownerOnlyRemovePlayers";
+    public const string OwnerOnlyRoles = "ownerOnlyRoles";
+    public const string OwnerOnlyTransfer = "ownerOnlyTransfer";
+    public const string OwnerOnlySuccessors = "ownerOnlySuccessors";
+    public const string OwnerOnlyTimer = "ownerOnlyTimer";
+    public const string OwnerOnlyRevisit = "ownerOnlyRevisit";
+    public const string OwnerOnlyBacklog = "ownerOnlyBacklog";
+    public const string OwnerOnlyWebhooks = "ownerOnlyWebhooks";
+    public const string OwnerOnlyDisplays = "ownerOnlyDisplays";
+    public const string FacilitatorOnlyReveal = "facilitatorOnlyReveal";
+    public const string FacilitatorOnlyAccept = "facilitatorOnlyAccept";
+    public const string FacilitatorOnlyRevote = "facilitatorOnlyRevote";
+    public const string FacilitatorOnlyNext = "facilitatorOnlyNext";
+    public const string FacilitatorOnlyNotes = "facilitatorOnlyNotes";
+    public const string FacilitatorOnlyLive = "facilitatorOnlyLive";
+    public const string CannotRemoveSelf = "cannotRemoveSelf";
+    public const string OwnerHasAllRights = "ownerHasAllRights";
+    public const string AlreadyOwner = "alreadyOwner";
+    public const string NoOwner = "noOwner";
+
+    // Rounds, timer and backlog
+    public const string NoActiveCard = "noActiveCard";
+    public const string SpectatorCannotVote = "spectatorCannotVote";
+    public const string InvalidVote = "invalidVote";
+    public const string UnknownDimension = "unknownDimension";
+    public const string AlreadyRevealed = "alreadyRevealed";
+    public const string TimerAlreadyPaused = "timerAlreadyPaused";
+    public const string TimerNotPaused = "timerNotPaused";
+    public const string NoTimer = "noTimer";
+    public const string RevisitEarlierOnly = "revisitEarlierOnly";
+    public const string NotesTooLong = "notesTooLong";
+    public const string SubjectRequired = "subjectRequired";
+    public const string EditCurrentOrUpcomingOnly = "editCurrentOrUpcomingOnly";
+    public const string ReorderUpcomingOnly = "reorderUpcomingOnly";
+    public const string RemoveUpcomingOnly = "removeUpcomingOnly";
+    public const string JumpUpcomingOnly = "jumpUpcomingOnly";
+    public const string GameFinished = "gameFinished";
+    public const string CardNotFound = "cardNotFound";
+    public const string AsyncRoom = "asyncRoom";
+    public const string NotAsyncRoom = "notAsyncRoom";
+
+    private const string CodeKey = "ErrorCode";
+    private const string ArgsKey = "ErrorArgs";
+
+    /// <summary>
+    /// Tag an exception with its code, e.g. <c>throw new ArgumentException("...").WithCode(ErrorCodes.NameRequired)</c>.
+    /// Keeps the exception type, so callers catching ArgumentException/InvalidOperationException are unaffected.
+    /// </summary>
+    public static T WithCode<T>(this T ex, string code, object? args = null) where T : Exception
+    {
+        ex.Data[CodeKey] = code;
+        if (args != null) ex.Data[ArgsKey] = args;
+        return ex;
+    }
+
+    public static string? GetErrorCode(this Exception ex) => ex.Data[CodeKey] as string;
+
+    public static object? GetErrorArgs(this Exception ex) => ex.Data[ArgsKey];
+}
@@ -0,0 +1,23 @@
+using System.Text.Json.Serialization;
+
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// An extra axis the cards are estimated on (complexity, effort, risk, ...), voted next to the
+/// estimate itself. A dimension's value is the median of its votes; the combined score adds the
+/// values up by weight (ordinal scales count by position, Low = 1, Medium = 2, ...).
+/// </summary>
+public class EstimationDimension
+{
+    public string Name { get; set; } = "";
+    public ScaleType Scale { get; set; } = ScaleType.Fibonacci;  // Built-in scales only
+    public double Weight { get; set; } = 1;                       // Share in the combined score
+
+    [JsonIgnore]
+    public string[] ScaleValues => ScaleDefinitions.GetScale(Scale);
+}
+
+/// <summary>
+/// A dimension's outcome on a card, as revealed and exported.
+/// </summary>
+public record DimensionResult(string Name, string? Value, Dictionary<string, string> Votes, VoteStats Stats);
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace PokerPlanning.Models;
 
 public class Player
@@ -6,8 +8,11 @@ public class Player
     public required string ConnectionId { get; set; }
     public required string Name { get; set; }
     public bool IsOwner { get; set; }
-    public bool WasOriginalOwner { get; set; }
+    public bool IsFacilitator { get; set; }       // Co-facilitator: may reveal, revote, accept and advance
     public bool IsSpectator { get; set; }
     public DateTime? DisconnectedAt { get; set; }
+    public DateTime? ReservedUntil { get; set; }  // Seat outlives the disconnect grace period (owner of a room created over the API)
+
+    [JsonIgnore]
     public bool IsConnected => DisconnectedAt == null;
 }
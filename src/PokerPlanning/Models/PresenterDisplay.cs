@@ -0,0 +1,11 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// A presenter display (/present/CODE) attached to a room: it watches without a seat.
+/// </summary>
+public class PresenterDisplay
+{
+    public required string ConnectionId { get; set; }
+    public required string TokenHash { get; set; }     // Hash of the server-issued display token: bans and re-attaching to a locked room go by it
+    public DateTime ConnectedAt { get; set; } = DateTime.UtcNow;
+}
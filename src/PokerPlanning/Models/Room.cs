@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using System.Text.Json.Serialization;
 
 namespace PokerPlanning.Models;
 
@@ -7,27 +8,98 @@ public class Room
     public required string Code { get; set; }
     public string? OwnerConnectionId { get; set; }
     public ScaleType Scale { get; set; } = ScaleType.Fibonacci;
+    public string[]? CustomScale { get; set; }        // Card values when Scale == Custom
     public List<Card> Cards { get; set; } = [];
     public int CurrentCardIndex { get; set; }
+    public int? ResumeCardIndex { get; set; }         // Where to continue after revisiting an earlier card
     public ConcurrentDictionary<string, Player> Players { get; set; } = new();
     public RoomState State { get; set; } = RoomState.Voting;
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public DateTime CurrentCardSince { get; set; } = DateTime.UtcNow;  // For Card.SecondsSpent
+    public DateTime? FinishedAt { get; set; }         // First finish; finishing again after a revisit sends no GameFinished
+    public bool EveryoneEditsNotes { get; set; }       // Otherwise only the owner and co-facilitators
+    public bool AnonymousVoting { get; set; }          // Revealed votes and exports never carry player names
+
+    // Async estimation: everyone votes on every card at their own pace, the owner reveals and accepts from a dashboard
+    public bool AsyncMode { get; set; }
+    public int AsyncMinVotes { get; set; } = 3;        // Votes a card needs to count as ready on the dashboard
+
+    // Access control
+    public string? PasscodeHash { get; set; }          // PBKDF2 of the optional join passcode
+    public string? PasscodeSalt { get; set; }          // Hex; null for rooms saved with the older unsalted SHA-256
+    public bool IsLocked { get; set; }                 // Locked rooms accept no new players (seats can still be reclaimed)
+    public List<string> BannedPlayerIds { get; set; } = [];
+    public List<string> BannedNames { get; set; } = [];
+    public List<string> AdmittedDisplayHashes { get; set; } = [];   // Presenter display tokens handed out (hashed); they may come back to a locked room
+    public List<string> BannedDisplayHashes { get; set; } = [];     // Display tokens the owner removed (hashed)
+    public string? OwnerTokenHash { get; set; }        // SHA-256 of the REST API owner token (rooms created over the API)
+
+    // Outgoing webhook for this room (in addition to the server-wide ones)
+    public string? WebhookUrl { get; set; }
+    public string? WebhookSecret { get; set; }         // Signs the payloads (X-Webhook-Signature)
+
+    // Who takes over when the owner drops (PlayerIds, in order); other players are the fallback
+    public List<string> SuccessorIds { get; set; } = [];
 
     // Coffee break voting
     public bool CoffeeBreakEnabled { get; set; }
 
+    // Consensus settings
+    public ConsensusRule ConsensusRule { get; set; } = ConsensusRule.Majority;
+    public int ConsensusThreshold { get; set; } = ConsensusRules.DefaultThreshold;  // Percent, for ConsensusRule.Threshold
+    public bool AutoAccept { get; set; }               // Accept the consensus on reveal; the server then advances
+    public DateTime? AutoAdvanceAt { get; set; }       // Consensus auto-accepted: move on at this time (AutoRevealService)
+    public int? AutoAdvanceCardIndex { get; set; }     // Card the pending advance is for; going back or re-voting drops it
+
+    // Extra axes voted next to the estimate (none = estimate only)
+    public List<EstimationDimension> Dimensions { get; set; } = [];
+
+    // Auto-reveal (checked by AutoRevealService)
+    public bool AutoRevealWhenAllVoted { get; set; }
+    public bool AutoRevealOnTimer { get; set; }
+    public DateTime? AutoRevealAt { get; set; }        // Countdown running: cards flip at this time
+    public string? AutoRevealReason { get; set; }      // AutoRevealReasons value of the running countdown
+
     // Session timer (optional)
     public int? SessionMinutes { get; set; }          // Total session time in minutes
-    public int? SecondsPerCard { get; set; }           // Calculated: SessionMinutes * 60 / Cards.Count
+    public int? SecondsPerCard { get; set; }           // Current card's share: session time left / unestimated cards
     public DateTime? CardTimerStartedAt { get; set; }  // When current card timer started
+    public DateTime? CardTimerDeadline { get; set; }   // When current card's time is up; null while paused
+    public int? CardTimerPausedRemaining { get; set; } // Seconds left, while paused
+    public int CardTimerExtraSeconds { get; set; }     // Added to the current card by the owner
+    public int SessionSecondsUsed { get; set; }        // Time spent on earlier cards, pauses excluded
 
+    [JsonIgnore]
     public Card? CurrentCard =>
         CurrentCardIndex >= 0 && CurrentCardIndex < Cards.Count
             ? Cards[CurrentCardIndex]
             : null;
 
+    [JsonIgnore]
+    public string[] ScaleValues =>
+        Scale == ScaleType.Custom && CustomScale != null
+            ? CustomScale
+            : ScaleDefinitions.GetScale(Scale);
+
+    [JsonIgnore]
+    public string ScaleName =>
+        Scale == ScaleType.Custom && CustomScale != null
+            ? $"Custom ({string.Join(", ", CustomScale)})"
+            : ScaleDefinitions.GetDisplayName(Scale);
+
+    [JsonIgnore]
+    public ConcurrentDictionary<string, PresenterDisplay> Displays { get; } = new();   // Attached presenter displays by connection
+
     public bool IsOwner(string connectionId) =>
         OwnerConnectionId == connectionId;
 
+    /// <summary>
+    /// Owner or co-facilitator — allowed to run the round (reveal, revote, accept, next).
+    /// </summary>
+    public bool CanFacilitate(string connectionId) =>
+        IsOwner(connectionId)
+        || (Players.TryGetValue(connectionId, out var player) && player.IsFacilitator);
+
     public Player? GetOwner() =>
         OwnerConnectionId != null && Players.TryGetValue(OwnerConnectionId, out var owner)
             ? owner
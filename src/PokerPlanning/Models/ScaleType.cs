@@ -6,7 +6,8 @@ public enum ScaleType
     TShirt,
     PowersOf2,
     Sequential,
-    Risk
+    Risk,
+    Custom
 }
 
 public static class ScaleDefinitions
@@ -23,6 +24,11 @@ public static class ScaleDefinitions
     public static string[] GetScale(ScaleType type) =>
         Scales.TryGetValue(type, out var scale) ? scale : Scales[ScaleType.Fibonacci];
 
+    // Limits for user-defined decks (ScaleType.Custom)
+    public const int MinCustomValues = 2;
+    public const int MaxCustomValues = 20;
+    public const int MaxCustomValueLength = 8;
+
     public static string GetDisplayName(ScaleType type) => type switch
     {
         ScaleType.Fibonacci => "Fibonacci (1, 2, 3, 5, 8, 13, 21)",
@@ -30,6 +36,7 @@ public static class ScaleDefinitions
         ScaleType.PowersOf2 => "Powers of 2 (1, 2, 4, 8, 16, 32)",
         ScaleType.Sequential => "Sequential (1–10)",
         ScaleType.Risk => "Risk (Low, Medium, High, Critical)",
+        ScaleType.Custom => "Custom",
         _ => type.ToString()
     };
 }
@@ -0,0 +1,19 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// Snapshot of a finished room, kept for the session history page.
+/// </summary>
+public class SessionRecord
+{
+    public required string Id { get; set; }
+    public required string RoomCode { get; set; }
+    public string? OwnerName { get; set; }
+    public string? ScaleName { get; set; }
+    public DateTime StartedAt { get; set; }
+    public DateTime FinishedAt { get; set; }
+    public int CardCount { get; set; }
+    public double? TotalEstimate { get; set; }        // Sum of numeric accepted estimates
+    public bool HasPasscode { get; set; }             // Left out of the public history; needs the server key or owner token
+    public string? OwnerTokenHash { get; set; }       // Copied from the room, so its REST owner token still opens the record
+    public List<object> Results { get; set; } = [];   // Same rows as RoomService.GetResults
+}
@@ -0,0 +1,18 @@
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// Spread of the revealed votes on a card. Scales with non-numeric values (T-Shirt, Risk)
+/// are measured by each value's position in the scale.
+/// </summary>
+public class VoteStats
+{
+    public List<VoteBucket> Distribution { get; set; } = [];  // Every scale value in scale order, with its vote count
+    public int VoterCount { get; set; }                       // Votes that count: "?" and ☕ excluded
+    public string? Median { get; set; }
+    public string? Min { get; set; }
+    public string? Max { get; set; }
+    public double? Spread { get; set; }                       // Max - Min, numeric votes only
+    public int SpreadSteps { get; set; }                      // Scale positions between Min and Max
+}
+
+public record VoteBucket(string Value, int Count);
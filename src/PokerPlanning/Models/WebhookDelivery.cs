@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace PokerPlanning.Models;
+
+/// <summary>
+/// One webhook POST (to one URL), with its retry state. Kept in WebhookService's delivery log.
+/// </summary>
+public class WebhookDelivery
+{
+    public string Id { get; set; } = Guid.NewGuid().ToString("N");
+    public required string RoomCode { get; set; }
+    public required string Event { get; set; }
+    public required string Url { get; set; }
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    public string Status { get; set; } = WebhookStatus.Pending;
+    public int Attempts { get; set; }
+    public int? StatusCode { get; set; }              // Last HTTP status received
+    public string? Error { get; set; }                // Last failure (status text or exception message)
+    public DateTime? DeliveredAt { get; set; }
+
+    [JsonIgnore] public string Body { get; set; } = "";
+    [JsonIgnore] public string? Secret { get; set; }
+    [JsonIgnore] public bool IsServerWide { get; set; }   // Webhooks:Urls target: not in the room's log, host not checked
+}
+
+public static class WebhookStatus
+{
+    public const string Pending = "pending";
+    public const string Delivered = "delivered";
+    public const string Failed = "failed";
+}
+
+public static class WebhookEvents
+{
+    public const string RoomCreated = "room.created";
+    public const string CardsRevealed = "cards.revealed";
+    public const string EstimateAccepted = "estimate.accepted";
+    public const string GameFinished = "game.finished";
+}
@@ -1,4 +1,7 @@
+using System.Security.Cryptography;
+using System.Text;
 using PokerPlanning.Hubs;
+using PokerPlanning.Models;
 using PokerPlanning.Services;
 
 var builder = WebApplication.CreateBuilder(args);
@@ -20,12 +23,47 @@ builder.Services.AddSignalR(options =>
 {
     options.EnableDetailedErrors = true;
 });
+builder.Services.AddSingleton<IRoomStore>(sp =>
+{
+    // Set RoomStorage:Directory (env RoomStorage__Directory) to keep rooms across restarts
+    var directory = builder.Configuration["RoomStorage:Directory"];
+    return string.IsNullOrWhiteSpace(directory)
+        ? new NullRoomStore()
+        : new JsonFileRoomStore(directory, sp.GetRequiredService<ILogger<JsonFileRoomStore>>());
+});
+builder.Services.AddSingleton(sp =>
+{
+    // Set SessionHistory:Directory (env SessionHistory__Directory) to keep finished sessions across restarts
+    var directory = builder.Configuration["SessionHistory:Directory"];
+    return new SessionHistoryService(
+        string.IsNullOrWhiteSpace(directory) ? null : directory,
+        sp.GetRequiredService<ILogger<SessionHistoryService>>());
+});
+builder.Services.AddSingleton(sp =>
+{
+    // Server-wide webhooks: Webhooks:Urls (env Webhooks__Urls__0, ...) get every room's events,
+    // signed with Webhooks:Secret (env Webhooks__Secret) if set. Room webhooks may only reach
+    // local or private hosts listed in Webhooks:AllowedHosts (env Webhooks__AllowedHosts__0, ...)
+    var allowedHosts = builder.Configuration.GetSection("Webhooks:AllowedHosts").Get<string[]>() ?? [];
+    return new WebhookService(
+        new HttpClient(WebhookService.CreateHandler(allowedHosts)) { Timeout = TimeSpan.FromSeconds(10) },
+        builder.Configuration.GetSection("Webhooks:Urls").Get<string[]>() ?? [],
+        builder.Configuration["Webhooks:Secret"],
+        allowedHosts,
+        sp.GetRequiredService<ILogger<WebhookService>>());
+});
+builder.Services.AddHostedService(sp => sp.GetRequiredService<WebhookService>());
 builder.Services.AddSingleton<RoomService>();
+builder.Services.AddHostedService<AutoRevealService>();
 
 var app = builder.Build();
 
 app.Logger.LogInformation("Planning Poker server starting");
 
+var restoredRooms = app.Services.GetRequiredService<RoomService>().RestoreRooms();
+if (restoredRooms > 0)
+    app.Logger.LogInformation("Restored {RoomCount} rooms from storage", restoredRooms);
+
 app.UseDefaultFiles();
 app.UseStaticFiles(new StaticFileOptions
 {
@@ -38,6 +76,178 @@ app.UseStaticFiles(new StaticFileOptions
 
 app.MapHub<PokerHub>("/pokerhub");
 
+// REST API for bots and scripts. Requests carry "Authorization: Bearer <token>": the server key
+// Api:Key (env Api__Key) for everything, or a room's owner token (returned on creation) for that room.
+// Without Api:Key, rooms can't be created over the API.
+var apiKey = builder.Configuration["Api:Key"];
+
+string? GetBearerToken(HttpRequest request)
+{
+    var header = request.Headers.Authorization.ToString();
+    return header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase) ? header["Bearer ".Length..].Trim() : null;
+}
+
+bool IsServerKey(string? token) =>
+    !string.IsNullOrEmpty(apiKey) && token != null &&
+    CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(token), Encoding.UTF8.GetBytes(apiKey));
+
+// The server key sees every room; a room's owner token only that room (unknown rooms look the same as forbidden ones)
+bool CanAccessRoom(HttpRequest request, Room? room)
+{
+    var token = GetBearerToken(request);
+    return IsServerKey(token) || (room != null && RoomService.CheckOwnerToken(room, token));
+}
+
+// Session history: open rooms are listed for everyone; passcode rooms need the server key or their owner token
+bool CanReadSession(HttpRequest request, SessionRecord session)
+{
+    if (!session.HasPasscode) return true;
+    var token = GetBearerToken(request);
+    return IsServerKey(token) || RoomService.CheckOwnerToken(session.OwnerTokenHash, token);
+}
+
+// Session history: list of finished sessions and full results of one
+app.MapGet("/api/history", (HttpRequest request, SessionHistoryService history) =>
+    history.List().Where(s => CanReadSession(request, s)).Select(s => new
+    {
+        id = s.Id,
+        roomCode = s.RoomCode,
+        ownerName = s.OwnerName,
+        scaleName = s.ScaleName,
+        startedAt = s.StartedAt,
+        finishedAt = s.FinishedAt,
+        cardCount = s.CardCount,
+        totalEstimate = s.TotalEstimate
+    }));
+
+app.MapGet("/api/history/{id}", (string id, HttpRequest request, SessionHistoryService history) =>
+    history.Get(id) is { } session && CanReadSession(request, session)
+        ? Results.Ok(new
+        {
+            id = session.Id,
+            roomCode = session.RoomCode,
+            ownerName = session.OwnerName,
+            finishedAt = session.FinishedAt,
+            results = session.Results
+        })
+        : Results.NotFound());
+
+string GetBaseUrl(HttpRequest request) => $"{request.Scheme}://{request.Host}{request.PathBase}";
+
+app.MapPost("/api/rooms", (CreateRoomRequest body, HttpRequest request, RoomService roomService) =>
+{
+    if (!IsServerKey(GetBearerToken(request)))
+        return Results.Unauthorized();
+
+    try
+    {
+        // Nobody is connected as the owner yet: the seat waits for them under a placeholder connection
+        var room = roomService.CreateRoom(body.OwnerName, (ScaleType)body.ScaleType, body.CardsText ?? "", $"api-{Guid.NewGuid():N}",
+            body.SessionMinutes, body.CoffeeBreak, body.Shuffle, body.CustomScale, body.ImportedCards,
+            (ConsensusRule)body.ConsensusRule, body.ConsensusThreshold, body.AutoAccept, body.AutoRevealWhenAllVoted, body.AutoRevealOnTimer,
+            body.Passcode, body.EveryoneEditsNotes, body.WebhookUrl, body.WebhookSecret, body.AnonymousVoting, body.Dimensions,
+            body.AsyncMode, body.AsyncMinVotes);
+        var ownerToken = roomService.ReserveForApi(room);
+        var baseUrl = GetBaseUrl(request);
+
+        app.Logger.LogInformation("Room {RoomCode} created over the API ({CardCount} cards)", room.Code, room.Cards.Count);
+        return Results.Created($"/api/rooms/{room.Code}", new
+        {
+            roomCode = room.Code,
+            joinUrl = $"{baseUrl}/join/{room.Code}",
+            ownerUrl = $"{baseUrl}/room/{room.Code}?player={room.GetOwner()!.PlayerId}",
+            ownerToken
+        });
+    }
+    catch (ArgumentException ex)
+    {
+        return Results.BadRequest(new { error = ex.Message, code = ex.GetErrorCode() });
+    }
+});
+
+app.MapGet("/api/rooms/{code}", (string code, HttpRequest request, RoomService roomService) =>
+{
+    var room = roomService.GetRoom(code);
+    if (!CanAccessRoom(request, room))
+        return Results.Unauthorized();
+    if (room == null)
+        return Results.NotFound();
+
+    var card = room.CurrentCard;
+    return Results.Ok(new
+    {
+        roomCode = room.Code,
+        state = room.State.ToString(),
+        scaleName = room.ScaleName,
+        anonymousVoting = room.AnonymousVoting,
+        asyncMode = room.AsyncMode,
+        currentCardIndex = room.CurrentCardIndex,
+        totalCards = room.Cards.Count,
+        joinUrl = $"{GetBaseUrl(request)}/join/{room.Code}",
+        currentCard = card == null ? null : new
+        {
+            index = card.OriginalIndex + 1,
+            subject = card.Subject,
+            description = card.Description,
+            estimate = card.AcceptedEstimate,
+            votes = room.State == RoomState.Revealed ? roomService.GetNamedVotes(room) : null
+        },
+        participants = room.Players.Values.Select(p => new
+        {
+            name = p.Name,
+            isOwner = p.IsOwner,
+            isFacilitator = p.IsFacilitator,
+            isSpectator = p.IsSpectator,
+            isConnected = p.IsConnected,
+            hasVoted = card != null && card.Votes.ContainsKey(p.ConnectionId)
+        })
+    });
+});
+
+// ?format=csv for the CSV export, JSON (as the hub's GetResults) otherwise
+app.MapGet("/api/rooms/{code}/results", (string code, string? format, HttpRequest request, RoomService roomService) =>
+{
+    var room = roomService.GetRoom(code);
+    if (!CanAccessRoom(request, room))
+        return Results.Unauthorized();
+    if (room == null)
+        return Results.NotFound();
+
+    return string.Equals(format, "csv", StringComparison.OrdinalIgnoreCase)
+        ? Results.File(Encoding.UTF8.GetBytes(roomService.GetResultsCsv(room.Code)), "text/csv", $"planning-poker-{room.Code}.csv")
+        : Results.Ok(new { roomCode = room.Code, state = room.State.ToString(), results = roomService.GetResults(room.Code) });
+});
+
+// Client settings. Set IssueLinks:BaseUrl (env IssueLinks__BaseUrl, e.g. https://jira.example.com/browse/)
+// to turn issue keys in card subjects into links; "{key}" in the URL is replaced, otherwise the key is appended.
+app.MapGet("/api/config", (IConfiguration config) => new
+{
+    issueLinks = string.IsNullOrWhiteSpace(config["IssueLinks:BaseUrl"]) ? null : new
+    {
+        baseUrl = config["IssueLinks:BaseUrl"],
+        pattern = config["IssueLinks:Pattern"]
+    }
+});
+
+// Local webhook receiver to test against: point Webhooks:Urls at http://localhost:<port>/dev/webhooks,
+// or a room once localhost is in Webhooks:AllowedHosts
+if (app.Environment.IsDevelopment())
+{
+    app.MapPost("/dev/webhooks", async (HttpRequest request, IConfiguration config, ILogger<WebhookService> logger) =>
+    {
+        using var reader = new StreamReader(request.Body);
+        var body = await reader.ReadToEndAsync();
+        var signature = request.Headers[WebhookService.SignatureHeader].ToString();
+        var secret = config["Webhooks:Secret"];
+        var check = string.IsNullOrEmpty(signature) ? "none"
+            : string.IsNullOrEmpty(secret) ? "not checked"
+            : signature == WebhookService.Sign(body, secret) ? "valid" : "INVALID";
+        logger.LogInformation("Webhook received: {Event} ({Bytes} bytes, signature {Signature})",
+            request.Headers[WebhookService.EventHeader].ToString(), body.Length, check);
+        return Results.Ok();
+    });
+}
+
 // Background cleanup of disconnected players (every 60 seconds)
 var cleanupTimer = new Timer(_ =>
 {
@@ -45,6 +255,15 @@ var cleanupTimer = new Timer(_ =>
     roomService.CleanupDisconnected();
 }, null, TimeSpan.FromMinutes(1), TimeSpan.FromMinutes(1));
 
+// Persist room snapshots (every 5 seconds, and once more on shutdown)
+var persistTimer = new Timer(_ =>
+{
+    var roomService = app.Services.GetRequiredService<RoomService>();
+    roomService.SaveRooms();
+}, null, TimeSpan.FromSeconds(5), TimeSpan.FromSeconds(5));
+app.Lifetime.ApplicationStopping.Register(() =>
+    app.Services.GetRequiredService<RoomService>().SaveRooms());
+
 // Fallback: serve index.html for SPA routes
 app.MapFallbackToFile("index.html");
 
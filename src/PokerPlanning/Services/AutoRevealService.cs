@@ -0,0 +1,101 @@
+using Microsoft.AspNetCore.SignalR;
+using PokerPlanning.Hubs;
+using PokerPlanning.Models;
+
+namespace PokerPlanning.Services;
+
+/// <summary>
+/// Drives auto-reveal and the advance after an auto-accepted consensus on the server,
+/// so they happen even when the owner's tab is asleep.
+/// </summary>
+public class AutoRevealService : BackgroundService
+{
+    private static readonly TimeSpan CheckInterval = TimeSpan.FromMilliseconds(500);
+
+    private readonly RoomService _roomService;
+    private readonly IHubContext<PokerHub> _hub;
+    private readonly ILogger<AutoRevealService> _logger;
+
+    public AutoRevealService(RoomService roomService, IHubContext<PokerHub> hub, ILogger<AutoRevealService> logger)
+    {
+        _roomService = roomService;
+        _hub = hub;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(CheckInterval);
+        while (await timer.WaitForNextTickAsync(stoppingToken))
+        {
+            foreach (var update in _roomService.CheckAutoReveal(DateTime.UtcNow))
+            {
+                try
+                {
+                    await Broadcast(update);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Auto-reveal broadcast failed for {RoomCode}", update.Room.Code);
+                }
+            }
+
+            foreach (var update in _roomService.CheckAutoAdvance(DateTime.UtcNow))
+            {
+                try
+                {
+                    await Broadcast(update);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Auto-advance broadcast failed for {RoomCode}", update.Room.Code);
+                }
+            }
+        }
+    }
+
+    private async Task Broadcast(AutoAdvanceUpdate update)
+    {
+        var room = update.Room;
+        var group = _hub.Clients.Group(room.Code);
+
+        if (update.NextCard == null)
+        {
+            _logger.LogInformation("Game finished in {RoomCode} ({CardCount} cards, auto-advanced)", room.Code, room.Cards.Count);
+            await group.SendAsync("GameFinished", new { results = _roomService.GetResults(room.Code) });
+        }
+        else
+        {
+            _logger.LogInformation("Auto-advanced in {RoomCode}: card #{CardIndex}/{TotalCards}",
+                room.Code, room.CurrentCardIndex + 1, room.Cards.Count);
+            await group.SendAsync("NewRound", PokerHub.NewRoundView(room, update.NextCard));
+        }
+    }
+
+    private async Task Broadcast(AutoRevealUpdate update)
+    {
+        var room = update.Room;
+        var group = _hub.Clients.Group(room.Code);
+
+        switch (update.Status)
+        {
+            case AutoRevealStatus.CountdownStarted:
+                await group.SendAsync("AutoRevealCountdown", new
+                {
+                    seconds = (int)RoomService.AutoRevealCountdown.TotalSeconds,
+                    reason = update.Reason
+                });
+                break;
+
+            case AutoRevealStatus.CountdownCancelled:
+                await group.SendAsync("AutoRevealCancelled");
+                break;
+
+            case AutoRevealStatus.Revealed:
+                _logger.LogInformation("Cards auto-revealed in {RoomCode} card #{CardIndex} ({Reason})",
+                    room.Code, room.CurrentCardIndex + 1, update.Reason);
+                await group.SendAsync("CardsRevealed", PokerHub.RevealedView(_roomService, room));
+                break;
+        }
+    }
+}
@@ -0,0 +1,23 @@
+using PokerPlanning.Models;
+
+namespace PokerPlanning.Services;
+
+/// <summary>
+/// Persistence for rooms so they survive server restarts.
+/// </summary>
+public interface IRoomStore
+{
+    IEnumerable<Room> LoadAll();
+    void Save(Room room);
+    void Delete(string code);
+}
+
+/// <summary>
+/// Default store: keeps nothing, rooms live in memory only.
+/// </summary>
+public class NullRoomStore : IRoomStore
+{
+    public IEnumerable<Room> LoadAll() => [];
+    public void Save(Room room) { }
+    public void Delete(string code) { }
+}
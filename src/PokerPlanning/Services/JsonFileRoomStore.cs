@@ -0,0 +1,74 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using PokerPlanning.Models;
+
+namespace PokerPlanning.Services;
+
+/// <summary>
+/// Stores each room as a JSON file (CODE.json) in a directory, e.g. on a mounted volume.
+/// Unchanged rooms are not rewritten.
+/// </summary>
+public class JsonFileRoomStore : IRoomStore
+{
+    private readonly string _directory;
+    private readonly ILogger<JsonFileRoomStore> _logger;
+    private readonly ConcurrentDictionary<string, string> _lastWritten = new();
+
+    public JsonFileRoomStore(string directory, ILogger<JsonFileRoomStore> logger)
+    {
+        _directory = directory;
+        _logger = logger;
+        Directory.CreateDirectory(_directory);
+    }
+
+    public IEnumerable<Room> LoadAll()
+    {
+        var rooms = new List<Room>();
+        foreach (var path in Directory.EnumerateFiles(_directory, "*.json"))
+        {
+            try
+            {
+                var json = File.ReadAllText(path);
+                var room = JsonSerializer.Deserialize<Room>(json);
+                if (room == null) continue;
+
+                _lastWritten[room.Code] = json;
+                rooms.Add(room);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load room from {Path}", path);
+            }
+        }
+        return rooms;
+    }
+
+    public void Save(Room room)
+    {
+        var json = JsonSerializer.Serialize(room);
+        if (_lastWritten.TryGetValue(room.Code, out var previous) && previous == json)
+            return;
+
+        // Write to a temp file first so a crash never leaves a half-written room behind
+        var path = GetPath(room.Code);
+        var tempPath = path + ".tmp";
+        File.WriteAllText(tempPath, json);
+        File.Move(tempPath, path, overwrite: true);
+        _lastWritten[room.Code] = json;
+    }
+
+    public void Delete(string code)
+    {
+        _lastWritten.TryRemove(code, out _);
+        var path = GetPath(code);
+        if (File.Exists(path))
+            File.Delete(path);
+    }
+
+    private string GetPath(string code)
+    {
+        if (code.Any(c => !char.IsLetterOrDigit(c)))
+            throw new ArgumentException($"Invalid room code: {code}");
+        return Path.Combine(_directory, $"{code}.json");
+    }
+}
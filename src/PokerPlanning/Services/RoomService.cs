@@ -1,4 +1,7 @@
 using System.Collections.Concurrent;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
 using Microsoft.Extensions.Logging;
 using PokerPlanning.Models;
 
@@ -9,26 +12,97 @@ public class RoomService
     private readonly ConcurrentDictionary<string, Room> _rooms = new();
     private static readonly Random _random = new();
     private readonly ILogger<RoomService> _logger;
+    private readonly IRoomStore _store;
+    private readonly SessionHistoryService _history;
+    private readonly WebhookService? _webhooks;
 
-    public RoomService(ILogger<RoomService> logger)
+    public RoomService(ILogger<RoomService> logger, IRoomStore store, SessionHistoryService history, WebhookService? webhooks)
     {
         _logger = logger;
+        _store = store;
+        _history = history;
+        _webhooks = webhooks;
     }
 
-    // Parameterless constructor for tests
-    public RoomService() : this(Microsoft.Extensions.Logging.Abstractions.NullLogger<RoomService>.Instance) { }
+    // Parameterless constructor for tests (no webhooks)
+    public RoomService() : this(Microsoft.Extensions.Logging.Abstractions.NullLogger<RoomService>.Instance, new NullRoomStore(), new SessionHistoryService(), null) { }
 
-    public Room CreateRoom(string? ownerName, ScaleType scale, string cardsText, string ownerConnectionId, int? sessionMinutes = null, bool coffeeBreak = false, bool shuffle = false)
+    /// <summary>
+    /// Load rooms persisted before a restart. Every player starts out disconnected
+    /// (grace period applies) until they come back through RejoinRoom.
+    /// </summary>
+    public int RestoreRooms()
+    {
+        var now = DateTime.UtcNow;
+        var count = 0;
+        foreach (var room in _store.LoadAll())
+        {
+            foreach (var player in room.Players.Values)
+                player.DisconnectedAt ??= now;
+
+            _rooms[room.Code] = room;
+            count++;
+        }
+        return count;
+    }
+
+    /// <summary>
+    /// Write all rooms to the store. Called periodically by a background timer and on shutdown.
+    /// </summary>
+    public void SaveRooms()
+    {
+        foreach (var room in _rooms.Values)
+        {
+            try
+            {
+                _store.Save(room);
+            }
+            catch (InvalidOperationException ex)
+            {
+                // Room was modified while serializing — picked up on the next run
+                _logger.LogDebug(ex, "Skipped saving {RoomCode}, modified during save", room.Code);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save room {RoomCode}", room.Code);
+            }
+        }
+    }
+
+    public Room CreateRoom(string? ownerName, ScaleType scale, string cardsText, string ownerConnectionId, int? sessionMinutes = null, bool coffeeBreak = false, bool shuffle = false, IEnumerable<string>? customScale = null, IEnumerable<CardInput>? importedCards = null, ConsensusRule consensusRule = ConsensusRule.Majority, int? consensusThreshold = null, bool autoAccept = false, bool autoRevealWhenAllVoted = false, bool autoRevealOnTimer = false, string? passcode = null, bool everyoneEditsNotes = false, string? webhookUrl = null, string? webhookSecret = null, bool anonymousVoting = false, IEnumerable<EstimationDimension>? dimensions = null, bool asyncMode = false, int? asyncMinVotes = null)
     {
         var code = GenerateCode();
-        var cards = ParseCards(cardsText);
+        // Imported backlog (CSV/JSON file on the create screen) takes precedence over the textarea
+        var cards = importedCards != null ? BuildCards(importedCards) : ParseCards(cardsText);
 
         if (cards.Count == 0)
-            throw new ArgumentException("At least one card/question is required.");
+            throw new ArgumentException("At least one card/question is required.").WithCode(ErrorCodes.NoCards);
+
+        if (!Enum.IsDefined(scale))
+            throw new ArgumentException("Unknown scale.").WithCode(ErrorCodes.UnknownScale);
+        var customValues = scale == ScaleType.Custom ? ValidateCustomScale(customScale) : null;
+
+        if (!Enum.IsDefined(consensusRule))
+            throw new ArgumentException("Unknown consensus rule.").WithCode(ErrorCodes.UnknownConsensusRule);
+        var threshold = consensusThreshold ?? ConsensusRules.DefaultThreshold;
+        if (threshold < ConsensusRules.MinThreshold || threshold > ConsensusRules.MaxThreshold)
+            throw new ArgumentException($"Consensus threshold must be between {ConsensusRules.MinThreshold} and {ConsensusRules.MaxThreshold}%.").WithCode(ErrorCodes.ConsensusThresholdRange, new { min = ConsensusRules.MinThreshold, max = ConsensusRules.MaxThreshold });
+        var dimensionList = ValidateDimensions(dimensions);
+        var minVotes = asyncMinVotes ?? DefaultAsyncMinVotes;
+        if (asyncMode)
+        {
+            if (minVotes < 1 || minVotes > MaxAsyncMinVotes)
+                throw new ArgumentException($"Votes needed per card must be between 1 and {MaxAsyncMinVotes}.").WithCode(ErrorCodes.AsyncMinVotesRange, new { min = 1, max = MaxAsyncMinVotes });
+            if (dimensionList.Count > 0)
+                throw new ArgumentException("Dimensions are not available in async mode.").WithCode(ErrorCodes.AsyncDimensionsUnsupported);
+        }
 
-        // Assign original indices before potential shuffle
-        for (int i = 0; i < cards.Count; i++)
-            cards[i].OriginalIndex = i;
+        // Assign original indices before potential shuffle (resumed sessions bring their own)
+        if (importedCards == null)
+        {
+            for (int i = 0; i < cards.Count; i++)
+                cards[i].OriginalIndex = i;
+        }
 
         if (shuffle)
         {
@@ -45,18 +119,49 @@ public class RoomService
             Code = code,
             OwnerConnectionId = ownerConnectionId,
             Scale = scale,
+            CustomScale = customValues,
             Cards = cards,
             CurrentCardIndex = 0,
             State = RoomState.Voting,
-            CoffeeBreakEnabled = coffeeBreak
+            // Async rooms have no shared moment for a break or a card timer
+            CoffeeBreakEnabled = coffeeBreak && !asyncMode,
+            ConsensusRule = consensusRule,
+            ConsensusThreshold = threshold,
+            AutoAccept = autoAccept,
+            Dimensions = dimensionList,
+            AutoRevealWhenAllVoted = autoRevealWhenAllVoted,
+            AutoRevealOnTimer = autoRevealOnTimer,
+            EveryoneEditsNotes = everyoneEditsNotes,
+            AnonymousVoting = anonymousVoting,
+            AsyncMode = asyncMode,
+            AsyncMinVotes = minVotes
         };
 
+        if (!string.IsNullOrWhiteSpace(passcode))
+        {
+            if (passcode.Trim().Length > MaxPasscodeLength)
+                throw new ArgumentException($"Passcode must be at most {MaxPasscodeLength} characters.").WithCode(ErrorCodes.PasscodeTooLong, new { max = MaxPasscodeLength });
+            var salt = RandomNumberGenerator.GetBytes(16);
+            room.PasscodeSalt = Convert.ToHexString(salt);
+            room.PasscodeHash = HashPasscode(passcode.Trim(), salt);
+        }
+
+        if (!string.IsNullOrWhiteSpace(webhookUrl))
+        {
+            if (!Uri.TryCreate(webhookUrl.Trim(), UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+                throw new ArgumentException("Webhook URL must be an absolute http(s) URL.").WithCode(ErrorCodes.InvalidWebhookUrl);
+            if (_webhooks != null && !_webhooks.IsAllowedRoomTarget(uri))
+                throw new ArgumentException("Webhook URL must not point to a local or private address.").WithCode(ErrorCodes.WebhookUrlNotAllowed);
+            room.WebhookUrl = uri.ToString();
+            room.WebhookSecret = string.IsNullOrWhiteSpace(webhookSecret) ? null : webhookSecret.Trim();
+        }
+
         // Session timer
-        if (sessionMinutes.HasValue && sessionMinutes.Value > 0)
+        if (!asyncMode && sessionMinutes.HasValue && sessionMinutes.Value > 0)
         {
             room.SessionMinutes = sessionMinutes.Value;
             room.SecondsPerCard = (sessionMinutes.Value * 60) / cards.Count;
-            room.CardTimerStartedAt = DateTime.UtcNow;
+            StartCardTimer(room, DateTime.UtcNow);
         }
 
         var isSpectator = string.IsNullOrWhiteSpace(ownerName);
@@ -65,12 +170,12 @@ public class RoomService
             ConnectionId = ownerConnectionId,
             Name = isSpectator ? "Spectator" : ownerName!.Trim(),
             IsOwner = true,
-            WasOriginalOwner = true,
             IsSpectator = isSpectator
         };
 
         room.Players[ownerConnectionId] = player;
         _rooms[code] = room;
+        PublishWebhook(room, WebhookEvents.RoomCreated);
 
         return room;
     }
@@ -80,37 +185,81 @@ public class RoomService
     public Room? GetRoom(string code) =>
         _rooms.TryGetValue(code.ToUpperInvariant(), out var room) ? room : null;
 
-    public Player JoinRoom(string code, string playerName, string connectionId)
+    /// <summary>
+    /// Join as a new player (or observer), or take back your own seat by passing its playerId.
+    /// A name that already has a seat can't be used by anyone else.
+    /// </summary>
+    public Player JoinRoom(string code, string playerName, string connectionId, string? passcode = null, string? playerId = null, bool asSpectator = false)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
 
-        // Check if there's a disconnected player with the same name — reconnect them
-        var existingByName = room.Players.Values
-            .FirstOrDefault(p => p.Name.Equals(playerName.Trim(), StringComparison.OrdinalIgnoreCase) && !p.IsConnected);
-        if (existingByName != null)
-        {
-            return ReconnectPlayer(room, existingByName, connectionId);
-        }
+        if (room.Players.ContainsKey(connectionId))
+            return room.Players[connectionId];
+
+        var name = playerName.Trim();
+        if (string.IsNullOrEmpty(name))
+            throw new ArgumentException("Name is required.").WithCode(ErrorCodes.NameRequired);
+
+        if (room.BannedNames.Contains(name, StringComparer.OrdinalIgnoreCase)
+            || (playerId != null && room.BannedPlayerIds.Contains(playerId)))
+            throw new InvalidOperationException("You have been removed from this room.").WithCode(ErrorCodes.RemovedFromRoom);
+
+        // The seat's own token reclaims it — no passcode or lock check, the player was already let in
+        var ownSeat = playerId != null ? room.Players.Values.FirstOrDefault(p => p.PlayerId == playerId) : null;
+        if (ownSeat != null)
+            return ReconnectPlayer(room, ownSeat, connectionId);
+
+        RequirePasscode(room, connectionId, passcode);
+
+        if (room.IsLocked)
+            throw new InvalidOperationException("This room is locked.").WithCode(ErrorCodes.RoomLocked);
+
+        if (room.Players.Values.Any(p => p.Name.Equals(name, StringComparison.OrdinalIgnoreCase)))
+            throw new InvalidOperationException($"The name \"{name}\" is already taken in this room.").WithCode(ErrorCodes.NameTaken, new { name });
 
         var activeCount = room.Players.Values.Count(p => p.IsConnected);
         if (activeCount >= 50)
-            throw new InvalidOperationException("Room is full (max 50 players).");
-
-        if (room.Players.ContainsKey(connectionId))
-            return room.Players[connectionId];
+            throw new InvalidOperationException("Room is full (max 50 players).").WithCode(ErrorCodes.RoomFull, new { max = 50 });
 
         var player = new Player
         {
             ConnectionId = connectionId,
-            Name = playerName.Trim(),
+            Name = name,
             IsOwner = false,
-            IsSpectator = false
+            IsSpectator = asSpectator
         };
 
         room.Players[connectionId] = player;
         return player;
     }
 
+    /// <summary>
+    /// Check the passcode, counting wrong guesses per connection and per room. Past the limit
+    /// every attempt is refused (even the right passcode) until the window is over.
+    /// </summary>
+    private void RequirePasscode(Room room, string connectionId, string? passcode)
+    {
+        if (room.PasscodeHash == null) return;
+
+        var now = DateTime.UtcNow;
+        var connectionKey = $"connection:{connectionId}";
+        var roomKey = $"room:{room.Code}";
+        if (IsPasscodeLockedOut(connectionKey, MaxPasscodeFailuresPerConnection, now)
+            || IsPasscodeLockedOut(roomKey, MaxPasscodeFailuresPerRoom, now))
+            throw new InvalidOperationException("Too many wrong passcodes. Try again later.")
+                .WithCode(ErrorCodes.TooManyPasscodeAttempts, new { minutes = (int)PasscodeFailureWindow.TotalMinutes });
+
+        if (CheckPasscode(room, passcode)) return;
+
+        // An empty passcode is just the first try at a protected room, not a guess
+        if (string.IsNullOrWhiteSpace(passcode))
+            throw new InvalidOperationException("This room requires a passcode.").WithCode(ErrorCodes.PasscodeRequired);
+
+        CountPasscodeFailure(connectionKey, now);
+        CountPasscodeFailure(roomKey, now);
+        throw new InvalidOperationException("Incorrect passcode.").WithCode(ErrorCodes.IncorrectPasscode);
+    }
+
     /// <summary>
     /// Rejoin by playerId (from localStorage). Returns player or null if not found.
     /// </summary>
@@ -125,6 +274,287 @@ public class RoomService
         return ReconnectPlayer(room, player, newConnectionId);
     }
 
+    /// <summary>
+    /// Switch yourself between voter and observer. An observer's vote on the current card is dropped,
+    /// so it no longer counts towards consensus. Returns true when a vote was removed.
+    /// </summary>
+    public bool SetSpectator(string code, string connectionId, bool isSpectator)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.Players.TryGetValue(connectionId, out var player))
+            throw new InvalidOperationException("Player not in room.").WithCode(ErrorCodes.PlayerNotInRoom);
+
+        player.IsSpectator = isSpectator;
+        if (!isSpectator || room.CurrentCard is not { } card) return false;
+
+        // Revealed numbers changing as someone starts observing would give away an anonymous vote:
+        // it stays until the next round
+        if (room.AnonymousVoting && room.State == RoomState.Revealed) return false;
+
+        var removed = card.Votes.TryRemove(connectionId, out _);
+        return card.DimensionVotes.TryRemove(connectionId, out _) || removed;
+    }
+
+    // ===== Presenter displays =====
+
+    private const int MaxDisplayTokenLength = 64;
+
+    /// <summary>
+    /// Attach a presenter display (the screen in the meeting room). It takes no seat, but is let in
+    /// like a player: not when it or the seat this browser holds in the room is banned, only with the
+    /// passcode, and not into a locked room unless it was attached before. A display is known by a
+    /// token the server hands out on its first attach; only the token's hash is kept.
+    /// Returns the room and the token to come back with.
+    /// </summary>
+    public (Room Room, string DisplayToken) PresentRoom(string code, string connectionId, string? displayToken, string? passcode = null, string? playerId = null, string? playerName = null)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        var token = string.IsNullOrWhiteSpace(displayToken) || displayToken.Length > MaxDisplayTokenLength ? null : displayToken;
+        if ((token != null && room.BannedDisplayHashes.Contains(HashSecret(token)))
+            || (playerId != null && room.BannedPlayerIds.Contains(playerId))
+            || (!string.IsNullOrWhiteSpace(playerName) && room.BannedNames.Contains(playerName.Trim(), StringComparer.OrdinalIgnoreCase)))
+            throw new InvalidOperationException("You have been removed from this room.").WithCode(ErrorCodes.RemovedFromRoom);
+
+        RequirePasscode(room, connectionId, passcode);
+
+        if (token == null || !room.AdmittedDisplayHashes.Contains(HashSecret(token)))
+        {
+            if (room.IsLocked)
+                throw new InvalidOperationException("This room is locked.").WithCode(ErrorCodes.RoomLocked);
+
+            // A token this room didn't hand out is no better than none: the display gets a fresh one
+            token = Convert.ToHexString(RandomNumberGenerator.GetBytes(24)).ToLowerInvariant();
+            room.AdmittedDisplayHashes.Add(HashSecret(token));
+        }
+        room.Displays[connectionId] = new PresenterDisplay { ConnectionId = connectionId, TokenHash = HashSecret(token) };
+        return (room, token);
+    }
+
+    /// <summary>
+    /// Forget a display whose connection closed. Returns its room, or null if the connection wasn't a display.
+    /// </summary>
+    public Room? DetachDisplay(string connectionId)
+    {
+        var room = _rooms.Values.FirstOrDefault(r => r.Displays.ContainsKey(connectionId));
+        room?.Displays.TryRemove(connectionId, out _);
+        return room;
+    }
+
+    /// <summary>
+    /// Attached displays, oldest first (owner only).
+    /// </summary>
+    public List<PresenterDisplay> GetDisplays(string code, string connectionId)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can manage displays.").WithCode(ErrorCodes.OwnerOnlyDisplays);
+
+        return room.Displays.Values.OrderBy(d => d.ConnectedAt).ToList();
+    }
+
+    /// <summary>
+    /// Detach a display and ban its token, so it can't attach again. Returns the connections
+    /// that showed it (one browser may have it open in several tabs).
+    /// </summary>
+    public List<string> RemoveDisplay(string code, string connectionId, string displayConnectionId)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can manage displays.").WithCode(ErrorCodes.OwnerOnlyDisplays);
+
+        if (!room.Displays.TryGetValue(displayConnectionId, out var display))
+            return [];
+
+        room.AdmittedDisplayHashes.Remove(display.TokenHash);
+        room.BannedDisplayHashes.Add(display.TokenHash);
+        var connections = room.Displays.Values.Where(d => d.TokenHash == display.TokenHash).Select(d => d.ConnectionId).ToList();
+        foreach (var id in connections)
+            room.Displays.TryRemove(id, out _);
+        return connections;
+    }
+
+    // ===== Access control (owner only) =====
+
+    private const int MaxPasscodeLength = 32;
+    private const int PasscodeHashIterations = 100_000;
+    public const int MaxPasscodeFailuresPerConnection = 5;
+    public const int MaxPasscodeFailuresPerRoom = 20;
+    public static readonly TimeSpan PasscodeFailureWindow = TimeSpan.FromMinutes(5);
+
+    // Wrong passcodes by "connection:ID" and "room:CODE": count and when the first one came
+    private readonly ConcurrentDictionary<string, (int count, DateTime since)> _passcodeFailures = new();
+
+    public void SetRoomLocked(string code, string connectionId, bool locked)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can lock the room.").WithCode(ErrorCodes.OwnerOnlyLock);
+
+        room.IsLocked = locked;
+    }
+
+    /// <summary>
+    /// Remove a player and their votes. With ban, neither their name nor their playerId can join again.
+    /// </summary>
+    public Player KickPlayer(string code, string connectionId, string playerName, bool ban)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can remove players.").WithCode(ErrorCodes.OwnerOnlyRemovePlayers);
+
+        var player = FindPlayer(room, playerName);
+        if (player.ConnectionId == connectionId)
+            throw new InvalidOperationException("You can't remove yourself.").WithCode(ErrorCodes.CannotRemoveSelf);
+
+        RemoveVotes(room, player.ConnectionId);
+        room.Players.TryRemove(player.ConnectionId, out _);
+        room.SuccessorIds.Remove(player.PlayerId);
+
+        if (ban)
+        {
+            room.BannedPlayerIds.Add(player.PlayerId);
+            room.BannedNames.Add(player.Name);
+        }
+        return player;
+    }
+
+    // ===== Roles (owner only) =====
+
+    /// <summary>
+    /// Promote a player to co-facilitator, or demote them back to a regular player.
+    /// </summary>
+    public Player SetFacilitator(string code, string connectionId, string playerName, bool isFacilitator)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can change roles.").WithCode(ErrorCodes.OwnerOnlyRoles);
+
+        var player = FindPlayer(room, playerName);
+        if (player.IsOwner)
+            throw new InvalidOperationException("The owner already has every right.").WithCode(ErrorCodes.OwnerHasAllRights);
+
+        player.IsFacilitator = isFacilitator;
+        return player;
+    }
+
+    /// <summary>
+    /// Hand the room over for good: the new owner is the one who takes it back after a reconnect,
+    /// and the previous owner stays on as a co-facilitator.
+    /// </summary>
+    public Player TransferOwnership(string code, string connectionId, string playerName)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can hand over ownership.").WithCode(ErrorCodes.OwnerOnlyTransfer);
+
+        var newOwner = FindPlayer(room, playerName);
+        if (newOwner.ConnectionId == connectionId)
+            throw new InvalidOperationException("You already own this room.").WithCode(ErrorCodes.AlreadyOwner);
+        if (!newOwner.IsConnected)
+            throw new InvalidOperationException($"{newOwner.Name} is not connected.").WithCode(ErrorCodes.PlayerNotConnected, new { name = newOwner.Name });
+
+        foreach (var p in room.Players.Values)
+            p.IsOwner = false;
+
+        var oldOwner = room.Players[connectionId];
+        oldOwner.IsFacilitator = true;
+        newOwner.IsOwner = true;
+        newOwner.IsFacilitator = false;
+        room.OwnerConnectionId = newOwner.ConnectionId;
+        room.SuccessorIds.Remove(newOwner.PlayerId);
+
+        _logger.LogInformation("Ownership handed over in {RoomCode}: \"{OldOwner}\" -> \"{NewOwner}\"",
+            room.Code, oldOwner.Name, newOwner.Name);
+        return newOwner;
+    }
+
+    /// <summary>
+    /// Who takes over, in order, when the owner disconnects. Replaces the previous order.
+    /// </summary>
+    public void SetSuccessorOrder(string code, string connectionId, IEnumerable<string> playerNames)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can choose successors.").WithCode(ErrorCodes.OwnerOnlySuccessors);
+
+        room.SuccessorIds = playerNames
+            .Select(name => FindPlayer(room, name))
+            .Where(p => !p.IsOwner)
+            .Select(p => p.PlayerId)
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Successor names in order, skipping players who have left.
+    /// </summary>
+    public List<string> GetSuccessorNames(Room room) =>
+        room.SuccessorIds
+            .Select(id => room.Players.Values.FirstOrDefault(p => p.PlayerId == id))
+            .Where(p => p != null)
+            .Select(p => p!.Name)
+            .ToList();
+
+    private static Player FindPlayer(Room room, string playerName) =>
+        room.Players.Values.FirstOrDefault(p => p.Name == playerName)
+            ?? throw new ArgumentException($"Player \"{playerName}\" not found.").WithCode(ErrorCodes.PlayerNotFound, new { name = playerName });
+
+    /// <summary>
+    /// Next owner when the current one drops: the configured successors first, then co-facilitators,
+    /// then any connected voter.
+    /// </summary>
+    private static Player? PickSuccessor(Room room, string leavingConnectionId)
+    {
+        var candidates = room.Players.Values
+            .Where(p => p.IsConnected && p.ConnectionId != leavingConnectionId)
+            .ToList();
+
+        return room.SuccessorIds
+                .Select(id => candidates.FirstOrDefault(p => p.PlayerId == id))
+                .FirstOrDefault(p => p != null)
+            ?? candidates.FirstOrDefault(p => p.IsFacilitator)
+            ?? candidates.FirstOrDefault(p => !p.IsSpectator);
+    }
+
+    private static bool CheckPasscode(Room room, string? passcode)
+    {
+        if (room.PasscodeHash == null) return true;
+        if (string.IsNullOrWhiteSpace(passcode)) return false;
+
+        // Rooms saved before passcodes were salted keep their plain SHA-256 hash
+        var hash = room.PasscodeSalt != null
+            ? HashPasscode(passcode.Trim(), Convert.FromHexString(room.PasscodeSalt))
+            : HashSecret(passcode.Trim());
+        return CryptographicOperations.FixedTimeEquals(
+            Convert.FromHexString(room.PasscodeHash),
+            Convert.FromHexString(hash));
+    }
+
+    private bool IsPasscodeLockedOut(string key, int maxFailures, DateTime now) =>
+        _passcodeFailures.TryGetValue(key, out var failures)
+        && now - failures.since < PasscodeFailureWindow
+        && failures.count >= maxFailures;
+
+    private void CountPasscodeFailure(string key, DateTime now) =>
+        _passcodeFailures.AddOrUpdate(key, (1, now),
+            (_, failures) => now - failures.since < PasscodeFailureWindow ? (failures.count + 1, failures.since) : (1, now));
+
+    // Passcodes are short and guessable, so they get a slow salted hash; owner tokens are random and long
+    private static string HashPasscode(string passcode, byte[] salt) =>
+        Convert.ToHexString(Rfc2898DeriveBytes.Pbkdf2(passcode, salt, PasscodeHashIterations, HashAlgorithmName.SHA256, 32));
+
+    private static string HashSecret(string secret) =>
+        Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(secret)));
+
     private Player ReconnectPlayer(Room room, Player player, string newConnectionId)
     {
         var oldConnectionId = player.ConnectionId;
@@ -133,6 +563,7 @@ public class RoomService
         room.Players.TryRemove(oldConnectionId, out _);
         player.ConnectionId = newConnectionId;
         player.DisconnectedAt = null;
+        player.ReservedUntil = null;
         room.Players[newConnectionId] = player;
 
         // Migrate votes from old connectionId to new
@@ -142,26 +573,18 @@ public class RoomService
             {
                 card.Votes[newConnectionId] = vote;
             }
+            if (card.DimensionVotes.TryRemove(oldConnectionId, out var dimensionVotes))
+            {
+                card.DimensionVotes[newConnectionId] = dimensionVotes;
+            }
         }
 
-        // Restore ownership if this was the original owner
+        // An owner whose seat kept ownership (no successor took over) keeps it. Once a successor
+        // took over, they stay owner: handing it back is an explicit TransferOwnership.
         if (room.OwnerConnectionId == oldConnectionId)
         {
             room.OwnerConnectionId = newConnectionId;
         }
-        else if (player.WasOriginalOwner)
-        {
-            // Original owner reconnected — take back ownership
-            var currentOwner = room.Players.Values.FirstOrDefault(p => p.IsOwner && p.ConnectionId != newConnectionId);
-            if (currentOwner != null)
-            {
-                currentOwner.IsOwner = false;
-                _logger.LogInformation("Original owner \"{OwnerName}\" reclaimed ownership in {RoomCode} from \"{TempOwner}\"",
-                    player.Name, room.Code, currentOwner.Name);
-            }
-            player.IsOwner = true;
-            room.OwnerConnectionId = newConnectionId;
-        }
 
         return player;
     }
@@ -174,10 +597,14 @@ public class RoomService
             {
                 player.DisconnectedAt = DateTime.UtcNow;
 
-                // If owner disconnected, transfer ownership to first connected player
+                // Async players come back whenever they like: keep their seat and votes
+                if (room.AsyncMode)
+                    player.ReservedUntil = player.DisconnectedAt + AsyncSeatReservation;
+
+                // If owner disconnected, hand the room to the next successor until they're back
                 if (room.IsOwner(connectionId))
                 {
-                    var newOwner = room.Players.Values.FirstOrDefault(p => p.IsConnected && !p.IsSpectator && p.ConnectionId != connectionId);
+                    var newOwner = PickSuccessor(room, connectionId);
                     if (newOwner != null)
                     {
                         player.IsOwner = false;
@@ -203,17 +630,22 @@ public class RoomService
     public (string roomCode, string playerName, string? newOwnerName)? CleanupDisconnected()
     {
         var now = DateTime.UtcNow;
+        foreach (var (key, failures) in _passcodeFailures)
+        {
+            if (now - failures.since >= PasscodeFailureWindow)
+                _passcodeFailures.TryRemove(key, out _);
+        }
+
         foreach (var room in _rooms.Values)
         {
             var expired = room.Players.Values
-                .Where(p => p.DisconnectedAt.HasValue && (now - p.DisconnectedAt.Value) > DisconnectGracePeriod)
+                .Where(p => p.DisconnectedAt.HasValue && (now - p.DisconnectedAt.Value) > DisconnectGracePeriod && !(p.ReservedUntil > now))
                 .ToList();
 
             foreach (var player in expired)
             {
                 // Remove orphaned votes from all cards
-                foreach (var card in room.Cards)
-                    card.Votes.TryRemove(player.ConnectionId, out _);
+                RemoveVotes(room, player.ConnectionId);
                 room.Players.TryRemove(player.ConnectionId, out _);
                 _logger.LogInformation("Cleaned up expired player \"{PlayerName}\" from {RoomCode}", player.Name, room.Code);
             }
@@ -221,6 +653,7 @@ public class RoomService
             if (room.Players.Count == 0)
             {
                 _rooms.TryRemove(room.Code, out _);
+                _store.Delete(room.Code);
                 _logger.LogInformation("Removed empty room {RoomCode}", room.Code);
             }
         }
@@ -234,125 +667,652 @@ public class RoomService
 
     public void Vote(string code, string connectionId, string value)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
-        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.");
-
-        if (!room.Players.TryGetValue(connectionId, out var player))
-            throw new InvalidOperationException("Player not in room.");
+        var room = GetLiveRoom(code);
+        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.").WithCode(ErrorCodes.NoActiveCard);
+        var player = GetVoter(room, connectionId);
 
-        if (player.IsSpectator)
-            throw new InvalidOperationException("Spectators cannot vote.");
+        if (!room.ScaleValues.Contains(value) && !(room.CoffeeBreakEnabled && value == CoffeeVote))
+            throw new ArgumentException($"Invalid vote value: {value}").WithCode(ErrorCodes.InvalidVote, new { value });
 
-        var scale = ScaleDefinitions.GetScale(room.Scale);
-        if (!scale.Contains(value) && !(room.CoffeeBreakEnabled && value == CoffeeVote))
-            throw new ArgumentException($"Invalid vote value: {value}");
+        if (value == CoffeeVote && card.Votes.GetValueOrDefault(connectionId) != CoffeeVote)
+            card.History.Add(new CardEvent { Type = CardEventTypes.CoffeeBreak, By = room.AnonymousVoting ? null : player.Name });
 
         card.Votes[connectionId] = value;
     }
 
-    public Dictionary<string, string> RevealCards(string code, string connectionId)
+    /// <summary>
+    /// Vote on one of the room's dimensions. Same rules as the estimate, minus the coffee card.
+    /// </summary>
+    public void VoteDimension(string code, string connectionId, string dimensionName, string value)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
-
-        if (!room.IsOwner(connectionId))
-            throw new InvalidOperationException("Only the room owner can reveal cards.");
+        var room = GetLiveRoom(code);
+        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.").WithCode(ErrorCodes.NoActiveCard);
+        GetVoter(room, connectionId);
 
-        if (room.State != RoomState.Voting)
-            throw new InvalidOperationException("Cards are already revealed.");
+        var dimension = room.Dimensions.FirstOrDefault(d => d.Name == dimensionName)
+            ?? throw new ArgumentException($"Unknown dimension: {dimensionName}").WithCode(ErrorCodes.UnknownDimension, new { name = dimensionName });
 
-        room.State = RoomState.Revealed;
+        if (!dimension.ScaleValues.Contains(value))
+            throw new ArgumentException($"Invalid vote value: {value}").WithCode(ErrorCodes.InvalidVote, new { value });
 
-        // Return votes with player names instead of connection IDs
-        return GetNamedVotes(room);
+        card.DimensionVotes.GetOrAdd(connectionId, _ => new())[dimension.Name] = value;
     }
 
-    public void AcceptEstimate(string code, string connectionId, string value)
+    private static Player GetVoter(Room room, string connectionId)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
+        if (!room.Players.TryGetValue(connectionId, out var player))
+            throw new InvalidOperationException("Player not in room.").WithCode(ErrorCodes.PlayerNotInRoom);
 
-        if (!room.IsOwner(connectionId))
-            throw new InvalidOperationException("Only the room owner can accept estimates.");
+        if (player.IsSpectator)
+            throw new InvalidOperationException("Spectators cannot vote.").WithCode(ErrorCodes.SpectatorCannotVote);
 
-        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.");
-        card.AcceptedEstimate = value;
+        return player;
     }
 
-    public void Revote(string code, string connectionId)
+    // Drop a player's votes (estimate and dimensions) on every card
+    private static void RemoveVotes(Room room, string connectionId)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
-
-        if (!room.IsOwner(connectionId))
-            throw new InvalidOperationException("Only the room owner can trigger revote.");
-
-        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.");
-        card.Votes.Clear();
-        card.AcceptedEstimate = null;
-        room.State = RoomState.Voting;
-        if (room.SecondsPerCard.HasValue)
-            room.CardTimerStartedAt = DateTime.UtcNow;
+        foreach (var card in room.Cards)
+        {
+            card.Votes.TryRemove(connectionId, out _);
+            card.DimensionVotes.TryRemove(connectionId, out _);
+        }
     }
 
-    public Card? NextQuestion(string code, string connectionId)
+    public Dictionary<string, string> RevealCards(string code, string connectionId)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
-
-        if (!room.IsOwner(connectionId))
-            throw new InvalidOperationException("Only the room owner can advance questions.");
-
-        // Auto-accept current card's estimate if not set
-        var currentCard = room.CurrentCard;
-        if (currentCard != null && currentCard.AcceptedEstimate == null && currentCard.Votes.Count > 0)
-        {
-            currentCard.AcceptedEstimate = CalculateConsensus(currentCard.Votes.Values);
-        }
+        var room = GetLiveRoom(code);
 
-        room.CurrentCardIndex++;
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can reveal cards.").WithCode(ErrorCodes.FacilitatorOnlyReveal);
 
-        if (room.CurrentCardIndex >= room.Cards.Count)
-        {
-            room.State = RoomState.Finished;
-            return null;
-        }
+        if (room.State != RoomState.Voting)
+            throw new InvalidOperationException("Cards are already revealed.").WithCode(ErrorCodes.AlreadyRevealed);
 
-        // Reset timer for next card
-        if (room.SecondsPerCard.HasValue)
-            room.CardTimerStartedAt = DateTime.UtcNow;
+        Reveal(room);
 
-        room.State = RoomState.Voting;
-        return room.CurrentCard;
+        // Return votes with player names instead of connection IDs (numbered in anonymous rooms)
+        return GetNamedVotes(room);
     }
 
-    public Dictionary<string, string> GetNamedVotes(Room room)
+    private void Reveal(Room room)
     {
-        var card = room.CurrentCard;
-        if (card == null) return new();
+        room.State = RoomState.Revealed;
+        CancelAutoReveal(room);
 
-        var result = new Dictionary<string, string>();
-        foreach (var (connId, vote) in card.Votes)
+        var card = room.CurrentCard;
+        PublishWebhook(room, WebhookEvents.CardsRevealed, card);
+        if (room.AutoAccept && card != null && card.AcceptedEstimate == null)
         {
-            if (room.Players.TryGetValue(connId, out var player))
-                result[player.Name] = vote;
+            AutoAccept(room, card);
+            if (card.AcceptedEstimate != null)
+            {
+                // Give everyone a moment to see the cards before moving on
+                room.AutoAdvanceAt = DateTime.UtcNow + AutoAdvanceDelay;
+                room.AutoAdvanceCardIndex = room.CurrentCardIndex;
+            }
         }
-        return result;
     }
 
     /// <summary>
-    /// Get connected players for display (filter out disconnected from player list shown to others).
+    /// Accept the consensus, if there is one, on nobody's behalf.
     /// </summary>
-    public IEnumerable<Player> GetActivePlayers(Room room)
+    private void AutoAccept(Room room, Card card)
     {
-        return room.Players.Values.Where(p => p.IsConnected);
+        card.AcceptedEstimate = CalculateConsensus(room, card.Votes.Values);
+        if (card.AcceptedEstimate != null)
+        {
+            card.History.Add(new CardEvent { Type = CardEventTypes.Accepted, Value = card.AcceptedEstimate });
+            PublishWebhook(room, WebhookEvents.EstimateAccepted, card);
+        }
     }
 
-    public const string CoffeeVote = "☕";
+    // ===== Auto-reveal =====
 
-    public string? CalculateConsensus(IEnumerable<string> votes)
+    public static readonly TimeSpan AutoRevealCountdown = TimeSpan.FromSeconds(3);
+
+    /// <summary>
+    /// Start, cancel or finish auto-reveal countdowns. Called periodically by AutoRevealService.
+    /// A countdown starts once every connected voter has voted or the card timer ran out;
+    /// votes can still change until it ends.
+    /// </summary>
+    public List<AutoRevealUpdate> CheckAutoReveal(DateTime now)
     {
-        var voteList = votes.Where(v => v != "?" && v != CoffeeVote).ToList();
-        if (voteList.Count == 0) return null;
+        var updates = new List<AutoRevealUpdate>();
+        foreach (var room in _rooms.Values)
+        {
+            if (room.AsyncMode || room.State != RoomState.Voting || room.CurrentCard == null)
+            {
+                CancelAutoReveal(room);
+                continue;
+            }
 
-        var topGroup = voteList
-            .GroupBy(v => v)
+            var reason = GetAutoRevealReason(room, now);
+            if (room.AutoRevealAt == null)
+            {
+                if (reason == null) continue;
+                room.AutoRevealAt = now + AutoRevealCountdown;
+                room.AutoRevealReason = reason;
+                updates.Add(new AutoRevealUpdate(room, AutoRevealStatus.CountdownStarted, reason));
+            }
+            else if (reason == null)
+            {
+                // Someone joined (or went back to voting) before the countdown ended
+                CancelAutoReveal(room);
+                updates.Add(new AutoRevealUpdate(room, AutoRevealStatus.CountdownCancelled));
+            }
+            else if (now >= room.AutoRevealAt)
+            {
+                Reveal(room);
+                updates.Add(new AutoRevealUpdate(room, AutoRevealStatus.Revealed, reason));
+            }
+        }
+        return updates;
+    }
+
+    /// <summary>
+    /// True when every connected, non-spectator player has voted on the current card.
+    /// </summary>
+    public bool AllVotersVoted(Room room)
+    {
+        var card = room.CurrentCard;
+        var voters = GetActivePlayers(room).Where(p => !p.IsSpectator).ToList();
+        return card != null && voters.Count > 0 && voters.All(p => card.Votes.ContainsKey(p.ConnectionId));
+    }
+
+    private string? GetAutoRevealReason(Room room, DateTime now)
+    {
+        // A paused timer has no deadline, so it never triggers
+        if (room.AutoRevealOnTimer && room.CardTimerDeadline.HasValue && now >= room.CardTimerDeadline.Value)
+            return AutoRevealReasons.Timer;
+
+        if (room.AutoRevealWhenAllVoted && AllVotersVoted(room))
+            return AutoRevealReasons.AllVoted;
+
+        return null;
+    }
+
+    private static void CancelAutoReveal(Room room)
+    {
+        room.AutoRevealAt = null;
+        room.AutoRevealReason = null;
+    }
+
+    // ===== Auto-advance =====
+
+    public static readonly TimeSpan AutoAdvanceDelay = TimeSpan.FromSeconds(3);
+
+    /// <summary>
+    /// Move on from cards whose consensus was auto-accepted once the delay is over.
+    /// Called periodically by AutoRevealService. Anything that changes the round first
+    /// (re-vote, going back, advancing by hand) drops the pending advance.
+    /// </summary>
+    public List<AutoAdvanceUpdate> CheckAutoAdvance(DateTime now)
+    {
+        var updates = new List<AutoAdvanceUpdate>();
+        foreach (var room in _rooms.Values)
+        {
+            if (room.AutoAdvanceAt == null) continue;
+
+            if (room.State != RoomState.Revealed || room.CurrentCardIndex != room.AutoAdvanceCardIndex)
+            {
+                CancelAutoAdvance(room);
+                continue;
+            }
+
+            if (now >= room.AutoAdvanceAt)
+                updates.Add(new AutoAdvanceUpdate(room, Advance(room)));
+        }
+        return updates;
+    }
+
+    private static void CancelAutoAdvance(Room room)
+    {
+        room.AutoAdvanceAt = null;
+        room.AutoAdvanceCardIndex = null;
+    }
+
+    public void AcceptEstimate(string code, string connectionId, string value)
+    {
+        var room = GetLiveRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can accept estimates.").WithCode(ErrorCodes.FacilitatorOnlyAccept);
+
+        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.").WithCode(ErrorCodes.NoActiveCard);
+        SetEstimate(room, card, room.Players[connectionId].Name, value);
+    }
+
+    private void SetEstimate(Room room, Card card, string by, string value)
+    {
+        if (card.AcceptedEstimate == value)
+            return;
+
+        if (card.AcceptedEstimate == null)
+        {
+            card.History.Add(new CardEvent
+            {
+                Type = CardEventTypes.Accepted,
+                By = by,
+                Value = value
+            });
+        }
+        else
+        {
+            card.History.Add(new CardEvent
+            {
+                Type = CardEventTypes.EstimateChanged,
+                By = by,
+                Value = value,
+                PreviousValue = card.AcceptedEstimate
+            });
+        }
+        card.AcceptedEstimate = value;
+        PublishWebhook(room, WebhookEvents.EstimateAccepted, card);
+    }
+
+    public void Revote(string code, string connectionId)
+    {
+        var room = GetLiveRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can trigger revote.").WithCode(ErrorCodes.FacilitatorOnlyRevote);
+
+        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.").WithCode(ErrorCodes.NoActiveCard);
+        card.History.Add(new CardEvent
+        {
+            Type = CardEventTypes.Revote,
+            By = room.Players[connectionId].Name,
+            PreviousValue = card.AcceptedEstimate,
+            Votes = GetNamedVotes(room)
+        });
+        card.Votes.Clear();
+        card.DimensionVotes.Clear();
+        card.AcceptedEstimate = null;
+        room.State = RoomState.Voting;
+        CancelAutoReveal(room);
+        RestartCardTimer(room, DateTime.UtcNow);
+    }
+
+    public Card? NextQuestion(string code, string connectionId)
+    {
+        var room = GetLiveRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can advance questions.").WithCode(ErrorCodes.FacilitatorOnlyNext);
+
+        return Advance(room);
+    }
+
+    private Card? Advance(Room room)
+    {
+        // Auto-accept current card's estimate if not set
+        var currentCard = room.CurrentCard;
+        if (currentCard != null && currentCard.AcceptedEstimate == null && currentCard.Votes.Count > 0)
+        {
+            AutoAccept(room, currentCard);
+        }
+
+        var now = DateTime.UtcNow;
+        TrackCardTime(room, now);
+        if (room.SecondsPerCard.HasValue)
+            room.SessionSecondsUsed += GetCardElapsedSeconds(room, now);
+
+        // After revisiting an earlier card, continue where the session left off
+        if (room.ResumeCardIndex > room.CurrentCardIndex)
+            room.CurrentCardIndex = room.ResumeCardIndex.Value;
+        else
+            room.CurrentCardIndex++;
+        room.ResumeCardIndex = null;
+        CancelAutoReveal(room);
+        CancelAutoAdvance(room);
+
+        if (room.CurrentCardIndex >= room.Cards.Count)
+        {
+            Finish(room);
+            return null;
+        }
+
+        // Reset timer for next card, with the session time left shared across the remaining cards
+        if (room.SecondsPerCard.HasValue)
+        {
+            RebalanceSecondsPerCard(room);
+            StartCardTimer(room, now);
+        }
+
+        room.State = RoomState.Voting;
+        return room.CurrentCard;
+    }
+
+    // ===== Card timer (owner controls) =====
+
+    private const int MinSecondsPerCard = 30;
+    public const int TimerExtendSeconds = 60;
+
+    public void PauseTimer(string code, string connectionId)
+    {
+        var room = GetTimedRoom(code, connectionId);
+        if (room.CardTimerPausedRemaining.HasValue)
+            throw new InvalidOperationException("Timer is already paused.").WithCode(ErrorCodes.TimerAlreadyPaused);
+
+        room.CardTimerPausedRemaining = GetRemainingSeconds(room, DateTime.UtcNow);
+        room.CardTimerDeadline = null;
+    }
+
+    public void ResumeTimer(string code, string connectionId)
+    {
+        var room = GetTimedRoom(code, connectionId);
+        if (!room.CardTimerPausedRemaining.HasValue)
+            throw new InvalidOperationException("Timer is not paused.").WithCode(ErrorCodes.TimerNotPaused);
+
+        room.CardTimerDeadline = DateTime.UtcNow.AddSeconds(room.CardTimerPausedRemaining.Value);
+        room.CardTimerPausedRemaining = null;
+    }
+
+    /// <summary>
+    /// Give the current card another minute. When time is already up, the minute counts from now.
+    /// </summary>
+    public void ExtendTimer(string code, string connectionId)
+    {
+        var room = GetTimedRoom(code, connectionId);
+        var now = DateTime.UtcNow;
+        var remaining = GetRemainingSeconds(room, now);
+        var added = Math.Max(remaining, 0) + TimerExtendSeconds - remaining;
+
+        if (room.CardTimerPausedRemaining.HasValue)
+            room.CardTimerPausedRemaining += added;
+        else
+            room.CardTimerDeadline = now.AddSeconds(remaining + added);
+        room.CardTimerExtraSeconds += added;
+    }
+
+    public void ResetTimer(string code, string connectionId)
+    {
+        var room = GetTimedRoom(code, connectionId);
+        RestartCardTimer(room, DateTime.UtcNow);
+    }
+
+    /// <summary>
+    /// Seconds left on the current card; negative once time is up.
+    /// </summary>
+    public static int GetRemainingSeconds(Room room, DateTime now)
+    {
+        if (room.CardTimerPausedRemaining.HasValue)
+            return room.CardTimerPausedRemaining.Value;
+        return room.CardTimerDeadline.HasValue
+            ? (int)Math.Ceiling((room.CardTimerDeadline.Value - now).TotalSeconds)
+            : 0;
+    }
+
+    private Room GetTimedRoom(string code, string connectionId)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can control the timer.").WithCode(ErrorCodes.OwnerOnlyTimer);
+
+        if (!room.SecondsPerCard.HasValue || room.State == RoomState.Finished)
+            throw new InvalidOperationException("This room has no running timer.").WithCode(ErrorCodes.NoTimer);
+
+        return room;
+    }
+
+    private static int GetCardElapsedSeconds(Room room, DateTime now) =>
+        room.SecondsPerCard!.Value + room.CardTimerExtraSeconds - GetRemainingSeconds(room, now);
+
+    private static void StartCardTimer(Room room, DateTime now)
+    {
+        room.CardTimerStartedAt = now;
+        room.CardTimerDeadline = now.AddSeconds(room.SecondsPerCard!.Value);
+        room.CardTimerPausedRemaining = null;
+        room.CardTimerExtraSeconds = 0;
+    }
+
+    // Start the current card over (Re-vote, Reset); time already spent still counts against the session
+    private static void RestartCardTimer(Room room, DateTime now)
+    {
+        if (!room.SecondsPerCard.HasValue) return;
+        room.SessionSecondsUsed += GetCardElapsedSeconds(room, now);
+        StartCardTimer(room, now);
+    }
+
+    private static void RebalanceSecondsPerCard(Room room)
+    {
+        var cardsLeft = Math.Max(1, room.Cards.Skip(room.CurrentCardIndex).Count(c => c.AcceptedEstimate == null));
+        var secondsLeft = room.SessionMinutes!.Value * 60 - room.SessionSecondsUsed;
+        room.SecondsPerCard = Math.Max(MinSecondsPerCard, secondsLeft / cardsLeft);
+    }
+
+    /// <summary>
+    /// Go back to an earlier card: its votes and accepted estimate are shown again in the
+    /// Revealed state so it can be re-voted or re-accepted. Also works after the game finished.
+    /// </summary>
+    public Card RevisitCard(string code, string connectionId, int index)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can revisit cards.").WithCode(ErrorCodes.OwnerOnlyRevisit);
+
+        if (index < 0 || index >= room.CurrentCardIndex)
+            throw new ArgumentException("Can only revisit an earlier card.").WithCode(ErrorCodes.RevisitEarlierOnly);
+
+        // Remember the furthest card reached, so NextQuestion returns there
+        room.ResumeCardIndex = Math.Max(room.ResumeCardIndex ?? room.CurrentCardIndex, room.CurrentCardIndex);
+        TrackCardTime(room, DateTime.UtcNow);
+        room.CurrentCardIndex = index;
+        room.State = RoomState.Revealed;
+        CancelAutoReveal(room);
+
+        var card = room.Cards[index];
+        card.History.Add(new CardEvent
+        {
+            Type = CardEventTypes.Revisited,
+            By = room.GetOwner()?.Name,
+            Value = card.AcceptedEstimate
+        });
+        return card;
+    }
+
+    /// <summary>
+    /// Add the time since the current card came up to its total, before moving to another card.
+    /// </summary>
+    private static void TrackCardTime(Room room, DateTime now)
+    {
+        if (room.CurrentCard != null && room.State != RoomState.Finished)
+            room.CurrentCard.SecondsSpent += Math.Max(0, (int)(now - room.CurrentCardSince).TotalSeconds);
+        room.CurrentCardSince = now;
+    }
+
+    /// <summary>
+    /// Seconds spent on a card so far, including the running visit if it's the current card.
+    /// </summary>
+    public static int GetSecondsSpent(Room room, Card card, DateTime now) =>
+        card.SecondsSpent + (card == room.CurrentCard && room.State != RoomState.Finished
+            ? Math.Max(0, (int)(now - room.CurrentCardSince).TotalSeconds)
+            : 0);
+
+    // ===== Card notes =====
+
+    public const int MaxNotesLength = 4000;
+
+    /// <summary>
+    /// Replace the current card's notes. The owner and co-facilitators can always edit them;
+    /// everyone else only when the room allows it.
+    /// </summary>
+    public Card UpdateNotes(string code, string connectionId, string? notes)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.Players.ContainsKey(connectionId))
+            throw new InvalidOperationException("Player not in room.").WithCode(ErrorCodes.PlayerNotInRoom);
+
+        if (!room.EveryoneEditsNotes && !room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can edit notes.").WithCode(ErrorCodes.FacilitatorOnlyNotes);
+
+        if (notes != null && notes.Length > MaxNotesLength)
+            throw new ArgumentException($"Notes must be at most {MaxNotesLength} characters.").WithCode(ErrorCodes.NotesTooLong, new { max = MaxNotesLength });
+
+        var card = room.CurrentCard ?? throw new InvalidOperationException("No active card.").WithCode(ErrorCodes.NoActiveCard);
+        card.Notes = string.IsNullOrWhiteSpace(notes) ? null : notes;
+        return card;
+    }
+
+    // ===== Backlog editing (owner, mid-session) =====
+
+    public Card AddCard(string code, string connectionId, string subject, string? description)
+    {
+        var room = GetEditableBacklog(code, connectionId);
+
+        if (string.IsNullOrWhiteSpace(subject))
+            throw new ArgumentException("Card subject is required.").WithCode(ErrorCodes.SubjectRequired);
+
+        var card = new Card
+        {
+            Subject = Truncate(subject.Trim(), MaxSubjectLength),
+            Description = string.IsNullOrWhiteSpace(description) ? null : Truncate(description.Trim(), MaxDescriptionLength),
+            // New cards go after everything else in the export
+            OriginalIndex = room.Cards.Count > 0 ? room.Cards.Max(c => c.OriginalIndex) + 1 : 0
+        };
+        room.Cards.Add(card);
+        return card;
+    }
+
+    public void EditCard(string code, string connectionId, int index, string subject, string? description)
+    {
+        var room = GetEditableBacklog(code, connectionId);
+
+        if (index < room.CurrentCardIndex || index >= room.Cards.Count)
+            throw new ArgumentException("Only the current and upcoming cards can be edited.").WithCode(ErrorCodes.EditCurrentOrUpcomingOnly);
+
+        if (string.IsNullOrWhiteSpace(subject))
+            throw new ArgumentException("Card subject is required.").WithCode(ErrorCodes.SubjectRequired);
+
+        var card = room.Cards[index];
+        card.Subject = Truncate(subject.Trim(), MaxSubjectLength);
+        card.Description = string.IsNullOrWhiteSpace(description) ? null : Truncate(description.Trim(), MaxDescriptionLength);
+    }
+
+    public void MoveCard(string code, string connectionId, int fromIndex, int toIndex)
+    {
+        var room = GetEditableBacklog(code, connectionId);
+
+        if (!IsUpcoming(room, fromIndex) || !IsUpcoming(room, toIndex))
+            throw new ArgumentException("Only upcoming cards can be reordered.").WithCode(ErrorCodes.ReorderUpcomingOnly);
+
+        var card = room.Cards[fromIndex];
+        room.Cards.RemoveAt(fromIndex);
+        room.Cards.Insert(toIndex, card);
+    }
+
+    public void RemoveCard(string code, string connectionId, int index)
+    {
+        var room = GetEditableBacklog(code, connectionId);
+
+        if (!IsUpcoming(room, index))
+            throw new ArgumentException("Only upcoming cards can be removed.").WithCode(ErrorCodes.RemoveUpcomingOnly);
+
+        room.Cards.RemoveAt(index);
+    }
+
+    /// <summary>
+    /// Pull an upcoming card to the front of the queue and advance to it.
+    /// Cards in between stay in the queue, so nothing is skipped for good.
+    /// </summary>
+    public Card JumpToCard(string code, string connectionId, int index)
+    {
+        var room = GetEditableBacklog(code, connectionId);
+        RequireLive(room);
+
+        if (!IsUpcoming(room, index))
+            throw new ArgumentException("Can only jump to an upcoming card.").WithCode(ErrorCodes.JumpUpcomingOnly);
+
+        // Put it where NextQuestion goes next (the resume point while revisiting)
+        var target = room.ResumeCardIndex ?? room.CurrentCardIndex + 1;
+        var card = room.Cards[index];
+        room.Cards.RemoveAt(index);
+        room.Cards.Insert(target, card);
+        return NextQuestion(code, connectionId)!;
+    }
+
+    private Room GetEditableBacklog(string code, string connectionId)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can edit the backlog.").WithCode(ErrorCodes.OwnerOnlyBacklog);
+
+        if (room.State == RoomState.Finished)
+            throw new InvalidOperationException("The game is already finished.").WithCode(ErrorCodes.GameFinished);
+
+        return room;
+    }
+
+    // Cards not reached yet — while revisiting, everything up to the resume point counts as done
+    private static bool IsUpcoming(Room room, int index) =>
+        index > (room.ResumeCardIndex ?? room.CurrentCardIndex) && index < room.Cards.Count;
+
+    public Dictionary<string, string> GetNamedVotes(Room room) =>
+        room.CurrentCard is { } card ? GetNamedVotes(room, card) : new();
+
+    public Dictionary<string, string> GetNamedVotes(Room room, Card card)
+    {
+        if (room.AnonymousVoting) return AnonymizeVotes(card.Votes.Values, room.ScaleValues);
+
+        var result = new Dictionary<string, string>();
+        foreach (var (connId, vote) in card.Votes)
+        {
+            if (room.Players.TryGetValue(connId, out var player))
+                result[player.Name] = vote;
+        }
+        return result;
+    }
+
+    /// <summary>
+    /// Votes of an anonymous room, keyed "#1", "#2", ... in scale order (anything off the scale,
+    /// like the coffee card, last), so neither the keys nor their order tell who voted what.
+    /// </summary>
+    public static Dictionary<string, string> AnonymizeVotes(IEnumerable<string> votes, string[] scale)
+    {
+        return votes
+            .OrderBy(v => Array.IndexOf(scale, v) is var i and >= 0 ? i : int.MaxValue)
+            .ThenBy(v => v, StringComparer.Ordinal)
+            .Select((vote, i) => (key: $"#{i + 1}", vote))
+            .ToDictionary(x => x.key, x => x.vote);
+    }
+
+    /// <summary>
+    /// Names of the players who voted on the current card — for voted/not voted seats
+    /// when the votes themselves are anonymous.
+    /// </summary>
+    public List<string> GetVoterNames(Room room)
+    {
+        var card = room.CurrentCard;
+        if (card == null) return [];
+
+        return card.Votes.Keys
+            .Select(connId => room.Players.TryGetValue(connId, out var player) ? player.Name : null)
+            .OfType<string>()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Get connected players for display (filter out disconnected from player list shown to others).
+    /// </summary>
+    public IEnumerable<Player> GetActivePlayers(Room room)
+    {
+        return room.Players.Values.Where(p => p.IsConnected);
+    }
+
+    public const string CoffeeVote = "☕";
+
+    public string? CalculateConsensus(IEnumerable<string> votes)
+    {
+        var voteList = votes.Where(v => v != "?" && v != CoffeeVote).ToList();
+        if (voteList.Count == 0) return null;
+
+        var topGroup = voteList
+            .GroupBy(v => v)
             .OrderByDescending(g => g.Count())
             .First();
 
@@ -364,6 +1324,43 @@ public class RoomService
         return null;
     }
 
+    /// <summary>
+    /// Consensus under the room's rule. Null when the votes don't agree enough.
+    /// </summary>
+    public string? CalculateConsensus(Room room, IEnumerable<string> votes)
+    {
+        var voteList = votes.Where(v => v != "?" && v != CoffeeVote).ToList();
+        if (voteList.Count == 0) return null;
+
+        var groups = voteList.GroupBy(v => v).OrderByDescending(g => g.Count()).ToList();
+
+        switch (room.ConsensusRule)
+        {
+            case ConsensusRule.Unanimous:
+                return groups.Count == 1 ? groups[0].Key : null;
+
+            case ConsensusRule.Threshold:
+                return groups[0].Count() * 100.0 / voteList.Count >= room.ConsensusThreshold ? groups[0].Key : null;
+
+            case ConsensusRule.Adjacent:
+            {
+                var scale = room.ScaleValues;
+                var positions = groups.Select(g => Array.IndexOf(scale, g.Key)).ToList();
+                if (positions.Any(p => p < 0) || positions.Max() - positions.Min() > 1)
+                    return null;
+
+                // Most votes wins; a tie goes to the larger value
+                return groups
+                    .OrderByDescending(g => g.Count())
+                    .ThenByDescending(g => Array.IndexOf(scale, g.Key))
+                    .First().Key;
+            }
+
+            default:
+                return CalculateConsensus(voteList);
+        }
+    }
+
     public int CountCoffeeVotes(IEnumerable<string> votes)
     {
         return votes.Count(v => v == CoffeeVote);
@@ -372,44 +1369,499 @@ public class RoomService
     public double? CalculateAverage(IEnumerable<string> votes)
     {
         var numericVotes = votes
-            .Where(v => v != CoffeeVote && double.TryParse(v, out _))
-            .Select(v => double.Parse(v))
+            .Where(v => v != CoffeeVote && double.TryParse(v, NumberStyles.Float, CultureInfo.InvariantCulture, out _))
+            .Select(v => double.Parse(v, NumberStyles.Float, CultureInfo.InvariantCulture))
             .ToList();
 
         return numericVotes.Count > 0 ? Math.Round(numericVotes.Average(), 2) : null;
     }
 
+    // ===== Dimensions =====
+
+    public const int MaxDimensions = 5;
+    public const int MaxDimensionNameLength = 40;
+    public const double MaxDimensionWeight = 10;
+
+    /// <summary>
+    /// Each dimension's votes on the card (named as in the results, numbered in anonymous rooms),
+    /// their stats and the dimension's value — the median.
+    /// </summary>
+    public List<DimensionResult> GetDimensionResults(Room room, Card card)
+    {
+        return room.Dimensions.Select(dimension =>
+        {
+            var votes = card.DimensionVotes
+                .Select(v => (connId: v.Key, value: v.Value.GetValueOrDefault(dimension.Name)))
+                .Where(v => v.value != null)
+                .Select(v => KeyValuePair.Create(v.connId, v.value!))
+                .ToList();
+            var stats = CalculateVoteStats(votes.Select(v => v.Value), dimension.ScaleValues);
+            return new DimensionResult(dimension.Name, stats.Median, GetResultVotes(room, votes, dimension.ScaleValues), stats);
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Weighted sum of the dimension values; ordinal values count by their position in the scale
+    /// (first = 1). Null until every dimension has a value.
+    /// </summary>
+    public static double? CalculateCombinedScore(Room room, IReadOnlyList<DimensionResult> results)
+    {
+        if (room.Dimensions.Count == 0 || results.Any(r => r.Value == null)) return null;
+
+        var total = room.Dimensions.Zip(results, (dimension, result) =>
+            dimension.Weight * (double.TryParse(result.Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var number)
+                ? number
+                : Array.IndexOf(dimension.ScaleValues, result.Value) + 1)).Sum();
+        return Math.Round(total, 2);
+    }
+
+    /// <summary>
+    /// Distribution, median, min/max and spread of the votes. Min and Max are the
+    /// extreme scale values, so the client can point out who voted them.
+    /// </summary>
+    public VoteStats CalculateVoteStats(IEnumerable<string> votes, string[] scale)
+    {
+        var voteList = votes.ToList();
+        var stats = new VoteStats
+        {
+            Distribution = scale.Select(v => new VoteBucket(v, voteList.Count(vote => vote == v))).ToList()
+        };
+
+        var ranked = voteList
+            .Where(v => v != "?" && v != CoffeeVote)
+            .Select(v => (value: v, position: Array.IndexOf(scale, v)))
+            .Where(v => v.position >= 0)
+            .OrderBy(v => v.position)
+            .ToList();
+        stats.VoterCount = ranked.Count;
+        if (ranked.Count == 0) return stats;
+
+        stats.Min = ranked[0].value;
+        stats.Max = ranked[^1].value;
+        stats.SpreadSteps = ranked[^1].position - ranked[0].position;
+
+        var numbers = ranked
+            .Select(v => double.TryParse(v.value, NumberStyles.Float, CultureInfo.InvariantCulture, out var n) ? n : (double?)null)
+            .ToList();
+        if (numbers.All(n => n.HasValue))
+        {
+            var sorted = numbers.Select(n => n!.Value).OrderBy(n => n).ToList();
+            var middle = sorted.Count / 2;
+            var median = sorted.Count % 2 == 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            stats.Median = Math.Round(median, 2).ToString(CultureInfo.InvariantCulture);
+            stats.Spread = sorted[^1] - sorted[0];
+        }
+        else
+        {
+            // Ordinal scale: lower middle value
+            stats.Median = ranked[(ranked.Count - 1) / 2].value;
+        }
+        return stats;
+    }
+
+    // ===== Webhooks =====
+
+    /// <summary>
+    /// Queue a room event for the room's webhook and the server-wide ones. The payload carries
+    /// the card the event is about (if any) and the full results, as in the export.
+    /// </summary>
+    private void PublishWebhook(Room room, string eventName, Card? card = null)
+    {
+        if (_webhooks == null || !_webhooks.HasTargets(room)) return;
+
+        _webhooks.Publish(room, eventName, new
+        {
+            @event = eventName,
+            roomCode = room.Code,
+            sentAt = DateTime.UtcNow,
+            card = card == null ? null : new
+            {
+                index = card.OriginalIndex + 1,
+                subject = card.Subject,
+                estimate = card.AcceptedEstimate,
+                votes = GetNamedVotes(room, card)
+            },
+            results = GetResults(room)
+        });
+    }
+
+    public bool HasWebhooks(Room room) => _webhooks?.HasTargets(room) == true;
+
+    public List<WebhookDelivery> GetWebhookLog(string code, string connectionId)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.IsOwner(connectionId))
+            throw new InvalidOperationException("Only the room owner can view webhook deliveries.").WithCode(ErrorCodes.OwnerOnlyWebhooks);
+
+        return _webhooks?.GetLog(room.Code) ?? [];
+    }
+
+    // ===== Async estimation =====
+
+    // Seats of async rooms wait this long for their player to come back
+    public static readonly TimeSpan AsyncSeatReservation = TimeSpan.FromDays(14);
+    public const int DefaultAsyncMinVotes = 3;
+    public const int MaxAsyncMinVotes = 50;
+    // Votes this many scale positions apart flag a card for discussion, even with a consensus
+    public const int DisputedSpreadSteps = 3;
+
+    /// <summary>
+    /// Vote on any card of an async room. An empty value takes the vote back;
+    /// votes can change until the card is revealed.
+    /// </summary>
+    public void VoteOnCard(string code, string connectionId, int index, string? value)
+    {
+        var room = GetAsyncRoom(code);
+        var card = GetCard(room, index);
+        GetVoter(room, connectionId);
+
+        if (card.IsRevealed)
+            throw new InvalidOperationException("Cards are already revealed.").WithCode(ErrorCodes.AlreadyRevealed);
+
+        if (string.IsNullOrEmpty(value))
+        {
+            card.Votes.TryRemove(connectionId, out _);
+            return;
+        }
+
+        if (!room.ScaleValues.Contains(value))
+            throw new ArgumentException($"Invalid vote value: {value}").WithCode(ErrorCodes.InvalidVote, new { value });
+
+        card.Votes[connectionId] = value;
+    }
+
+    /// <summary>
+    /// Every card of an async room with its progress. Facilitators also see, before the reveal,
+    /// whether the votes agree — never the votes themselves.
+    /// </summary>
+    public List<AsyncCardStatus> GetAsyncBoard(Room room, bool forFacilitator)
+    {
+        return room.Cards.Select((card, index) =>
+        {
+            var votes = card.Votes.Values.ToList();
+            var consensus = CalculateConsensus(room, votes);
+            var stats = CalculateVoteStats(votes, room.ScaleValues);
+            var showAgreement = forFacilitator || card.IsRevealed;
+            var isDisputed = votes.Count > 1 && (consensus == null || stats.SpreadSteps >= DisputedSpreadSteps);
+
+            return new AsyncCardStatus(
+                index,
+                card.Subject,
+                votes.Count,
+                votes.Count >= room.AsyncMinVotes,
+                card.IsRevealed,
+                card.AcceptedEstimate,
+                showAgreement ? consensus != null : null,
+                showAgreement ? isDisputed : null,
+                card.IsRevealed ? consensus : null,
+                card.IsRevealed ? GetNamedVotes(room, card) : null,
+                card.IsRevealed ? stats : null);
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Reveal several cards of an async room at once. Returns the cards that were not revealed yet.
+    /// </summary>
+    public List<Card> RevealAsyncCards(string code, string connectionId, IEnumerable<int> indices)
+    {
+        var room = GetAsyncRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can reveal cards.").WithCode(ErrorCodes.FacilitatorOnlyReveal);
+
+        var revealed = GetCards(room, indices).Where(c => !c.IsRevealed).ToList();
+        foreach (var card in revealed)
+        {
+            card.IsRevealed = true;
+            PublishWebhook(room, WebhookEvents.CardsRevealed, card);
+            if (room.AutoAccept && card.AcceptedEstimate == null)
+                AutoAccept(room, card);
+        }
+        return revealed;
+    }
+
+    /// <summary>
+    /// Accept the consensus of several revealed cards at once. Cards without a consensus or with
+    /// an estimate already are left alone. Returns the cards that got an estimate.
+    /// </summary>
+    public List<Card> AcceptAsyncConsensus(string code, string connectionId, IEnumerable<int> indices)
+    {
+        var room = GetAsyncRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can accept estimates.").WithCode(ErrorCodes.FacilitatorOnlyAccept);
+
+        var by = room.Players[connectionId].Name;
+        var accepted = new List<Card>();
+        foreach (var card in GetCards(room, indices).Where(c => c.IsRevealed && c.AcceptedEstimate == null))
+        {
+            var consensus = CalculateConsensus(room, card.Votes.Values);
+            if (consensus == null) continue;
+
+            SetEstimate(room, card, by, consensus);
+            accepted.Add(card);
+        }
+        return accepted;
+    }
+
+    /// <summary>
+    /// Set the estimate of any card of an async room, e.g. one without a consensus.
+    /// </summary>
+    public Card AcceptAsyncEstimate(string code, string connectionId, int index, string value)
+    {
+        var room = GetAsyncRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can accept estimates.").WithCode(ErrorCodes.FacilitatorOnlyAccept);
+
+        var card = GetCard(room, index);
+        SetEstimate(room, card, room.Players[connectionId].Name, value);
+        return card;
+    }
+
+    /// <summary>
+    /// End the async phase for the sync meeting: the room carries on as a live room. Estimated cards
+    /// move to the front, so the session starts at the first open card (revealed already if it was
+    /// revealed on the dashboard); votes cast so far stay on their cards. Returns that card, or null
+    /// when every card has an estimate and the game is finished.
+    /// </summary>
+    public Card? StartLiveSession(string code, string connectionId)
+    {
+        var room = GetAsyncRoom(code);
+
+        if (!room.CanFacilitate(connectionId))
+            throw new InvalidOperationException("Only the room owner or a co-facilitator can start the live session.").WithCode(ErrorCodes.FacilitatorOnlyLive);
+
+        room.AsyncMode = false;
+        room.Cards = room.Cards.OrderBy(c => c.AcceptedEstimate == null).ToList();   // Stable: keeps the order otherwise
+        room.CurrentCardIndex = room.Cards.Count(c => c.AcceptedEstimate != null);
+        room.CurrentCardSince = DateTime.UtcNow;
+
+        if (room.CurrentCard is not { } card)
+        {
+            Finish(room);
+            return null;
+        }
+
+        room.State = card.IsRevealed ? RoomState.Revealed : RoomState.Voting;
+        return card;
+    }
+
+    private Room GetAsyncRoom(string code)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+
+        if (!room.AsyncMode)
+            throw new InvalidOperationException("This room is not in async mode.").WithCode(ErrorCodes.NotAsyncRoom);
+
+        return room;
+    }
+
+    // Rounds on the current card only exist once the async phase is over
+    private Room GetLiveRoom(string code)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+        RequireLive(room);
+        return room;
+    }
+
+    private static void RequireLive(Room room)
+    {
+        if (room.AsyncMode)
+            throw new InvalidOperationException("This room votes asynchronously — use the dashboard.").WithCode(ErrorCodes.AsyncRoom);
+    }
+
+    private static Card GetCard(Room room, int index) =>
+        index >= 0 && index < room.Cards.Count
+            ? room.Cards[index]
+            : throw new ArgumentException("Card not found.").WithCode(ErrorCodes.CardNotFound);
+
+    // All indices are checked before any card is touched
+    private static List<Card> GetCards(Room room, IEnumerable<int> indices) =>
+        indices.Distinct().Select(i => GetCard(room, i)).ToList();
+
+    // ===== REST API =====
+
+    // How long the owner's seat of a room created over the API waits to be claimed
+    public static readonly TimeSpan ApiOwnerSeatReservation = TimeSpan.FromHours(24);
+
+    /// <summary>
+    /// Set up a room created over the REST API: nobody is connected as its owner yet, so the owner's
+    /// seat waits (disconnected) until they open the owner link. Returns the room's owner token,
+    /// which authorizes API calls for this room only; only its hash is kept.
+    /// </summary>
+    public string ReserveForApi(Room room)
+    {
+        var owner = room.GetOwner() ?? throw new InvalidOperationException("Room has no owner.").WithCode(ErrorCodes.NoOwner);
+        var now = DateTime.UtcNow;
+        owner.DisconnectedAt = now;
+        owner.ReservedUntil = now + ApiOwnerSeatReservation;
+
+        var token = Convert.ToHexString(RandomNumberGenerator.GetBytes(24)).ToLowerInvariant();
+        room.OwnerTokenHash = HashSecret(token);
+        return token;
+    }
+
+    public static bool CheckOwnerToken(Room room, string? token) =>
+        CheckOwnerToken(room.OwnerTokenHash, token);
+
+    public static bool CheckOwnerToken(string? ownerTokenHash, string? token)
+    {
+        if (ownerTokenHash == null || string.IsNullOrEmpty(token)) return false;
+
+        return CryptographicOperations.FixedTimeEquals(
+            Convert.FromHexString(ownerTokenHash),
+            Convert.FromHexString(HashSecret(token)));
+    }
+
+    /// <summary>
+    /// Results as CSV, with the columns of the client's export (the timeline is not localized).
+    /// </summary>
+    public string GetResultsCsv(string code)
+    {
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+        var now = DateTime.UtcNow;
+        var cards = room.Cards.OrderBy(c => c.OriginalIndex).ToList();
+        var hasPrevious = cards.Any(c => c.PreviousEstimate != null);
+
+        var header = new List<string?> { "#", "Subject", "Estimate" };
+        if (hasPrevious) header.Add("Previous Estimate");
+        if (room.Dimensions.Count > 0)
+        {
+            header.AddRange(room.Dimensions.Select(d => d.Name));
+            header.Add("Combined");
+        }
+        header.AddRange(["Votes", "Notes", "Time Spent (s)", "Timeline"]);
+
+        var rows = new List<List<string?>> { header };
+        foreach (var card in cards)
+        {
+            var row = new List<string?> { (card.OriginalIndex + 1).ToString(CultureInfo.InvariantCulture), card.Subject, card.AcceptedEstimate };
+            if (hasPrevious) row.Add(card.PreviousEstimate);
+            if (room.Dimensions.Count > 0)
+            {
+                var dimensions = GetDimensionResults(room, card);
+                row.AddRange(dimensions.Select(d => d.Value));
+                row.Add(CalculateCombinedScore(room, dimensions)?.ToString(CultureInfo.InvariantCulture));
+            }
+            row.Add(string.Join(" | ", GetResultVotes(room, card).Select(v => $"{v.Key}:{v.Value}")));
+            row.Add(card.Notes);
+            row.Add(GetSecondsSpent(room, card, now).ToString(CultureInfo.InvariantCulture));
+            row.Add(string.Join(" | ", card.History.Select(e =>
+                $"{e.At:o} {e.Type}" + (e.By != null ? $" by {e.By}" : "") + (e.Value != null ? $" {e.Value}" : ""))));
+            rows.Add(row);
+        }
+
+        return string.Join("\n", rows.Select(row =>
+            string.Join(",", row.Select(cell => $"\"{(cell ?? "").Replace("\"", "\"\"")}\""))));
+    }
+
     public List<object> GetResults(string code)
     {
-        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.");
+        var room = GetRoom(code) ?? throw new ArgumentException("Room not found.").WithCode(ErrorCodes.RoomNotFound);
+        return GetResults(room);
+    }
 
+    private List<object> GetResults(Room room)
+    {
+        var now = DateTime.UtcNow;
         return room.Cards
             .OrderBy(c => c.OriginalIndex)
             .Select((card, index) =>
             {
-                var votes = new Dictionary<string, string>();
-                foreach (var (connId, vote) in card.Votes)
-                {
-                    var name = room.Players.TryGetValue(connId, out var p) ? p.Name : null;
-                    if (name == null) continue; // skip orphaned votes from cleaned-up players
-                    // Handle duplicate names by appending suffix
-                    var key = name;
-                    var suffix = 2;
-                    while (votes.ContainsKey(key)) key = $"{name} ({suffix++})";
-                    votes[key] = vote;
-                }
+                var votes = GetResultVotes(room, card);
+                var dimensions = room.Dimensions.Count > 0 ? GetDimensionResults(room, card) : null;
 
                 return (object)new
                 {
                     index = card.OriginalIndex + 1,
                     subject = card.Subject,
                     description = card.Description,
+                    link = card.Link,
+                    labels = card.Labels,
                     estimate = card.AcceptedEstimate,
-                    votes
+                    previousEstimate = card.PreviousEstimate,
+                    notes = card.Notes,
+                    secondsSpent = GetSecondsSpent(room, card, now),
+                    history = card.History.Select(e => new
+                    {
+                        at = e.At.ToString("o"),
+                        type = e.Type,
+                        by = e.By,
+                        value = e.Value,
+                        previousValue = e.PreviousValue,
+                        votes = e.Votes
+                    }).ToList(),
+                    votes,
+                    dimensions = dimensions?.Select(d => new { name = d.Name, value = d.Value, votes = d.Votes }).ToList(),
+                    combinedScore = dimensions == null ? null : CalculateCombinedScore(room, dimensions)
                 };
             }).ToList();
     }
 
+    private static Dictionary<string, string> GetResultVotes(Room room, Card card) =>
+        GetResultVotes(room, card.Votes, room.ScaleValues);
+
+    private static Dictionary<string, string> GetResultVotes(Room room, IEnumerable<KeyValuePair<string, string>> cardVotes, string[] scale)
+    {
+        if (room.AnonymousVoting) return AnonymizeVotes(cardVotes.Select(v => v.Value), scale);
+
+        var votes = new Dictionary<string, string>();
+        foreach (var (connId, vote) in cardVotes)
+        {
+            var name = room.Players.TryGetValue(connId, out var p) ? p.Name : null;
+            if (name == null) continue; // skip orphaned votes from cleaned-up players
+            // Handle duplicate names by appending suffix
+            var key = name;
+            var suffix = 2;
+            while (votes.ContainsKey(key)) key = $"{name} ({suffix++})";
+            votes[key] = vote;
+        }
+        return votes;
+    }
+
+    /// <summary>
+    /// End the game. Finishing again after revisiting a card updates the same history entry,
+    /// but GameFinished goes out to the webhooks only the first time.
+    /// </summary>
+    private void Finish(Room room)
+    {
+        room.State = RoomState.Finished;
+        var firstFinish = room.FinishedAt == null;
+        room.FinishedAt ??= DateTime.UtcNow;
+        RecordSession(room);
+        if (firstFinish)
+            PublishWebhook(room, WebhookEvents.GameFinished);
+    }
+
+    /// <summary>
+    /// Snapshot the results into the session history. Done at finish time, while the
+    /// voters are still in the room, so their names survive player cleanup.
+    /// </summary>
+    private void RecordSession(Room room)
+    {
+        var estimates = room.Cards
+            .Select(c => double.TryParse(c.AcceptedEstimate, NumberStyles.Float, CultureInfo.InvariantCulture, out var value) ? value : (double?)null)
+            .Where(v => v.HasValue)
+            .ToList();
+
+        _history.Record(new SessionRecord
+        {
+            Id = $"{room.Code}-{room.CreatedAt:yyyyMMddHHmmss}",
+            RoomCode = room.Code,
+            OwnerName = room.GetOwner()?.Name,
+            ScaleName = room.ScaleName,
+            StartedAt = room.CreatedAt,
+            FinishedAt = room.FinishedAt ?? DateTime.UtcNow,
+            CardCount = room.Cards.Count,
+            TotalEstimate = estimates.Count > 0 ? estimates.Sum() : null,
+            HasPasscode = room.PasscodeHash != null,
+            OwnerTokenHash = room.OwnerTokenHash,
+            Results = GetResults(room)
+        });
+    }
+
     private static List<Card> ParseCards(string text)
     {
         if (string.IsNullOrWhiteSpace(text))
@@ -431,6 +1883,124 @@ public class RoomService
             .ToList();
     }
 
+    private const int MaxSubjectLength = 200;
+    private const int MaxDescriptionLength = 2000;
+    private const int MaxLabels = 10;
+
+    private static List<Card> BuildCards(IEnumerable<CardInput> inputs)
+    {
+        var valid = inputs
+            .Where(c => c != null && !string.IsNullOrWhiteSpace(c.Subject))
+            .ToList();
+
+        // Keep indices from a resumed results file so the new export lines up with the old one,
+        // but only when they are usable as a unique ordering key
+        var indices = valid.Select(c => c.OriginalIndex).ToList();
+        var keepIndices = indices.All(i => i is >= 0) && indices.Distinct().Count() == indices.Count;
+
+        return valid
+            .Select((c, i) => new Card
+            {
+                Subject = Truncate(c.Subject.Trim(), MaxSubjectLength),
+                Description = string.IsNullOrWhiteSpace(c.Description) ? null : Truncate(c.Description.Trim(), MaxDescriptionLength),
+                Link = NormalizeLink(c.Link),
+                Labels = NormalizeLabels(c.Labels),
+                OriginalIndex = keepIndices ? c.OriginalIndex!.Value : i,
+                PreviousEstimate = string.IsNullOrWhiteSpace(c.PreviousEstimate) ? null : c.PreviousEstimate.Trim()
+            })
+            .OrderBy(c => c.OriginalIndex)
+            .ToList();
+    }
+
+    private static string Truncate(string value, int maxLength) =>
+        value.Length <= maxLength ? value : value[..maxLength];
+
+    /// <summary>
+    /// Only absolute http(s) links are kept — they end up in an href on every client.
+    /// </summary>
+    private static string? NormalizeLink(string? link)
+    {
+        if (string.IsNullOrWhiteSpace(link)) return null;
+        return Uri.TryCreate(link.Trim(), UriKind.Absolute, out var uri) && (uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps)
+            ? uri.AbsoluteUri
+            : null;
+    }
+
+    private static string[]? NormalizeLabels(string[]? labels)
+    {
+        if (labels == null) return null;
+        var cleaned = labels
+            .Select(l => l?.Trim() ?? "")
+            .Where(l => l.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .Take(MaxLabels)
+            .ToArray();
+        return cleaned.Length > 0 ? cleaned : null;
+    }
+
+    /// <summary>
+    /// Normalize a user-defined deck: trim values, drop blanks, then enforce size,
+    /// value length and uniqueness. The coffee card is reserved for break voting.
+    /// </summary>
+    private static string[] ValidateCustomScale(IEnumerable<string>? values)
+    {
+        var deck = (values ?? [])
+            .Select(v => v?.Trim() ?? "")
+            .Where(v => v.Length > 0)
+            .ToArray();
+
+        if (deck.Length < ScaleDefinitions.MinCustomValues)
+            throw new ArgumentException($"Custom deck needs at least {ScaleDefinitions.MinCustomValues} values.").WithCode(ErrorCodes.CustomDeckTooSmall, new { min = ScaleDefinitions.MinCustomValues });
+
+        if (deck.Length > ScaleDefinitions.MaxCustomValues)
+            throw new ArgumentException($"Custom deck can have at most {ScaleDefinitions.MaxCustomValues} values.").WithCode(ErrorCodes.CustomDeckTooLarge, new { max = ScaleDefinitions.MaxCustomValues });
+
+        var tooLong = deck.FirstOrDefault(v => v.Length > ScaleDefinitions.MaxCustomValueLength);
+        if (tooLong != null)
+            throw new ArgumentException($"Card value \"{tooLong}\" is too long (max {ScaleDefinitions.MaxCustomValueLength} characters).").WithCode(ErrorCodes.CardValueTooLong, new { value = tooLong, max = ScaleDefinitions.MaxCustomValueLength });
+
+        if (deck.Contains(CoffeeVote))
+            throw new ArgumentException($"\"{CoffeeVote}\" is reserved for the break card.").WithCode(ErrorCodes.CardValueReserved, new { value = CoffeeVote });
+
+        var duplicate = deck
+            .GroupBy(v => v, StringComparer.OrdinalIgnoreCase)
+            .FirstOrDefault(g => g.Count() > 1);
+        if (duplicate != null)
+            throw new ArgumentException($"Duplicate card value: {duplicate.Key}").WithCode(ErrorCodes.DuplicateCardValue, new { value = duplicate.Key });
+
+        return deck;
+    }
+
+    /// <summary>
+    /// Trim dimension names and check count, names, scales and weights. Custom decks are
+    /// room-wide, so dimensions pick from the built-in scales.
+    /// </summary>
+    private static List<EstimationDimension> ValidateDimensions(IEnumerable<EstimationDimension>? dimensions)
+    {
+        var list = (dimensions ?? []).Where(d => d != null).ToList();
+        if (list.Count > MaxDimensions)
+            throw new ArgumentException($"At most {MaxDimensions} dimensions are allowed.").WithCode(ErrorCodes.TooManyDimensions, new { max = MaxDimensions });
+
+        var result = new List<EstimationDimension>();
+        foreach (var dimension in list)
+        {
+            var name = dimension.Name?.Trim() ?? "";
+            if (name.Length == 0)
+                throw new ArgumentException("Every dimension needs a name.").WithCode(ErrorCodes.DimensionNameRequired);
+            if (name.Length > MaxDimensionNameLength)
+                throw new ArgumentException($"Dimension name \"{name}\" is too long (max {MaxDimensionNameLength} characters).").WithCode(ErrorCodes.DimensionNameTooLong, new { name, max = MaxDimensionNameLength });
+            if (result.Any(d => string.Equals(d.Name, name, StringComparison.OrdinalIgnoreCase)))
+                throw new ArgumentException($"Duplicate dimension: {name}").WithCode(ErrorCodes.DuplicateDimension, new { name });
+            if (!Enum.IsDefined(dimension.Scale) || dimension.Scale == ScaleType.Custom)
+                throw new ArgumentException($"Dimension \"{name}\" needs one of the built-in scales.").WithCode(ErrorCodes.DimensionScaleNotAllowed, new { name });
+            if (!(dimension.Weight > 0 && dimension.Weight <= MaxDimensionWeight))
+                throw new ArgumentException($"Dimension weight must be above 0 and at most {MaxDimensionWeight}.").WithCode(ErrorCodes.DimensionWeightRange, new { max = MaxDimensionWeight });
+
+            result.Add(new EstimationDimension { Name = name, Scale = dimension.Scale, Weight = dimension.Weight });
+        }
+        return result;
+    }
+
     private static string GenerateCode()
     {
         const string chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
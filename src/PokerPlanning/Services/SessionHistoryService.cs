@@ -0,0 +1,85 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using PokerPlanning.Models;
+
+namespace PokerPlanning.Services;
+
+/// <summary>
+/// Keeps results of finished sessions. With a directory configured each session is
+/// also written to ID.json there, so the history survives restarts.
+/// </summary>
+public class SessionHistoryService
+{
+    private readonly ConcurrentDictionary<string, SessionRecord> _sessions = new();
+    private readonly string? _directory;
+    private readonly ILogger<SessionHistoryService> _logger;
+
+    public SessionHistoryService(string? directory, ILogger<SessionHistoryService> logger)
+    {
+        _directory = directory;
+        _logger = logger;
+        if (_directory != null)
+        {
+            Directory.CreateDirectory(_directory);
+            Load();
+        }
+    }
+
+    // In-memory history for tests
+    public SessionHistoryService() : this(null, Microsoft.Extensions.Logging.Abstractions.NullLogger<SessionHistoryService>.Instance) { }
+
+    /// <summary>
+    /// Add or replace a session. Finishing the same room again (after revisiting a card)
+    /// updates its existing record.
+    /// </summary>
+    public void Record(SessionRecord session)
+    {
+        _sessions[session.Id] = session;
+        if (_directory == null) return;
+
+        try
+        {
+            var path = GetPath(session.Id);
+            var tempPath = path + ".tmp";
+            File.WriteAllText(tempPath, JsonSerializer.Serialize(session));
+            File.Move(tempPath, path, overwrite: true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save session {SessionId}", session.Id);
+        }
+    }
+
+    /// <summary>
+    /// All sessions, most recently finished first.
+    /// </summary>
+    public List<SessionRecord> List() =>
+        _sessions.Values.OrderByDescending(s => s.FinishedAt).ToList();
+
+    public SessionRecord? Get(string id) =>
+        _sessions.TryGetValue(id, out var session) ? session : null;
+
+    private void Load()
+    {
+        foreach (var path in Directory.EnumerateFiles(_directory!, "*.json"))
+        {
+            try
+            {
+                var session = JsonSerializer.Deserialize<SessionRecord>(File.ReadAllText(path));
+                if (session != null)
+                    _sessions[session.Id] = session;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load session from {Path}", path);
+            }
+        }
+    }
+
+    private string GetPath(string id)
+    {
+        if (id.Any(c => !char.IsLetterOrDigit(c) && c != '-'))
+            throw new ArgumentException($"Invalid session id: {id}");
+        return Path.Combine(_directory!, $"{id}.json");
+    }
+}
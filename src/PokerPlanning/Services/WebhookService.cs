@@ -0,0 +1,298 @@
+using System.Collections.Concurrent;
+using System.Net;
+using System.Net.Sockets;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Channels;
+using PokerPlanning.Models;
+
+namespace PokerPlanning.Services;
+
+/// <summary>
+/// Sends room events as signed JSON POSTs to the room's webhook and the server-wide ones
+/// (Webhooks:Urls / Webhooks:Secret). Each target URL gets its deliveries in order, each retried
+/// a few times, without waiting on other targets. The most recent deliveries to room webhooks
+/// are kept in a delivery log for their owners.
+/// </summary>
+public class WebhookService : BackgroundService
+{
+    public const string SignatureHeader = "X-Webhook-Signature";
+    public const string EventHeader = "X-Webhook-Event";
+    public const string DeliveryHeader = "X-Webhook-Delivery";
+    public const int MaxAttempts = 3;
+    private const int MaxLogEntries = 200;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    // Set on requests to a room's webhook: CreateHandler checks where they connect
+    private static readonly HttpRequestOptionsKey<bool> RoomTargetOption = new("PokerPlanning.RoomWebhook");
+
+    private readonly HttpClient _http;
+    private readonly string[] _serverUrls;
+    private readonly string? _serverSecret;
+    private readonly HashSet<string> _allowedHosts;
+    private readonly ILogger<WebhookService> _logger;
+    private readonly Channel<WebhookDelivery> _queue = Channel.CreateUnbounded<WebhookDelivery>();
+    private readonly ConcurrentQueue<WebhookDelivery> _log = new();
+
+    // Deliveries waiting behind the one being sent, per target URL (only targets with a sender running)
+    private readonly Dictionary<string, Queue<WebhookDelivery>> _waiting = new();
+
+    // Wait before the 2nd and 3rd attempt
+    public TimeSpan[] RetryDelays { get; set; } = [TimeSpan.FromSeconds(2), TimeSpan.FromSeconds(10)];
+
+    // DNS lookup for room webhook hosts
+    public Func<string, CancellationToken, Task<IPAddress[]>> ResolveHost { get; set; } = Dns.GetHostAddressesAsync;
+
+    /// <param name="allowedHosts">
+    /// Webhooks:AllowedHosts — hosts a room's webhook may use even though they are local or private
+    /// (Home Assistant on the LAN, localhost for /dev/webhooks). Room webhooks to any other host must
+    /// resolve to public addresses. Server-wide URLs are the operator's own and aren't checked.
+    /// </param>
+    public WebhookService(HttpClient http, IEnumerable<string> serverUrls, string? serverSecret, IEnumerable<string> allowedHosts, ILogger<WebhookService> logger)
+    {
+        _http = http;
+        _serverUrls = serverUrls.Where(u => !string.IsNullOrWhiteSpace(u)).ToArray();
+        _serverSecret = string.IsNullOrWhiteSpace(serverSecret) ? null : serverSecret;
+        _allowedHosts = allowedHosts.Where(h => !string.IsNullOrWhiteSpace(h)).Select(h => h.Trim()).ToHashSet(StringComparer.OrdinalIgnoreCase);
+        _logger = logger;
+    }
+
+    public bool HasTargets(Room room) =>
+        room.WebhookUrl != null || _serverUrls.Length > 0;
+
+    /// <summary>
+    /// Check of a room webhook URL when the room is created, before any DNS lookup:
+    /// localhost and literal local or private addresses are refused unless allowed.
+    /// Delivery checks again with the addresses the host resolves to.
+    /// </summary>
+    public bool IsAllowedRoomTarget(Uri uri) =>
+        _allowedHosts.Contains(uri.IdnHost)
+        || !(uri.IsLoopback || (IPAddress.TryParse(uri.IdnHost, out var address) && IsPrivateAddress(address)));
+
+    private async Task<bool> IsAllowedRoomTargetAsync(Uri uri, CancellationToken cancellationToken)
+    {
+        if (_allowedHosts.Contains(uri.IdnHost)) return true;
+
+        var addresses = IPAddress.TryParse(uri.IdnHost, out var address)
+            ? [address]
+            : await ResolveHost(uri.IdnHost, cancellationToken);
+        return addresses.Length > 0 && !addresses.Any(IsPrivateAddress);
+    }
+
+    /// <summary>
+    /// Handler for the webhook HttpClient. Redirects are not followed, so a public URL can't send a
+    /// delivery on to a private host, and a room webhook's host is resolved once, in the connect
+    /// itself: the addresses checked are the ones connected to, with no second lookup in between.
+    /// </summary>
+    public static SocketsHttpHandler CreateHandler(IEnumerable<string> allowedHosts)
+    {
+        var allowed = allowedHosts.Where(h => !string.IsNullOrWhiteSpace(h)).Select(h => h.Trim()).ToHashSet(StringComparer.OrdinalIgnoreCase);
+        return new SocketsHttpHandler
+        {
+            AllowAutoRedirect = false,
+            ConnectCallback = async (context, cancellationToken) =>
+            {
+                var host = context.DnsEndPoint.Host;
+                var addresses = await Dns.GetHostAddressesAsync(host, cancellationToken);
+                var isRoomTarget = context.InitialRequestMessage.Options.TryGetValue(RoomTargetOption, out var flag) && flag;
+                if (isRoomTarget && !allowed.Contains(host) && addresses.Any(IsPrivateAddress))
+                    throw new HttpRequestException($"Host {host} is local or private and not in Webhooks:AllowedHosts.");
+
+                var socket = new Socket(SocketType.Stream, ProtocolType.Tcp) { NoDelay = true };
+                try
+                {
+                    await socket.ConnectAsync(addresses, context.DnsEndPoint.Port, cancellationToken);
+                    return new NetworkStream(socket, ownsSocket: true);
+                }
+                catch
+                {
+                    socket.Dispose();
+                    throw;
+                }
+            }
+        };
+    }
+
+    /// <summary>
+    /// Loopback, private, link-local (cloud metadata lives there), carrier-grade NAT, multicast and unspecified addresses.
+    /// </summary>
+    public static bool IsPrivateAddress(IPAddress address)
+    {
+        if (address.IsIPv4MappedToIPv6) address = address.MapToIPv4();
+        if (IPAddress.IsLoopback(address) || address.Equals(IPAddress.Any) || address.Equals(IPAddress.IPv6Any))
+            return true;
+
+        if (address.AddressFamily == AddressFamily.InterNetworkV6)
+            return address.IsIPv6LinkLocal || address.IsIPv6SiteLocal || address.IsIPv6UniqueLocal || address.IsIPv6Multicast;
+
+        var b = address.GetAddressBytes();
+        return b[0] == 0 || b[0] == 10 || b[0] >= 224
+            || (b[0] == 100 && b[1] >= 64 && b[1] <= 127)
+            || (b[0] == 169 && b[1] == 254)
+            || (b[0] == 172 && b[1] >= 16 && b[1] <= 31)
+            || (b[0] == 192 && b[1] == 168);
+    }
+
+    /// <summary>
+    /// Queue an event for every webhook of the room. The payload is serialized now,
+    /// so later changes to the room don't leak into it.
+    /// </summary>
+    public void Publish(Room room, string eventName, object payload)
+    {
+        var body = JsonSerializer.Serialize(payload, JsonOptions);
+        var targets = _serverUrls.Select(url => (url, secret: _serverSecret, serverWide: true));
+        if (room.WebhookUrl != null)
+            targets = targets.Prepend((room.WebhookUrl, room.WebhookSecret, false));
+
+        foreach (var (url, secret, serverWide) in targets)
+        {
+            var delivery = new WebhookDelivery
+            {
+                RoomCode = room.Code,
+                Event = eventName,
+                Url = url,
+                Body = body,
+                Secret = secret,
+                IsServerWide = serverWide
+            };
+            // Server-wide URLs are the operator's business, not the room owner's
+            if (!serverWide)
+                AddToLog(delivery);
+            _queue.Writer.TryWrite(delivery);
+        }
+    }
+
+    /// <summary>
+    /// Recent deliveries to a room's own webhook, newest first.
+    /// </summary>
+    public List<WebhookDelivery> GetLog(string roomCode) =>
+        _log.Where(d => d.RoomCode == roomCode).Reverse().ToList();
+
+    /// <summary>
+    /// Send everything queued so far and wait for it (retries included), without the background loop.
+    /// </summary>
+    public async Task DeliverPendingAsync(CancellationToken cancellationToken = default)
+    {
+        while (_queue.Reader.TryRead(out var delivery))
+            await DeliverAsync(delivery, cancellationToken);
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        await foreach (var delivery in _queue.Reader.ReadAllAsync(stoppingToken))
+        {
+            lock (_waiting)
+            {
+                // A sender is already working through this target: queue up behind it
+                if (_waiting.TryGetValue(delivery.Url, out var waiting))
+                {
+                    waiting.Enqueue(delivery);
+                    continue;
+                }
+                _waiting[delivery.Url] = new Queue<WebhookDelivery>();
+            }
+            _ = SendToTargetAsync(delivery, stoppingToken);
+        }
+    }
+
+    /// <summary>
+    /// Deliver to one target URL until its queue is empty, then let it go.
+    /// </summary>
+    private async Task SendToTargetAsync(WebhookDelivery delivery, CancellationToken cancellationToken)
+    {
+        try
+        {
+            while (true)
+            {
+                await DeliverAsync(delivery, cancellationToken);
+                lock (_waiting)
+                {
+                    if (!_waiting[delivery.Url].TryDequeue(out var next))
+                    {
+                        _waiting.Remove(delivery.Url);
+                        return;
+                    }
+                    delivery = next;
+                }
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // Shutting down
+        }
+    }
+
+    private async Task DeliverAsync(WebhookDelivery delivery, CancellationToken cancellationToken)
+    {
+        while (delivery.Attempts < MaxAttempts)
+        {
+            if (delivery.Attempts > 0)
+                await Task.Delay(RetryDelays[Math.Min(delivery.Attempts, RetryDelays.Length) - 1], cancellationToken);
+            delivery.Attempts++;
+
+            try
+            {
+                // Checked on every attempt for a clear error; the handler's check in the connect is what holds
+                if (!delivery.IsServerWide && !await IsAllowedRoomTargetAsync(new Uri(delivery.Url), cancellationToken))
+                {
+                    delivery.Status = WebhookStatus.Failed;
+                    delivery.Error = "Host is local or private and not in Webhooks:AllowedHosts.";
+                    _logger.LogWarning("Webhook {Event} for {RoomCode} to {Url} blocked: host is local or private",
+                        delivery.Event, delivery.RoomCode, delivery.Url);
+                    return;
+                }
+
+                using var request = new HttpRequestMessage(HttpMethod.Post, delivery.Url)
+                {
+                    Content = new StringContent(delivery.Body, Encoding.UTF8, "application/json")
+                };
+                request.Headers.Add(EventHeader, delivery.Event);
+                request.Headers.Add(DeliveryHeader, delivery.Id);
+                if (!delivery.IsServerWide)
+                    request.Options.Set(RoomTargetOption, true);
+                if (delivery.Secret != null)
+                    request.Headers.Add(SignatureHeader, Sign(delivery.Body, delivery.Secret));
+
+                using var response = await _http.SendAsync(request, cancellationToken);
+                delivery.StatusCode = (int)response.StatusCode;
+                if (response.IsSuccessStatusCode)
+                {
+                    delivery.Status = WebhookStatus.Delivered;
+                    delivery.DeliveredAt = DateTime.UtcNow;
+                    delivery.Error = null;
+                    _logger.LogInformation("Webhook {Event} for {RoomCode} delivered to {Url}", delivery.Event, delivery.RoomCode, delivery.Url);
+                    return;
+                }
+                delivery.Error = $"HTTP {(int)response.StatusCode} {response.ReasonPhrase}";
+            }
+            catch (Exception ex) when (!cancellationToken.IsCancellationRequested)
+            {
+                delivery.StatusCode = null;
+                delivery.Error = ex.Message;
+            }
+
+            _logger.LogWarning("Webhook {Event} for {RoomCode} to {Url} failed (attempt {Attempt}/{MaxAttempts}): {Error}",
+                delivery.Event, delivery.RoomCode, delivery.Url, delivery.Attempts, MaxAttempts, delivery.Error);
+        }
+
+        delivery.Status = WebhookStatus.Failed;
+    }
+
+    /// <summary>
+    /// Signature header value: "sha256=" + hex HMAC-SHA256 of the raw body, keyed with the secret.
+    /// </summary>
+    public static string Sign(string body, string secret)
+    {
+        var hash = HMACSHA256.HashData(Encoding.UTF8.GetBytes(secret), Encoding.UTF8.GetBytes(body));
+        return "sha256=" + Convert.ToHexString(hash).ToLowerInvariant();
+    }
+
+    private void AddToLog(WebhookDelivery delivery)
+    {
+        _log.Enqueue(delivery);
+        while (_log.Count > MaxLogEntries)
+            _log.TryDequeue(out _);
+    }
+}
@@ -1,9 +1,11 @@
 // ===== Session Persistence =====
 const SESSION_KEY = 'poker_session';
+const SESSION_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+const ASYNC_SESSION_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;   // Async rooms keep seats this long (AsyncSeatReservation)
 
-function saveSession(roomCode, playerId, playerName) {
+function saveSession(roomCode, playerId, playerName, isAsync = false) {
     try {
-        localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode, playerId, playerName, ts: Date.now() }));
+        localStorage.setItem(SESSION_KEY, JSON.stringify({ roomCode, playerId, playerName, isAsync, ts: Date.now() }));
     } catch (e) { /* ignore */ }
 }
 
@@ -12,8 +14,8 @@ function loadSession() {
         const raw = localStorage.getItem(SESSION_KEY);
         if (!raw) return null;
         const s = JSON.parse(raw);
-        // Expire after 2 hours
-        if (Date.now() - s.ts > 2 * 60 * 60 * 1000) {
+        // Expire after 2 hours — or when the async room's seat is gone
+        if (Date.now() - s.ts > (s.isAsync ? ASYNC_SESSION_MAX_AGE_MS : SESSION_MAX_AGE_MS)) {
             localStorage.removeItem(SESSION_KEY);
             return null;
         }
@@ -30,8 +32,11 @@ let connection = null;
 let timerInterval = null;
 let state = {
     roomCode: null,
+    playerId: null,
     myName: null,
     isOwner: false,
+    isFacilitator: false,     // Co-facilitator: runs the round (reveal, revote, accept, next)
+    successors: [],           // Names, in the order they take over when the owner drops
     isSpectator: false,
     scale: [],
     players: [],
@@ -40,12 +45,37 @@ let state = {
     selectedVote: null,
     roomState: 'Voting',  // Voting | Revealed | Finished
     votes: {},
+    stats: null,            // Vote distribution after reveal: { distribution, median, min, max, spread, spreadSteps }
     results: null,
     secondsPerCard: null,
-    timerDeadline: null,    // Date object: when current card timer expires
-    coffeeBreakEnabled: false
+    timerDeadline: null,    // Date object: when current card timer expires (server deadline on the local clock)
+    timerPausedRemaining: null, // Seconds left while the owner has paused the timer
+    timerAllotted: null,    // Seconds given to the current card, including extensions
+    coffeeBreakEnabled: false,
+    isLocked: false,
+    everyoneEditsNotes: false,
+    anonymousVoting: false, // Revealed votes come without names; seats only show who voted
+    dimensions: [],         // [{ name, scale, weight }] — extra axes voted next to the estimate
+    dimensionVotes: {},     // My votes on the dimensions: { name: value }
+    dimensionResults: null, // Revealed { results: [{ name, value, votes, stats }], combinedScore }
+    asyncMode: false,       // Everyone votes on every card at their own pace, from the async dashboard
+    asyncBoard: null,       // { minVotes, voterCount, cards: [{ index, subject, voteCount, ... }], myVotes: [value | null] }
+    hasWebhooks: false,
+    displays: [],           // Owner only: [{ id, connectedAt }] — presenter displays showing the room
+    consensusRuleName: null,  // Server's English name, shown when the catalog has no entry for consensusRule
+    consensusRule: null,      // Majority | Unanimous | Adjacent | Threshold
+    consensusThreshold: null,
+    autoAccept: false,      // Server accepts a consensus on reveal and advances a moment later
+    backlog: [],            // [{ index, originalIndex, subject, description, estimate }] — all cards in play order
+    resumeCardIndex: null   // Set while revisiting an earlier card: where NextQuestion continues
 };
 
+// Consensus rules (ConsensusRule on the server)
+const THRESHOLD_RULE = 3;
+const THRESHOLD_MIN = 51;
+const THRESHOLD_MAX = 100;
+const NOTES_SAVE_DELAY_MS = 500;
+
 // ===== SignalR Connection =====
 function initConnection() {
     connection = new signalR.HubConnectionBuilder()
@@ -60,17 +90,31 @@ function initConnection() {
     connection.on("VoteReceived", onVoteReceived);
     connection.on("CardsRevealed", onCardsRevealed);
     connection.on("VoteUpdated", onVoteUpdated);
+    connection.on("DimensionsUpdated", renderDimensionResults);
+    connection.on("AsyncBoardUpdated", onAsyncBoardUpdated);
     connection.on("EstimateAccepted", onEstimateAccepted);
     connection.on("NewRound", onNewRound);
     connection.on("GameFinished", onGameFinished);
     connection.on("Results", onResults);
     connection.on("PlayerThinking", onPlayerThinking);
+    connection.on("BacklogUpdated", onBacklogUpdated);
+    connection.on("CardRevisited", onCardRevisited);
+    connection.on("AutoRevealCountdown", onAutoRevealCountdown);
+    connection.on("AutoRevealCancelled", hideAutoRevealCountdown);
+    connection.on("TimerUpdated", onTimerUpdated);
+    connection.on("RoomLockChanged", onRoomLockChanged);
+    connection.on("Kicked", onKicked);
+    connection.on("RolesUpdated", onRolesUpdated);
+    connection.on("SpectatorChanged", onSpectatorChanged);
+    connection.on("NotesUpdated", onNotesUpdated);
+    connection.on("WebhookLog", onWebhookLog);
+    connection.on("DisplaysUpdated", onDisplaysUpdated);
     connection.on("RejoinFailed", onRejoinFailed);
     connection.on("Error", onError);
 
-    connection.onreconnecting(() => showToast("Reconnecting..."));
+    connection.onreconnecting(() => showToast(t('toast.reconnecting')));
     connection.onreconnected(async () => {
-        showToast("Reconnected!");
+        showToast(t('toast.reconnected'));
         // Auto-rejoin room after SignalR reconnect
         const session = loadSession();
         if (session && session.roomCode && session.playerId) {
@@ -92,7 +136,7 @@ document.getElementById('btnCreateRoom').addEventListener('click', () => showScr
 
 document.getElementById('btnJoinGo').addEventListener('click', () => {
     const code = document.getElementById('joinCode').value.trim().toUpperCase();
-    if (!code) return showToast("Enter a room code", true);
+    if (!code) return showToast(t('toast.enterRoomCode'), true);
     navigateToJoin(code);
 });
 
@@ -100,28 +144,106 @@ document.getElementById('joinCode').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') document.getElementById('btnJoinGo').click();
 });
 
+document.getElementById('scaleSelect').addEventListener('change', (e) => {
+    const isCustom = parseInt(e.target.value) === CUSTOM_SCALE;
+    document.getElementById('deckEditor').style.display = isCustom ? '' : 'none';
+    if (isCustom) renderDeckEditor();
+});
+
+document.getElementById('consensusRule').addEventListener('change', (e) => {
+    document.getElementById('consensusThresholdGroup').style.display = e.target.value === String(THRESHOLD_RULE) ? '' : 'none';
+});
+
+document.getElementById('btnDeckAdd').addEventListener('click', addDeckValues);
+document.getElementById('btnAddDimension').addEventListener('click', addDimension);
+
+document.getElementById('asyncMode').addEventListener('change', (e) => {
+    document.getElementById('asyncMinVotesGroup').style.display = e.target.checked ? '' : 'none';
+});
+
+document.getElementById('deckValueInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addDeckValues();
+});
+
+const importDrop = document.getElementById('importDrop');
+importDrop.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    importDrop.classList.add('dragover');
+});
+importDrop.addEventListener('dragleave', () => importDrop.classList.remove('dragover'));
+importDrop.addEventListener('drop', (e) => {
+    e.preventDefault();
+    importDrop.classList.remove('dragover');
+    if (e.dataTransfer.files.length > 0) importBacklogFile(e.dataTransfer.files[0]);
+});
+
+document.getElementById('importFile').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) importBacklogFile(e.target.files[0]);
+    e.target.value = '';
+});
+
+document.getElementById('btnImportClear').addEventListener('click', clearImport);
+
+document.querySelectorAll('input[name="resumeMode"]').forEach(radio =>
+    radio.addEventListener('change', applyResumeMode));
+
 document.getElementById('btnContinue').addEventListener('click', async () => {
     const ownerName = document.getElementById('ownerName').value.trim();
+    const passcode = document.getElementById('roomPasscode').value.trim();
     const scaleType = parseInt(document.getElementById('scaleSelect').value);
-    const cardsText = document.getElementById('cardsText').value.trim();
+    const cardsText = importedCards ? '' : document.getElementById('cardsText').value.trim();
     const sessionVal = document.getElementById('sessionTime').value;
     const sessionMinutes = sessionVal ? parseInt(sessionVal) : null;
     const coffeeBreak = document.getElementById('coffeeBreak').checked;
     const shuffle = document.getElementById('shuffleQuestions').checked;
+    const consensusRule = parseInt(document.getElementById('consensusRule').value);
+    const consensusThreshold = consensusRule === THRESHOLD_RULE ? parseInt(document.getElementById('consensusThreshold').value) : null;
+    const autoAccept = document.getElementById('autoAccept').checked;
+    const autoRevealAllVoted = document.getElementById('autoRevealAllVoted').checked;
+    const autoRevealOnTimer = document.getElementById('autoRevealOnTimer').checked;
+    const everyoneEditsNotes = document.getElementById('everyoneEditsNotes').checked;
+    const anonymousVoting = document.getElementById('anonymousVoting').checked;
+    const asyncMode = document.getElementById('asyncMode').checked;
+    const asyncMinVotes = asyncMode ? parseInt(document.getElementById('asyncMinVotes').value) || null : null;
+    const webhookUrl = document.getElementById('webhookUrl').value.trim();
+    const webhookSecret = document.getElementById('webhookSecret').value.trim();
+
+    if (!cardsText && !importedCards) return showToast(t('toast.enterQuestion'), true);
+    if (importedCards && importedCards.length === 0) return showToast(t('toast.noImportedCardsMatch'), true);
+
+    let customScale = null;
+    if (scaleType === CUSTOM_SCALE) {
+        if (customDeck.length < DECK_MIN_VALUES) return showToast(t('errors.customDeckTooSmall', { min: DECK_MIN_VALUES }), true);
+        customScale = customDeck;
+    }
 
-    if (!cardsText) return showToast("Enter at least one question", true);
+    if (autoRevealOnTimer && !sessionMinutes) return showToast(t('toast.autoRevealNeedsTimeLimit'), true);
+    if (dimensions.some(d => !d.name.trim())) return showToast(t('errors.dimensionNameRequired'), true);
+    if (asyncMode && dimensions.length > 0) return showToast(t('errors.asyncDimensionsUnsupported'), true);
+    if (consensusThreshold !== null && !(consensusThreshold >= THRESHOLD_MIN && consensusThreshold <= THRESHOLD_MAX)) {
+        return showToast(t('errors.consensusThresholdRange', { min: THRESHOLD_MIN, max: THRESHOLD_MAX }), true);
+    }
 
     await ensureConnected();
-    connection.invoke("CreateRoom", ownerName || null, scaleType, cardsText, sessionMinutes, coffeeBreak, shuffle);
+    connection.invoke("CreateRoom", ownerName || null, scaleType, cardsText, sessionMinutes, coffeeBreak, shuffle, customScale, importedCards,
+        consensusRule, consensusThreshold, autoAccept, autoRevealAllVoted, autoRevealOnTimer, passcode || null, everyoneEditsNotes,
+        webhookUrl || null, webhookSecret || null, anonymousVoting,
+        dimensions.length > 0 ? dimensions.map(d => ({ name: d.name.trim(), scale: d.scale, weight: d.weight })) : null,
+        asyncMode, asyncMinVotes);
 });
 
 document.getElementById('btnJoinRoom').addEventListener('click', async () => {
     const name = document.getElementById('playerName').value.trim();
-    if (!name) return showToast("Enter your name", true);
+    if (!name) return showToast(t('toast.enterName'), true);
 
     const code = document.getElementById('joinRoomCode').textContent;
+    const passcode = document.getElementById('joinPasscode').value;
+    // Our own seat in this room (e.g. after a long disconnect) can only be reclaimed with its playerId
+    const session = loadSession();
+    const playerId = session && session.roomCode === code ? session.playerId : null;
+    const asSpectator = document.getElementById('joinAsSpectator').checked;
     await ensureConnected();
-    connection.invoke("JoinRoom", code, name);
+    connection.invoke("JoinRoom", code, name, passcode || null, playerId, asSpectator);
 });
 
 document.getElementById('btnReveal').addEventListener('click', () => {
@@ -136,15 +258,31 @@ document.getElementById('btnNext').addEventListener('click', () => {
     connection.invoke("NextQuestion", state.roomCode);
 });
 
+document.getElementById('btnPrevious').addEventListener('click', () => {
+    connection.invoke("RevisitCard", state.roomCode, state.currentCardIndex - 1);
+});
+
 document.getElementById('btnAccept').addEventListener('click', async () => {
     const val = document.getElementById('acceptSelect').value;
     await connection.invoke("AcceptEstimate", state.roomCode, val);
     connection.invoke("NextQuestion", state.roomCode);
 });
 
+document.getElementById('btnTimerPause').addEventListener('click', () => {
+    connection.invoke(state.timerPausedRemaining != null ? "ResumeTimer" : "PauseTimer", state.roomCode);
+});
+
+document.getElementById('btnTimerExtend').addEventListener('click', () => {
+    connection.invoke("ExtendTimer", state.roomCode);
+});
+
+document.getElementById('btnTimerReset').addEventListener('click', () => {
+    connection.invoke("ResetTimer", state.roomCode);
+});
+
 document.getElementById('btnCopyLink').addEventListener('click', () => {
     const url = `${window.location.origin}/join/${state.roomCode}`;
-    navigator.clipboard.writeText(url).then(() => showToast("Link copied!"));
+    navigator.clipboard.writeText(url).then(() => showToast(t('toast.linkCopied')));
 });
 
 document.getElementById('btnDownloadCsv').addEventListener('click', downloadCsv);
@@ -152,11 +290,159 @@ document.getElementById('btnDownloadJson').addEventListener('click', downloadJso
 
 document.getElementById('btnExport').addEventListener('click', showExportMenu);
 
+document.getElementById('btnWebhooks').addEventListener('click', () => {
+    const panel = document.getElementById('webhookPanel');
+    panel.classList.toggle('open');
+    if (panel.classList.contains('open')) connection.invoke("GetWebhookLog", state.roomCode);
+});
+
+document.getElementById('btnWebhooksClose').addEventListener('click', () => {
+    document.getElementById('webhookPanel').classList.remove('open');
+});
+
+document.getElementById('btnWebhooksRefresh').addEventListener('click', () => {
+    connection.invoke("GetWebhookLog", state.roomCode);
+});
+
+document.getElementById('btnDisplays').addEventListener('click', () => {
+    const panel = document.getElementById('displayPanel');
+    panel.classList.toggle('open');
+    if (panel.classList.contains('open')) connection.invoke("GetDisplays", state.roomCode);
+});
+
+document.getElementById('btnDisplaysClose').addEventListener('click', () => {
+    document.getElementById('displayPanel').classList.remove('open');
+});
+
+document.getElementById('displayList').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-display]');
+    if (btn) connection.invoke("RemoveDisplay", state.roomCode, btn.dataset.display);
+});
+
+document.getElementById('linkHistory').addEventListener('click', (e) => {
+    e.preventDefault();
+    updateUrl('/history');
+    showHistory();
+});
+
+document.getElementById('btnResultsBack').addEventListener('click', () => {
+    updateUrl('/history');
+    showHistory();
+});
+
+// Notes are sent a moment after typing stops; others see them live
+let notesSaveTimeout = null;
+document.getElementById('cardNotes').addEventListener('input', (e) => {
+    clearTimeout(notesSaveTimeout);
+    const notes = e.target.value;
+    notesSaveTimeout = setTimeout(() => {
+        connection.invoke("UpdateNotes", state.roomCode, notes);
+    }, NOTES_SAVE_DELAY_MS);
+});
+
+document.getElementById('btnSpectate').addEventListener('click', () => {
+    connection.invoke("SetSpectator", state.roomCode, !state.isSpectator);
+});
+
+document.getElementById('btnLock').addEventListener('click', () => {
+    connection.invoke("SetRoomLocked", state.roomCode, !state.isLocked);
+});
+
+// Owner's seat menu (rendered by renderPlayerSeat)
+document.querySelector('.room-layout').addEventListener('click', (e) => {
+    const toggle = e.target.closest('.seat-menu-toggle');
+    if (toggle) {
+        const actions = toggle.closest('.seat-actions');
+        const wasOpen = actions.classList.contains('open');
+        closeSeatMenus();
+        actions.classList.toggle('open', !wasOpen);
+        return;
+    }
+
+    const item = e.target.closest('.seat-menu .export-menu-item');
+    if (!item) return;
+    closeSeatMenus();
+    onSeatAction(item.dataset.action, item.closest('.player-seat').dataset.player);
+});
+
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('.seat-actions')) closeSeatMenus();
+});
+
+function closeSeatMenus() {
+    document.querySelectorAll('.seat-actions.open').forEach(el => el.classList.remove('open'));
+}
+
+function onSeatAction(action, name) {
+    const player = state.players.find(p => p.name === name);
+    if (!player) return;
+
+    switch (action) {
+        case 'facilitator':
+            connection.invoke("SetFacilitator", state.roomCode, name, !player.isFacilitator);
+            break;
+        case 'successor-add':
+            connection.invoke("SetSuccessorOrder", state.roomCode, [...state.successors, name]);
+            break;
+        case 'successor-up': {
+            const order = [...state.successors];
+            const i = order.indexOf(name);
+            [order[i - 1], order[i]] = [order[i], order[i - 1]];
+            connection.invoke("SetSuccessorOrder", state.roomCode, order);
+            break;
+        }
+        case 'successor-remove':
+            connection.invoke("SetSuccessorOrder", state.roomCode, state.successors.filter(n => n !== name));
+            break;
+        case 'owner':
+            if (confirm(t('confirm.transferOwnership', { name }))) {
+                connection.invoke("TransferOwnership", state.roomCode, name);
+            }
+            break;
+        case 'kick':
+        case 'ban': {
+            const ban = action === 'ban';
+            const question = t(ban ? 'confirm.ban' : 'confirm.kick', { name });
+            if (confirm(question)) connection.invoke("KickPlayer", state.roomCode, name, ban);
+            break;
+        }
+    }
+}
+
+document.getElementById('btnBacklog').addEventListener('click', () => {
+    document.getElementById('backlogPanel').classList.toggle('open');
+    renderBacklog();
+});
+
+document.getElementById('btnBacklogClose').addEventListener('click', () => {
+    document.getElementById('backlogPanel').classList.remove('open');
+});
+
+document.getElementById('btnBacklogAdd').addEventListener('click', () => {
+    const subjectEl = document.getElementById('backlogSubject');
+    const descriptionEl = document.getElementById('backlogDescription');
+    const subject = subjectEl.value.trim();
+    if (!subject) return showToast(t('toast.enterSubject'), true);
+
+    connection.invoke("AddCard", state.roomCode, subject, descriptionEl.value.trim() || null);
+    subjectEl.value = '';
+    descriptionEl.value = '';
+    subjectEl.focus();
+});
+
+document.getElementById('backlogSubject').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') document.getElementById('btnBacklogAdd').click();
+});
+
 // ===== Event Handlers: Server =====
 function onRoomCreated(data) {
     state.roomCode = data.roomCode;
+    state.playerId = data.playerId;
     state.myName = data.myName;
     state.isOwner = data.isOwner;
+    state.isFacilitator = false;
+    state.successors = [];
+    state.displays = [];
     state.isSpectator = data.isSpectator;
     state.scale = data.scale;
     state.players = data.players;
@@ -165,13 +451,28 @@ function onRoomCreated(data) {
     state.roomState = 'Voting';
     state.selectedVote = null;
     state.votes = {};
+    state.dimensionVotes = {};
     state.secondsPerCard = data.secondsPerCard || null;
     state.coffeeBreakEnabled = data.coffeeBreakEnabled || false;
+    state.consensusRuleName = data.consensusRuleName || null;
+    state.consensusRule = data.consensusRule || null;
+    state.consensusThreshold = data.consensusThreshold || null;
+    state.isLocked = data.isLocked || false;
+    state.everyoneEditsNotes = data.everyoneEditsNotes || false;
+    state.anonymousVoting = data.anonymousVoting || false;
+    state.dimensions = data.dimensions || [];
+    state.asyncMode = data.asyncMode || false;
+    state.asyncBoard = data.asyncBoard || null;
+    state.hasWebhooks = data.hasWebhooks || false;
+    state.autoAccept = data.autoAccept || false;
+    state.backlog = data.backlog || [];
+    state.resumeCardIndex = null;
 
     // Save session for reconnect
     const me = data.players.find(p => p.isOwner);
-    saveSession(data.roomCode, data.playerId, me ? me.name : 'Spectator');
+    saveSession(data.roomCode, data.playerId, me ? me.name : 'Spectator', state.asyncMode);
 
+    applyTimer(data.timer);
     resetActivityTracking();
     startSleepCheck();
     renderRoom(data.currentCard);
@@ -182,8 +483,12 @@ function onRoomCreated(data) {
 
 function onRoomState(data) {
     state.roomCode = data.roomCode;
+    state.playerId = data.playerId;
     state.myName = data.myName;
     state.isOwner = data.isOwner;
+    state.isFacilitator = data.isFacilitator || false;
+    state.successors = data.successors || [];
+    state.displays = data.displays || [];
     state.isSpectator = data.isSpectator;
     state.scale = data.scale;
     state.players = data.players;
@@ -192,19 +497,27 @@ function onRoomState(data) {
     state.roomState = data.state;
     state.selectedVote = data.myVote || null;
     state.votes = data.votes || {};
+    state.dimensionVotes = data.myDimensionVotes || {};
     state.secondsPerCard = data.secondsPerCard || null;
     state.coffeeBreakEnabled = data.coffeeBreakEnabled || false;
+    state.consensusRuleName = data.consensusRuleName || null;
+    state.consensusRule = data.consensusRule || null;
+    state.consensusThreshold = data.consensusThreshold || null;
+    state.isLocked = data.isLocked || false;
+    state.everyoneEditsNotes = data.everyoneEditsNotes || false;
+    state.anonymousVoting = data.anonymousVoting || false;
+    state.dimensions = data.dimensions || [];
+    state.asyncMode = data.asyncMode || false;
+    state.asyncBoard = data.asyncBoard || null;
+    state.hasWebhooks = data.hasWebhooks || false;
+    state.autoAccept = data.autoAccept || false;
+    state.backlog = data.backlog || [];
+    state.resumeCardIndex = data.resumeCardIndex ?? null;
 
     // Save/update session for reconnect
-    const me = data.players.find(p => p.name && !p.isSpectator) || data.players[0];
-    saveSession(data.roomCode, data.playerId, me ? me.name : 'Player');
-
-    // Restore timer from server timestamp
-    if (data.secondsPerCard && data.cardTimerStartedAt) {
-        const started = new Date(data.cardTimerStartedAt);
-        state.timerDeadline = new Date(started.getTime() + data.secondsPerCard * 1000);
-    }
+    saveSession(data.roomCode, data.playerId, data.myName, state.asyncMode);
 
+    applyTimer(data.timer);
     resetActivityTracking();
     if (data.state === 'Voting') startSleepCheck();
     renderRoom(data.currentCard);
@@ -212,9 +525,13 @@ function onRoomState(data) {
     showScreen('room');
     updateUrl(`/room/${data.roomCode}`);
 
+    if (data.state === 'Voting' && data.autoRevealSeconds != null) {
+        onAutoRevealCountdown({ seconds: data.autoRevealSeconds, reason: data.autoRevealReason });
+    }
+
     if (data.state === 'Revealed' && data.votes) {
         stopSleepCheck();
-        renderRevealed(data.votes, data.consensus, data.average, data.coffeeVotes);
+        renderRevealed(data.votes, data.consensus, data.average, data.coffeeVotes, data.estimate, data.stats, data.dimensionResults);
     }
 }
 
@@ -234,8 +551,8 @@ function onPlayerJoined(data) {
 
     renderPlayers();
     renderOwnerControls();
-    document.getElementById('btnExport').style.display = state.isOwner ? '' : 'none';
-    showToast(`${data.name} joined`);
+    renderHeaderActions();
+    showToast(t('toast.playerJoined', { name: data.name }));
 }
 
 function onPlayerLeft(data) {
@@ -248,14 +565,14 @@ function onPlayerLeft(data) {
         // Check if *this* client became the new owner
         if (data.newOwnerName === state.myName) {
             state.isOwner = true;
-            showToast('You are now the room owner!');
+            showToast(t('toast.nowOwner'));
+            connection.invoke("GetDisplays", state.roomCode);
         }
     }
     renderPlayers();
     renderOwnerControls();
-    // Show/hide owner-only header buttons
-    document.getElementById('btnExport').style.display = state.isOwner ? '' : 'none';
-    showToast(`${data.playerName} left`);
+    renderHeaderActions();
+    showToast(t('toast.playerLeft', { name: data.playerName }));
 }
 
 function onVoteReceived(data) {
@@ -264,27 +581,74 @@ function onVoteReceived(data) {
         p.name === data.playerName ? { ...p, hasVoted: true } : p
     );
     renderPlayers();
+
+    const voters = state.players.filter(p => !p.isSpectator);
+    announce(t('announce.voted', { name: data.playerName, count: voters.filter(p => p.hasVoted).length, total: voters.length }));
 }
 
 function onCardsRevealed(data) {
+    hideAutoRevealCountdown();
     state.roomState = 'Revealed';
     state.votes = data.votes;
     stopCardTimer();
     stopSleepCheck();
-    renderRevealed(data.votes, data.consensus, data.average, data.coffeeVotes);
+    renderRevealed(data.votes, data.consensus, data.average, data.coffeeVotes, data.estimate, data.stats, data.dimensionResults);
+    // Auto-accepting rooms: the server moves on to the next card shortly
+    if (state.autoAccept && data.estimate) showToast(t('toast.consensusAccepted', { value: data.estimate }));
+
+    const votes = state.anonymousVoting
+        ? Object.values(data.votes || {}).join(', ')
+        : Object.entries(data.votes || {}).map(([name, value]) => `${name} ${value}`).join(', ');
+    announce([
+        t('announce.revealed'),
+        data.consensus ? t('announce.consensus', { value: data.consensus }) : t('announce.noConsensus'),
+        votes ? t('announce.votes', { votes }) : t('announce.noVotes')
+    ].join(' '));
+}
+
+// Server is about to reveal (everyone voted, or time is up). Votes can still change until then.
+let autoRevealInterval = null;
+
+function onAutoRevealCountdown(data) {
+    hideAutoRevealCountdown();
+    const banner = document.getElementById('autoRevealBanner');
+    const deadline = Date.now() + data.seconds * 1000;
+    const key = data.reason === 'timer' ? 'room.autoRevealTimer' : 'room.autoRevealAllVoted';
+
+    const tick = () => {
+        const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        banner.textContent = t(key, { seconds: remaining });
+    };
+    tick();
+    banner.style.display = '';
+    autoRevealInterval = setInterval(tick, 250);
+}
+
+function hideAutoRevealCountdown() {
+    if (autoRevealInterval) {
+        clearInterval(autoRevealInterval);
+        autoRevealInterval = null;
+    }
+    document.getElementById('autoRevealBanner').style.display = 'none';
 }
 
 function onVoteUpdated(data) {
-    state.votes[data.playerName] = data.value;
+    // Anonymous rooms send the renumbered votes instead of who changed to what
+    if (data.votes) state.votes = data.votes;
+    else state.votes[data.playerName] = data.value;
+    state.stats = data.stats;
     renderRevealedVotes();
     document.getElementById('consensusValue').textContent = data.consensus || '-';
     document.getElementById('averageValue').textContent = data.average != null ? data.average : '-';
+    renderVoteStats(data.stats);
     preselectAcceptValue(data.consensus, data.average);
     renderCoffeeBanner(data.coffeeVotes || 0);
 }
 
 function onEstimateAccepted(data) {
-    showToast(`Estimate accepted: ${data.value}`);
+    const entry = state.backlog[state.currentCardIndex];
+    if (entry) entry.estimate = data.value;
+    showToast(t('toast.estimateAccepted', { value: data.value }));
 }
 
 function onNewRound(data) {
@@ -293,7 +657,10 @@ function onNewRound(data) {
     state.roomState = 'Voting';
     state.selectedVote = null;
     state.votes = {};
+    state.dimensionVotes = {};
     state.secondsPerCard = data.secondsPerCard || state.secondsPerCard;
+    applyTimer(data.timer);
+    state.resumeCardIndex = null;
     state.players = state.players.map(p => ({ ...p, hasVoted: false }));
 
     resetActivityTracking();
@@ -303,6 +670,131 @@ function onNewRound(data) {
     document.getElementById('coffeeBanner').style.display = 'none';
 }
 
+function onTimerUpdated(data) {
+    applyTimer(data.timer);
+    if (state.roomState === 'Voting') startCardTimer();
+    if (!state.isOwner) {
+        const actions = ['paused', 'resumed', 'extended', 'reset'];
+        showToast(t(actions.includes(data.action) ? `toast.timer.${data.action}` : 'toast.timer.updated'));
+    }
+}
+
+function onRolesUpdated(data) {
+    const roles = new Map(data.players.map(p => [p.name, p]));
+    state.players = state.players.map(p => {
+        const r = roles.get(p.name);
+        return r ? { ...p, isOwner: r.isOwner, isFacilitator: r.isFacilitator } : p;
+    });
+    state.successors = data.successors || [];
+
+    const me = roles.get(state.myName);
+    if (me) {
+        if (me.isOwner && !state.isOwner) {
+            showToast(t('toast.nowOwner'));
+            connection.invoke("GetDisplays", state.roomCode);
+        } else if (me.isFacilitator && !state.isFacilitator) {
+            showToast(t('toast.nowFacilitator'));
+        } else if (!me.isOwner && !me.isFacilitator && state.isFacilitator) {
+            showToast(t('toast.noLongerFacilitator'));
+        }
+        state.isOwner = me.isOwner;
+        state.isFacilitator = me.isFacilitator;
+    }
+
+    renderPlayers();
+    renderOwnerControls();
+    renderHeaderActions();
+    renderNotesEditable();
+    renderBacklog();
+}
+
+function onSpectatorChanged(data) {
+    state.players = state.players.map(p => p.name === data.playerName
+        ? { ...p, isSpectator: data.isSpectator, hasVoted: data.isSpectator ? false : p.hasVoted }
+        : p);
+    if (data.isSpectator) delete playerLastActivity[data.playerName];
+    else playerLastActivity[data.playerName] = Date.now();
+
+    if (data.playerName === state.myName) {
+        state.isSpectator = data.isSpectator;
+        if (data.isSpectator) state.selectedVote = null;
+        renderVotingCards();
+        renderHeaderActions();
+        showToast(t(data.isSpectator ? 'toast.nowObserving' : 'toast.votingAgain'));
+    }
+
+    if (data.revealed) {
+        const r = data.revealed;
+        renderRevealed(r.votes, r.consensus, r.average, r.coffeeVotes, r.estimate, r.stats, r.dimensionResults);
+    } else {
+        if (data.isSpectator) delete state.votes[data.playerName];
+        renderPlayers();
+    }
+}
+
+function onNotesUpdated(data) {
+    if (data.cardIndex !== state.currentCardIndex) return;
+    const textarea = document.getElementById('cardNotes');
+    // Don't overwrite what we're typing; our next save wins
+    if (document.activeElement !== textarea) textarea.value = data.notes || '';
+    document.getElementById('cardNotesStatus').textContent = t('room.notesEditedBy', { name: data.by });
+    renderNotesEditable();
+}
+
+function onRoomLockChanged(data) {
+    state.isLocked = data.isLocked;
+    renderHeaderActions();
+    showToast(t(data.isLocked ? 'toast.roomLocked' : 'toast.roomUnlocked'));
+}
+
+function onKicked(data) {
+    clearSession();
+    stopCardTimer();
+    stopSleepCheck();
+    state.roomCode = null;
+    showScreen('home');
+    updateUrl('/');
+    showToast(t(data.banned ? 'toast.banned' : 'toast.kicked'), true);
+}
+
+function onAsyncBoardUpdated(data) {
+    state.asyncBoard = data;
+    renderAsyncBoard();
+}
+
+function onBacklogUpdated(data) {
+    state.backlog = data.backlog;
+    state.currentCardIndex = data.currentCardIndex;
+    state.resumeCardIndex = data.resumeCardIndex ?? null;
+    state.totalCards = data.totalCards;
+
+    renderQuestionCounter();
+    if (data.currentCard) renderCurrentCard(data.currentCard);
+    renderBacklog();
+}
+
+function onCardRevisited(data) {
+    state.currentCardIndex = data.cardIndex;
+    state.totalCards = data.totalCards;
+    state.roomState = 'Revealed';
+    state.votes = data.votes || {};
+    state.selectedVote = state.anonymousVoting ? null : state.votes[state.myName] || null;
+    state.dimensionVotes = {};
+    const voters = data.voters || Object.keys(state.votes);
+    state.players = state.players.map(p => ({ ...p, hasVoted: voters.includes(p.name) }));
+
+    // Revisiting after the game finished brings everyone back from the results screen
+    if (state.playerId) saveSession(state.roomCode, state.playerId, state.myName);
+
+    stopCardTimer();
+    stopSleepCheck();
+    renderRoom(data.card);
+    renderRevealed(state.votes, data.consensus, data.average, data.coffeeVotes, data.estimate, data.stats, data.dimensionResults);
+    showScreen('room');
+    updateUrl(`/room/${state.roomCode}`);
+    showToast(t('toast.revisiting', { number: data.cardIndex + 1 }));
+}
+
 function onGameFinished(data) {
     state.roomState = 'Finished';
     state.results = data.results;
@@ -340,8 +832,15 @@ function onRejoinFailed(msg) {
     }
 }
 
-function onError(msg) {
-    showToast(msg, true);
+// Server errors come with a code (ErrorCodes on the server) we can translate; the English message is the fallback
+function onError(msg, code, args) {
+    showToast(errorText(msg, code, args), true);
+}
+
+// The server's error in the player's language when there is a translation, else its English message
+function errorText(msg, code, args) {
+    const key = `errors.${code}`;
+    return code && hasMessage(key) ? t(key, args || {}) : msg;
 }
 
 // ===== Player Thinking (wobble) & Sleeping (Zzz) =====
@@ -439,13 +938,10 @@ const CARD_COLORS = 8;
 
 function renderRoom(card) {
     document.getElementById('roomCodeBadge').textContent = state.roomCode;
-    document.getElementById('questionCounter').textContent =
-        `Question ${state.currentCardIndex + 1} / ${state.totalCards}`;
+    document.getElementById('btnPresent').href = `/present/${state.roomCode}`;
+    renderQuestionCounter();
 
-    if (card) {
-        document.getElementById('cardSubject').textContent = card.subject;
-        document.getElementById('cardDescription').innerHTML = card.description || '';
-    }
+    if (card) renderCurrentCard(card);
 
     // Apply color based on question index
     const tableCenter = document.querySelector('.table-center');
@@ -454,19 +950,95 @@ function renderRoom(card) {
     }
     tableCenter.classList.add(`card-color-${state.currentCardIndex % CARD_COLORS}`);
 
+    state.stats = null;
+    hideAutoRevealCountdown();
     document.getElementById('statsDisplay').style.display = 'none';
+    document.getElementById('voteChart').style.display = 'none';
+    document.getElementById('anonymousNote').style.display = 'none';
+    document.getElementById('dimensionStats').style.display = 'none';
     document.getElementById('coffeeBanner').style.display = 'none';
 
-    // Show export button for owner
-    document.getElementById('btnExport').style.display = state.isOwner ? '' : 'none';
-
+    renderHeaderActions();
     renderPlayers();
     renderVotingCards();
     renderOwnerControls();
+    renderBacklog();
+    renderAsyncBoard();
+}
+
+function renderQuestionCounter() {
+    // Async rooms have no current card: the dashboard lists them all
+    document.getElementById('questionCounter').textContent = state.asyncMode
+        ? ''
+        : t('room.questionCounter', { number: state.currentCardIndex + 1, total: state.totalCards });
+}
+
+function renderCurrentCard(card) {
+    document.getElementById('cardSubject').innerHTML = linkIssueKeys(card.subject);
+    document.getElementById('cardDescription').innerHTML = renderMarkdown(card.description);
+    document.getElementById('cardMeta').innerHTML = renderCardMeta(card);
+
+    // Re-rendering the same card (e.g. a backlog edit) mustn't wipe notes being typed
+    const notes = document.getElementById('cardNotes');
+    const sameCard = notes.dataset.cardIndex === String(state.currentCardIndex);
+    if (!sameCard || document.activeElement !== notes) {
+        clearTimeout(notesSaveTimeout);
+        notes.value = card.notes || '';
+        document.getElementById('cardNotesStatus').textContent = '';
+    }
+    notes.dataset.cardIndex = state.currentCardIndex;
+    renderNotesEditable();
+}
+
+function canEditNotes() {
+    return state.everyoneEditsNotes || canFacilitate();
+}
+
+// Read-only for everyone else, and hidden while there is nothing to read
+function renderNotesEditable() {
+    const textarea = document.getElementById('cardNotes');
+    const editable = canEditNotes();
+    textarea.readOnly = !editable;
+    document.getElementById('cardNotesArea').style.display = editable || textarea.value ? '' : 'none';
+}
+
+// Header buttons: the observe toggle is everyone's, the rest owner-only
+function renderHeaderActions() {
+    const spectateBtn = document.getElementById('btnSpectate');
+    spectateBtn.innerHTML = state.isSpectator ? `&#127183; ${escapeHtml(t('room.vote'))}` : `&#128065; ${escapeHtml(t('room.observe'))}`;
+    spectateBtn.title = t(state.isSpectator ? 'room.voteTitle' : 'room.observeTitle');
+    document.getElementById('btnExport').style.display = state.isOwner ? '' : 'none';
+    document.getElementById('btnBacklog').style.display = state.isOwner ? '' : 'none';
+    document.getElementById('btnWebhooks').style.display = state.isOwner && state.hasWebhooks ? '' : 'none';
+    if (!state.isOwner) document.getElementById('webhookPanel').classList.remove('open');
+    const displaysBtn = document.getElementById('btnDisplays');
+    displaysBtn.style.display = state.isOwner && state.displays.length ? '' : 'none';
+    displaysBtn.innerHTML = `&#128421; ${escapeHtml(t('room.displays', { count: state.displays.length }))}`;
+    if (!state.isOwner) document.getElementById('displayPanel').classList.remove('open');
+    const lockBtn = document.getElementById('btnLock');
+    lockBtn.style.display = state.isOwner ? '' : 'none';
+    lockBtn.innerHTML = state.isLocked ? `&#128274; ${escapeHtml(t('room.unlock'))}` : `&#128275; ${escapeHtml(t('room.lock'))}`;
+    lockBtn.title = t(state.isLocked ? 'room.unlockTitle' : 'room.lockTitle');
+    document.getElementById('roomLockBadge').style.display = state.isLocked ? '' : 'none';
+    renderTimerControls();
+}
+
+function renderCardMeta(card) {
+    const labels = (card.labels || [])
+        .map(l => `<span class="card-label">${escapeHtml(l)}</span>`)
+        .join('');
+    const link = card.link
+        ? `<a class="card-link" href="${escapeHtml(card.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('card.open'))} &#8599;</a>`
+        : '';
+    const previous = card.previousEstimate
+        ? `<span class="card-previous">${escapeHtml(t('card.previously', { value: card.previousEstimate }))}</span>`
+        : '';
+    return previous + labels + link;
 }
 
 function renderPlayerSeat(p) {
-    const vote = state.votes[p.name];
+    // Anonymous rooms key votes "#1", "#2", ... — never a seat's
+    const vote = state.anonymousVoting ? undefined : state.votes[p.name];
     const isRevealed = state.roomState === 'Revealed';
     const hasVoted = p.hasVoted || (vote !== undefined);
 
@@ -479,22 +1051,57 @@ function renderPlayerSeat(p) {
     } else if (isRevealed && vote !== undefined) {
         cardContent = escapeHtml(vote);
         cardClass += ' revealed';
+        // Call out the lowest and highest voters when estimates disagree
+        if (state.stats && state.stats.spreadSteps > 0) {
+            if (vote === state.stats.min) cardClass += ' outlier-low';
+            else if (vote === state.stats.max) cardClass += ' outlier-high';
+        }
     } else if (hasVoted) {
         cardContent = '&#10003;';
         cardClass += ' voted';
     }
 
     const nameClass = p.isOwner ? 'player-name owner' : 'player-name';
-    const badge = p.isSpectator ? ' <span class="spectator-badge">spectator</span>' : '';
+    const successorRank = state.successors.indexOf(p.name);
+    const badge = p.isSpectator ? ` <span class="spectator-badge">${escapeHtml(t('seat.spectator'))}</span>` : '';
+    let roles = '';
+    if (p.isOwner) roles += `<span class="role-badge owner" title="${escapeHtml(t('seat.ownerTitle'))}">${escapeHtml(t('seat.owner'))}</span>`;
+    else if (p.isFacilitator) roles += `<span class="role-badge" title="${escapeHtml(t('seat.facilitatorTitle'))}">${escapeHtml(t('seat.facilitator'))}</span>`;
+    if (successorRank >= 0) roles += `<span class="role-badge successor" title="${escapeHtml(t('seat.successorTitle'))}">#${successorRank + 1}</span>`;
+
+    const outlierTitle = cardClass.includes('outlier-low') ? escapeHtml(t('seat.lowest'))
+        : cardClass.includes('outlier-high') ? escapeHtml(t('seat.highest')) : '';
+
+    const actions = state.isOwner && p.name !== state.myName ? renderSeatMenu(p, successorRank) : '';
 
     return `
-        <div class="player-seat" data-player="${escapeHtml(p.name)}">
-            <div class="${cardClass}">${cardContent}</div>
+        <div class="player-seat" data-player="${escapeHtml(p.name)}">${actions}
+            <div class="${cardClass}"${outlierTitle ? ` title="${outlierTitle}"` : ''}>${cardContent}</div>
             <div class="${nameClass}">${escapeHtml(p.name)}${badge}</div>
+            ${roles ? `<div class="player-roles">${roles}</div>` : ''}
         </div>
     `;
 }
 
+function renderSeatMenu(p, successorRank) {
+    const item = (action, key) => `<button class="export-menu-item" data-action="${action}">${escapeHtml(t(key))}</button>`;
+    const successorItems = successorRank < 0
+        ? item('successor-add', 'seat.successorAdd')
+        : (successorRank > 0 ? item('successor-up', 'seat.successorUp') : '') + item('successor-remove', 'seat.successorRemove');
+
+    return `
+            <div class="seat-actions">
+                <button class="seat-menu-toggle" title="${escapeHtml(t('seat.options'))}">&#8942;</button>
+                <div class="seat-menu export-menu">
+                    ${item('facilitator', p.isFacilitator ? 'seat.facilitatorRemove' : 'seat.facilitatorMake')}
+                    ${successorItems}
+                    ${item('owner', 'seat.transferOwnership')}
+                    ${item('kick', 'seat.kick')}
+                    ${item('ban', 'seat.ban')}
+                </div>
+            </div>`;
+}
+
 function renderPlayers() {
     const players = state.players;
     const count = players.length;
@@ -536,28 +1143,65 @@ function renderVotingCards() {
     const container = document.getElementById('votingCards');
     const area = document.getElementById('votingArea');
 
-    if (state.isSpectator) {
+    if (state.isSpectator || state.asyncMode) {
         area.style.display = 'none';
         return;
     }
 
     area.style.display = '';
-    let html = state.scale.map(val => {
-        const selected = state.selectedVote === val ? 'selected' : '';
-        return `<button class="vote-btn ${selected}" onclick="castVote('${escapeHtml(val)}')">${escapeHtml(val)}</button>`;
+    // Keep keyboard focus on the same card across re-renders
+    const focusedValue = container.contains(document.activeElement) ? document.activeElement.dataset.value : null;
+    const values = state.coffeeBreakEnabled ? [...state.scale, '☕'] : state.scale;
+    // One tab stop for the whole deck (the selected card, else the first); arrows move within it
+    const tabValue = values.includes(state.selectedVote) ? state.selectedVote : values[0];
+
+    container.innerHTML = values.map(val => {
+        const isSelected = state.selectedVote === val;
+        const coffee = val === '☕';
+        return `<button class="vote-btn ${coffee ? 'vote-btn-coffee' : ''} ${isSelected ? 'selected' : ''}" data-value="${escapeHtml(val)}"
+            aria-pressed="${isSelected}" tabindex="${val === tabValue ? 0 : -1}"${coffee ? ` aria-label="${escapeHtml(t('room.coffeeCard'))}"` : ''}>${escapeHtml(val)}</button>`;
+    }).join('');
+
+    if (focusedValue != null) {
+        const button = [...container.querySelectorAll('.vote-btn')].find(b => b.dataset.value === focusedValue);
+        if (button) button.focus();
+    }
+    renderDimensionVoting();
+}
+
+// One deck per dimension under the estimate, keyboard-navigable like it
+function renderDimensionVoting() {
+    const container = document.getElementById('dimensionVoting');
+    const focused = container.contains(document.activeElement)
+        ? { dimension: document.activeElement.closest('.voting-cards').dataset.dimension, value: document.activeElement.dataset.value }
+        : null;
+
+    container.innerHTML = state.dimensions.map((d, i) => {
+        const selected = state.dimensionVotes[d.name];
+        const tabValue = d.scale.includes(selected) ? selected : d.scale[0];
+        return `
+            <div class="voting-label" id="dimensionLabel${i}">${escapeHtml(d.name)}</div>
+            <div class="voting-cards" role="group" aria-labelledby="dimensionLabel${i}" data-dimension="${escapeHtml(d.name)}">
+                ${d.scale.map(val => `<button class="vote-btn ${selected === val ? 'selected' : ''}" data-value="${escapeHtml(val)}"
+                    aria-pressed="${selected === val}" tabindex="${val === tabValue ? 0 : -1}">${escapeHtml(val)}</button>`).join('')}
+            </div>`;
     }).join('');
 
-    if (state.coffeeBreakEnabled) {
-        const coffeeSelected = state.selectedVote === '☕' ? 'selected' : '';
-        html += `<button class="vote-btn vote-btn-coffee ${coffeeSelected}" onclick="castVote('☕')">☕</button>`;
+    if (focused) {
+        const deck = [...container.querySelectorAll('.voting-cards')].find(g => g.dataset.dimension === focused.dimension);
+        const button = deck && [...deck.querySelectorAll('.vote-btn')].find(b => b.dataset.value === focused.value);
+        if (button) button.focus();
     }
+}
 
-    container.innerHTML = html;
+// Owner and co-facilitators run the round
+function canFacilitate() {
+    return state.isOwner || state.isFacilitator;
 }
 
 function renderOwnerControls() {
     const controls = document.getElementById('ownerControls');
-    if (!state.isOwner) {
+    if (!canFacilitate() || state.asyncMode) {
         controls.style.display = 'none';
         return;
     }
@@ -566,6 +1210,7 @@ function renderOwnerControls() {
     const isVoting = state.roomState === 'Voting';
     const isRevealed = state.roomState === 'Revealed';
 
+    document.getElementById('btnPrevious').style.display = state.isOwner && state.currentCardIndex > 0 ? '' : 'none';
     document.getElementById('btnReveal').style.display = isVoting ? '' : 'none';
     document.getElementById('btnRevote').style.display = isRevealed ? '' : 'none';
     document.getElementById('btnNext').style.display = isRevealed ? '' : 'none';
@@ -580,37 +1225,108 @@ function renderOwnerControls() {
     }
 }
 
-function renderRevealed(votes, consensus, average, coffeeVotes) {
+function renderRevealed(votes, consensus, average, coffeeVotes, estimate, stats, dimensionResults) {
     state.votes = votes;
+    state.stats = stats || null;
+    renderDimensionResults(dimensionResults);
     renderPlayers();
     renderOwnerControls();
 
     document.getElementById('statsDisplay').style.display = '';
+    document.getElementById('anonymousNote').style.display = state.anonymousVoting ? '' : 'none';
     document.getElementById('consensusValue').textContent = consensus || '-';
+    document.getElementById('consensusRuleName').textContent = consensusRuleName();
     document.getElementById('averageValue').textContent = average != null ? average : '-';
+    renderVoteStats(stats);
 
-    preselectAcceptValue(consensus, average);
+    preselectAcceptValue(consensus, average, estimate);
     renderCoffeeBanner(coffeeVotes || 0);
 }
 
+function consensusRuleName() {
+    const key = `consensus.${state.consensusRule}`;
+    return state.consensusRule && hasMessage(key)
+        ? t(key, { threshold: state.consensusThreshold })
+        : state.consensusRuleName || '';
+}
+
+function renderVoteStats(stats) {
+    const chart = document.getElementById('voteChart');
+    const spreadEl = document.getElementById('spreadValue');
+    if (!stats || stats.voterCount === 0) {
+        document.getElementById('medianValue').textContent = '-';
+        document.getElementById('rangeValue').textContent = '-';
+        spreadEl.textContent = '';
+        chart.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('medianValue').textContent = stats.median;
+    document.getElementById('rangeValue').textContent = stats.min === stats.max ? stats.min : `${stats.min}–${stats.max}`;
+    // Numeric scales show the difference, ordinal ones (T-Shirt, Risk) how many steps apart
+    spreadEl.textContent = stats.spreadSteps === 0 ? ''
+        : stats.spread != null ? t('stats.spread', { value: stats.spread })
+        : t('stats.stepsApart', { count: stats.spreadSteps });
+
+    const maxCount = Math.max(...stats.distribution.map(b => b.count), 1);
+    chart.innerHTML = stats.distribution.map(b => `
+        <div class="vote-bar${b.count === 0 ? ' empty' : ''}" title="${escapeHtml(b.value)}: ${b.count}">
+            <span class="vote-bar-count">${b.count || ''}</span>
+            <div class="vote-bar-fill" style="height:${Math.round(b.count / maxCount * 48)}px"></div>
+            <span>${escapeHtml(b.value)}</span>
+        </div>
+    `).join('');
+    chart.style.display = '';
+}
+
+// Each dimension's value (the median) and range, then the combined score
+function renderDimensionResults(data) {
+    const container = document.getElementById('dimensionStats');
+    state.dimensionResults = data || null;
+    if (!data) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const rows = data.results.map(r => {
+        const range = !r.stats.min ? '' : r.stats.min === r.stats.max ? r.stats.min : `${r.stats.min}–${r.stats.max}`;
+        return `<tr>
+            <th scope="row">${escapeHtml(r.name)}</th>
+            <td><strong>${escapeHtml(r.value || '-')}</strong></td>
+            <td class="hint">${range ? escapeHtml(t('stats.dimensionRange', { range })) : ''}</td>
+        </tr>`;
+    }).join('');
+    container.innerHTML = `<table>${rows}
+        <tr class="dimension-combined">
+            <th scope="row">${escapeHtml(t('stats.combined'))}</th>
+            <td><strong>${data.combinedScore ?? '-'}</strong></td>
+            <td></td>
+        </tr></table>`;
+    container.style.display = '';
+}
+
 function renderCoffeeBanner(coffeeCount) {
     const banner = document.getElementById('coffeeBanner');
     if (!banner) return;
+    banner.dataset.count = coffeeCount;
     if (coffeeCount > 0) {
         banner.style.display = '';
-        const text = coffeeCount === 1
-            ? '1 player needs a break!'
-            : `${coffeeCount} players need a break!`;
-        document.getElementById('coffeeBannerText').textContent = text;
+        document.getElementById('coffeeBannerText').textContent = t('room.coffeeBreak', { count: coffeeCount });
     } else {
         banner.style.display = 'none';
     }
 }
 
-function preselectAcceptValue(consensus, average) {
+function preselectAcceptValue(consensus, average, estimate) {
     const select = document.getElementById('acceptSelect');
     if (!select || select.options.length === 0) return;
 
+    // 0. A revisited card keeps its previously accepted estimate
+    if (estimate) {
+        const opt = Array.from(select.options).find(o => o.value === String(estimate));
+        if (opt) { select.value = opt.value; return; }
+    }
+
     // 1. If consensus exists and is in the scale — use it
     if (consensus) {
         const opt = Array.from(select.options).find(o => o.value === String(consensus));
@@ -636,115 +1352,1376 @@ function renderRevealedVotes() {
     renderPlayers();
 }
 
-function renderResults(results) {
+function renderResults(results, fromHistory = false) {
     document.getElementById('resultsRoomCode').textContent = state.roomCode;
+    document.getElementById('btnResultsBack').style.display = fromHistory ? '' : 'none';
     const tbody = document.getElementById('resultsBody');
     const tfoot = document.getElementById('resultsFoot');
 
-    let totalEstimate = 0;
-    let hasNumericTotal = false;
+    // Rows come in the sprint plan's priority order; with a capacity, a running total and the cut line
+    const plan = getSprintPlan(results);
+    const hasCapacity = sprint.capacity > 0;
+    renderSprintPlanner(results);
+
+    // Rooms with dimensions get a column per dimension, plus the combined score
+    const dimensionNames = getDimensionNames(results);
+    const headRow = document.querySelector('#resultsTable thead tr');
+    headRow.querySelectorAll('.dimension-col, .sprint-col').forEach(th => th.remove());
+    const votesHeader = headRow.querySelector('[data-i18n="results.votes"]');
+    if (dimensionNames.length > 0) {
+        votesHeader.insertAdjacentHTML('beforebegin',
+            [...dimensionNames, t('results.combined')].map(name => `<th class="dimension-col">${escapeHtml(name)}</th>`).join(''));
+    }
+    if (hasCapacity) votesHeader.insertAdjacentHTML('beforebegin', `<th class="sprint-col">${escapeHtml(t('sprint.runningTotal'))}</th>`);
+
+    const dimensionColumns = dimensionNames.length > 0 ? dimensionNames.length + 1 : 0;
+    const columnCount = 6 + dimensionColumns + (hasCapacity ? 1 : 0);
+    const cutAt = hasCapacity ? plan.rows.findIndex(row => !row.inSprint) : -1;
+    const cutRow = `<tr class="sprint-cut"><td colspan="${columnCount}">&#9986; ${escapeHtml(t('sprint.cut', {
+        committed: formatSprintAmount(plan.committed), capacity: formatSprintAmount(sprint.capacity)
+    }))}</td></tr>`;
 
-    tbody.innerHTML = results.map(r => {
+    tbody.innerHTML = plan.rows.map(({ result: r, runningTotal, inSprint }, rowIndex) => {
         const votesStr = Object.entries(r.votes || {}).map(([name, val]) => `${name}: ${val}`).join(', ');
         const est = r.estimate || '-';
-
-        if (r.estimate && !isNaN(parseFloat(r.estimate))) {
-            totalEstimate += parseFloat(r.estimate);
-            hasNumericTotal = true;
-        }
-
-        return `
-            <tr>
-                <td>${r.index}</td>
-                <td><strong>${escapeHtml(r.subject)}</strong></td>
-                <td>${escapeHtml(r.description || '')}</td>
-                <td><strong>${escapeHtml(est)}</strong></td>
+        const dimensionCells = dimensionNames.length === 0 ? '' : dimensionNames.map(name => {
+            const d = (r.dimensions || []).find(x => x.name === name);
+            const votes = d ? Object.entries(d.votes || {}).map(([n, v]) => `${n}: ${v}`).join(', ') : '';
+            return `<td title="${escapeHtml(votes)}">${escapeHtml(d?.value || '-')}</td>`;
+        }).join('') + `<td><strong>${r.combinedScore ?? '-'}</strong></td>`;
+
+        const changes = (r.history || []).filter(h => h.type === 'EstimateChanged');
+        const changedMark = changes.length > 0
+            ? ` <span class="hint" title="${escapeHtml(changes.map(h => `${h.previousValue} → ${h.value}`).join(', '))}">&#8634;</span>`
+            : '';
+        const position = state.isOwner ? state.backlog.findIndex(b => b.originalIndex === r.index - 1) : -1;
+        const revisit = position >= 0
+            ? ` <button class="backlog-btn" onclick="revisitFromResults(${position})" title="${escapeHtml(t('backlog.revisit'))}">&#8634;</button>`
+            : '';
+
+        return `${rowIndex === cutAt ? cutRow : ''}
+            <tr class="${hasCapacity && !inSprint ? 'over-capacity' : ''}" draggable="true" data-index="${r.index}">
+                <td><button class="drag-handle" data-index="${r.index}" aria-label="${escapeHtml(t('sprint.reorder', { subject: r.subject }))}"
+                    title="${escapeHtml(t('sprint.reorder', { subject: r.subject }))}">&#10303;</button> ${r.index}${revisit}</td>
+                <td><strong>${r.link ? `<a href="${escapeHtml(r.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(r.subject)}</a>` : linkIssueKeys(r.subject)}</strong></td>
+                <td class="markdown">${renderMarkdown(r.description)}</td>
+                <td><strong>${escapeHtml(est)}</strong>${changedMark}${r.previousEstimate ? ` <span class="hint">${escapeHtml(t('results.was', { value: r.previousEstimate }))}</span>` : ''}</td>
+                ${dimensionCells}
+                ${hasCapacity ? `<td>${runningTotal}</td>` : ''}
                 <td>${escapeHtml(votesStr)}</td>
+                <td>${renderResultNotes(r)}</td>
             </tr>
         `;
     }).join('');
 
-    tfoot.innerHTML = hasNumericTotal ? `
+    const total = plan.hasPoints ? `
         <tr>
-            <td colspan="3" style="text-align:right"><strong>Total:</strong></td>
-            <td><strong>${totalEstimate}</strong></td>
+            <td colspan="3" style="text-align:right"><strong>${escapeHtml(t('results.total'))}</strong></td>
+            <td><strong>${plan.total}</strong></td>
+            ${'<td></td>'.repeat(dimensionColumns + (hasCapacity ? 1 : 0))}
             <td></td>
+            <td></td>
+        </tr>
+    ` : '';
+    const rest = plan.overflow > 0
+        ? t('sprint.overflow', { amount: formatSprintAmount(plan.overflow), cards: t('sprint.cards', { count: plan.overflowCards }) })
+        : t('sprint.free', { amount: formatSprintAmount(roundPoints(sprint.capacity - plan.committed)) });
+    const summary = hasCapacity ? `
+        <tr class="sprint-summary">
+            <td colspan="${columnCount}">
+                <strong>${escapeHtml(t('sprint.summary', { committed: formatSprintAmount(plan.committed), capacity: formatSprintAmount(sprint.capacity) }))}</strong>
+                · ${escapeHtml(rest)}
+            </td>
         </tr>
     ` : '';
+    tfoot.innerHTML = total + summary;
 }
 
-// ===== Actions =====
-async function castVote(value) {
-    state.selectedVote = value;
-    renderVotingCards();
-    await connection.invoke("Vote", state.roomCode, value);
+// Dimension names in room order, from the first card that has them
+function getDimensionNames(results) {
+    const withDimensions = results.find(r => r.dimensions && r.dimensions.length > 0);
+    return withDimensions ? withDimensions.dimensions.map(d => d.name) : [];
 }
 
-// ===== Export (mid-session) =====
-function showExportMenu() {
-    // Remove existing menu if any
-    const existing = document.getElementById('exportMenu');
-    if (existing) { existing.remove(); return; }
-
-    const btn = document.getElementById('btnExport');
-    const menu = document.createElement('div');
-    menu.id = 'exportMenu';
-    menu.className = 'export-menu';
-    menu.innerHTML = `
-        <button class="export-menu-item" data-format="csv">&#128196; CSV</button>
-        <button class="export-menu-item" data-format="json">&#128196; JSON</button>
-    `;
-    btn.parentElement.style.position = 'relative';
-    btn.parentElement.appendChild(menu);
+function renderResultNotes(r) {
+    const notes = r.notes ? `<div class="result-notes">${escapeHtml(r.notes)}</div>` : '';
+    const time = r.secondsSpent ? `<span class="hint">&#9202; ${formatDuration(r.secondsSpent)}</span>` : '';
+    const log = (r.history || []).length === 0 ? '' : `
+        <details class="result-log">
+            <summary>${escapeHtml(t('results.timeline', { count: r.history.length }))}</summary>
+            <ul>${r.history.map(h => `<li>${escapeHtml(describeCardEvent(h))}</li>`).join('')}</ul>
+        </details>`;
+    return notes + time + log;
+}
 
-    menu.querySelectorAll('.export-menu-item').forEach(item => {
-        item.addEventListener('click', async () => {
-            state._exportPending = true;
-            state._exportFormat = item.dataset.format;
-            menu.remove();
-            await connection.invoke("GetResults", state.roomCode);
-        });
-    });
+// One line of a card's timeline, as shown on the results screen and in the CSV
+function describeCardEvent(h) {
+    const time = new Date(h.at).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+    const votes = Object.entries(h.votes || {}).map(([n, v]) => `${n}: ${v}`).join(', ');
+    const by = h.by || t('timeline.owner');
+    let text;
+    switch (h.type) {
+        case 'Revote':
+            text = t('timeline.revote', { by }) + (votes ? ' ' + t('timeline.votesWere', { votes }) : '');
+            break;
+        case 'Accepted':
+            text = h.by ? t('timeline.accepted', { by, value: h.value }) : t('timeline.autoAccepted', { value: h.value });
+            break;
+        case 'EstimateChanged':
+            text = t('timeline.estimateChanged', { by, from: h.previousValue, to: h.value });
+            break;
+        case 'Revisited':
+            text = t('timeline.revisited', { by }) + (h.value ? ' ' + t('timeline.estimateWas', { value: h.value }) : '');
+            break;
+        case 'CoffeeBreak':
+            text = `☕ ${h.by ? t('timeline.coffeeBreak', { by: h.by }) : t('timeline.coffeeBreakAnonymous')}`;
+            break;
+        default:
+            text = h.type;
+    }
+    return `${time} ${text}`;
+}
 
-    // Close on outside click
-    setTimeout(() => {
-        document.addEventListener('click', function closeMenu(e) {
-            if (!menu.contains(e.target) && e.target !== btn) {
-                menu.remove();
-                document.removeEventListener('click', closeMenu);
-            }
-        });
-    }, 0);
+function formatDuration(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return mins > 0 ? t('duration.minutesSeconds', { mins, secs }) : t('duration.seconds', { secs });
 }
 
-// ===== Downloads =====
-function downloadCsv() {
-    if (!state.results) return;
-    const rows = [['#', 'Subject', 'Estimate', 'Votes']];
+// ===== Sprint planning (results screen) =====
+const SPRINT_KEY = 'poker_sprint';
+// Points for the values of the T-Shirt and Risk scales; editable on the results screen
+const DEFAULT_POINT_MAP = { XS: 1, S: 2, M: 3, L: 5, XL: 8, XXL: 13, Low: 1, Medium: 2, High: 3, Critical: 5 };
 
-    state.results.forEach(r => {
-        const votesStr = Object.entries(r.votes || {}).map(([n, v]) => `${n}:${v}`).join(' | ');
-        rows.push([r.index, r.subject, r.estimate || '', votesStr]);
-    });
+// Capacity, unit and points table are the team's, so they carry over to the next session
+let sprint = loadSprintSettings();
+let sprintOrder = null;   // { roomCode, indices }: result indices (r.index) in priority order, once reordered
 
-    const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
-    downloadFile(`planning-poker-${state.roomCode}.csv`, csv, 'text/csv');
+function loadSprintSettings() {
+    const defaults = { capacity: 0, unit: 'points', pointMap: { ...DEFAULT_POINT_MAP } };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SPRINT_KEY));
+        return saved ? { ...defaults, ...saved, pointMap: { ...defaults.pointMap, ...saved.pointMap } } : defaults;
+    } catch (e) { return defaults; }
 }
 
-function downloadJson() {
-    if (!state.results) return;
-    const compact = state.results.map(r => ({
-        index: r.index,
-        subject: r.subject,
-        estimate: r.estimate,
-        votes: r.votes
-    }));
-    const json = JSON.stringify({ roomCode: state.roomCode, results: compact }, null, 2);
-    downloadFile(`planning-poker-${state.roomCode}.json`, json, 'application/json');
+function saveSprintSettings() {
+    try {
+        localStorage.setItem(SPRINT_KEY, JSON.stringify(sprint));
+    } catch (e) { /* ignore */ }
 }
 
-function downloadFile(filename, content, type) {
-    const blob = new Blob([content], { type });
+function roundPoints(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Numeric estimates count as they are, the rest through the points table; "?" and no estimate count as nothing
+function estimatePoints(estimate) {
+    if (estimate == null || estimate === '') return null;
+    const number = Number(estimate);
+    if (!isNaN(number)) return number;
+    const mapped = sprint.pointMap[estimate];
+    return typeof mapped === 'number' ? mapped : null;
+}
+
+function formatSprintAmount(count) {
+    return t(sprint.unit === 'days' ? 'sprint.days' : 'sprint.points', { count });
+}
+
+function isSprintPlanned() {
+    return sprint.capacity > 0 || sprintOrder?.roomCode === state.roomCode;
+}
+
+/**
+ * Results in priority order with their points and running total. Everything up to the first card
+ * that goes over capacity is in the sprint; that card and everything after it is overflow.
+ */
+function getSprintPlan(results) {
+    const byIndex = new Map(results.map(r => [r.index, r]));
+    const saved = sprintOrder?.roomCode === state.roomCode ? sprintOrder.indices : [];
+    const order = saved.filter(i => byIndex.has(i));
+    results.forEach(r => { if (!order.includes(r.index)) order.push(r.index); });
+
+    let runningTotal = 0;
+    let fits = sprint.capacity > 0;
+    const rows = order.map((index, i) => {
+        const result = byIndex.get(index);
+        const points = estimatePoints(result.estimate);
+        if (points != null) runningTotal += points;
+        if (runningTotal > sprint.capacity) fits = false;
+        return { result, priority: i + 1, points, runningTotal: roundPoints(runningTotal), inSprint: fits };
+    });
+
+    const committed = rows.filter(r => r.inSprint).at(-1)?.runningTotal ?? 0;
+    return {
+        order,
+        rows,
+        total: roundPoints(runningTotal),
+        hasPoints: rows.some(r => r.points != null),
+        committed,
+        overflow: sprint.capacity > 0 ? roundPoints(runningTotal - committed) : 0,
+        overflowCards: sprint.capacity > 0 ? rows.filter(r => !r.inSprint).length : 0
+    };
+}
+
+// Capacity fields, plus a points input for every non-numeric estimate in these results
+function renderSprintPlanner(results) {
+    const capacity = document.getElementById('sprintCapacity');
+    if (document.activeElement !== capacity) capacity.value = sprint.capacity > 0 ? sprint.capacity : '';
+    document.getElementById('sprintUnit').value = sprint.unit;
+    document.getElementById('btnSprintResetOrder').style.display = sprintOrder?.roomCode === state.roomCode ? '' : 'none';
+
+    const known = Object.keys(DEFAULT_POINT_MAP);
+    const values = [...new Set(results.map(r => r.estimate))]
+        .filter(v => v && v !== '?' && v !== '☕' && isNaN(Number(v)))
+        .sort((a, b) => (known.indexOf(a) + 1 || Infinity) - (known.indexOf(b) + 1 || Infinity));
+
+    const map = document.getElementById('sprintPointMap');
+    map.style.display = values.length > 0 ? '' : 'none';
+    map.innerHTML = values.length === 0 ? '' : `
+        <span>${escapeHtml(t('sprint.pointMap'))} <span class="hint">${escapeHtml(t('sprint.pointMapHint'))}</span></span>
+        ${values.map(v => `<label class="sprint-point">${escapeHtml(v)}
+            <input type="number" min="0" step="any" data-value="${escapeHtml(v)}" value="${sprint.pointMap[v] ?? ''}"
+                aria-label="${escapeHtml(t('sprint.pointsFor', { value: v }))}">
+        </label>`).join('')}`;
+}
+
+function rerenderResults() {
+    renderResults(state.results, document.getElementById('btnResultsBack').style.display !== 'none');
+}
+
+// Move a card to another card's place in the priority order
+function moveSprintCard(index, targetIndex) {
+    const order = getSprintPlan(state.results).order;
+    const from = order.indexOf(index);
+    const to = order.indexOf(targetIndex);
+    if (from < 0 || to < 0 || from === to) return;
+
+    order.splice(to, 0, ...order.splice(from, 1));
+    sprintOrder = { roomCode: state.roomCode, indices: order };
+    rerenderResults();
+    announce(t('sprint.moved', { position: to + 1 }));
+}
+
+document.getElementById('sprintCapacity').addEventListener('input', (e) => {
+    const capacity = parseFloat(e.target.value);
+    sprint.capacity = capacity > 0 ? capacity : 0;
+    saveSprintSettings();
+    rerenderResults();
+});
+
+document.getElementById('sprintUnit').addEventListener('change', (e) => {
+    sprint.unit = e.target.value;
+    saveSprintSettings();
+    rerenderResults();
+});
+
+document.getElementById('sprintPointMap').addEventListener('change', (e) => {
+    const value = e.target.dataset.value;
+    if (value == null) return;
+    const points = parseFloat(e.target.value);
+    if (points >= 0) sprint.pointMap[value] = points;
+    else delete sprint.pointMap[value];
+    saveSprintSettings();
+    rerenderResults();
+});
+
+document.getElementById('btnSprintResetOrder').addEventListener('click', () => {
+    sprintOrder = null;
+    rerenderResults();
+});
+
+// Drag and drop rows; the handle also moves its row with the arrow keys
+const resultsBody = document.getElementById('resultsBody');
+let draggedResult = null;
+
+resultsBody.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('tr[data-index]');
+    if (!row) return;
+    draggedResult = parseInt(row.dataset.index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.dataset.index);
+    row.classList.add('dragging');
+});
+
+resultsBody.addEventListener('dragover', (e) => {
+    const row = e.target.closest('tr[data-index]');
+    if (draggedResult == null || !row) return;
+    e.preventDefault();
+    resultsBody.querySelectorAll('.drop-target').forEach(r => r.classList.remove('drop-target'));
+    row.classList.add('drop-target');
+});
+
+resultsBody.addEventListener('drop', (e) => {
+    const row = e.target.closest('tr[data-index]');
+    if (draggedResult == null || !row) return;
+    e.preventDefault();
+    moveSprintCard(draggedResult, parseInt(row.dataset.index));
+});
+
+resultsBody.addEventListener('dragend', () => {
+    draggedResult = null;
+    resultsBody.querySelectorAll('.dragging, .drop-target').forEach(r => r.classList.remove('dragging', 'drop-target'));
+});
+
+resultsBody.addEventListener('keydown', (e) => {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+
+    const index = parseInt(handle.dataset.index);
+    const order = getSprintPlan(state.results).order;
+    const target = order[order.indexOf(index) + (e.key === 'ArrowUp' ? -1 : 1)];
+    if (target == null) return;
+    moveSprintCard(index, target);
+    resultsBody.querySelector(`.drag-handle[data-index="${index}"]`)?.focus();
+});
+
+// ===== Session History =====
+async function showHistory() {
+    showScreen('history');
+    let sessions;
+    try {
+        const response = await fetch('/api/history');
+        if (!response.ok) throw new Error(response.statusText);
+        sessions = await response.json();
+    } catch (e) {
+        return showToast(t('toast.historyLoadFailed'), true);
+    }
+
+    document.getElementById('historyEmpty').style.display = sessions.length === 0 ? '' : 'none';
+    const tbody = document.getElementById('historyBody');
+    tbody.innerHTML = sessions.map(s => `
+        <tr tabindex="0" data-id="${escapeHtml(s.id)}">
+            <td>${escapeHtml(new Date(s.finishedAt).toLocaleString(getLocale()))}</td>
+            <td><strong>${escapeHtml(s.roomCode)}</strong></td>
+            <td>${escapeHtml(s.ownerName || '-')}</td>
+            <td>${s.cardCount}</td>
+            <td><strong>${s.totalEstimate != null ? Math.round(s.totalEstimate * 100) / 100 : '-'}</strong></td>
+        </tr>
+    `).join('');
+
+    tbody.querySelectorAll('tr').forEach(row => {
+        const open = () => {
+            updateUrl(`/history/${row.dataset.id}`);
+            openHistorySession(row.dataset.id);
+        };
+        row.addEventListener('click', open);
+        row.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') open();
+        });
+    });
+}
+
+async function openHistorySession(id) {
+    let session;
+    try {
+        const response = await fetch(`/api/history/${encodeURIComponent(id)}`);
+        if (!response.ok) throw new Error(response.statusText);
+        session = await response.json();
+    } catch (e) {
+        showToast(t('toast.sessionNotFound'), true);
+        updateUrl('/history');
+        return showHistory();
+    }
+
+    // Reuse the results screen (and its CSV/JSON downloads) for the stored session
+    state.roomCode = session.roomCode;
+    state.isOwner = false;
+    state.backlog = [];
+    state.results = session.results;
+    renderResults(session.results, true);
+    showScreen('results');
+}
+
+// ===== Custom Deck Editor =====
+const CUSTOM_SCALE = 5;          // ScaleType.Custom on the server
+const DECK_MIN_VALUES = 2;
+const DECK_MAX_VALUES = 20;
+const DECK_MAX_VALUE_LENGTH = 8;
+let customDeck = ['0.5', '1', '2', '3', '5', '8', '13', '20', '40', '100', '∞', '?'];
+
+function renderDeckEditor() {
+    const container = document.getElementById('deckValues');
+    container.innerHTML = customDeck.map((val, i) => `
+        <span class="deck-chip">
+            <button type="button" class="deck-chip-btn" onclick="moveDeckValue(${i}, -1)" title="${escapeHtml(t('deck.moveLeft'))}"${i === 0 ? ' disabled' : ''}>&lsaquo;</button>
+            <span class="deck-chip-value">${escapeHtml(val)}</span>
+            <button type="button" class="deck-chip-btn" onclick="moveDeckValue(${i}, 1)" title="${escapeHtml(t('deck.moveRight'))}"${i === customDeck.length - 1 ? ' disabled' : ''}>&rsaquo;</button>
+            <button type="button" class="deck-chip-btn deck-chip-remove" onclick="removeDeckValue(${i})" title="${escapeHtml(t('deck.remove'))}">&times;</button>
+        </span>
+    `).join('');
+}
+
+function addDeckValues() {
+    const input = document.getElementById('deckValueInput');
+    // Accept a single value or a comma-separated list pasted in one go
+    const values = input.value.split(',').map(v => v.trim()).filter(v => v);
+    if (values.length === 0) return;
+
+    const next = [...customDeck];
+    for (const val of values) {
+        if (next.length >= DECK_MAX_VALUES) return showToast(t('errors.customDeckTooLarge', { max: DECK_MAX_VALUES }), true);
+        if (val.length > DECK_MAX_VALUE_LENGTH) return showToast(t('errors.cardValueTooLong', { value: val, max: DECK_MAX_VALUE_LENGTH }), true);
+        if (val === '☕') return showToast(t('errors.cardValueReserved', { value: val }), true);
+        if (next.some(v => v.toLowerCase() === val.toLowerCase())) return showToast(t('deck.duplicate', { value: val }), true);
+        next.push(val);
+    }
+    customDeck = next;
+    input.value = '';
+    renderDeckEditor();
+}
+
+function removeDeckValue(index) {
+    customDeck.splice(index, 1);
+    renderDeckEditor();
+}
+
+function moveDeckValue(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= customDeck.length) return;
+    [customDeck[index], customDeck[target]] = [customDeck[target], customDeck[index]];
+    renderDeckEditor();
+}
+
+// ===== Dimensions (create screen) =====
+const DIMENSION_SCALES = ['Fibonacci', 'TShirt', 'PowersOf2', 'Sequential', 'Risk'];  // ScaleType values 0–4; custom decks are room-wide
+const MAX_DIMENSIONS = 5;
+const MAX_DIMENSION_WEIGHT = 10;
+let dimensions = [];
+
+function renderDimensionEditor() {
+    const container = document.getElementById('dimensionRows');
+    container.innerHTML = dimensions.map((d, i) => `
+        <div class="dimension-row">
+            <input type="text" value="${escapeHtml(d.name)}" maxlength="40" placeholder="${escapeHtml(t('create.dimensionName'))}"
+                aria-label="${escapeHtml(t('create.dimensionName'))}" oninput="dimensions[${i}].name = this.value">
+            <select aria-label="${escapeHtml(t('create.dimensionScale'))}" onchange="dimensions[${i}].scale = parseInt(this.value)">
+                ${DIMENSION_SCALES.map((name, scale) => `<option value="${scale}"${scale === d.scale ? ' selected' : ''}>${escapeHtml(t(`scale.${name}`))}</option>`).join('')}
+            </select>
+            <input type="number" class="dimension-weight" value="${d.weight}" min="0.5" max="${MAX_DIMENSION_WEIGHT}" step="0.5"
+                title="${escapeHtml(t('create.dimensionWeight'))}" aria-label="${escapeHtml(t('create.dimensionWeight'))}"
+                onchange="dimensions[${i}].weight = parseFloat(this.value) || 1">
+            <button type="button" class="deck-chip-btn deck-chip-remove" onclick="removeDimension(${i})" title="${escapeHtml(t('create.removeDimension'))}">&times;</button>
+        </div>
+    `).join('');
+    document.getElementById('btnAddDimension').style.display = dimensions.length >= MAX_DIMENSIONS ? 'none' : '';
+}
+
+function addDimension() {
+    if (dimensions.length >= MAX_DIMENSIONS) return;
+    dimensions.push({ name: '', scale: 0, weight: 1 });
+    renderDimensionEditor();
+    document.querySelector('#dimensionRows .dimension-row:last-child input').focus();
+}
+
+function removeDimension(index) {
+    dimensions.splice(index, 1);
+    renderDimensionEditor();
+}
+
+// ===== Backlog Import =====
+const IMPORT_PREVIEW_ROWS = 50;
+// Target card fields with header names to auto-map, in order of preference
+const IMPORT_FIELDS = [
+    { key: 'subject', guesses: ['subject', 'issue key', 'key', 'number', 'id', 'title', 'summary'] },
+    { key: 'description', guesses: ['summary', 'title', 'description', 'body'] },
+    { key: 'link', guesses: ['link', 'url', 'html_url', 'web_url', 'web url'] },
+    { key: 'labels', guesses: ['labels', 'label', 'tags'] }
+];
+
+let importTable = null;    // { headers: [], rows: [[]] } parsed from the dropped file
+let importMapping = {};    // field key -> header index, -1 when not mapped
+let importedResults = null; // results[] from a previous session's JSON export
+let importedCards = null;  // [{ subject, description, link, labels, ... }] sent through CreateRoom
+
+async function importBacklogFile(file) {
+    try {
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        const trimmed = text.trim();
+        const data = trimmed.startsWith('[') || trimmed.startsWith('{') ? JSON.parse(trimmed) : null;
+
+        if (data && Array.isArray(data.results)) {
+            // Results file written by downloadJson — resume or re-estimate that session
+            importedResults = data.results.filter(r => r && r.subject);
+            if (importedResults.length === 0) throw new Error(t('import.noResults'));
+            importTable = null;
+            applyResumeMode();
+            showToast(data.roomCode ? t('import.loadedRoom', { file: file.name, room: data.roomCode }) : t('import.loaded', { file: file.name }));
+            return;
+        }
+
+        const table = data ? jsonToTable(data) : parseCsv(text);
+        if (table.headers.length === 0 || table.rows.length === 0) throw new Error(t('import.noRows'));
+
+        importedResults = null;
+        importTable = table;
+        importMapping = guessImportMapping(table.headers);
+        applyImportMapping();
+        showToast(t('import.loaded', { file: file.name }));
+    } catch (e) {
+        showToast(t('import.failed', { file: file.name, reason: e.message }), true);
+    }
+}
+
+function parseCsv(text) {
+    // Pick the delimiter that splits the header line into the most columns
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+        headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch !== '"') field += ch;
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else inQuotes = false;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(c => c.trim()));
+    if (nonEmpty.length === 0) return { headers: [], rows: [] };
+    return { headers: nonEmpty[0].map(h => h.trim()), rows: nonEmpty.slice(1) };
+}
+
+function jsonToTable(data) {
+    // Jira REST search result: { issues: [{ key, self, fields: { summary, description, labels } }] }
+    if (data && Array.isArray(data.issues)) {
+        return recordsToTable(data.issues.map(issue => {
+            const fields = issue.fields || {};
+            return {
+                key: issue.key,
+                summary: fields.summary,
+                // Jira Cloud (API v3) returns rich-text documents — only plain text is usable here
+                description: typeof fields.description === 'string' ? fields.description : '',
+                link: jiraBrowseUrl(issue),
+                labels: fields.labels
+            };
+        }));
+    }
+
+    if (!Array.isArray(data)) throw new Error(t('import.expectedArray'));
+
+    // GitHub issues (REST API or `gh issue list --json number,title,body,url,labels`)
+    if (data.length > 0 && data[0] && data[0].number !== undefined && data[0].title !== undefined) {
+        return recordsToTable(data.map(issue => ({
+            number: `#${issue.number}`,
+            title: issue.title,
+            body: issue.body,
+            url: issue.html_url || issue.url,
+            labels: issue.labels
+        })));
+    }
+
+    // Plain list of strings — one subject per entry
+    return recordsToTable(data.map(item => typeof item === 'string' ? { subject: item } : item));
+}
+
+function jiraBrowseUrl(issue) {
+    try {
+        return issue.self && issue.key ? `${new URL(issue.self).origin}/browse/${issue.key}` : '';
+    } catch (e) { return ''; }
+}
+
+function recordsToTable(records) {
+    const headers = [];
+    records.forEach(r => {
+        Object.keys(r || {}).forEach(k => { if (!headers.includes(k)) headers.push(k); });
+    });
+    const rows = records.map(r => headers.map(h => importCellText(r ? r[h] : null)));
+    return { headers, rows };
+}
+
+function importCellText(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(importCellText).filter(v => v).join(', ');
+    if (typeof value === 'object') return value.name || value.key || value.title || '';
+    return String(value);
+}
+
+function guessImportMapping(headers) {
+    const lower = headers.map(h => h.toLowerCase());
+    const used = new Set();
+    const mapping = {};
+    IMPORT_FIELDS.forEach(f => {
+        mapping[f.key] = -1;
+        for (const guess of f.guesses) {
+            const idx = lower.findIndex((h, i) => h === guess && !used.has(i));
+            if (idx >= 0) {
+                mapping[f.key] = idx;
+                used.add(idx);
+                break;
+            }
+        }
+    });
+    // Fall back to the first column so there is always a subject
+    if (mapping.subject < 0) mapping.subject = 0;
+    return mapping;
+}
+
+function applyImportMapping() {
+    const { headers, rows } = importTable;
+    const cell = (row, key) => {
+        const idx = importMapping[key];
+        return idx >= 0 ? (row[idx] || '').trim() : '';
+    };
+
+    importedCards = rows
+        .map(row => {
+            // Jira CSV repeats the "Labels" header once per label — collect every column with that name
+            const labelsIdx = importMapping.labels;
+            const labels = labelsIdx < 0 ? [] : headers
+                .map((h, i) => h === headers[labelsIdx] ? (row[i] || '') : '')
+                .flatMap(v => v.split(/[,;|]/))
+                .map(v => v.trim())
+                .filter(v => v);
+            return {
+                subject: cell(row, 'subject'),
+                description: cell(row, 'description') || null,
+                link: cell(row, 'link') || null,
+                labels: labels.length > 0 ? labels : null
+            };
+        })
+        .filter(c => c.subject);
+
+    renderImportPreview();
+}
+
+function applyResumeMode() {
+    if (!importedResults) return;
+    const mode = document.querySelector('input[name="resumeMode"]:checked').value;
+
+    importedCards = importedResults
+        .filter(r => mode === 'all' || (mode === 'diverged' ? votesDiverged(r.votes) : !r.estimate))
+        .map(r => ({
+            subject: String(r.subject),
+            description: r.description || null,
+            link: r.link || null,
+            labels: Array.isArray(r.labels) ? r.labels : null,
+            // Exported index is 1-based; keep it so the new export lines up with the old one
+            originalIndex: Number.isInteger(r.index) ? r.index - 1 : null,
+            previousEstimate: r.estimate ? String(r.estimate) : null
+        }));
+
+    renderImportPreview();
+}
+
+function votesDiverged(votes) {
+    const distinct = new Set(Object.values(votes || {}).filter(v => v !== '☕'));
+    return distinct.size > 1;
+}
+
+function renderImportPreview() {
+    document.getElementById('importPreview').style.display = '';
+    document.getElementById('cardsText').style.display = 'none';
+    document.getElementById('importMapping').style.display = importTable ? '' : 'none';
+    document.getElementById('importResume').style.display = importedResults ? '' : 'none';
+
+    if (importTable) renderImportMapping();
+
+    const shown = importedCards.slice(0, IMPORT_PREVIEW_ROWS);
+    document.getElementById('importPreviewBody').innerHTML = shown.map((c, i) => `
+        <tr>
+            <td>${c.originalIndex != null ? c.originalIndex + 1 : i + 1}</td>
+            <td><strong>${escapeHtml(c.subject)}</strong></td>
+            <td>${escapeHtml(c.description || '')}</td>
+            <td>${c.link ? '&#128279;' : ''}</td>
+            <td>${escapeHtml((c.labels || []).join(', '))}</td>
+            <td>${escapeHtml(c.previousEstimate || '')}</td>
+        </tr>
+    `).join('');
+
+    const more = importedCards.length > shown.length ? t('import.showingFirst', { count: shown.length }) : '';
+    document.getElementById('importSummary').textContent = `(${t('import.cards', { count: importedCards.length })}${more})`;
+}
+
+function renderImportMapping() {
+    const options = [`<option value="-1">${escapeHtml(t('import.none'))}</option>`]
+        .concat(importTable.headers.map((h, i) => `<option value="${i}">${escapeHtml(h || t('import.column', { number: i + 1 }))}</option>`))
+        .join('');
+    const mappingEl = document.getElementById('importMapping');
+    mappingEl.innerHTML = IMPORT_FIELDS.map(f => `
+        <label class="import-mapping-field">
+            <span>${escapeHtml(t(`import.field.${f.key}`))}</span>
+            <select data-field="${f.key}">${options}</select>
+        </label>
+    `).join('');
+    mappingEl.querySelectorAll('select').forEach(select => {
+        select.value = String(importMapping[select.dataset.field]);
+        select.addEventListener('change', () => {
+            importMapping[select.dataset.field] = parseInt(select.value);
+            applyImportMapping();
+        });
+    });
+}
+
+function clearImport() {
+    importTable = null;
+    importMapping = {};
+    importedResults = null;
+    importedCards = null;
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('cardsText').style.display = '';
+}
+
+// ===== Backlog Panel (owner) =====
+let editingBacklogIndex = null;
+let draggedBacklogIndex = null;
+
+function renderBacklog() {
+    const panel = document.getElementById('backlogPanel');
+    if (!state.isOwner) {
+        panel.classList.remove('open');
+        return;
+    }
+    if (!panel.classList.contains('open')) return;
+
+    const lastIndex = state.backlog.length - 1;
+    document.getElementById('backlogList').innerHTML = state.backlog.map(c => {
+        const frontier = state.resumeCardIndex ?? state.currentCardIndex;
+        const status = c.index === state.currentCardIndex ? 'current'
+            : c.index <= frontier ? 'done'
+            : 'upcoming';
+
+        if (c.index === editingBacklogIndex && status !== 'done') {
+            return `
+                <li class="backlog-item editing" data-index="${c.index}">
+                    <input type="text" class="backlog-edit-subject" value="${escapeHtml(c.subject)}" maxlength="200">
+                    <input type="text" class="backlog-edit-description" value="${escapeHtml(c.description || '')}" placeholder="${escapeHtml(t('backlog.description'))}" maxlength="2000">
+                    <div class="backlog-actions">
+                        <button class="btn btn-small btn-primary" data-action="save">${escapeHtml(t('backlog.save'))}</button>
+                        <button class="btn btn-small btn-outline" data-action="cancel">${escapeHtml(t('backlog.cancel'))}</button>
+                    </div>
+                </li>
+            `;
+        }
+
+        const upcoming = status === 'upcoming';
+        const actions = status === 'done' ? `
+            <div class="backlog-actions">
+                ${c.index < state.currentCardIndex ? `<button class="backlog-btn" data-action="revisit" title="${escapeHtml(t('backlog.revisit'))}">&#8634;</button>` : ''}
+            </div>
+        ` : `
+            <div class="backlog-actions">
+                ${upcoming ? `<button class="backlog-btn" data-action="jump" title="${escapeHtml(t('backlog.jump'))}">&#9654;</button>` : ''}
+                ${upcoming && c.index > state.currentCardIndex + 1 ? `<button class="backlog-btn" data-action="up" title="${escapeHtml(t('backlog.moveUp'))}">&uarr;</button>` : ''}
+                ${upcoming && c.index < lastIndex ? `<button class="backlog-btn" data-action="down" title="${escapeHtml(t('backlog.moveDown'))}">&darr;</button>` : ''}
+                <button class="backlog-btn" data-action="edit" title="${escapeHtml(t('backlog.edit'))}">&#9998;</button>
+                ${upcoming ? `<button class="backlog-btn backlog-btn-remove" data-action="remove" title="${escapeHtml(t('backlog.remove'))}">&times;</button>` : ''}
+            </div>
+        `;
+
+        return `
+            <li class="backlog-item ${status}" data-index="${c.index}"${upcoming ? ' draggable="true"' : ''}>
+                <div class="backlog-text">
+                    <span class="backlog-subject">${c.estimate ? '&#10003; ' : ''}${escapeHtml(c.subject)}</span>
+                    ${c.estimate ? `<span class="backlog-estimate">${escapeHtml(c.estimate)}</span>` : ''}
+                    ${c.description ? `<span class="backlog-description">${escapeHtml(c.description)}</span>` : ''}
+                </div>
+                ${actions}
+            </li>
+        `;
+    }).join('');
+
+    const editSubject = document.querySelector('.backlog-edit-subject');
+    if (editSubject) editSubject.focus();
+}
+
+const backlogList = document.getElementById('backlogList');
+
+backlogList.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const item = btn.closest('.backlog-item');
+    const index = parseInt(item.dataset.index);
+
+    switch (btn.dataset.action) {
+        case 'jump':
+            connection.invoke("JumpToCard", state.roomCode, index);
+            break;
+        case 'revisit':
+            connection.invoke("RevisitCard", state.roomCode, index);
+            break;
+        case 'up':
+            connection.invoke("MoveCard", state.roomCode, index, index - 1);
+            break;
+        case 'down':
+            connection.invoke("MoveCard", state.roomCode, index, index + 1);
+            break;
+        case 'edit':
+            editingBacklogIndex = index;
+            renderBacklog();
+            break;
+        case 'cancel':
+            editingBacklogIndex = null;
+            renderBacklog();
+            break;
+        case 'save': {
+            const subject = item.querySelector('.backlog-edit-subject').value.trim();
+            const description = item.querySelector('.backlog-edit-description').value.trim();
+            if (!subject) return showToast(t('toast.enterSubject'), true);
+            editingBacklogIndex = null;
+            connection.invoke("EditCard", state.roomCode, index, subject, description || null);
+            break;
+        }
+        case 'remove': {
+            const card = state.backlog[index];
+            if (card && confirm(t('confirm.removeCard', { subject: card.subject }))) {
+                connection.invoke("RemoveCard", state.roomCode, index);
+            }
+            break;
+        }
+    }
+});
+
+backlogList.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.closest('.backlog-item.editing')) {
+        e.target.closest('.backlog-item').querySelector('[data-action="save"]').click();
+    } else if (e.key === 'Escape' && editingBacklogIndex !== null) {
+        editingBacklogIndex = null;
+        renderBacklog();
+    }
+});
+
+// Drag to reorder — only upcoming cards are draggable and accept drops
+backlogList.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.backlog-item.upcoming');
+    if (!item) return;
+    draggedBacklogIndex = parseInt(item.dataset.index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.index);
+    item.classList.add('dragging');
+});
+
+backlogList.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.backlog-item.upcoming');
+    if (!item || draggedBacklogIndex === null) return;
+    e.preventDefault();
+    backlogList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+});
+
+backlogList.addEventListener('drop', (e) => {
+    const item = e.target.closest('.backlog-item.upcoming');
+    if (!item || draggedBacklogIndex === null) return;
+    e.preventDefault();
+    const toIndex = parseInt(item.dataset.index);
+    if (toIndex !== draggedBacklogIndex) {
+        connection.invoke("MoveCard", state.roomCode, draggedBacklogIndex, toIndex);
+    }
+});
+
+backlogList.addEventListener('dragend', () => {
+    draggedBacklogIndex = null;
+    backlogList.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+});
+
+// ===== Async dashboard =====
+const asyncSelected = new Set();   // Card indices ticked by a facilitator for the bulk actions
+
+function renderAsyncBoard() {
+    const active = state.asyncMode && state.asyncBoard != null;
+    document.getElementById('asyncBoard').style.display = active ? '' : 'none';
+    document.getElementById('tableArea').style.display = active ? 'none' : '';
+    if (!active) {
+        asyncSelected.clear();
+        return;
+    }
+
+    const { cards, myVotes } = state.asyncBoard;
+    const facilitator = canFacilitate();
+    for (const index of [...asyncSelected]) {
+        if (!facilitator || index >= cards.length) asyncSelected.delete(index);
+    }
+
+    const voted = myVotes.filter(v => v != null).length;
+    document.getElementById('asyncProgress').textContent = state.isSpectator ? '' : t('async.progress', { voted, total: cards.length });
+    document.getElementById('asyncHint').textContent = t(facilitator ? 'async.ownerHint' : 'async.hint');
+    document.getElementById('asyncActions').style.display = facilitator ? '' : 'none';
+
+    // Other players' votes redraw the table: keep focus where it was
+    const table = document.getElementById('asyncTable');
+    const focusedId = table.contains(document.activeElement) ? document.activeElement.id : null;
+    const allSelected = cards.length > 0 && asyncSelected.size === cards.length;
+
+    table.innerHTML = `
+        <thead><tr>
+            ${facilitator ? `<th class="async-select-col"><input type="checkbox" id="asyncSelectAll" aria-label="${escapeHtml(t('async.selectAll'))}"${allSelected ? ' checked' : ''}></th>` : ''}
+            <th>#</th>
+            <th>${escapeHtml(t('async.card'))}</th>
+            ${state.isSpectator ? '' : `<th>${escapeHtml(t('async.yourVote'))}</th>`}
+            <th>${escapeHtml(t('async.votes'))}</th>
+            <th>${escapeHtml(t('async.status'))}</th>
+        </tr></thead>
+        <tbody>${cards.map(c => renderAsyncRow(c, myVotes[c.index], facilitator)).join('')}</tbody>`;
+
+    if (focusedId) document.getElementById(focusedId)?.focus();
+}
+
+function renderAsyncRow(card, myVote, facilitator) {
+    const number = card.index + 1;
+    const select = facilitator
+        ? `<td class="async-select-col"><input type="checkbox" class="async-select" id="asyncSelect${card.index}" data-index="${card.index}"
+            aria-label="${escapeHtml(t('async.select', { number }))}"${asyncSelected.has(card.index) ? ' checked' : ''}></td>`
+        : '';
+    const vote = state.isSpectator
+        ? ''
+        : `<td><select class="async-vote" id="asyncVote${card.index}" data-index="${card.index}"
+            aria-label="${escapeHtml(t('async.voteOn', { number }))}"${card.isRevealed ? ' disabled' : ''}>
+            <option value="">—</option>
+            ${state.scale.map(v => `<option value="${escapeHtml(v)}"${v === myVote ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+        </select></td>`;
+    const ready = card.hasEnoughVotes
+        ? ` <span class="async-ready" title="${escapeHtml(t('async.enoughVotes'))}" aria-label="${escapeHtml(t('async.enoughVotes'))}">&#10003;</span>`
+        : '';
+
+    return `<tr class="${card.isRevealed ? 'async-revealed' : ''}">
+        ${select}
+        <td>${number}</td>
+        <td class="async-subject">${linkIssueKeys(card.subject)}</td>
+        ${vote}
+        <td class="async-count">${card.voteCount}/${state.asyncBoard.voterCount}${ready}</td>
+        <td>${renderAsyncStatus(card, facilitator)}</td>
+    </tr>`;
+}
+
+// Badges, then (once revealed) the votes and, for facilitators, the accept control
+function renderAsyncStatus(card, facilitator) {
+    const badge = (cls, text) => `<span class="async-badge ${cls}">${escapeHtml(text)}</span>`;
+    const badges = [];
+    if (card.estimate != null) badges.push(badge('async-badge-estimate', t('async.estimate', { value: card.estimate })));
+    else if (card.isRevealed) badges.push(card.consensus != null
+        ? badge('async-badge-agreement', t('async.consensus', { value: card.consensus }))
+        : badge('async-badge-disputed', t('async.noConsensus')));
+    else if (card.hasConsensus && !card.isDisputed) badges.push(badge('async-badge-agreement', t('async.agreement')));
+    if (card.estimate == null && card.isDisputed) badges.push(badge('async-badge-disputed', t('async.disputed')));
+    if (!card.isRevealed && !card.hasEnoughVotes) badges.push(badge('async-badge-waiting', t('async.waiting')));
+
+    let details = '';
+    if (card.isRevealed) {
+        const votes = Object.entries(card.votes || {})
+            .map(([name, value]) => `${escapeHtml(name)}: <strong>${escapeHtml(value)}</strong>`)
+            .join(', ');
+        details = votes ? `<div class="async-votes">${votes}</div>` : '';
+
+        if (facilitator && card.estimate == null) {
+            const preset = card.consensus ?? card.stats?.median;
+            const options = state.scale
+                .filter(v => v !== '?' && v !== '☕')
+                .map(v => `<option value="${escapeHtml(v)}"${v === preset ? ' selected' : ''}>${escapeHtml(v)}</option>`)
+                .join('');
+            details += `<div class="async-accept">
+                <select id="asyncAccept${card.index}" aria-label="${escapeHtml(t('async.acceptValue', { number: card.index + 1 }))}">${options}</select>
+                <button class="btn btn-small btn-accent" data-accept="${card.index}">${escapeHtml(t('async.accept'))}</button>
+            </div>`;
+        }
+    }
+    return badges.join(' ') + details;
+}
+
+function selectedAsyncCards() {
+    if (asyncSelected.size === 0) {
+        showToast(t('async.nothingSelected'), true);
+        return null;
+    }
+    return [...asyncSelected].sort((a, b) => a - b);
+}
+
+document.getElementById('asyncTable').addEventListener('change', (e) => {
+    const target = e.target;
+    if (target.classList.contains('async-vote')) {
+        const index = parseInt(target.dataset.index);
+        state.asyncBoard.myVotes[index] = target.value || null;
+        connection.invoke("VoteOnCard", state.roomCode, index, target.value || null);
+    } else if (target.classList.contains('async-select')) {
+        const index = parseInt(target.dataset.index);
+        if (target.checked) asyncSelected.add(index);
+        else asyncSelected.delete(index);
+        renderAsyncBoard();
+    } else if (target.id === 'asyncSelectAll') {
+        asyncSelected.clear();
+        if (target.checked) state.asyncBoard.cards.forEach(c => asyncSelected.add(c.index));
+        renderAsyncBoard();
+    }
+});
+
+document.getElementById('asyncTable').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-accept]');
+    if (!button) return;
+    const index = parseInt(button.dataset.accept);
+    connection.invoke("AcceptAsyncEstimate", state.roomCode, index, document.getElementById(`asyncAccept${index}`).value);
+});
+
+document.getElementById('btnAsyncSelectReady').addEventListener('click', () => {
+    asyncSelected.clear();
+    state.asyncBoard.cards
+        .filter(c => c.hasEnoughVotes && c.estimate == null)
+        .forEach(c => asyncSelected.add(c.index));
+    renderAsyncBoard();
+});
+
+document.getElementById('btnAsyncReveal').addEventListener('click', () => {
+    const indices = selectedAsyncCards();
+    if (indices) connection.invoke("RevealAsyncCards", state.roomCode, indices);
+});
+
+document.getElementById('btnAsyncAccept').addEventListener('click', () => {
+    const indices = selectedAsyncCards();
+    if (indices) connection.invoke("AcceptAsyncConsensus", state.roomCode, indices);
+});
+
+document.getElementById('btnStartLive').addEventListener('click', () => {
+    if (confirm(t('confirm.startLive'))) connection.invoke("StartLiveSession", state.roomCode);
+});
+
+// ===== Actions =====
+function revisitFromResults(index) {
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) {
+        return showToast(t('toast.roomGone'), true);
+    }
+    connection.invoke("RevisitCard", state.roomCode, index);
+}
+
+async function castVote(value) {
+    state.selectedVote = value;
+    renderVotingCards();
+    announce(value === '☕' ? t('announce.coffeeVote') : t('announce.yourVote', { value }));
+    await connection.invoke("Vote", state.roomCode, value);
+}
+
+async function castDimensionVote(dimension, value) {
+    state.dimensionVotes = { ...state.dimensionVotes, [dimension]: value };
+    renderDimensionVoting();
+    announce(t('announce.yourDimensionVote', { dimension, value }));
+    await connection.invoke("VoteDimension", state.roomCode, dimension, value);
+}
+
+// ===== Keyboard shortcuts =====
+const KEY_BUFFER_MS = 800;  // Time to type the next character of a longer card value (13, XL)
+let keyBuffer = '';
+let keyBufferTimeout = null;
+
+const SHORTCUT_COMMANDS = {
+    r: () => clickIfShown('btnReveal'),
+    v: () => clickIfShown('btnRevote'),
+    a: () => clickIfShown('btnAccept'),
+    n: () => clickIfShown('btnNext'),
+    h: () => { toggleShortcuts(); return true; }
+};
+
+function clickIfShown(id) {
+    const button = document.getElementById(id);
+    if (button.offsetParent === null) return false;
+    button.click();
+    return true;
+}
+
+function isTypingTarget(el) {
+    return el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement || el.isContentEditable;
+}
+
+function canVoteByKeyboard() {
+    return !state.isSpectator && state.roomState !== 'Finished' && document.getElementById('votingArea').style.display !== 'none';
+}
+
+// What you type for each card: its value, or c for coffee. Keys collect until only one card
+// matches; with 1 and 13 in the deck, 1 waits a moment for a 3 before voting 1.
+function handleVoteKey(key) {
+    clearTimeout(keyBufferTimeout);
+    keyBuffer += key.toLowerCase();
+
+    const deck = state.scale.map(value => ({ value, typed: value.toLowerCase() }));
+    if (state.coffeeBreakEnabled) deck.push({ value: '☕', typed: 'c' });
+    const matches = deck.filter(c => c.typed.startsWith(keyBuffer));
+
+    if (matches.length === 0) {
+        // Start over from this key (typing 8 right after 1 means 8, not "18")
+        const retry = keyBuffer.length > 1;
+        keyBuffer = '';
+        return retry ? handleVoteKey(key) : false;
+    }
+    if (matches.length === 1) {
+        keyBuffer = '';
+        castVote(matches[0].value);
+        return true;
+    }
+
+    const exact = matches.find(c => c.typed === keyBuffer);
+    keyBufferTimeout = setTimeout(() => {
+        keyBuffer = '';
+        if (exact) castVote(exact.value);
+    }, KEY_BUFFER_MS);
+    return true;
+}
+
+document.addEventListener('keydown', (e) => {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (!overlay.hidden) {
+        if (e.key === 'Escape' || (e.shiftKey && e.key.toLowerCase() === 'h')) {
+            e.preventDefault();
+            toggleShortcuts();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();  // Keep focus in the dialog (its close button is the only control)
+        }
+        return;
+    }
+
+    if (!document.getElementById('screen-room').classList.contains('active')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+    // Shift+letter runs the round; plain keys (and shifted symbols like ?) pick a card
+    if (e.shiftKey && /^[a-z]$/i.test(e.key)) {
+        const command = SHORTCUT_COMMANDS[e.key.toLowerCase()];
+        if (command && command()) e.preventDefault();
+        return;
+    }
+    if (e.key.length === 1 && e.key !== ' ' && canVoteByKeyboard() && handleVoteKey(e.key)) e.preventDefault();
+});
+
+// Arrow keys move between cards of a deck; Enter/Space vote through the button itself
+function onDeckKeydown(e) {
+    const deck = e.target.closest('.voting-cards');
+    if (!deck) return;
+    const buttons = [...deck.querySelectorAll('.vote-btn')];
+    const current = buttons.indexOf(document.activeElement);
+    if (current < 0) return;
+
+    let next;
+    switch (e.key) {
+        case 'ArrowLeft': case 'ArrowUp': next = Math.max(0, current - 1); break;
+        case 'ArrowRight': case 'ArrowDown': next = Math.min(buttons.length - 1, current + 1); break;
+        case 'Home': next = 0; break;
+        case 'End': next = buttons.length - 1; break;
+        default: return;
+    }
+    e.preventDefault();
+    buttons[current].tabIndex = -1;
+    buttons[next].tabIndex = 0;
+    buttons[next].focus();
+}
+
+document.getElementById('votingCards').addEventListener('keydown', onDeckKeydown);
+document.getElementById('dimensionVoting').addEventListener('keydown', onDeckKeydown);
+
+document.getElementById('votingCards').addEventListener('click', (e) => {
+    const button = e.target.closest('.vote-btn');
+    if (button) castVote(button.dataset.value);
+});
+
+document.getElementById('dimensionVoting').addEventListener('click', (e) => {
+    const button = e.target.closest('.vote-btn');
+    if (button) castDimensionVote(button.closest('.voting-cards').dataset.dimension, button.dataset.value);
+});
+
+let shortcutsReturnFocus = null;
+
+function toggleShortcuts() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (overlay.hidden) {
+        shortcutsReturnFocus = document.activeElement;
+        overlay.hidden = false;
+        document.getElementById('btnShortcutsClose').focus();
+    } else {
+        overlay.hidden = true;
+        if (shortcutsReturnFocus && document.contains(shortcutsReturnFocus)) shortcutsReturnFocus.focus();
+        shortcutsReturnFocus = null;
+    }
+}
+
+document.getElementById('btnShortcuts').addEventListener('click', toggleShortcuts);
+document.getElementById('btnShortcutsClose').addEventListener('click', toggleShortcuts);
+document.getElementById('shortcutsOverlay').addEventListener('click', (e) => {
+    if (e.target.id === 'shortcutsOverlay') toggleShortcuts();
+});
+
+// Screen readers read the live region when its text changes; clearing first repeats identical messages
+function announce(message) {
+    const region = document.getElementById('srAnnouncer');
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+}
+
+// ===== Export (mid-session) =====
+function showExportMenu() {
+    // Remove existing menu if any
+    const existing = document.getElementById('exportMenu');
+    if (existing) { existing.remove(); return; }
+
+    const btn = document.getElementById('btnExport');
+    const menu = document.createElement('div');
+    menu.id = 'exportMenu';
+    menu.className = 'export-menu';
+    menu.innerHTML = `
+        <button class="export-menu-item" data-format="csv">&#128196; CSV</button>
+        <button class="export-menu-item" data-format="json">&#128196; JSON</button>
+    `;
+    btn.parentElement.style.position = 'relative';
+    btn.parentElement.appendChild(menu);
+
+    menu.querySelectorAll('.export-menu-item').forEach(item => {
+        item.addEventListener('click', async () => {
+            state._exportPending = true;
+            state._exportFormat = item.dataset.format;
+            menu.remove();
+            await connection.invoke("GetResults", state.roomCode);
+        });
+    });
+
+    // Close on outside click
+    setTimeout(() => {
+        document.addEventListener('click', function closeMenu(e) {
+            if (!menu.contains(e.target) && e.target !== btn) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        });
+    }, 0);
+}
+
+// ===== Webhook delivery log (owner) =====
+function onWebhookLog(data) {
+    const deliveries = data.deliveries || [];
+    document.getElementById('webhookEmpty').style.display = deliveries.length ? 'none' : '';
+    document.getElementById('webhookList').innerHTML = deliveries.map(d => {
+        const time = new Date(d.createdAt).toLocaleTimeString(getLocale());
+        const detail = d.status === 'delivered'
+            ? `HTTP ${d.statusCode}`
+            : d.error ? escapeHtml(d.error) : escapeHtml(t('webhooks.waiting'));
+        return `
+            <li class="backlog-item webhook-item">
+                <div class="backlog-text">
+                    <span class="backlog-subject">${escapeHtml(d.event)}</span>
+                    <span class="webhook-status webhook-${escapeHtml(d.status)}">${escapeHtml(t(`webhooks.status.${d.status}`))}</span>
+                    <span class="backlog-description" title="${escapeHtml(d.url)}">${escapeHtml(d.url)}</span>
+                    <span class="backlog-description">${time} · ${escapeHtml(t('webhooks.attempt', { number: d.attempts }))} · ${detail}</span>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+// ===== Presenter displays (owner) =====
+function onDisplaysUpdated(data) {
+    const known = new Set(state.displays.map(d => d.id));
+    if (data.displays.some(d => !known.has(d.id))) showToast(t('toast.displayAttached'));
+    state.displays = data.displays;
+    renderHeaderActions();
+    renderDisplays();
+}
+
+function renderDisplays() {
+    document.getElementById('displayEmpty').style.display = state.displays.length ? 'none' : '';
+    document.getElementById('displayList').innerHTML = state.displays.map((d, i) => {
+        const time = new Date(d.connectedAt).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+        return `
+            <li class="backlog-item">
+                <div class="backlog-text">
+                    <span class="backlog-subject">${escapeHtml(t('displays.item', { number: i + 1 }))}</span>
+                    <span class="backlog-description">${escapeHtml(t('displays.connected', { time }))}</span>
+                </div>
+                <button class="btn btn-outline btn-small" data-display="${escapeHtml(d.id)}" title="${escapeHtml(t('displays.removeTitle'))}">${escapeHtml(t('displays.remove'))}</button>
+            </li>
+        `;
+    }).join('');
+}
+
+// ===== Downloads =====
+function downloadCsv() {
+    if (!state.results) return;
+    // Resumed sessions carry the estimate from the previous round as an extra column
+    const hasPrevious = state.results.some(r => r.previousEstimate);
+    const dimensionNames = getDimensionNames(state.results);
+    const dimensionHeaders = dimensionNames.length > 0 ? [...dimensionNames, 'Combined'] : [];
+    // With a sprint plan the rows come in priority order, with the plan's columns
+    const planned = isSprintPlanned();
+    const sprintHeaders = planned ? ['Priority', 'Points', 'Running Total', 'In Sprint'] : [];
+    const rows = [['#', 'Subject', 'Estimate', ...(hasPrevious ? ['Previous Estimate'] : []), ...dimensionHeaders, ...sprintHeaders,
+        'Votes', 'Notes', 'Time Spent (s)', 'Timeline']];
+
+    getSprintPlan(state.results).rows.forEach(({ result: r, priority, points, runningTotal, inSprint }) => {
+        const votesStr = Object.entries(r.votes || {}).map(([n, v]) => `${n}:${v}`).join(' | ');
+        const timeline = (r.history || []).map(describeCardEvent).join(' | ');
+        const dimensionValues = dimensionNames.length === 0 ? [] : [
+            ...dimensionNames.map(name => (r.dimensions || []).find(d => d.name === name)?.value || ''),
+            r.combinedScore ?? ''
+        ];
+        const sprintValues = planned ? [priority, points ?? '', runningTotal, sprint.capacity > 0 ? (inSprint ? 'Yes' : 'No') : ''] : [];
+        rows.push([r.index, r.subject, r.estimate || '', ...(hasPrevious ? [r.previousEstimate || ''] : []), ...dimensionValues, ...sprintValues,
+            votesStr, r.notes || '', r.secondsSpent || 0, timeline]);
+    });
+
+    const csv = rows.map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
+    downloadFile(`planning-poker-${state.roomCode}.csv`, csv, 'text/csv');
+}
+
+function downloadJson() {
+    if (!state.results) return;
+    const compact = state.results.map(r => ({
+        index: r.index,
+        subject: r.subject,
+        description: r.description || undefined,
+        link: r.link || undefined,
+        labels: r.labels || undefined,
+        estimate: r.estimate,
+        previousEstimate: r.previousEstimate || undefined,
+        votes: r.votes,
+        dimensions: r.dimensions || undefined,
+        combinedScore: r.combinedScore ?? undefined,
+        notes: r.notes || undefined,
+        secondsSpent: r.secondsSpent,
+        history: r.history && r.history.length ? r.history : undefined
+    }));
+    const json = JSON.stringify({ roomCode: state.roomCode, results: compact, sprintPlan: getSprintPlanExport() }, null, 2);
+    downloadFile(`planning-poker-${state.roomCode}.json`, json, 'application/json');
+}
+
+// The sprint plan for the JSON download: settings, totals and the cards in priority order
+function getSprintPlanExport() {
+    if (!isSprintPlanned()) return undefined;
+
+    const plan = getSprintPlan(state.results);
+    const used = new Set(state.results.map(r => r.estimate));
+    return {
+        capacity: sprint.capacity > 0 ? sprint.capacity : null,
+        unit: sprint.unit,
+        pointMap: Object.fromEntries(Object.entries(sprint.pointMap).filter(([value]) => used.has(value))),
+        total: plan.total,
+        committed: sprint.capacity > 0 ? plan.committed : undefined,
+        overflow: sprint.capacity > 0 ? plan.overflow : undefined,
+        cards: plan.rows.map(row => ({
+            index: row.result.index,
+            priority: row.priority,
+            points: row.points,
+            runningTotal: row.runningTotal,
+            inSprint: sprint.capacity > 0 ? row.inSprint : undefined
+        }))
+    };
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -761,11 +2738,150 @@ function showToast(msg, isError = false) {
     setTimeout(() => toast.className = 'toast', 3000);
 }
 
+// Safe in text and in quoted attributes
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ===== Markdown (card descriptions) =====
+// A small subset: paragraphs, lists, headings, code, bold, italic and links. The text is
+// HTML-escaped before any markup is added, so backlog text can never inject HTML.
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+function renderMarkdown(text) {
+    if (!text) return '';
+    const lines = escapeHtml(text.replace(/\r\n?/g, '\n')).split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;   // 'ul' or 'ol' while inside a list
+    let code = null;   // Lines of an open ``` block
+
+    const closeParagraph = () => {
+        if (paragraph.length) html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (list) html.push(`</${list}>`);
+        list = null;
+    };
+
+    for (const line of lines) {
+        const fence = /^\s*```/.test(line);
+        if (code) {
+            if (fence) {
+                html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+                code = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+        if (fence) {
+            closeParagraph();
+            closeList();
+            code = [];
+            continue;
+        }
+
+        const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+            closeParagraph();
+            if (list !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                list = type;
+            }
+            html.push(`<li>${renderInline(item[2])}</li>`);
+            continue;
+        }
+
+        closeList();
+        const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+        if (heading) {
+            closeParagraph();
+            html.push(`<p><strong>${renderInline(heading[1])}</strong></p>`);
+        } else if (!line.trim()) {
+            closeParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    if (code) html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+    closeParagraph();
+    closeList();
+    return html.join('');
+}
+
+// Inline markup on already-escaped text. Code spans and links are set aside first,
+// so bold/italic markers inside them are left alone.
+function renderInline(text) {
+    const kept = [];
+    const keep = (html) => `\u0000${kept.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/`([^`]+)`/g, (_, c) => keep(`<code>${c}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => SAFE_URL.test(url) ? keep(renderLink(url, label)) : m)
+        .replace(/(^|[\s(])(https?:\/\/(?:(?!&lt;|&gt;|&quot;)\S)+?)(?=[.,;:!?)]*(?:\s|$))/g, (_, pre, url) => pre + keep(renderLink(url, url)))
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(\S(?:[^*]*?\S)?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(\S(?:[^_]*?\S)?)_(?!\w)/g, '$1<em>$2</em>');
+
+    // A kept fragment can hold an earlier one (code in a link label), so restore until none is left
+    const placeholder = /\u0000(\d+)\u0000/g;
+    while (placeholder.test(html)) {
+        html = html.replace(placeholder, (_, i) => kept[i] ?? '');
+    }
+    return html;
+}
+
+function renderLink(url, label) {
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+// ===== Issue-key links (IssueLinks in appsettings) =====
+const DEFAULT_ISSUE_KEY_PATTERN = '\\b[A-Z][A-Z0-9]+-\\d+\\b';
+let issueLinks = null;   // { pattern: RegExp, baseUrl } when the server has a tracker configured
+
+async function loadConfig() {
+    try {
+        const response = await fetch('/api/config');
+        if (!response.ok) return;
+        const config = await response.json();
+        const links = config.issueLinks;
+        if (links && SAFE_URL.test(links.baseUrl)) {
+            issueLinks = { pattern: new RegExp(links.pattern || DEFAULT_ISSUE_KEY_PATTERN, 'g'), baseUrl: links.baseUrl };
+            relinkIssueKeys();
+        }
+    } catch (e) {
+        // Without the settings issue keys just stay plain text
+    }
+}
+
+// The page doesn't wait for /api/config: link the subjects already on screen once it answers
+function relinkIssueKeys() {
+    for (const id of ['cardSubject', 'presentSubject']) {
+        const subject = document.getElementById(id);
+        subject.innerHTML = linkIssueKeys(subject.textContent);
+    }
+    if (document.getElementById('screen-room').classList.contains('active')) renderAsyncBoard();
+    if (document.getElementById('screen-results').classList.contains('active') && state.results) {
+        renderResults(state.results, document.getElementById('btnResultsBack').style.display !== 'none');
+    }
+}
+
+// Escaped subject with issue keys (e.g. AUTH-101) linked to the tracker
+function linkIssueKeys(subject) {
+    const text = escapeHtml(subject);
+    if (!issueLinks) return text;
+    return text.replace(issueLinks.pattern, key => {
+        const id = encodeURIComponent(key);
+        const url = issueLinks.baseUrl.includes('{key}') ? issueLinks.baseUrl.replace('{key}', id) : issueLinks.baseUrl + id;
+        return renderLink(escapeHtml(url), key);
+    });
 }
 
 function updateUrl(path) {
@@ -779,40 +2895,75 @@ async function ensureConnected() {
 }
 
 // ===== Card Timer =====
+// The server owns the deadline; clients shift it onto their own clock so everyone sees the same time.
+function applyTimer(timer) {
+    if (!timer) {
+        state.timerDeadline = null;
+        state.timerPausedRemaining = null;
+        return;
+    }
+    const clockOffset = Date.parse(timer.serverNow) - Date.now();
+    state.timerAllotted = timer.allottedSeconds;
+    state.timerPausedRemaining = timer.pausedRemaining ?? null;
+    state.timerDeadline = timer.deadline ? new Date(Date.parse(timer.deadline) - clockOffset) : null;
+}
+
 function startCardTimer() {
-    stopCardTimer();
-    if (!state.secondsPerCard) return;
+    if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+    if (!state.secondsPerCard || (!state.timerDeadline && state.timerPausedRemaining == null)) return;
 
-    // Set deadline from now (new round) or from existing deadline (rejoin)
-    if (!state.timerDeadline || state.timerDeadline < new Date()) {
-        state.timerDeadline = new Date(Date.now() + state.secondsPerCard * 1000);
+    document.getElementById('cardTimer').style.display = '';
+    renderTimerControls();
+    renderTimerValue();
+    if (state.timerPausedRemaining == null) timerInterval = setInterval(renderTimerValue, 250);
+}
+
+function renderTimerValue() {
+    if (paintTimer(document.getElementById('cardTimer'), document.getElementById('cardTimerValue'))) {
+        // Stop interval but keep the element visible
+        clearInterval(timerInterval);
+        timerInterval = null;
     }
+}
 
-    const timerEl = document.getElementById('cardTimer');
-    const valueEl = document.getElementById('cardTimerValue');
-    timerEl.style.display = '';
-
-    timerInterval = setInterval(() => {
-        const remaining = Math.max(0, Math.floor((state.timerDeadline - Date.now()) / 1000));
-        const mins = Math.floor(remaining / 60);
-        const secs = remaining % 60;
-        valueEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
-
-        // Color states
-        const ratio = remaining / state.secondsPerCard;
-        timerEl.classList.remove('warning', 'danger');
-        if (remaining === 0) {
-            timerEl.classList.add('danger');
-            valueEl.textContent = "Time's up!";
-            // Stop interval but keep the element visible
-            clearInterval(timerInterval);
-            timerInterval = null;
-        } else if (ratio <= 0.15) {
-            timerEl.classList.add('danger');
-        } else if (ratio <= 0.35) {
-            timerEl.classList.add('warning');
-        }
-    }, 250);
+// Remaining time and its color state (the room header and the presenter screen); true once time is up
+function paintTimer(timerEl, valueEl) {
+    const paused = state.timerPausedRemaining != null;
+    const remaining = Math.max(0, paused
+        ? state.timerPausedRemaining
+        : Math.floor((state.timerDeadline - Date.now()) / 1000));
+    const mins = Math.floor(remaining / 60);
+    const secs = remaining % 60;
+    valueEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}${paused ? ` ${t('timer.paused')}` : ''}`;
+
+    // Color states
+    const ratio = remaining / (state.timerAllotted || state.secondsPerCard);
+    timerEl.classList.remove('warning', 'danger');
+    timerEl.classList.toggle('paused', paused);
+    if (remaining === 0 && !paused) {
+        timerEl.classList.add('danger');
+        valueEl.textContent = t('timer.timesUp');
+        return true;
+    }
+    if (ratio <= 0.15) {
+        timerEl.classList.add('danger');
+    } else if (ratio <= 0.35) {
+        timerEl.classList.add('warning');
+    }
+    return false;
+}
+
+function renderTimerControls() {
+    const visible = state.isOwner && document.getElementById('cardTimer').style.display !== 'none';
+    document.getElementById('timerControls').style.display = visible ? '' : 'none';
+
+    const pauseBtn = document.getElementById('btnTimerPause');
+    const paused = state.timerPausedRemaining != null;
+    pauseBtn.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+    pauseBtn.title = t(paused ? 'timer.resume' : 'timer.pause');
 }
 
 function stopCardTimer() {
@@ -821,22 +2972,382 @@ function stopCardTimer() {
         timerInterval = null;
     }
     state.timerDeadline = null;
+    state.timerPausedRemaining = null;
     // Hide the timer element (called on reveal, new round, game finished)
     const timerEl = document.getElementById('cardTimer');
     if (timerEl) {
         timerEl.style.display = 'none';
-        timerEl.classList.remove('warning', 'danger');
+        timerEl.classList.remove('warning', 'danger', 'paused');
+        document.getElementById('timerControls').style.display = 'none';
+    }
+}
+
+// ===== Presenter display =====
+// /present/CODE is the screen in the meeting room: it attaches to the room without a seat and only
+// listens. It has a connection of its own, so none of the player handlers (toasts, owner controls) run.
+const PRESENT_RING_CIRCUMFERENCE = 2 * Math.PI * 52;   // r of .progress-ring-fill
+const PRESENT_CHART_HEIGHT = 180;                        // px of the tallest distribution bar
+const PRESENT_QR_SIZE = 200;
+const QR_SCRIPT_URL = 'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js';
+const DISPLAY_TOKENS_KEY = 'poker_display_tokens';
+let presentConnection = null;
+let qrCodeLoading = null;
+let presentTimerInterval = null;
+let presenter = null;   // PresenterState, kept current by the room's broadcasts
+
+async function startPresenter(code) {
+    presenter = { roomCode: code, passcode: null, players: [], state: null, message: null };
+    document.getElementById('presentRoomCode').textContent = code;
+    document.getElementById('presentPasscodeForm').style.display = 'none';
+    renderPresentJoin();
+    showPresentMessage('present.connecting');
+    showScreen('present');
+
+    presentConnection = new signalR.HubConnectionBuilder()
+        .withUrl("/pokerhub")
+        .withAutomaticReconnect()
+        .build();
+
+    presentConnection.on("PresenterState", onPresenterState);
+    presentConnection.on("PlayerJoined", onPresentPlayerJoined);
+    presentConnection.on("PlayerLeft", onPresentPlayerLeft);
+    presentConnection.on("VoteReceived", onPresentVoteReceived);
+    presentConnection.on("SpectatorChanged", onPresentSpectatorChanged);
+    presentConnection.on("CardsRevealed", onPresentCardsRevealed);
+    presentConnection.on("VoteUpdated", onPresentVoteUpdated);
+    presentConnection.on("EstimateAccepted", onPresentEstimateAccepted);
+    presentConnection.on("NewRound", onPresentNewRound);
+    presentConnection.on("CardRevisited", onPresentCardRevisited);
+    presentConnection.on("BacklogUpdated", onPresentBacklogUpdated);
+    presentConnection.on("TimerUpdated", onPresentTimerUpdated);
+    presentConnection.on("GameFinished", onPresentGameFinished);
+    presentConnection.on("PresentRemoved", onPresentRemoved);
+    presentConnection.on("DisplayAdmitted", onDisplayAdmitted);
+    presentConnection.on("Error", onPresentError);
+    presentConnection.onreconnected(() => invokePresentRoom().catch(() => {}));
+
+    try {
+        await presentConnection.start();
+        const info = await presentConnection.invoke("GetRoomInfo", code);
+        if (!info) return showPresentMessage('errors.roomNotFound');
+        if (info.hasPasscode) return showPresentPasscode('');
+
+        await invokePresentRoom();
+    } catch (e) {
+        showPresentMessage('present.connectionFailed');
     }
 }
 
+function stopPresenter() {
+    clearInterval(presentTimerInterval);
+    presentTimerInterval = null;
+    presentConnection.stop();
+    presentConnection = null;
+    presenter = null;
+}
+
+document.getElementById('presentPasscodeForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    presenter.passcode = document.getElementById('presentPasscode').value;
+    invokePresentRoom().catch(() => {});
+});
+
+// The display is let in like a player: the token the room handed out last time lets it back past
+// a lock, and a seat it holds in the room comes along so a ban on that seat keeps the screen out too
+function invokePresentRoom() {
+    const session = loadSession();
+    const seat = session?.roomCode === presenter.roomCode ? session : null;
+    return presentConnection.invoke("PresentRoom", presenter.roomCode, presenter.passcode,
+        loadDisplayTokens()[presenter.roomCode] ?? null, seat?.playerId ?? null, seat?.playerName ?? null);
+}
+
+// Display tokens by room code
+function loadDisplayTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(DISPLAY_TOKENS_KEY)) || {};
+    } catch (e) { return {}; }
+}
+
+function onDisplayAdmitted(data) {
+    try {
+        localStorage.setItem(DISPLAY_TOKENS_KEY, JSON.stringify({ ...loadDisplayTokens(), [data.roomCode]: data.token }));
+    } catch (e) { /* ignore */ }
+}
+
+// The owner removed this screen: stop listening, the room won't let it back in
+function onPresentRemoved() {
+    clearInterval(presentTimerInterval);
+    presentTimerInterval = null;
+    presentConnection.stop();
+    showPresentMessage('present.removed');
+}
+
+function showPresentPasscode(error) {
+    document.getElementById('presentPasscodeForm').style.display = '';
+    document.getElementById('presentPasscodeError').textContent = error;
+    document.getElementById('presentMain').style.display = 'none';
+    document.getElementById('presentMessage').style.display = 'none';
+    document.getElementById('presentPasscode').focus();
+}
+
+// Full-screen message instead of the card (connecting, async rooms, finished sessions); a key so it follows the language
+function showPresentMessage(key) {
+    presenter.message = key;
+    const message = document.getElementById('presentMessage');
+    message.textContent = t(key);
+    message.style.display = '';
+    document.getElementById('presentMain').style.display = 'none';
+}
+
+function onPresenterState(data) {
+    presenter = { ...presenter, ...data, message: null };
+    document.getElementById('presentPasscodeForm').style.display = 'none';
+    applyTimer(data.timer);
+    renderPresenter(true);
+}
+
+function onPresentError(msg, code, args) {
+    if (code === 'passcodeRequired' || code === 'incorrectPasscode') showPresentPasscode(errorText(msg, code, args));
+    else if (!presenter.state) showPresentMessage(hasMessage(`errors.${code}`) ? `errors.${code}` : 'present.connectionFailed');
+}
+
+function renderPresenter(animate) {
+    if (presenter.asyncMode) return showPresentMessage('present.asyncWaiting');
+    if (presenter.state === 'Finished') return showPresentMessage('present.finished');
+    if (!presenter.currentCard) return showPresentMessage('present.noCard');
+
+    document.getElementById('presentMessage').style.display = 'none';
+    document.getElementById('presentMain').style.display = '';
+    renderPresentCard();
+    renderPresentProgress();
+    renderPresentResults(animate);
+    startPresentTimer();
+}
+
+function renderPresentCard() {
+    document.getElementById('presentCounter').textContent =
+        t('room.questionCounter', { number: presenter.currentCardIndex + 1, total: presenter.totalCards });
+    document.getElementById('presentSubject').innerHTML = linkIssueKeys(presenter.currentCard.subject);
+    document.getElementById('presentDescription').innerHTML = renderMarkdown(presenter.currentCard.description);
+}
+
+function renderPresentProgress() {
+    const voters = presenter.players.filter(p => !p.isSpectator);
+    const voted = voters.filter(p => p.hasVoted).length;
+    document.getElementById('presentVoted').textContent = voted;
+    document.getElementById('presentVoters').textContent = voters.length;
+
+    const ring = document.getElementById('presentRingFill');
+    ring.style.strokeDasharray = PRESENT_RING_CIRCUMFERENCE;
+    ring.style.strokeDashoffset = PRESENT_RING_CIRCUMFERENCE * (1 - (voters.length ? voted / voters.length : 0));
+    document.getElementById('presentProgress').classList.toggle('complete', voters.length > 0 && voted === voters.length);
+}
+
+// The distribution of the revealed votes; the bars grow in when the cards are turned over
+function renderPresentResults(animate) {
+    const results = document.getElementById('presentResults');
+    const revealed = presenter.state === 'Revealed' ? presenter.revealed : null;
+    results.style.display = revealed ? '' : 'none';
+    if (!revealed) return;
+
+    document.getElementById('presentConsensus').textContent = revealed.consensus || '-';
+    document.getElementById('presentAverage').textContent = revealed.average != null ? revealed.average : '-';
+    document.getElementById('presentEstimate').textContent = revealed.estimate || '';
+    document.getElementById('presentEstimateStat').style.display = revealed.estimate ? '' : 'none';
+
+    const chart = document.getElementById('presentChart');
+    const stats = revealed.stats;
+    if (!stats || stats.voterCount === 0) {
+        chart.innerHTML = `<p class="hint">${escapeHtml(t('present.noVotes'))}</p>`;
+    } else {
+        const maxCount = Math.max(...stats.distribution.map(b => b.count), 1);
+        chart.innerHTML = stats.distribution.map((b, i) => `
+            <div class="present-bar${b.count === 0 ? ' empty' : ''}" style="--i:${i}">
+                <span class="present-bar-count">${b.count || ''}</span>
+                <div class="present-bar-fill" style="height:${Math.round(b.count / maxCount * PRESENT_CHART_HEIGHT)}px"></div>
+                <span class="present-bar-value">${escapeHtml(b.value)}</span>
+            </div>
+        `).join('');
+    }
+    results.classList.remove('revealing');
+    if (animate) {
+        void results.offsetWidth;   // Restart the animation when it is already running
+        results.classList.add('revealing');
+    }
+}
+
+function renderPresentJoin() {
+    const url = `${window.location.origin}/join/${presenter.roomCode}`;
+    document.getElementById('presentJoinUrl').textContent = url;
+
+    // Without qrcode.js the link is still there to type
+    const qr = document.getElementById('presentQr');
+    qr.innerHTML = '';
+    qr.style.display = 'none';
+    loadQrCode().then(() => {
+        qr.innerHTML = '';
+        qr.style.display = '';
+        new QRCode(qr, { text: url, width: PRESENT_QR_SIZE, height: PRESENT_QR_SIZE, correctLevel: QRCode.CorrectLevel.M });
+    }).catch(() => {});
+}
+
+// qrcode.js is only needed on this screen, so it comes from the CDN the first time a display opens
+function loadQrCode() {
+    if (!qrCodeLoading) {
+        qrCodeLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = QR_SCRIPT_URL;
+            script.onload = resolve;
+            script.onerror = () => {
+                qrCodeLoading = null;   // Try again next time
+                script.remove();
+                reject();
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return qrCodeLoading;
+}
+
+// Shares the deadline in state with the room's own timer (applyTimer): a display page never has a seat
+function startPresentTimer() {
+    clearInterval(presentTimerInterval);
+    presentTimerInterval = null;
+
+    const timerEl = document.getElementById('presentTimer');
+    const running = presenter.state === 'Voting' && (state.timerDeadline || state.timerPausedRemaining != null);
+    timerEl.style.display = running ? '' : 'none';
+    if (!running) return;
+
+    renderPresentTimer();
+    if (state.timerPausedRemaining == null) presentTimerInterval = setInterval(renderPresentTimer, 250);
+}
+
+function renderPresentTimer() {
+    if (paintTimer(document.getElementById('presentTimer'), document.getElementById('presentTimerValue'))) {
+        clearInterval(presentTimerInterval);
+        presentTimerInterval = null;
+    }
+}
+
+function onPresentPlayerJoined(data) {
+    presenter.players = [...presenter.players.filter(p => p.name !== data.name),
+        { name: data.name, isSpectator: data.isSpectator, hasVoted: data.hasVoted }];
+    renderPresentProgress();
+}
+
+function onPresentPlayerLeft(data) {
+    presenter.players = presenter.players.filter(p => p.name !== data.playerName);
+    renderPresentProgress();
+}
+
+function onPresentVoteReceived(data) {
+    presenter.players = presenter.players.map(p => p.name === data.playerName ? { ...p, hasVoted: true } : p);
+    renderPresentProgress();
+}
+
+function onPresentSpectatorChanged(data) {
+    presenter.players = presenter.players.map(p => p.name === data.playerName
+        ? { ...p, isSpectator: data.isSpectator, hasVoted: data.isSpectator ? false : p.hasVoted }
+        : p);
+    renderPresentProgress();
+    if (data.revealed) {
+        presenter.revealed = data.revealed;
+        renderPresentResults(false);
+    }
+}
+
+function onPresentCardsRevealed(data) {
+    presenter.state = 'Revealed';
+    presenter.revealed = data;
+    startPresentTimer();
+    renderPresentResults(true);
+}
+
+function onPresentVoteUpdated(data) {
+    if (!presenter.revealed) return;
+    presenter.revealed = { ...presenter.revealed, consensus: data.consensus, average: data.average, stats: data.stats };
+    renderPresentResults(false);
+}
+
+function onPresentEstimateAccepted(data) {
+    if (!presenter.revealed) return;
+    presenter.revealed.estimate = data.value;
+    renderPresentResults(false);
+}
+
+function onPresentNewRound(data) {
+    presenter.state = 'Voting';
+    presenter.asyncMode = false;
+    presenter.currentCard = data.card;
+    presenter.currentCardIndex = data.cardIndex;
+    presenter.totalCards = data.totalCards;
+    presenter.revealed = null;
+    presenter.players = presenter.players.map(p => ({ ...p, hasVoted: false }));
+    applyTimer(data.timer);
+    renderPresenter(false);
+}
+
+function onPresentCardRevisited(data) {
+    const voters = data.voters || Object.keys(data.votes || {});
+    presenter.state = 'Revealed';
+    presenter.currentCard = data.card;
+    presenter.currentCardIndex = data.cardIndex;
+    presenter.totalCards = data.totalCards;
+    presenter.revealed = data;
+    presenter.players = presenter.players.map(p => ({ ...p, hasVoted: voters.includes(p.name) }));
+    renderPresenter(true);
+}
+
+function onPresentBacklogUpdated(data) {
+    presenter.currentCardIndex = data.currentCardIndex;
+    presenter.totalCards = data.totalCards;
+    if (data.currentCard) presenter.currentCard = data.currentCard;
+    if (presenter.currentCard && !presenter.message) renderPresentCard();
+}
+
+function onPresentTimerUpdated(data) {
+    applyTimer(data.timer);
+    startPresentTimer();
+}
+
+function onPresentGameFinished() {
+    presenter.state = 'Finished';
+    presenter.asyncMode = false;
+
+    startPresentTimer();
+    renderPresenter(false);
+}
+
 // ===== URL Routing =====
-function navigateToJoin(code) {
+async function navigateToJoin(code) {
     document.getElementById('joinRoomCode').textContent = code;
+    document.getElementById('joinPasscode').value = '';
+    document.getElementById('joinPasscodeGroup').style.display = 'none';
+    document.getElementById('joinLocked').style.display = 'none';
     showScreen('join');
+
+    // Ask for a passcode only when the room has one
+    try {
+        await ensureConnected();
+        const info = await connection.invoke("GetRoomInfo", code);
+        if (!info) return showToast(t('errors.roomNotFound'), true);
+
+        document.getElementById('joinPasscodeGroup').style.display = info.hasPasscode ? '' : 'none';
+        document.getElementById('joinLocked').style.display = info.isLocked ? '' : 'none';
+    } catch (e) { /* join will report the error */ }
 }
 
 async function handleRoute() {
     const path = window.location.pathname;
+    if (presentConnection) stopPresenter();
+
+    // /present/CODE — read-only display for the meeting room screen
+    const presentMatch = path.match(/^\/present\/([A-Za-z0-9]+)$/);
+    if (presentMatch) {
+        startPresenter(presentMatch[1].toUpperCase());
+        return;
+    }
 
     // /join/CODE — show join screen
     const joinMatch = path.match(/^\/join\/([A-Za-z0-9]+)$/);
@@ -852,11 +3363,28 @@ async function handleRoute() {
     const roomMatch = path.match(/^\/room\/([A-Za-z0-9]+)$/);
     if (roomMatch) {
         const code = roomMatch[1].toUpperCase();
+        // Owner link of a room created over the REST API: claim the reserved seat
+        const claimId = new URLSearchParams(window.location.search).get('player');
+        if (claimId) {
+            saveSession(code, claimId, '');
+            window.history.replaceState({}, '', `/room/${code}`);
+        }
         if (await tryAutoRejoin(code)) return;
         navigateToJoin(code);
         return;
     }
 
+    // /history and /history/ID — finished sessions
+    if (path === '/history') {
+        showHistory();
+        return;
+    }
+    const historyMatch = path.match(/^\/history\/([A-Za-z0-9-]+)$/);
+    if (historyMatch) {
+        openHistorySession(historyMatch[1]);
+        return;
+    }
+
     // Default: home
     showScreen('home');
 }
@@ -875,6 +3403,37 @@ async function tryAutoRejoin(roomCode) {
     }
 }
 
+// ===== Language switch =====
+// i18n.js has already translated the static markup; redraw what is rendered here
+document.addEventListener('localechange', () => {
+    renderDeckEditor();
+    renderDimensionEditor();
+    if (importedCards) renderImportPreview();
+
+    if (document.getElementById('screen-room').classList.contains('active')) {
+        renderQuestionCounter();
+        renderHeaderActions();
+        renderPlayers();
+        renderVotingCards();
+        renderBacklog();
+        renderAsyncBoard();
+        renderDisplays();
+        document.getElementById('consensusRuleName').textContent = consensusRuleName();
+        if (state.stats) renderVoteStats(state.stats);
+        if (state.dimensionResults) renderDimensionResults(state.dimensionResults);
+        renderCoffeeBanner(parseInt(document.getElementById('coffeeBanner').dataset.count) || 0);
+        if (document.getElementById('cardTimer').style.display !== 'none') renderTimerValue();
+    }
+    if (document.getElementById('screen-results').classList.contains('active') && state.results) {
+        renderResults(state.results, document.getElementById('btnResultsBack').style.display !== 'none');
+    }
+    if (presenter) {
+        if (presenter.message) showPresentMessage(presenter.message);
+        else if (presenter.state) renderPresenter(false);
+    }
+});
+
 // ===== Init =====
 handleRoute();
 window.addEventListener('popstate', handleRoute);
+loadConfig();
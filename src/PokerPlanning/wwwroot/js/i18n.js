@@ -0,0 +1,1099 @@
+// ===== Localization =====
+// Message catalog per locale. Values are strings with {param} placeholders, or plural forms
+// ({ one, few, many, other } — the categories of Intl.PluralRules) chosen by params.count.
+// Static markup in index.html is translated through data-i18n* attributes (applyTranslations).
+const LOCALE_KEY = 'poker_locale';
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+    en: {
+        common: {
+            back: 'Back',
+            close: 'Close',
+            language: 'Language'
+        },
+        home: {
+            joinTitle: 'Join a Room',
+            codePlaceholder: 'Room code',
+            join: 'Join',
+            or: 'or',
+            create: 'Create Room',
+            history: 'Past sessions'
+        },
+        create: {
+            title: 'Create Room',
+            ownerName: 'Your name',
+            ownerNameHint: '(leave empty to be a spectator)',
+            ownerNamePlaceholder: 'e.g. Maxim',
+            passcode: 'Passcode',
+            passcodeHint: '(optional — players need it to join)',
+            scale: 'Estimation scale',
+            deck: 'Custom deck',
+            deckHint: '(2–20 unique values, up to 8 characters each)',
+            deckPlaceholder: 'e.g. 0.5 or 1, 2, 3',
+            deckAdd: 'Add',
+            questions: 'Questions to estimate',
+            questionsHint: '(one per line: Subject;Description)',
+            questionsPlaceholder: 'AUTH-101;Google OAuth login\nAUTH-102;Two-factor authentication\nDASH-201;Dashboard redesign',
+            importDrop: 'Drop a CSV, JSON, Jira or GitHub export (or a previous results file) here, or',
+            importBrowse: 'browse',
+            sessionTime: 'Session time limit',
+            sessionTimeHint: '(optional — auto-calculates time per card)',
+            consensus: 'Consensus rule',
+            threshold: 'Consensus threshold percent',
+            autoAccept: 'Auto-accept and advance',
+            autoAcceptHint: '(when the reveal reaches consensus)',
+            shuffle: 'Shuffle questions',
+            shuffleHint: '(randomize order, results keep original order)',
+            coffee: 'Enable break card',
+            coffeeHint: '(players can vote ☕ to request a pause)',
+            autoRevealAllVoted: 'Auto-reveal when everyone has voted',
+            autoRevealOnTimer: 'Auto-reveal when time is up',
+            autoRevealOnTimerHint: '(needs a session time limit)',
+            everyoneEditsNotes: 'Everyone can edit card notes',
+            everyoneEditsNotesHint: '(otherwise only you and co-facilitators)',
+            anonymousVoting: 'Anonymous voting',
+            anonymousVotingHint: '(the reveal shows only the distribution; exports have no names)',
+            asyncMode: 'Async mode',
+            asyncModeHint: '(everyone votes on every card whenever they like; you reveal and accept from a dashboard)',
+            asyncMinVotes: 'Votes needed per card',
+            dimensions: 'Extra dimensions',
+            dimensionsHint: '(optional — e.g. complexity, effort, risk; voted next to the estimate and combined into one score)',
+            addDimension: '+ Add dimension',
+            dimensionName: 'Name, e.g. Complexity',
+            dimensionScale: 'Dimension scale',
+            dimensionWeight: 'Weight in the combined score',
+            removeDimension: 'Remove dimension',
+            webhookUrl: 'Webhook URL',
+            webhookUrlHint: '(optional — receives room events as JSON POSTs)',
+            webhookSecret: 'Signing secret (optional)',
+            continue: 'Continue'
+        },
+        scale: {
+            Fibonacci: 'Fibonacci (1, 2, 3, 5, 8, 13, 21)',
+            TShirt: 'T-Shirt (XS, S, M, L, XL, XXL)',
+            PowersOf2: 'Powers of 2 (1, 2, 4, 8, 16, 32)',
+            Sequential: 'Sequential (1–10)',
+            Risk: 'Risk (Low, Medium, High, Critical)',
+            Custom: 'Custom…'
+        },
+        session: {
+            none: 'No limit',
+            m15: '15 minutes',
+            m30: '30 minutes',
+            m45: '45 minutes',
+            h1: '1 hour',
+            h1_5: '1.5 hours',
+            h2: '2 hours'
+        },
+        // Options on the create screen
+        consensusOption: {
+            Majority: 'Majority (more than half)',
+            Unanimous: 'Unanimous',
+            Adjacent: 'Adjacent values count as agreement',
+            Threshold: 'Percentage threshold'
+        },
+        // Rule name under the consensus stat
+        consensus: {
+            Majority: 'Majority (>50%)',
+            Unanimous: 'Unanimous',
+            Adjacent: 'Adjacent values',
+            Threshold: 'At least {threshold}%'
+        },
+        import: {
+            title: 'Imported backlog',
+            resumeUnestimated: 'Only cards without an estimate',
+            resumeAll: 'Re-estimate everything',
+            resumeAllHint: '(previous estimate shown as reference)',
+            resumeDiverged: 'Only cards where votes diverged',
+            previous: 'Previous',
+            clear: 'Clear import',
+            field: {
+                subject: 'Subject',
+                description: 'Description',
+                link: 'Link',
+                labels: 'Labels'
+            },
+            none: '— none —',
+            column: 'Column {number}',
+            cards: { one: '{count} card', other: '{count} cards' },
+            showingFirst: ', showing first {count}',
+            loaded: 'Loaded {file}',
+            loadedRoom: 'Loaded {file} (room {room})',
+            failed: 'Could not import {file}: {reason}',
+            noResults: 'no results found',
+            noRows: 'no rows found',
+            expectedArray: 'expected a JSON array of cards'
+        },
+        join: {
+            title: 'Join Room',
+            room: 'Room:',
+            name: 'Your name',
+            namePlaceholder: 'e.g. Alex',
+            passcode: 'Passcode',
+            observer: 'Join as observer',
+            observerHint: '(watch without voting — you can switch later)',
+            locked: 'This room is locked. Only players who already have a seat can rejoin.',
+            join: 'Join'
+        },
+        room: {
+            questionCounter: 'Question {number} / {total}',
+            lockedBadge: 'Room is locked',
+            shortcuts: 'Keyboard shortcuts',
+            shortcutsTitle: 'Keyboard shortcuts (Shift+H)',
+            observe: 'Observe',
+            observeTitle: 'Watch without voting',
+            vote: 'Vote',
+            voteTitle: 'Take part in voting again',
+            lock: 'Lock',
+            lockTitle: 'Stop new players from joining',
+            unlock: 'Unlock',
+            unlockTitle: 'Let new players join again',
+            backlog: 'Backlog',
+            backlogTitle: 'Edit the backlog',
+            copyLink: 'Copy Link',
+            copyLinkTitle: 'Copy invite link',
+            present: 'Present',
+            presentTitle: 'Open a read-only view for the meeting room screen',
+            export: 'Export',
+            exportTitle: 'Download results so far',
+            webhooks: 'Webhooks',
+            webhooksTitle: 'Webhook deliveries',
+            displays: 'Displays ({count})',
+            displaysTitle: 'Screens showing this room',
+            notesPlaceholder: 'Discussion notes, decisions, open questions…',
+            notesEditedBy: 'Edited by {name}',
+            anonymousNote: 'Anonymous voting — nobody sees who voted what',
+            yourEstimate: 'Your estimate:',
+            coffeeCard: 'Coffee break',
+            coffeeBreak: { one: '{count} player needs a break!', other: '{count} players need a break!' },
+            autoRevealTimer: 'Time\'s up — revealing in {seconds}…',
+            autoRevealAllVoted: 'Everyone voted — revealing in {seconds}…',
+            previous: 'Previous',
+            reveal: 'Reveal Cards',
+            revote: 'Re-vote',
+            accept: 'Accept',
+            skip: 'Skip'
+        },
+        timer: {
+            pause: 'Pause timer',
+            resume: 'Resume timer',
+            extend: 'Add a minute',
+            reset: 'Restart this card\'s timer',
+            paused: '(paused)',
+            timesUp: 'Time\'s up!'
+        },
+        card: {
+            open: 'Open',
+            previously: 'Previously: {value}'
+        },
+        seat: {
+            spectator: 'spectator',
+            owner: 'owner',
+            ownerTitle: 'Room owner',
+            facilitator: 'co-facilitator',
+            facilitatorTitle: 'Can reveal, re-vote, accept and move on',
+            successorTitle: 'Takes over if the owner drops',
+            lowest: 'Lowest estimate',
+            highest: 'Highest estimate',
+            options: 'Player options',
+            successorAdd: 'Add to successors',
+            successorUp: 'Move up in successors',
+            successorRemove: 'Remove from successors',
+            facilitatorMake: 'Make co-facilitator',
+            facilitatorRemove: 'Remove co-facilitator',
+            transferOwnership: 'Hand over ownership',
+            kick: 'Remove from room',
+            ban: 'Ban from room'
+        },
+        stats: {
+            consensus: 'Consensus',
+            average: 'Average',
+            median: 'Median',
+            range: 'Range',
+            spread: 'spread {value}',
+            stepsApart: { one: '{count} step apart', other: '{count} steps apart' },
+            dimensionRange: 'range {range}',
+            combined: 'Combined score'
+        },
+        backlog: {
+            title: 'Backlog',
+            subjectPlaceholder: 'Subject, e.g. AUTH-103',
+            descriptionPlaceholder: 'Description (optional)',
+            add: '+ Add card',
+            description: 'Description',
+            save: 'Save',
+            cancel: 'Cancel',
+            revisit: 'Revisit and re-estimate',
+            jump: 'Estimate next',
+            moveUp: 'Move up',
+            moveDown: 'Move down',
+            edit: 'Edit',
+            remove: 'Remove'
+        },
+        async: {
+            title: 'Async estimation',
+            hint: 'Vote on every card at your own pace — your votes are saved, come back any time.',
+            ownerHint: 'Reveal and accept the cards that are ready; leave the disputed ones for a short live session.',
+            progress: 'You voted on {voted} of {total}',
+            card: 'Card',
+            yourVote: 'Your vote',
+            votes: 'Votes',
+            status: 'Status',
+            voteOn: 'Your vote on card {number}',
+            selectAll: 'Select all cards',
+            select: 'Select card {number}',
+            selectReady: 'Select ready cards',
+            reveal: 'Reveal selected',
+            acceptConsensus: 'Accept consensus',
+            startLive: 'Start live session',
+            nothingSelected: 'Select some cards first',
+            enoughVotes: 'Enough votes',
+            waiting: 'Waiting for votes',
+            agreement: 'Votes agree',
+            disputed: 'High disagreement',
+            consensus: 'Consensus: {value}',
+            noConsensus: 'No consensus',
+            estimate: 'Estimate: {value}',
+            acceptValue: 'Estimate for card {number}',
+            accept: 'Accept'
+        },
+        deck: {
+            moveLeft: 'Move left',
+            moveRight: 'Move right',
+            remove: 'Remove',
+            duplicate: '"{value}" is already in the deck'
+        },
+        displays: {
+            title: 'Presenter displays',
+            empty: 'No screen is showing this room.',
+            item: 'Display {number}',
+            connected: 'connected at {time}',
+            remove: 'Remove',
+            removeTitle: 'Disconnect this screen and keep it out of the room'
+        },
+        webhooks: {
+            title: 'Webhook deliveries',
+            empty: 'No deliveries yet.',
+            refresh: 'Refresh',
+            waiting: 'Waiting…',
+            attempt: 'attempt {number}',
+            status: {
+                pending: 'pending',
+                delivered: 'delivered',
+                failed: 'failed'
+            }
+        },
+        history: {
+            title: 'Past Sessions',
+            empty: 'No finished sessions yet.',
+            date: 'Date',
+            room: 'Room',
+            owner: 'Owner',
+            cards: 'Cards',
+            total: 'Total'
+        },
+        results: {
+            allSessions: 'All sessions',
+            title: 'Results',
+            room: 'Room:',
+            subject: 'Subject',
+            description: 'Description',
+            combined: 'Combined',
+            estimate: 'Estimate',
+            votes: 'Votes',
+            notesLog: 'Notes & log',
+            total: 'Total:',
+            was: '(was {value})',
+            timeline: 'Timeline ({count})',
+            downloadCsv: 'Download CSV',
+            downloadJson: 'Download JSON'
+        },
+        sprint: {
+            title: 'Sprint planning',
+            capacity: 'Team capacity',
+            unit: 'Capacity unit',
+            unitPoints: 'Points',
+            unitDays: 'Days',
+            resetOrder: 'Reset order',
+            hint: 'Drag the cards (or use ↑ / ↓ on their handle) into priority order; the cut line shows what fits.',
+            pointMap: 'Points per estimate',
+            pointMapHint: '(for estimates that aren\'t numbers, like T-Shirt sizes or risk levels)',
+            pointsFor: 'Points for {value}',
+            reorder: 'Reorder "{subject}": drag, or press ↑ / ↓',
+            runningTotal: 'Running total',
+            cut: 'Sprint cut — {committed} of {capacity}',
+            summary: 'In sprint: {committed} of {capacity}',
+            free: 'Free: {amount}',
+            overflow: 'Overflow: {amount} ({cards})',
+            points: { one: '{count} point', other: '{count} points' },
+            days: { one: '{count} day', other: '{count} days' },
+            cards: { one: '{count} card', other: '{count} cards' },
+            moved: 'Moved to position {position}'
+        },
+        present: {
+            passcode: 'This room has a passcode. Enter it to show the room on this screen.',
+            show: 'Show room',
+            connecting: 'Connecting…',
+            connectionFailed: 'Could not connect to the room. Reload the page to try again.',
+            asyncWaiting: 'Votes are being collected asynchronously. The cards show up here once the live session starts.',
+            finished: 'Session finished — thanks, everyone!',
+            noCard: 'No card to estimate.',
+            voted: 'voted',
+            consensus: 'Consensus',
+            average: 'Average',
+            estimate: 'Estimate',
+            noVotes: 'No votes',
+            scanToJoin: 'Scan to join from your phone',
+            removed: 'The room owner removed this display.'
+        },
+        timeline: {
+            owner: 'owner',
+            revote: 'Re-vote by {by}',
+            votesWere: '(votes were {votes})',
+            accepted: '{by} accepted {value}',
+            autoAccepted: 'Consensus {value} accepted automatically',
+            estimateChanged: '{by} changed the estimate {from} → {to}',
+            revisited: 'Revisited by {by}',
+            estimateWas: '(estimate was {value})',
+            coffeeBreak: '{by} asked for a break',
+            coffeeBreakAnonymous: 'Someone asked for a break'
+        },
+        duration: {
+            seconds: '{secs}s',
+            minutesSeconds: '{mins}m {secs}s'
+        },
+        shortcuts: {
+            title: 'Keyboard shortcuts',
+            closeTitle: 'Close (Esc)',
+            voting: 'Voting',
+            voteValue: 'Vote: type the card\'s value (<kbd>1</kbd><kbd>3</kbd> for 13, <kbd>X</kbd><kbd>L</kbd> for XL)',
+            unknown: 'Vote &ldquo;unknown&rdquo;',
+            coffee: 'Ask for a coffee break &#9749;',
+            navigate: 'Move between cards, <kbd>Enter</kbd> or <kbd>Space</kbd> to vote',
+            facilitation: 'Running the round (owner and co-facilitators)',
+            reveal: 'Reveal cards',
+            revote: 'Re-vote',
+            accept: 'Accept the selected estimate and go on',
+            next: 'Skip to the next card',
+            general: 'General',
+            toggle: 'Show or hide this list',
+            close: 'Close'
+        },
+        announce: {
+            voted: '{name} voted. {count} of {total} have voted.',
+            revealed: 'Cards revealed.',
+            consensus: 'Consensus: {value}.',
+            noConsensus: 'No consensus.',
+            votes: 'Votes: {votes}.',
+            noVotes: 'No votes.',
+            coffeeVote: 'You asked for a coffee break',
+            yourVote: 'Your vote: {value}',
+            yourDimensionVote: 'Your vote on {dimension}: {value}'
+        },
+        confirm: {
+            transferOwnership: 'Hand the room over to {name}? You\'ll stay on as co-facilitator.',
+            ban: 'Ban {name}? They won\'t be able to join this room again.',
+            kick: 'Remove {name} from the room?',
+            removeCard: 'Remove "{subject}" from the backlog?',
+            startLive: 'Switch everyone to a live session? Estimated cards are done; the rest come up one by one.'
+        },
+        toast: {
+            reconnecting: 'Reconnecting...',
+            reconnected: 'Reconnected!',
+            enterRoomCode: 'Enter a room code',
+            enterQuestion: 'Enter at least one question',
+            noImportedCardsMatch: 'No imported cards match the selected option',
+            autoRevealNeedsTimeLimit: 'Auto-reveal on time up needs a session time limit',
+            enterName: 'Enter your name',
+            enterSubject: 'Enter a subject',
+            linkCopied: 'Link copied!',
+            playerJoined: '{name} joined',
+            playerLeft: '{name} left',
+            nowOwner: 'You are now the room owner!',
+            nowFacilitator: 'You are now a co-facilitator',
+            noLongerFacilitator: 'You are no longer a co-facilitator',
+            nowObserving: 'You are now observing',
+            votingAgain: 'You are voting again',
+            consensusAccepted: 'Consensus: {value} — accepted',
+            estimateAccepted: 'Estimate accepted: {value}',
+            timer: {
+                paused: 'Timer paused',
+                resumed: 'Timer resumed',
+                extended: 'One more minute',
+                reset: 'Timer restarted',
+                updated: 'Timer updated'
+            },
+            roomLocked: 'Room locked',
+            roomUnlocked: 'Room unlocked',
+            displayAttached: 'A presenter display is showing the room',
+            banned: 'You were banned from the room',
+            kicked: 'You were removed from the room',
+            revisiting: 'Revisiting question {number}',
+            historyLoadFailed: 'Could not load session history',
+            sessionNotFound: 'Session not found',
+            roomGone: 'Room is no longer available'
+        },
+        // Server errors by code (ErrorCodes on the server)
+        errors: {
+            noCards: 'At least one card/question is required.',
+            unknownScale: 'Unknown scale.',
+            unknownConsensusRule: 'Unknown consensus rule.',
+            consensusThresholdRange: 'Consensus threshold must be between {min} and {max}%.',
+            passcodeTooLong: 'Passcode must be at most {max} characters.',
+            invalidWebhookUrl: 'Webhook URL must be an absolute http(s) URL.',
+            webhookUrlNotAllowed: 'Webhook URL must not point to a local or private address.',
+            customDeckTooSmall: 'Custom deck needs at least {min} values.',
+            customDeckTooLarge: 'Custom deck can have at most {max} values.',
+            cardValueTooLong: 'Card value "{value}" is too long (max {max} characters).',
+            cardValueReserved: '"{value}" is reserved for the break card.',
+            duplicateCardValue: 'Duplicate card value: {value}',
+            tooManyDimensions: 'At most {max} dimensions are allowed.',
+            dimensionNameRequired: 'Every dimension needs a name.',
+            dimensionNameTooLong: 'Dimension name "{name}" is too long (max {max} characters).',
+            duplicateDimension: 'Duplicate dimension: {name}',
+            dimensionScaleNotAllowed: 'Dimension "{name}" needs one of the built-in scales.',
+            dimensionWeightRange: 'Dimension weight must be above 0 and at most {max}.',
+            asyncMinVotesRange: 'Votes needed per card must be between {min} and {max}.',
+            asyncDimensionsUnsupported: 'Dimensions are not available in async mode.',
+            roomNotFound: 'Room not found.',
+            nameRequired: 'Name is required.',
+            removedFromRoom: 'You have been removed from this room.',
+            passcodeRequired: 'This room requires a passcode.',
+            incorrectPasscode: 'Incorrect passcode.',
+            tooManyPasscodeAttempts: 'Too many wrong passcodes. Try again in {minutes} minutes.',
+            roomLocked: 'This room is locked.',
+            nameTaken: 'The name "{name}" is already taken in this room.',
+            roomFull: 'Room is full (max {max} players).',
+            playerNotInRoom: 'Player not in room.',
+            playerNotFound: 'Player "{name}" not found.',
+            playerNotConnected: '{name} is not connected.',
+            ownerOnlyLock: 'Only the room owner can lock the room.',
+            ownerOnlyRemovePlayers: 'Only the room owner can remove players.',
+            ownerOnlyRoles: 'Only the room owner can change roles.',
+            ownerOnlyTransfer: 'Only the room owner can hand over ownership.',
+            ownerOnlySuccessors: 'Only the room owner can choose successors.',
+            ownerOnlyTimer: 'Only the room owner can control the timer.',
+            ownerOnlyRevisit: 'Only the room owner can revisit cards.',
+            ownerOnlyBacklog: 'Only the room owner can edit the backlog.',
+            ownerOnlyWebhooks: 'Only the room owner can view webhook deliveries.',
+            ownerOnlyDisplays: 'Only the room owner can manage displays.',
+            facilitatorOnlyReveal: 'Only the room owner or a co-facilitator can reveal cards.',
+            facilitatorOnlyAccept: 'Only the room owner or a co-facilitator can accept estimates.',
+            facilitatorOnlyRevote: 'Only the room owner or a co-facilitator can trigger revote.',
+            facilitatorOnlyNext: 'Only the room owner or a co-facilitator can advance questions.',
+            facilitatorOnlyNotes: 'Only the room owner or a co-facilitator can edit notes.',
+            facilitatorOnlyLive: 'Only the room owner or a co-facilitator can start the live session.',
+            cannotRemoveSelf: 'You can\'t remove yourself.',
+            ownerHasAllRights: 'The owner already has every right.',
+            alreadyOwner: 'You already own this room.',
+            noOwner: 'Room has no owner.',
+            noActiveCard: 'No active card.',
+            spectatorCannotVote: 'Spectators cannot vote.',
+            invalidVote: 'Invalid vote value: {value}',
+            unknownDimension: 'Unknown dimension: {name}',
+            alreadyRevealed: 'Cards are already revealed.',
+            timerAlreadyPaused: 'Timer is already paused.',
+            timerNotPaused: 'Timer is not paused.',
+            noTimer: 'This room has no running timer.',
+            revisitEarlierOnly: 'Can only revisit an earlier card.',
+            notesTooLong: 'Notes must be at most {max} characters.',
+            subjectRequired: 'Card subject is required.',
+            editCurrentOrUpcomingOnly: 'Only the current and upcoming cards can be edited.',
+            reorderUpcomingOnly: 'Only upcoming cards can be reordered.',
+            removeUpcomingOnly: 'Only upcoming cards can be removed.',
+            jumpUpcomingOnly: 'Can only jump to an upcoming card.',
+            gameFinished: 'The game is already finished.',
+            cardNotFound: 'Card not found.',
+            asyncRoom: 'This room votes asynchronously — use the dashboard.',
+            notAsyncRoom: 'This room is not in async mode.'
+        }
+    },
+
+    ru: {
+        common: {
+            back: 'Назад',
+            close: 'Закрыть',
+            language: 'Язык'
+        },
+        home: {
+            joinTitle: 'Войти в комнату',
+            codePlaceholder: 'Код комнаты',
+            join: 'Войти',
+            or: 'или',
+            create: 'Создать комнату',
+            history: 'Прошлые сессии'
+        },
+        create: {
+            title: 'Новая комната',
+            ownerName: 'Ваше имя',
+            ownerNameHint: '(оставьте пустым, чтобы только наблюдать)',
+            ownerNamePlaceholder: 'например, Максим',
+            passcode: 'Пароль',
+            passcodeHint: '(необязательно — нужен игрокам для входа)',
+            scale: 'Шкала оценок',
+            deck: 'Своя колода',
+            deckHint: '(2–20 разных значений, до 8 символов каждое)',
+            deckPlaceholder: 'например, 0.5 или 1, 2, 3',
+            deckAdd: 'Добавить',
+            questions: 'Вопросы для оценки',
+            questionsHint: '(по одному в строке: Тема;Описание)',
+            questionsPlaceholder: 'AUTH-101;Вход через Google OAuth\nAUTH-102;Двухфакторная аутентификация\nDASH-201;Новый дизайн дашборда',
+            importDrop: 'Перетащите сюда CSV, JSON, выгрузку из Jira или GitHub (или файл прошлых результатов) или',
+            importBrowse: 'выберите файл',
+            sessionTime: 'Длительность сессии',
+            sessionTimeHint: '(необязательно — время на карточку рассчитается само)',
+            consensus: 'Правило консенсуса',
+            threshold: 'Порог консенсуса в процентах',
+            autoAccept: 'Принимать оценку и переходить дальше автоматически',
+            autoAcceptHint: '(когда при вскрытии есть консенсус)',
+            shuffle: 'Перемешать вопросы',
+            shuffleHint: '(случайный порядок, в результатах — исходный)',
+            coffee: 'Карта перерыва',
+            coffeeHint: '(игроки могут проголосовать ☕, чтобы попросить паузу)',
+            autoRevealAllVoted: 'Вскрывать карты, когда проголосовали все',
+            autoRevealOnTimer: 'Вскрывать карты, когда время вышло',
+            autoRevealOnTimerHint: '(нужна длительность сессии)',
+            everyoneEditsNotes: 'Все могут редактировать заметки',
+            everyoneEditsNotesHint: '(иначе только вы и со-ведущие)',
+            anonymousVoting: 'Анонимное голосование',
+            anonymousVotingHint: '(при вскрытии видно только распределение; в экспорте нет имён)',
+            asyncMode: 'Асинхронный режим',
+            asyncModeHint: '(каждый голосует по всем карточкам, когда ему удобно; вы вскрываете и принимаете оценки на панели)',
+            asyncMinVotes: 'Нужно голосов на карточку',
+            dimensions: 'Дополнительные измерения',
+            dimensionsHint: '(необязательно — например, сложность, трудоёмкость, риск; голосуются рядом с оценкой и сводятся в общий балл)',
+            addDimension: '+ Добавить измерение',
+            dimensionName: 'Название, например Сложность',
+            dimensionScale: 'Шкала измерения',
+            dimensionWeight: 'Вес в общем балле',
+            removeDimension: 'Удалить измерение',
+            webhookUrl: 'URL вебхука',
+            webhookUrlHint: '(необязательно — получает события комнаты JSON-запросами POST)',
+            webhookSecret: 'Секрет для подписи (необязательно)',
+            continue: 'Продолжить'
+        },
+        scale: {
+            Fibonacci: 'Фибоначчи (1, 2, 3, 5, 8, 13, 21)',
+            TShirt: 'Размеры футболок (XS, S, M, L, XL, XXL)',
+            PowersOf2: 'Степени двойки (1, 2, 4, 8, 16, 32)',
+            Sequential: 'По порядку (1–10)',
+            Risk: 'Риск (Low, Medium, High, Critical)',
+            Custom: 'Своя…'
+        },
+        session: {
+            none: 'Без ограничения',
+            m15: '15 минут',
+            m30: '30 минут',
+            m45: '45 минут',
+            h1: '1 час',
+            h1_5: '1,5 часа',
+            h2: '2 часа'
+        },
+        consensusOption: {
+            Majority: 'Большинство (больше половины)',
+            Unanimous: 'Единогласно',
+            Adjacent: 'Соседние значения считаются согласием',
+            Threshold: 'Порог в процентах'
+        },
+        consensus: {
+            Majority: 'Большинство (>50%)',
+            Unanimous: 'Единогласно',
+            Adjacent: 'Соседние значения',
+            Threshold: 'Не менее {threshold}%'
+        },
+        import: {
+            title: 'Импортированный бэклог',
+            resumeUnestimated: 'Только карточки без оценки',
+            resumeAll: 'Оценить всё заново',
+            resumeAllHint: '(прошлая оценка видна для справки)',
+            resumeDiverged: 'Только карточки, где голоса разошлись',
+            previous: 'Прошлая',
+            clear: 'Сбросить импорт',
+            field: {
+                subject: 'Тема',
+                description: 'Описание',
+                link: 'Ссылка',
+                labels: 'Метки'
+            },
+            none: '— нет —',
+            column: 'Столбец {number}',
+            cards: { one: '{count} карточка', few: '{count} карточки', many: '{count} карточек', other: '{count} карточки' },
+            showingFirst: ', показаны первые {count}',
+            loaded: 'Загружен {file}',
+            loadedRoom: 'Загружен {file} (комната {room})',
+            failed: 'Не удалось импортировать {file}: {reason}',
+            noResults: 'результаты не найдены',
+            noRows: 'строки не найдены',
+            expectedArray: 'ожидался JSON-массив карточек'
+        },
+        join: {
+            title: 'Вход в комнату',
+            room: 'Комната:',
+            name: 'Ваше имя',
+            namePlaceholder: 'например, Алекс',
+            passcode: 'Пароль',
+            observer: 'Войти наблюдателем',
+            observerHint: '(смотреть без голосования — можно переключиться позже)',
+            locked: 'Комната закрыта. Вернуться могут только игроки, у которых уже есть место.',
+            join: 'Войти'
+        },
+        room: {
+            questionCounter: 'Вопрос {number} / {total}',
+            lockedBadge: 'Комната закрыта',
+            shortcuts: 'Горячие клавиши',
+            shortcutsTitle: 'Горячие клавиши (Shift+H)',
+            observe: 'Наблюдать',
+            observeTitle: 'Смотреть без голосования',
+            vote: 'Голосовать',
+            voteTitle: 'Снова участвовать в голосовании',
+            lock: 'Закрыть',
+            lockTitle: 'Не пускать новых игроков',
+            unlock: 'Открыть',
+            unlockTitle: 'Снова пускать новых игроков',
+            backlog: 'Бэклог',
+            backlogTitle: 'Редактировать бэклог',
+            copyLink: 'Копировать ссылку',
+            copyLinkTitle: 'Скопировать ссылку-приглашение',
+            present: 'Показ',
+            presentTitle: 'Открыть режим только для просмотра на экране переговорной',
+            export: 'Экспорт',
+            exportTitle: 'Скачать текущие результаты',
+            webhooks: 'Вебхуки',
+            webhooksTitle: 'Доставка вебхуков',
+            displays: 'Экраны ({count})',
+            displaysTitle: 'Экраны, на которых показана комната',
+            notesPlaceholder: 'Заметки, решения, открытые вопросы…',
+            notesEditedBy: 'Изменил(а) {name}',
+            anonymousNote: 'Анонимное голосование — никто не видит, кто как голосовал',
+            yourEstimate: 'Ваша оценка:',
+            coffeeCard: 'Перерыв на кофе',
+            coffeeBreak: {
+                one: '{count} игроку нужен перерыв!',
+                few: '{count} игрокам нужен перерыв!',
+                many: '{count} игрокам нужен перерыв!',
+                other: '{count} игрокам нужен перерыв!'
+            },
+            autoRevealTimer: 'Время вышло — вскрываем через {seconds}…',
+            autoRevealAllVoted: 'Все проголосовали — вскрываем через {seconds}…',
+            previous: 'Назад',
+            reveal: 'Вскрыть карты',
+            revote: 'Переголосовать',
+            accept: 'Принять',
+            skip: 'Пропустить'
+        },
+        timer: {
+            pause: 'Поставить таймер на паузу',
+            resume: 'Продолжить таймер',
+            extend: 'Добавить минуту',
+            reset: 'Перезапустить таймер карточки',
+            paused: '(пауза)',
+            timesUp: 'Время вышло!'
+        },
+        card: {
+            open: 'Открыть',
+            previously: 'Раньше: {value}'
+        },
+        seat: {
+            spectator: 'наблюдатель',
+            owner: 'владелец',
+            ownerTitle: 'Владелец комнаты',
+            facilitator: 'со-ведущий',
+            facilitatorTitle: 'Может вскрывать карты, запускать переголосование, принимать оценку и идти дальше',
+            successorTitle: 'Станет владельцем, если владелец отключится',
+            lowest: 'Самая низкая оценка',
+            highest: 'Самая высокая оценка',
+            options: 'Действия с игроком',
+            successorAdd: 'Добавить в преемники',
+            successorUp: 'Поднять в списке преемников',
+            successorRemove: 'Убрать из преемников',
+            facilitatorMake: 'Сделать со-ведущим',
+            facilitatorRemove: 'Снять со-ведущего',
+            transferOwnership: 'Передать комнату',
+            kick: 'Удалить из комнаты',
+            ban: 'Заблокировать'
+        },
+        stats: {
+            consensus: 'Консенсус',
+            average: 'Среднее',
+            median: 'Медиана',
+            range: 'Разброс',
+            spread: 'разница {value}',
+            stepsApart: {
+                one: 'разница {count} шаг',
+                few: 'разница {count} шага',
+                many: 'разница {count} шагов',
+                other: 'разница {count} шага'
+            },
+            dimensionRange: 'разброс {range}',
+            combined: 'Общий балл'
+        },
+        backlog: {
+            title: 'Бэклог',
+            subjectPlaceholder: 'Тема, например AUTH-103',
+            descriptionPlaceholder: 'Описание (необязательно)',
+            add: '+ Добавить карточку',
+            description: 'Описание',
+            save: 'Сохранить',
+            cancel: 'Отмена',
+            revisit: 'Вернуться и оценить заново',
+            jump: 'Оценить следующей',
+            moveUp: 'Выше',
+            moveDown: 'Ниже',
+            edit: 'Редактировать',
+            remove: 'Удалить'
+        },
+        async: {
+            title: 'Асинхронная оценка',
+            hint: 'Голосуйте по всем карточкам в своём темпе — голоса сохраняются, можно вернуться в любое время.',
+            ownerHint: 'Вскройте и примите готовые карточки; спорные оставьте для короткой живой сессии.',
+            progress: 'Вы проголосовали по {voted} из {total}',
+            card: 'Карточка',
+            yourVote: 'Ваш голос',
+            votes: 'Голоса',
+            status: 'Статус',
+            voteOn: 'Ваш голос по карточке {number}',
+            selectAll: 'Выбрать все карточки',
+            select: 'Выбрать карточку {number}',
+            selectReady: 'Выбрать готовые',
+            reveal: 'Вскрыть выбранные',
+            acceptConsensus: 'Принять консенсус',
+            startLive: 'Начать живую сессию',
+            nothingSelected: 'Сначала выберите карточки',
+            enoughVotes: 'Голосов достаточно',
+            waiting: 'Ждём голосов',
+            agreement: 'Голоса сходятся',
+            disputed: 'Большой разброс',
+            consensus: 'Консенсус: {value}',
+            noConsensus: 'Консенсуса нет',
+            estimate: 'Оценка: {value}',
+            acceptValue: 'Оценка карточки {number}',
+            accept: 'Принять'
+        },
+        deck: {
+            moveLeft: 'Сдвинуть влево',
+            moveRight: 'Сдвинуть вправо',
+            remove: 'Удалить',
+            duplicate: '«{value}» уже есть в колоде'
+        },
+        displays: {
+            title: 'Экраны показа',
+            empty: 'Комнату сейчас не показывает ни один экран.',
+            item: 'Экран {number}',
+            connected: 'подключён в {time}',
+            remove: 'Отключить',
+            removeTitle: 'Отключить этот экран и больше не пускать его в комнату'
+        },
+        webhooks: {
+            title: 'Доставка вебхуков',
+            empty: 'Пока ничего не отправлено.',
+            refresh: 'Обновить',
+            waiting: 'Ожидание…',
+            attempt: 'попытка {number}',
+            status: {
+                pending: 'в очереди',
+                delivered: 'доставлен',
+                failed: 'ошибка'
+            }
+        },
+        history: {
+            title: 'Прошлые сессии',
+            empty: 'Завершённых сессий пока нет.',
+            date: 'Дата',
+            room: 'Комната',
+            owner: 'Владелец',
+            cards: 'Карточек',
+            total: 'Итого'
+        },
+        results: {
+            allSessions: 'Все сессии',
+            title: 'Результаты',
+            room: 'Комната:',
+            subject: 'Тема',
+            description: 'Описание',
+            combined: 'Общий балл',
+            estimate: 'Оценка',
+            votes: 'Голоса',
+            notesLog: 'Заметки и история',
+            total: 'Итого:',
+            was: '(было {value})',
+            timeline: 'История ({count})',
+            downloadCsv: 'Скачать CSV',
+            downloadJson: 'Скачать JSON'
+        },
+        sprint: {
+            title: 'Планирование спринта',
+            capacity: 'Ёмкость команды',
+            unit: 'Единица ёмкости',
+            unitPoints: 'Баллы',
+            unitDays: 'Дни',
+            resetOrder: 'Сбросить порядок',
+            hint: 'Перетащите карточки (или используйте ↑ / ↓ на их ручке) в порядке приоритета; линия отсечения показывает, что помещается.',
+            pointMap: 'Баллы за оценку',
+            pointMapHint: '(для нечисловых оценок, например размеров футболок или уровней риска)',
+            pointsFor: 'Баллы за {value}',
+            reorder: 'Переместить «{subject}»: перетащите или нажмите ↑ / ↓',
+            runningTotal: 'Нарастающий итог',
+            cut: 'Граница спринта — {committed} из {capacity}',
+            summary: 'В спринте: {committed} из {capacity}',
+            free: 'Свободно: {amount}',
+            overflow: 'Не вошло: {amount} ({cards})',
+            points: { one: '{count} балл', few: '{count} балла', many: '{count} баллов', other: '{count} балла' },
+            days: { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' },
+            cards: { one: '{count} карточка', few: '{count} карточки', many: '{count} карточек', other: '{count} карточки' },
+            moved: 'Перемещено на позицию {position}'
+        },
+        present: {
+            passcode: 'У комнаты есть код доступа. Введите его, чтобы показать комнату на этом экране.',
+            show: 'Показать комнату',
+            connecting: 'Подключение…',
+            connectionFailed: 'Не удалось подключиться к комнате. Обновите страницу, чтобы попробовать снова.',
+            asyncWaiting: 'Голоса собираются асинхронно. Карточки появятся здесь, когда начнётся живая сессия.',
+            finished: 'Сессия завершена — спасибо всем!',
+            noCard: 'Нет карточки для оценки.',
+            voted: 'проголосовали',
+            consensus: 'Консенсус',
+            average: 'Среднее',
+            estimate: 'Оценка',
+            noVotes: 'Нет голосов',
+            scanToJoin: 'Отсканируйте, чтобы присоединиться с телефона',
+            removed: 'Владелец комнаты отключил этот экран.'
+        },
+        timeline: {
+            owner: 'владелец',
+            revote: 'Переголосование, запустил(а) {by}',
+            votesWere: '(голоса были: {votes})',
+            accepted: '{by} принял(а) {value}',
+            autoAccepted: 'Консенсус {value} принят автоматически',
+            estimateChanged: '{by} изменил(а) оценку {from} → {to}',
+            revisited: 'Возврат к карточке, {by}',
+            estimateWas: '(оценка была {value})',
+            coffeeBreak: '{by} просит перерыв',
+            coffeeBreakAnonymous: 'Кто-то просит перерыв'
+        },
+        duration: {
+            seconds: '{secs} с',
+            minutesSeconds: '{mins} мин {secs} с'
+        },
+        shortcuts: {
+            title: 'Горячие клавиши',
+            closeTitle: 'Закрыть (Esc)',
+            voting: 'Голосование',
+            voteValue: 'Голос: наберите значение карты (<kbd>1</kbd><kbd>3</kbd> для 13, <kbd>X</kbd><kbd>L</kbd> для XL)',
+            unknown: 'Голос &laquo;не знаю&raquo;',
+            coffee: 'Попросить перерыв на кофе &#9749;',
+            navigate: 'Переход между картами, <kbd>Enter</kbd> или <kbd>Space</kbd> — проголосовать',
+            facilitation: 'Ведение раунда (владелец и со-ведущие)',
+            reveal: 'Вскрыть карты',
+            revote: 'Переголосовать',
+            accept: 'Принять выбранную оценку и перейти дальше',
+            next: 'Пропустить и перейти к следующей карточке',
+            general: 'Общее',
+            toggle: 'Показать или скрыть этот список',
+            close: 'Закрыть'
+        },
+        announce: {
+            voted: '{name} проголосовал(а). Проголосовали {count} из {total}.',
+            revealed: 'Карты вскрыты.',
+            consensus: 'Консенсус: {value}.',
+            noConsensus: 'Консенсуса нет.',
+            votes: 'Голоса: {votes}.',
+            noVotes: 'Голосов нет.',
+            coffeeVote: 'Вы попросили перерыв на кофе',
+            yourVote: 'Ваш голос: {value}',
+            yourDimensionVote: '{dimension}, ваш голос: {value}'
+        },
+        confirm: {
+            transferOwnership: 'Передать комнату игроку {name}? Вы останетесь со-ведущим.',
+            ban: 'Заблокировать {name}? Этот игрок больше не сможет войти в комнату.',
+            kick: 'Удалить {name} из комнаты?',
+            removeCard: 'Удалить «{subject}» из бэклога?',
+            startLive: 'Перевести всех в живую сессию? Оценённые карточки готовы, остальные пойдут по одной.'
+        },
+        toast: {
+            reconnecting: 'Переподключение...',
+            reconnected: 'Подключение восстановлено!',
+            enterRoomCode: 'Введите код комнаты',
+            enterQuestion: 'Добавьте хотя бы один вопрос',
+            noImportedCardsMatch: 'Ни одна импортированная карточка не подходит под выбранный вариант',
+            autoRevealNeedsTimeLimit: 'Для вскрытия по времени нужна длительность сессии',
+            enterName: 'Введите имя',
+            enterSubject: 'Введите тему',
+            linkCopied: 'Ссылка скопирована!',
+            playerJoined: '{name} присоединяется',
+            playerLeft: '{name} выходит',
+            nowOwner: 'Теперь вы владелец комнаты!',
+            nowFacilitator: 'Теперь вы со-ведущий',
+            noLongerFacilitator: 'Вы больше не со-ведущий',
+            nowObserving: 'Теперь вы наблюдаете',
+            votingAgain: 'Вы снова голосуете',
+            consensusAccepted: 'Консенсус: {value} — принято',
+            estimateAccepted: 'Оценка принята: {value}',
+            timer: {
+                paused: 'Таймер на паузе',
+                resumed: 'Таймер продолжен',
+                extended: 'Ещё одна минута',
+                reset: 'Таймер перезапущен',
+                updated: 'Таймер обновлён'
+            },
+            roomLocked: 'Комната закрыта',
+            roomUnlocked: 'Комната открыта',
+            displayAttached: 'Комнату показывает новый экран',
+            banned: 'Вас заблокировали в этой комнате',
+            kicked: 'Вас удалили из комнаты',
+            revisiting: 'Возвращаемся к вопросу {number}',
+            historyLoadFailed: 'Не удалось загрузить историю сессий',
+            sessionNotFound: 'Сессия не найдена',
+            roomGone: 'Комната больше недоступна'
+        },
+        errors: {
+            noCards: 'Нужен хотя бы один вопрос.',
+            unknownScale: 'Неизвестная шкала.',
+            unknownConsensusRule: 'Неизвестное правило консенсуса.',
+            consensusThresholdRange: 'Порог консенсуса должен быть от {min} до {max}%.',
+            passcodeTooLong: 'Пароль должен быть не длиннее {max} символов.',
+            invalidWebhookUrl: 'URL вебхука должен быть полным адресом http(s).',
+            webhookUrlNotAllowed: 'URL вебхука не может указывать на локальный или частный адрес.',
+            customDeckTooSmall: 'В колоде должно быть хотя бы {min} значения.',
+            customDeckTooLarge: 'В колоде может быть не больше {max} значений.',
+            cardValueTooLong: 'Значение «{value}» слишком длинное (максимум {max} символов).',
+            cardValueReserved: '«{value}» зарезервировано для карты перерыва.',
+            duplicateCardValue: 'Значение повторяется: {value}',
+            tooManyDimensions: 'Можно задать не больше {max} измерений.',
+            dimensionNameRequired: 'У каждого измерения должно быть название.',
+            dimensionNameTooLong: 'Название измерения «{name}» слишком длинное (максимум {max} символов).',
+            duplicateDimension: 'Измерение повторяется: {name}',
+            dimensionScaleNotAllowed: 'Для измерения «{name}» выберите одну из встроенных шкал.',
+            dimensionWeightRange: 'Вес измерения должен быть больше 0 и не больше {max}.',
+            asyncMinVotesRange: 'Число нужных голосов должно быть от {min} до {max}.',
+            asyncDimensionsUnsupported: 'В асинхронном режиме измерения недоступны.',
+            roomNotFound: 'Комната не найдена.',
+            nameRequired: 'Нужно указать имя.',
+            removedFromRoom: 'Вас удалили из этой комнаты.',
+            passcodeRequired: 'Для входа в комнату нужен пароль.',
+            incorrectPasscode: 'Неверный пароль.',
+            tooManyPasscodeAttempts: 'Слишком много неверных паролей. Попробуйте снова через {minutes} мин.',
+            roomLocked: 'Комната закрыта.',
+            nameTaken: 'Имя «{name}» в этой комнате уже занято.',
+            roomFull: 'Комната заполнена (максимум {max} игроков).',
+            playerNotInRoom: 'Игрок не в комнате.',
+            playerNotFound: 'Игрок «{name}» не найден.',
+            playerNotConnected: '{name} сейчас не в сети.',
+            ownerOnlyLock: 'Закрыть комнату может только владелец.',
+            ownerOnlyRemovePlayers: 'Удалять игроков может только владелец.',
+            ownerOnlyRoles: 'Менять роли может только владелец.',
+            ownerOnlyTransfer: 'Передать комнату может только владелец.',
+            ownerOnlySuccessors: 'Выбирать преемников может только владелец.',
+            ownerOnlyTimer: 'Управлять таймером может только владелец.',
+            ownerOnlyRevisit: 'Возвращаться к карточкам может только владелец.',
+            ownerOnlyBacklog: 'Редактировать бэклог может только владелец.',
+            ownerOnlyWebhooks: 'Доставку вебхуков может смотреть только владелец.',
+            ownerOnlyDisplays: 'Управлять экранами может только владелец.',
+            facilitatorOnlyReveal: 'Вскрывать карты может только владелец или со-ведущий.',
+            facilitatorOnlyAccept: 'Принимать оценку может только владелец или со-ведущий.',
+            facilitatorOnlyRevote: 'Запустить переголосование может только владелец или со-ведущий.',
+            facilitatorOnlyNext: 'Переходить к следующему вопросу может только владелец или со-ведущий.',
+            facilitatorOnlyNotes: 'Редактировать заметки может только владелец или со-ведущий.',
+            facilitatorOnlyLive: 'Начать живую сессию может только владелец или со-ведущий.',
+            cannotRemoveSelf: 'Нельзя удалить самого себя.',
+            ownerHasAllRights: 'У владельца и так есть все права.',
+            alreadyOwner: 'Вы уже владелец этой комнаты.',
+            noOwner: 'У комнаты нет владельца.',
+            noActiveCard: 'Нет активной карточки.',
+            spectatorCannotVote: 'Наблюдатели не голосуют.',
+            invalidVote: 'Недопустимое значение голоса: {value}',
+            unknownDimension: 'Неизвестное измерение: {name}',
+            alreadyRevealed: 'Карты уже вскрыты.',
+            timerAlreadyPaused: 'Таймер уже на паузе.',
+            timerNotPaused: 'Таймер не на паузе.',
+            noTimer: 'В этой комнате нет таймера.',
+            revisitEarlierOnly: 'Вернуться можно только к более ранней карточке.',
+            notesTooLong: 'Заметки должны быть не длиннее {max} символов.',
+            subjectRequired: 'Нужно указать тему карточки.',
+            editCurrentOrUpcomingOnly: 'Редактировать можно только текущую и следующие карточки.',
+            reorderUpcomingOnly: 'Переставлять можно только следующие карточки.',
+            removeUpcomingOnly: 'Удалять можно только следующие карточки.',
+            jumpUpcomingOnly: 'Перейти можно только к одной из следующих карточек.',
+            gameFinished: 'Игра уже завершена.',
+            cardNotFound: 'Карточка не найдена.',
+            asyncRoom: 'В этой комнате голосуют асинхронно — используйте панель.',
+            notAsyncRoom: 'Эта комната не в асинхронном режиме.'
+        }
+    }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+let currentLocale = detectLocale();
+
+// Saved choice first, then the browser's preferred languages ("ru-RU" matches "ru")
+function detectLocale() {
+    try {
+        const saved = localStorage.getItem(LOCALE_KEY);
+        if (LOCALES.includes(saved)) return saved;
+    } catch (e) { /* ignore */ }
+
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const lang of preferred) {
+        const base = String(lang || '').toLowerCase().split('-')[0];
+        if (LOCALES.includes(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+function setLocale(locale) {
+    if (!LOCALES.includes(locale) || locale === currentLocale) return;
+    currentLocale = locale;
+    try {
+        localStorage.setItem(LOCALE_KEY, locale);
+    } catch (e) { /* ignore */ }
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+function lookupMessage(locale, key) {
+    return key.split('.').reduce((node, part) => node == null ? undefined : node[part], MESSAGES[locale]);
+}
+
+function hasMessage(key) {
+    return lookupMessage(currentLocale, key) !== undefined || lookupMessage(DEFAULT_LOCALE, key) !== undefined;
+}
+
+/**
+ * Translate a key, falling back to English and then to the key itself.
+ * Plural entries pick their form from params.count.
+ */
+function t(key, params = {}) {
+    let locale = currentLocale;
+    let message = lookupMessage(locale, key);
+    if (message === undefined) {
+        locale = DEFAULT_LOCALE;
+        message = lookupMessage(locale, key);
+    }
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] != null ? String(params[name]) : match);
+}
+
+// Static markup: data-i18n sets the text, data-i18n-html the markup (catalog entries only, never user input),
+// data-i18n-placeholder / -title / -aria-label the attributes
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLocale;
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+    root.querySelectorAll('.lang-select').forEach(select => { select.value = currentLocale; });
+}
+
+document.querySelectorAll('.lang-select').forEach(select =>
+    select.addEventListener('change', () => setLocale(select.value)));
+applyTranslations();